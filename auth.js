@@ -0,0 +1,265 @@
+// Pluggable authentication for the upload routes.
+// Principals (who may initiate uploads) authenticate with one of:
+//   - static API key:        Authorization: Bearer <key>   or   x-api-key: <key>
+//   - HMAC bearer token:     Authorization: Bearer <base64url(json)>.<base64url(hmac-sha256)>
+//   - JWT (HS*/RS*/ES*/PS*): Authorization: Bearer <jwt>, verified with a local secret or PEM public key
+// Admins (the /admin, /events and /metrics routes) are a separate list of API keys, or HMAC / JWT
+// tokens whose claims carry role: 'admin' (or 'admin' in roles).
+// /upload/initiate then issues an upload-scoped token (same HMAC format, { typ: 'upload', uid })
+// which the PUT, status, complete and DELETE routes of that upload require, as does GET /files/:id
+// unless it carries a signed download link (?sig=<download token>, { typ: 'download', uid }).
+// A trusted caller can also mint a pre-signed initiate URL (?sig=<policy token>, { typ: 'presign' })
+// that lets an untrusted client start uploads within the limits encoded in the policy. The URL is
+// not single-use: it starts any number of uploads until it expires, each within maxSize.
+const path = require('path');
+const crypto = require('crypto');
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromB64url(s) {
+  return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function parseJsonPart(part) {
+  try { return JSON.parse(fromB64url(part).toString('utf8')); } catch (e) { return null; }
+}
+
+function isExpired(payload, nowSec = Date.now() / 1000) {
+  if (typeof payload.exp === 'number' && nowSec >= payload.exp) return true;
+  if (typeof payload.nbf === 'number' && nowSec < payload.nbf) return true;
+  return false;
+}
+
+/**
+ * Sign a payload as `<base64url(json)>.<base64url(hmac-sha256)>`. `exp` is in epoch seconds.
+ */
+function signToken(payload, secret) {
+  const body = b64url(JSON.stringify(payload));
+  const sig = b64url(crypto.createHmac('sha256', secret).update(body).digest());
+  return `${body}.${sig}`;
+}
+
+/**
+ * Verify a token produced by signToken. Returns the payload, or null if forged or expired.
+ */
+function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 2) return null;
+  const expected = b64url(crypto.createHmac('sha256', secret).update(parts[0]).digest());
+  if (!safeEqual(parts[1], expected)) return null;
+  const payload = parseJsonPart(parts[0]);
+  if (!payload || isExpired(payload)) return null;
+  return payload;
+}
+
+const ADMIN_ROLE = 'admin';
+const JWT_HASHES = { 256: 'sha256', 384: 'sha384', 512: 'sha512' };
+
+/**
+ * Verify a compact JWS. key is a shared secret for HS256/384/512 or a PEM public key for RSA/EC algorithms.
+ * Returns the claims, or null.
+ */
+function verifyJwt(token, key, { issuer, audience } = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+  const header = parseJsonPart(parts[0]);
+  const claims = parseJsonPart(parts[1]);
+  if (!header || !claims || typeof header.alg !== 'string') return null;
+  const m = header.alg.match(/^(HS|RS|PS|ES)(256|384|512)$/);
+  if (!m) return null; // rejects "none"
+  const hash = JWT_HASHES[m[2]];
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  const sig = fromB64url(parts[2]);
+
+  let ok = false;
+  try {
+    if (m[1] === 'HS') {
+      if (typeof key !== 'string' || key.includes('-----BEGIN')) return null;
+      ok = safeEqual(b64url(crypto.createHmac(hash, key).update(signingInput).digest()), parts[2]);
+    } else {
+      const keyObj = crypto.createPublicKey(key);
+      const opts = { key: keyObj };
+      if (m[1] === 'PS') {
+        opts.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+        opts.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+      }
+      if (m[1] === 'ES') opts.dsaEncoding = 'ieee-p1363';
+      ok = crypto.verify(hash, Buffer.from(signingInput), opts, sig);
+    }
+  } catch (e) {
+    return null;
+  }
+  if (!ok || isExpired(claims)) return null;
+  if (issuer && claims.iss !== issuer) return null;
+  if (audience) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(audience)) return null;
+  }
+  return claims;
+}
+
+// '*' and '?' wildcards, matched against the whole filename
+function globToRegExp(glob) {
+  const re = String(glob).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Normalize a destination subfolder; returns '' for none, or null if it is absolute or escapes.
+ */
+function normalizeSubdir(subdir) {
+  if (!subdir) return '';
+  const norm = path.posix.normalize(String(subdir).replace(/\\/g, '/')).replace(/\/+$/, '');
+  if (norm === '.') return '';
+  if (path.posix.isAbsolute(norm) || norm === '..' || norm.startsWith('../')) return null;
+  return norm;
+}
+
+/**
+ * Check an initiate request against a pre-signed policy.
+ * Returns null when allowed, otherwise a message describing the violated constraint.
+ */
+function checkPolicy(policy, { filename, totalSize, chunkSize }) {
+  if (policy.filenamePattern && !globToRegExp(policy.filenamePattern).test(filename)) {
+    return `filename must match ${policy.filenamePattern}`;
+  }
+  if (policy.maxSize && totalSize > policy.maxSize) return `totalSize exceeds ${policy.maxSize}`;
+  if (policy.minChunkSize && chunkSize < policy.minChunkSize) return `chunkSize below ${policy.minChunkSize}`;
+  if (policy.maxChunkSize && chunkSize > policy.maxChunkSize) return `chunkSize above ${policy.maxChunkSize}`;
+  return null;
+}
+
+function hasAdminRole(claims) {
+  return claims.role === ADMIN_ROLE || (Array.isArray(claims.roles) && claims.roles.includes(ADMIN_ROLE));
+}
+
+function bearer(req) {
+  const h = req.headers.authorization || '';
+  const m = h.match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : null;
+}
+
+class Authenticator {
+  /**
+   * options.apiKeys: [{ name, key }]
+   * options.adminKeys: [{ name, key }], API keys that may also use the admin routes
+   * options.hmacSecret: secret for HMAC bearer tokens
+   * options.jwtKey: HS* secret or PEM public key; options.jwtIssuer / options.jwtAudience
+   * options.uploadTokenSecret: signs upload-scoped tokens (required when any method is configured)
+   * options.uploadTokenTtlMs: upload token lifetime (default 7 days)
+   * options.presignSecret: signs pre-signed initiate policies
+   */
+  constructor(options = {}) {
+    this.apiKeys = options.apiKeys || [];
+    this.adminKeys = options.adminKeys || [];
+    this.hmacSecret = options.hmacSecret || null;
+    this.jwtKey = options.jwtKey || null;
+    this.jwtIssuer = options.jwtIssuer || null;
+    this.jwtAudience = options.jwtAudience || null;
+    this.uploadTokenSecret = options.uploadTokenSecret || null;
+    this.uploadTokenTtlMs = options.uploadTokenTtlMs || 7 * 24 * 3600 * 1000;
+    this.presignSecret = options.presignSecret || null;
+    if (this.enabled && !this.uploadTokenSecret) throw new Error('uploadTokenSecret required when auth is enabled');
+    // pre-signed URLs are minted by authenticated callers; with no way to authenticate, nobody could
+    if (this.presignSecret && !this.canAuthenticate) throw new Error('presignSecret needs API keys, an HMAC secret or a JWT key to authenticate callers');
+  }
+
+  // at least one principal method (API keys, HMAC tokens, JWT) is configured
+  get canAuthenticate() {
+    return this.apiKeys.length > 0 || this.adminKeys.length > 0 || !!this.hmacSecret || !!this.jwtKey;
+  }
+
+  // auth is off (legacy open server) unless at least one principal method is configured
+  get enabled() {
+    return this.canAuthenticate || !!this.presignSecret;
+  }
+
+  /**
+   * Identify the caller. Returns { sub, method, admin } or null.
+   */
+  authenticate(req) {
+    const candidates = [req.headers['x-api-key'], bearer(req)].filter(Boolean);
+    for (const cred of candidates) {
+      const adminKey = this.adminKeys.find((k) => safeEqual(k.key, cred));
+      if (adminKey) return { sub: adminKey.name, method: 'api_key', admin: true };
+      const key = this.apiKeys.find((k) => safeEqual(k.key, cred));
+      if (key) return { sub: key.name, method: 'api_key', admin: false };
+      if (this.jwtKey) {
+        const claims = verifyJwt(cred, this.jwtKey, { issuer: this.jwtIssuer, audience: this.jwtAudience });
+        if (claims) return { sub: String(claims.sub || ''), method: 'jwt', claims, admin: hasAdminRole(claims) };
+      }
+      if (this.hmacSecret) {
+        const payload = verifyToken(cred, this.hmacSecret);
+        if (payload && payload.typ !== 'upload') return { sub: String(payload.sub || ''), method: 'hmac', claims: payload, admin: hasAdminRole(payload) };
+      }
+    }
+    return null;
+  }
+
+  issueUploadToken(uploadId, sub) {
+    const exp = Math.floor((Date.now() + this.uploadTokenTtlMs) / 1000);
+    return signToken({ typ: 'upload', uid: uploadId, sub: sub || null, exp }, this.uploadTokenSecret);
+  }
+
+  // expiring link to GET /files/:id, signed with the upload token secret
+  issueDownloadToken(uploadId, ttlMs) {
+    const exp = Math.floor((Date.now() + ttlMs) / 1000);
+    return signToken({ typ: 'download', uid: uploadId, exp }, this.uploadTokenSecret);
+  }
+
+  verifyDownloadToken(token, uploadId) {
+    if (!this.uploadTokenSecret || !token) return false;
+    const payload = verifyToken(token, this.uploadTokenSecret);
+    return !!payload && payload.typ === 'download' && payload.uid === uploadId;
+  }
+
+  /**
+   * Sign a pre-signed initiate policy:
+   * { sub, filenamePattern, maxSize, minChunkSize, maxChunkSize, subdir } valid for ttlMs.
+   */
+  issuePresignedPolicy(policy, ttlMs) {
+    if (!this.presignSecret) throw new Error('presign_not_configured');
+    const exp = Math.floor((Date.now() + ttlMs) / 1000);
+    return signToken(Object.assign({}, policy, { typ: 'presign', exp }), this.presignSecret);
+  }
+
+  // Returns the policy, or null if the signature is invalid or expired
+  verifyPresignedPolicy(token) {
+    if (!this.presignSecret || !token) return null;
+    const payload = verifyToken(token, this.presignSecret);
+    return payload && payload.typ === 'presign' ? payload : null;
+  }
+
+  /**
+   * Check access to one upload. Accepts its upload token (x-upload-token or Bearer), or, when
+   * options.owner is given, the principal that created it. Returns { ok: true } or
+   * { ok: false, status: 401 | 403, error }.
+   */
+  authorizeUpload(req, uploadId, options = {}) {
+    if (!this.enabled) return { ok: true };
+    let wrongUpload = false;
+    for (const cred of [req.headers['x-upload-token'], bearer(req)].filter(Boolean)) {
+      const payload = verifyToken(cred, this.uploadTokenSecret);
+      if (!payload || payload.typ !== 'upload') continue;
+      if (payload.uid === uploadId) return { ok: true };
+      wrongUpload = true;
+    }
+    if (options.owner) {
+      const principal = this.authenticate(req);
+      if (principal && principal.sub === options.owner) return { ok: true };
+    }
+    return wrongUpload
+      ? { ok: false, status: 403, error: 'forbidden' }
+      : { ok: false, status: 401, error: 'unauthorized' };
+  }
+}
+
+module.exports = { Authenticator, signToken, verifyToken, verifyJwt, checkPolicy, normalizeSubdir };
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+// large-upload: upload files and folders from the command line with nodeClient.js, and with
+// --download fetch (and decrypt) completed uploads.
+// Exit status: 0 when every file was uploaded (or aborted), 1 when any failed, 2 on bad usage.
+const fs = require('fs');
+const path = require('path');
+const { UploadClient, DEFAULT_STATE_FILE } = require('../nodeClient');
+const { readKeyFile } = require('../chunkCrypto');
+
+const USAGE = `Usage: large-upload [options] <file or folder>...
+       large-upload --download [options] <upload id or download link>...
+
+Folders are uploaded recursively; the server recreates them under its destination folder.
+Uploads interrupted earlier resume from the state file.
+
+Options:
+  -s, --server URL        server base URL or pre-signed initiate URL (env LARGE_UPLOAD_SERVER)
+  -t, --credential TOKEN  API key or bearer token (env LARGE_UPLOAD_CREDENTIAL)
+  -c, --chunk-size SIZE   chunk size for new uploads, bytes or with K/M/G (default: the server's)
+  -j, --concurrency N     chunk requests in flight per file (default: the server's)
+  -z, --compress CODING   compress chunks with gzip, deflate or br when the server accepts it;
+                          files that don't shrink are sent as they are
+      --no-resume         start over even when the state file has an upload in progress
+      --abort             delete the uploads in progress for these files and forget them
+      --encrypt           encrypt new uploads end to end; the server only gets ciphertext
+      --passphrase-file PATH
+                          passphrase for --encrypt and --download (env LARGE_UPLOAD_PASSPHRASE)
+      --key-file PATH     32-byte key (raw, hex or base64) for --encrypt and --download,
+                          instead of a passphrase
+      --download          download completed uploads, decrypting encrypted ones
+  -o, --output PATH       where --download writes: a file, or a directory (default .)
+      --state-file PATH   resume state (default ${DEFAULT_STATE_FILE})
+      --progress MODE     text (stderr), json (one JSON object per line on stdout) or none;
+                          default text on a terminal, none otherwise
+  -h, --help              show this help
+`;
+
+const FLAGS = {
+  '-s': 'server', '--server': 'server',
+  '-t': 'credential', '--credential': 'credential',
+  '-c': 'chunkSize', '--chunk-size': 'chunkSize',
+  '-j': 'concurrency', '--concurrency': 'concurrency',
+  '-z': 'compress', '--compress': 'compress',
+  '--state-file': 'stateFile',
+  '--passphrase-file': 'passphraseFile',
+  '--key-file': 'keyFile',
+  '-o': 'output', '--output': 'output',
+  '--progress': 'progress'
+};
+const SWITCHES = { '--no-resume': 'noResume', '--abort': 'abort', '--encrypt': 'encrypt', '--download': 'download', '-h': 'help', '--help': 'help' };
+
+function usageError(message) {
+  process.stderr.write(`large-upload: ${message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const opts = { paths: [] };
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value = null;
+    const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    if (eq > 0) {
+      value = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+    if (SWITCHES[arg]) {
+      opts[SWITCHES[arg]] = true;
+    } else if (FLAGS[arg]) {
+      if (value === null) {
+        if (i + 1 >= argv.length) usageError(`${arg} needs a value`);
+        value = argv[++i];
+      }
+      opts[FLAGS[arg]] = value;
+    } else if (arg === '--') {
+      opts.paths.push(...argv.slice(i + 1));
+      break;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      usageError(`unknown option ${arg}`);
+    } else {
+      opts.paths.push(arg);
+    }
+  }
+  return opts;
+}
+
+// "64M" -> 67108864
+function parseSize(s) {
+  const m = /^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i.exec(String(s).trim());
+  if (!m) return NaN;
+  const exp = ' kmgt'.indexOf(m[2].toLowerCase() || ' ');
+  return Math.round(Number(m[1]) * 1024 ** exp);
+}
+
+// [{ file, relativePath }]: a file as itself, a folder as every file below it
+function expand(p) {
+  const stat = fs.statSync(p);
+  if (!stat.isDirectory()) return [{ file: p, relativePath: null }];
+  const out = [];
+  const root = path.basename(path.resolve(p));
+  const walk = (dir, rel) => {
+    for (const d of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = path.join(dir, d.name);
+      if (d.isDirectory()) walk(full, `${rel}/${d.name}`);
+      else if (d.isFile()) out.push({ file: full, relativePath: `${rel}/${d.name}` });
+    }
+  };
+  walk(p, root);
+  return out;
+}
+
+// { key } or { passphrase } from the options or the environment, or null
+function keySource(opts) {
+  if (opts.keyFile) {
+    try {
+      return { key: readKeyFile(fs.readFileSync(opts.keyFile)) };
+    } catch (e) {
+      usageError(`${opts.keyFile}: ${e.message}`);
+    }
+  }
+  if (opts.passphraseFile) {
+    try {
+      return { passphrase: fs.readFileSync(opts.passphraseFile, 'utf8').replace(/\r?\n$/, '') };
+    } catch (e) {
+      usageError(e.message);
+    }
+  }
+  return process.env.LARGE_UPLOAD_PASSPHRASE ? { passphrase: process.env.LARGE_UPLOAD_PASSPHRASE } : null;
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  const units = ['KiB', 'MiB', 'GiB', 'TiB'];
+  let i = -1;
+  do { n /= 1024; i++; } while (n >= 1024 && i < units.length - 1);
+  return `${n.toFixed(1)} ${units[i]}`;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  const server = opts.server || process.env.LARGE_UPLOAD_SERVER;
+  if (!server) usageError('--server (or LARGE_UPLOAD_SERVER) is required');
+  if (!opts.paths.length) usageError('no files given');
+  const chunkSize = opts.chunkSize ? parseSize(opts.chunkSize) : null;
+  if (opts.chunkSize && !(chunkSize > 0)) usageError(`invalid chunk size ${opts.chunkSize}`);
+  const concurrency = opts.concurrency ? Number(opts.concurrency) : null;
+  if (opts.concurrency && !(Number.isInteger(concurrency) && concurrency > 0)) usageError(`invalid concurrency ${opts.concurrency}`);
+  if (opts.compress && !['gzip', 'deflate', 'br'].includes(opts.compress)) usageError(`invalid compression ${opts.compress}`);
+  const mode = opts.progress || (process.stderr.isTTY ? 'text' : 'none');
+  if (!['text', 'json', 'none'].includes(mode)) usageError(`invalid progress mode ${mode}`);
+  const keys = keySource(opts);
+  if (opts.encrypt && !keys) usageError('--encrypt needs --passphrase-file, --key-file or LARGE_UPLOAD_PASSPHRASE');
+  if (opts.encrypt && keys.passphrase === '') usageError('empty passphrase');
+
+  if (opts.download) return download(opts, server, keys, mode);
+
+  let entries;
+  try {
+    entries = opts.paths.flatMap(expand);
+  } catch (e) {
+    usageError(e.message);
+  }
+
+  const client = new UploadClient({
+    server,
+    credential: opts.credential || process.env.LARGE_UPLOAD_CREDENTIAL,
+    chunkSize,
+    concurrency,
+    compression: opts.compress,
+    // only with --encrypt: new uploads are encrypted whenever the client has a key
+    encryption: opts.encrypt ? keys : null,
+    stateFile: opts.stateFile
+  });
+  const emit = (event, data) => {
+    if (mode === 'json') process.stdout.write(JSON.stringify(Object.assign({ event, time: Date.now() }, data)) + '\n');
+  };
+  for (const name of ['initiated', 'progress', 'retry', 'completed']) client.on(name, (data) => emit(name, data));
+  if (mode === 'text') {
+    client.on('progress', (p) => {
+      const pct = p.totalBytes ? (p.receivedBytes / p.totalBytes * 100).toFixed(1) : '100.0';
+      const rate = p.bytesPerSecond ? `, ${formatBytes(p.bytesPerSecond)}/s` : '';
+      process.stderr.write(`\r${p.file}: ${pct}% of ${formatBytes(p.totalBytes)}${rate}\x1b[K`);
+    });
+    client.on('retry', (r) => process.stderr.write(`\n${r.file}: chunk ${r.chunk} retry ${r.attempt} in ${r.delayMs} ms (${r.error})\n`));
+  }
+
+  let failed = 0;
+  for (const { file, relativePath } of entries) {
+    try {
+      if (opts.abort) {
+        const id = await client.abort(file);
+        emit('aborted', { file, uploadId: id });
+        if (mode === 'text') process.stderr.write(id ? `${file}: aborted ${id}\n` : `${file}: no upload in progress\n`);
+        continue;
+      }
+      const done = await client.upload(file, { relativePath, resume: !opts.noResume });
+      if (mode === 'text') process.stderr.write(`\r${file} -> ${relativePath ? path.posix.dirname(relativePath) + '/' : ''}${done.filename} (${done.uploadId}${done.resumed ? ', resumed' : ''})\x1b[K\n`);
+    } catch (e) {
+      failed++;
+      emit('error', { file, error: e.message, status: e.status || null });
+      if (mode !== 'json') process.stderr.write(`\n${file}: ${e.message}\n`);
+    }
+  }
+  emit('done', { files: entries.length, failed });
+  return failed ? 1 : 0;
+}
+
+async function download(opts, server, keys, mode) {
+  if (opts.paths.length > 1 && opts.output && !(fs.existsSync(opts.output) && fs.statSync(opts.output).isDirectory())) {
+    usageError('--output must be a directory when downloading several uploads');
+  }
+  const client = new UploadClient({ server, credential: opts.credential || process.env.LARGE_UPLOAD_CREDENTIAL, encryption: keys });
+  const emit = (event, data) => {
+    if (mode === 'json') process.stdout.write(JSON.stringify(Object.assign({ event, time: Date.now() }, data)) + '\n');
+  };
+  let failed = 0;
+  for (const source of opts.paths) {
+    try {
+      const done = await client.download(source, opts.output || '.');
+      emit('downloaded', Object.assign({ source }, done));
+      if (mode === 'text') process.stderr.write(`${source} -> ${done.file} (${formatBytes(done.bytes)}${done.encrypted ? ', decrypted' : ''})\n`);
+    } catch (e) {
+      failed++;
+      emit('error', { source, error: e.message, status: e.status || null });
+      if (mode !== 'json') process.stderr.write(`${source}: ${e.message}\n`);
+    }
+  }
+  emit('done', { files: opts.paths.length, failed });
+  return failed ? 1 : 0;
+}
+
+main().then((code) => {
+  process.exitCode = code;
+}, (e) => {
+  process.stderr.write(`large-upload: ${e.stack || e}\n`);
+  process.exitCode = 1;
+});
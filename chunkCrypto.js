@@ -0,0 +1,197 @@
+// End-to-end encrypted uploads, scheme aes-256-gcm-chunks-v1. The clients (upload-core.js in the
+// browser, nodeClient.js) encrypt every chunk before it is sent, so the server stores only
+// ciphertext; it checks and records the scheme's descriptor and hands it out with the data.
+//
+// Layout: plaintext chunk i (chunkSize bytes, the last one shorter) is stored as
+//   nonce (12 bytes) | AES-256-GCM ciphertext | tag (16 bytes)
+// at offset i * (chunkSize + CHUNK_OVERHEAD), so the server places chunks by Content-Range as usual.
+// The additional data is the chunk index and the plaintext size (both uint64 big-endian), so
+// chunks can't be moved, dropped or cut off. The nonce is the first 12 bytes of
+// HMAC-SHA256(macKey, index | plaintext): a resent chunk comes out byte-identical and different
+// content never reuses a nonce.
+//
+// Keys: a master key, either PBKDF2-SHA256 of a passphrase (salt and iterations in the
+// descriptor's kdf) or a 32-byte key from a key file. HKDF-SHA256(master, the upload's salt)
+// gives 64 bytes: the AES key, then the HMAC key. kdf.keyCheck (HKDF of the master with no salt)
+// tells a wrong passphrase or key apart from damaged data.
+//
+// Descriptor: { scheme, plainSize, chunkSize, salt, kdf: { name: 'PBKDF2', hash: 'SHA-256',
+// iterations, salt, keyCheck } | { name: 'raw', keyCheck } }; salts base64, keyCheck hex.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Transform } = require('stream');
+
+const pbkdf2Async = promisify(crypto.pbkdf2);
+const hkdfAsync = promisify(crypto.hkdf);
+
+const SCHEME = 'aes-256-gcm-chunks-v1';
+const NONCE_BYTES = 12;
+const TAG_BYTES = 16;
+const CHUNK_OVERHEAD = NONCE_BYTES + TAG_BYTES;
+const PBKDF2_ITERATIONS = 600000;
+// passphrases derived with fewer iterations than this are refused
+const MIN_PBKDF2_ITERATIONS = 100000;
+const KEY_INFO = Buffer.from(`fast-large-upload ${SCHEME}`);
+const KEY_CHECK_INFO = Buffer.from('fast-large-upload key check');
+
+function cryptoError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// size of the stored ciphertext for plainSize bytes in chunks of chunkSize
+function cipherSize(plainSize, chunkSize) {
+  return plainSize + Math.ceil(plainSize / chunkSize) * CHUNK_OVERHEAD;
+}
+
+function isBase64Of(s, bytes) {
+  return typeof s === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(s) && Buffer.from(s, 'base64').length === bytes;
+}
+
+/**
+ * The descriptor a client sent with /upload/initiate, with only the known fields, or null when it
+ * isn't one. totalSize and chunkSize are the upload's (ciphertext) sizes and must fit the layout.
+ */
+function parseDescriptor(enc, totalSize, chunkSize) {
+  if (!enc || typeof enc !== 'object' || enc.scheme !== SCHEME) return null;
+  const { plainSize, salt, kdf } = enc;
+  const plainChunk = enc.chunkSize;
+  if (!(Number.isSafeInteger(plainSize) && plainSize > 0 && Number.isSafeInteger(plainChunk) && plainChunk > 0)) return null;
+  if (chunkSize !== plainChunk + CHUNK_OVERHEAD || totalSize !== cipherSize(plainSize, plainChunk)) return null;
+  if (!isBase64Of(salt, 16) || !kdf || typeof kdf !== 'object' || !/^[0-9a-f]{16}$/.test(kdf.keyCheck)) return null;
+  let outKdf;
+  if (kdf.name === 'raw') {
+    outKdf = { name: 'raw', keyCheck: kdf.keyCheck };
+  } else if (kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' && Number.isSafeInteger(kdf.iterations) &&
+    kdf.iterations >= MIN_PBKDF2_ITERATIONS && isBase64Of(kdf.salt, 16)) {
+    outKdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: kdf.iterations, salt: kdf.salt, keyCheck: kdf.keyCheck };
+  } else {
+    return null;
+  }
+  return { scheme: SCHEME, plainSize, chunkSize: plainChunk, salt, kdf: outKdf };
+}
+
+// a key file: 32 raw bytes, or 64 hex digits or the base64 of 32 bytes as text
+function readKeyFile(buf) {
+  if (buf.length === 32) return Buffer.from(buf);
+  const text = buf.toString('utf8').trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) return Buffer.from(text, 'hex');
+  if (isBase64Of(text, 32)) return Buffer.from(text, 'base64');
+  throw cryptoError('a key file holds 32 bytes: raw, as 64 hex digits or as base64', 'invalid_key');
+}
+
+async function keyCheck(master) {
+  return Buffer.from(await hkdfAsync('sha256', master, Buffer.alloc(0), KEY_CHECK_INFO, 8)).toString('hex');
+}
+
+/**
+ * Master key for kdf (a descriptor's) from source { passphrase } or { key } (32 bytes); rejects
+ * with code 'wrong_key' when it doesn't match kdf.keyCheck.
+ */
+async function masterKey(kdf, source) {
+  let master;
+  if (kdf.name === 'raw') {
+    if (!source.key) throw cryptoError('this upload was encrypted with a key file', 'wrong_key');
+    master = source.key;
+  } else {
+    if (!source.passphrase) throw cryptoError('this upload was encrypted with a passphrase', 'wrong_key');
+    master = await pbkdf2Async(source.passphrase, Buffer.from(kdf.salt, 'base64'), kdf.iterations, 32, 'sha256');
+  }
+  if (await keyCheck(master) !== kdf.keyCheck) throw cryptoError('wrong passphrase or key', 'wrong_key');
+  return master;
+}
+
+// a new kdf (fresh PBKDF2 salt for a passphrase) and its master key, for new uploads
+async function newMasterKey(source) {
+  if (source.key) return { kdf: { name: 'raw', keyCheck: await keyCheck(source.key) }, master: source.key };
+  const salt = crypto.randomBytes(16);
+  const master = await pbkdf2Async(source.passphrase, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+  return { kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: salt.toString('base64'), keyCheck: await keyCheck(master) }, master };
+}
+
+// { aes, mac } of the upload whose descriptor has salt
+async function fileKeys(master, salt) {
+  const okm = Buffer.from(await hkdfAsync('sha256', master, Buffer.from(salt, 'base64'), KEY_INFO, 64));
+  return { aes: okm.subarray(0, 32), mac: okm.subarray(32) };
+}
+
+function additionalData(index, plainSize) {
+  const ad = Buffer.alloc(16);
+  ad.writeBigUInt64BE(BigInt(index), 0);
+  ad.writeBigUInt64BE(BigInt(plainSize), 8);
+  return ad;
+}
+
+function encryptChunk(keys, index, plainSize, plain) {
+  const ad = additionalData(index, plainSize);
+  const nonce = crypto.createHmac('sha256', keys.mac).update(ad.subarray(0, 8)).update(plain).digest().subarray(0, NONCE_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.aes, nonce);
+  cipher.setAAD(ad);
+  return Buffer.concat([nonce, cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+}
+
+function decryptChunk(keys, index, plainSize, chunk) {
+  if (chunk.length < CHUNK_OVERHEAD) throw cryptoError(`chunk ${index} is truncated`, 'decrypt_failed');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', keys.aes, chunk.subarray(0, NONCE_BYTES));
+  decipher.setAAD(additionalData(index, plainSize));
+  decipher.setAuthTag(chunk.subarray(chunk.length - TAG_BYTES));
+  try {
+    return Buffer.concat([decipher.update(chunk.subarray(NONCE_BYTES, chunk.length - TAG_BYTES)), decipher.final()]);
+  } catch (e) {
+    throw cryptoError(`chunk ${index} failed authentication (wrong key, or the data was altered)`, 'decrypt_failed');
+  }
+}
+
+/**
+ * Transform from the stored ciphertext (from its start) to the plaintext; fails with code
+ * 'decrypt_failed' on a chunk that doesn't authenticate or when the data is longer or shorter
+ * than the descriptor says.
+ */
+function createDecryptStream(desc, keys) {
+  const totalChunks = Math.ceil(desc.plainSize / desc.chunkSize);
+  let pending = [];
+  let pendingBytes = 0;
+  let index = 0;
+  const take = (n) => {
+    const all = Buffer.concat(pending, pendingBytes);
+    pending = [all.subarray(n)];
+    pendingBytes -= n;
+    return all.subarray(0, n);
+  };
+  const chunkLength = (i) => Math.min(desc.chunkSize, desc.plainSize - i * desc.chunkSize) + CHUNK_OVERHEAD;
+  return new Transform({
+    transform(data, _enc, cb) {
+      pending.push(data);
+      pendingBytes += data.length;
+      try {
+        while (index < totalChunks && pendingBytes >= chunkLength(index)) {
+          this.push(decryptChunk(keys, index, desc.plainSize, take(chunkLength(index))));
+          index++;
+        }
+        if (index === totalChunks && pendingBytes) throw cryptoError('more data than the upload holds', 'decrypt_failed');
+      } catch (e) {
+        cb(e);
+        return;
+      }
+      cb();
+    },
+    flush(cb) {
+      cb(index === totalChunks ? null : cryptoError(`data ends in chunk ${index} of ${totalChunks}`, 'decrypt_failed'));
+    }
+  });
+}
+
+module.exports = {
+  SCHEME,
+  CHUNK_OVERHEAD,
+  cipherSize,
+  parseDescriptor,
+  readKeyFile,
+  masterKey,
+  newMasterKey,
+  fileKeys,
+  encryptChunk,
+  decryptChunk,
+  createDecryptStream
+};
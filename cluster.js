@@ -0,0 +1,57 @@
+// Run server.js in WORKERS processes (default: one per CPU) sharing one port. Workers share
+// upload state through the metadata store, so any of them can serve any request of any upload.
+// Crashed workers are replaced; their chunk locks expire and the client's retry succeeds.
+const cluster = require('cluster');
+const os = require('os');
+const path = require('path');
+const { serveClusterMetrics } = require('./metrics');
+const { serveClusterEvents } = require('./events');
+
+const WORKERS = Number(process.env.WORKERS) || (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+// a worker that dies this soon after starting is misconfigured; don't respawn it forever
+const MIN_UPTIME_MS = 5000;
+
+if (process.env.STORAGE_BACKEND === 'memory') {
+  console.error('STORAGE_BACKEND=memory keeps upload data inside one process; run server.js instead');
+  process.exit(1);
+}
+
+cluster.setupPrimary({ exec: path.join(__dirname, 'server.js') });
+// a worker answering /metrics asks the others for their counters through here
+serveClusterMetrics();
+// ...and upload events are numbered here and fanned out, so every worker can resume any stream
+serveClusterEvents({ capacity: Number(process.env.EVENT_BUFFER_SIZE) || undefined });
+
+let stopping = false;
+const startedAt = new Map(); // worker id -> fork time
+
+function fork() {
+  // server.js shares the global throttle limits out among the workers
+  const worker = cluster.fork({ CLUSTER_WORKERS: WORKERS });
+  startedAt.set(worker.id, Date.now());
+}
+
+cluster.on('exit', (worker, code, signal) => {
+  const uptime = Date.now() - startedAt.get(worker.id);
+  startedAt.delete(worker.id);
+  if (stopping) return;
+  if (uptime < MIN_UPTIME_MS) {
+    console.error(`worker ${worker.process.pid} exited during startup (${signal || code}), stopping`);
+    shutdown('SIGTERM');
+    process.exitCode = 1;
+    return;
+  }
+  console.error(`worker ${worker.process.pid} exited (${signal || code}), starting a new one`);
+  fork();
+});
+
+// workers close their metadata store on the signal; the primary exits once they are gone
+function shutdown(signal) {
+  stopping = true;
+  for (const worker of Object.values(cluster.workers)) worker.process.kill(signal);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+console.log(`Starting ${WORKERS} upload server workers`);
+for (let i = 0; i < WORKERS; i++) fork();
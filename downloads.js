@@ -0,0 +1,305 @@
+// Downloads of completed uploads: GET/HEAD /files/:id with ETag / Last-Modified validators and
+// byte ranges (RFC 9110): one range -> 206, several -> 206 multipart/byteranges.
+// Access is the same as the upload's own routes (upload token or the principal that created it),
+// or a signed expiring link (?sig=, see Authenticator.issueDownloadToken).
+const crypto = require('crypto');
+const path = require('path');
+
+// more ranges than this (after merging overlaps) are answered with the whole file
+const MAX_RANGES = 50;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CONTENT_TYPES = {
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.iso': 'application/x-iso9660-image',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm'
+};
+
+// types a browser won't run script in; anything else (HTML, SVG, XML, unknown types) is served as
+// application/octet-stream and always as an attachment, so an upload can't script this origin
+const PASSIVE_TYPES = new Set([
+  'text/plain', 'text/csv', 'application/json', 'application/pdf', 'application/zip', 'application/gzip',
+  'application/x-tar', 'application/x-iso9660-image', 'application/octet-stream',
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/flac',
+  'video/mp4', 'video/quicktime', 'video/x-matroska', 'video/webm', 'video/ogg'
+]);
+
+// { type, passive }: the declared or guessed type, downgraded when it isn't on the passive list
+function contentType(up) {
+  // tus clients send the browser's File.type as "filetype"
+  const declared = up.metadata && (up.metadata.filetype || up.metadata.contentType);
+  let type = CONTENT_TYPES[path.extname(up.filename).toLowerCase()] || 'application/octet-stream';
+  if (declared && /^[\w.+-]+\/[\w.+-]+(\s*;.*)?$/.test(declared)) type = declared;
+  if (!PASSIVE_TYPES.has(type.split(';')[0].trim().toLowerCase())) return { type: 'application/octet-stream', passive: false };
+  return { type, passive: true };
+}
+
+// attachment with an ASCII fallback and the exact name as RFC 5987 filename*
+function contentDisposition(filename, type = 'attachment') {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+// completed data never changes, so a strong validator is safe
+function etagOf(up) {
+  if (up.sha256) return `"${up.sha256}"`;
+  const h = crypto.createHash('sha256').update(`${up.id}:${up.totalSize}:${up.completedAt}`).digest('hex');
+  return `"${h.slice(0, 32)}"`;
+}
+
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some((t) => t.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Parse a Range header against size. Returns [{ start, end }] (inclusive, sorted, overlaps merged),
+ * null to ignore it and send the whole file, or 'unsatisfiable'.
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(.+)$/i.exec(String(header).trim());
+  if (!m) return null;
+  const ranges = [];
+  for (const spec of m[1].split(',')) {
+    const r = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec);
+    if (!r || (r[1] === '' && r[2] === '')) return null;
+    let start;
+    let end;
+    if (r[1] === '') {
+      // suffix: the last n bytes
+      const n = Number(r[2]);
+      if (n === 0) continue;
+      start = Math.max(0, size - n);
+      end = size - 1;
+    } else {
+      start = Number(r[1]);
+      end = r[2] === '' ? size - 1 : Math.min(Number(r[2]), size - 1);
+      if (r[2] !== '' && Number(r[2]) < start) return null;
+      if (start >= size) continue;
+    }
+    ranges.push({ start, end });
+  }
+  if (!ranges.length) return 'unsatisfiable';
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const r of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (r.start <= last.end + 1) last.end = Math.max(last.end, r.end);
+    else merged.push(r);
+  }
+  return merged.length > MAX_RANGES ? null : merged;
+}
+
+function sendError(res, code, error, headers = {}) {
+  const body = JSON.stringify({ error });
+  res.writeHead(code, Object.assign({
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff'
+  }, headers));
+  res.end(body);
+}
+
+// pipe one range into res without ending it; rejects if either side fails or the client goes away
+function pipeRange(source, res) {
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      source.destroy();
+      reject(new Error('client_closed'));
+    };
+    res.once('close', onClose);
+    source.once('error', (err) => {
+      res.removeListener('close', onClose);
+      reject(err);
+    });
+    source.once('end', () => {
+      res.removeListener('close', onClose);
+      resolve();
+    });
+    source.pipe(res, { end: false });
+  });
+}
+
+/**
+ * Returns handle(req, res, url) -> boolean (true when the request was for basePath).
+ * options.basePath: mount point, default '/files/'.
+ * options.auth: Authenticator; without a valid ?sig= the request needs the upload's token or
+ * the principal that created it.
+ */
+function createDownloadHandler(manager, options = {}) {
+  const basePath = options.basePath || '/files/';
+  const auth = options.auth || null;
+
+  function handle(req, res, url) {
+    const pathname = url.pathname;
+    if (!pathname.startsWith(basePath)) return false;
+    const id = pathname.slice(basePath.length);
+    // POST <basePath><id>/link is routed by server.js
+    if (id.includes('/')) return false;
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendError(res, 405, 'method_not_allowed', { Allow: 'GET, HEAD' });
+      req.resume();
+      return true;
+    }
+    req.resume();
+    if (!UUID_RE.test(id)) {
+      sendError(res, 404, 'upload_not_found');
+      return true;
+    }
+    manager.getUpload(id).then((up) => serve(req, res, url, id, up)).catch((err) => {
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      if (err && err.transient) {
+        sendError(res, 503, 'transient_failure');
+        return;
+      }
+      console.error('download error', err);
+      sendError(res, 500, 'download_failed');
+    });
+    return true;
+  }
+
+  async function serve(req, res, url, id, up) {
+    const sig = url.searchParams.get('sig');
+    if (sig) {
+      if (!auth || !auth.verifyDownloadToken(sig, id)) {
+        sendError(res, 403, 'invalid_signature');
+        return;
+      }
+    } else if (auth) {
+      const check = auth.authorizeUpload(req, id, { owner: up ? up.owner : null });
+      if (!check.ok) {
+        sendError(res, check.status, check.error, { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+    }
+    if (!up) {
+      sendError(res, 404, 'upload_not_found');
+      return;
+    }
+    if (!up.completed) {
+      sendError(res, 409, 'upload_not_completed');
+      return;
+    }
+    // published over under the 'overwrite' collision policy
+    if (up.supersededBy) {
+      sendError(res, 410, 'data_replaced');
+      return;
+    }
+    const data = await manager.storage.inspect(up);
+    if (!data.exists) {
+      sendError(res, 410, 'data_missing');
+      return;
+    }
+
+    const size = up.totalSize;
+    const etag = etagOf(up);
+    const lastModified = new Date(up.completedAt || up.createdAt).toUTCString();
+    // ciphertext of a client-side encrypted upload; the descriptor lets the client decrypt it
+    const { type, passive } = up.encryption ? { type: 'application/octet-stream', passive: true } : contentType(up);
+    const inline = passive && url.searchParams.get('disposition') === 'inline';
+    const headers = {
+      'Accept-Ranges': 'bytes',
+      ETag: etag,
+      'Last-Modified': lastModified,
+      'Cache-Control': 'private, no-cache',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Disposition': contentDisposition(up.filename, inline ? 'inline' : 'attachment')
+    };
+    if (up.encryption) headers['Upload-Encryption'] = JSON.stringify(up.encryption);
+
+    const inm = req.headers['if-none-match'];
+    const ims = req.headers['if-modified-since'];
+    if (inm ? etagMatches(inm, etag) : (ims && Date.parse(ims) >= Date.parse(lastModified))) {
+      res.writeHead(304, { ETag: etag, 'Last-Modified': lastModified, 'Cache-Control': headers['Cache-Control'], 'X-Content-Type-Options': 'nosniff' });
+      res.end();
+      return;
+    }
+
+    let ranges = null;
+    const ifRange = req.headers['if-range'];
+    const rangeCurrent = !ifRange || (ifRange.startsWith('"') ? ifRange === etag : ifRange === lastModified);
+    if (req.headers.range && rangeCurrent) ranges = parseRange(req.headers.range, size);
+    if (ranges === 'unsatisfiable') {
+      sendError(res, 416, 'range_not_satisfiable', { 'Content-Range': `bytes */${size}` });
+      return;
+    }
+
+    if (!ranges) {
+      res.writeHead(200, Object.assign(headers, { 'Content-Type': type, 'Content-Length': size }));
+      if (req.method === 'HEAD' || size === 0) {
+        res.end();
+        return;
+      }
+      await pipeRange(manager.storage.readStream(up, { start: 0, end: size - 1 }), res).then(() => res.end(), (err) => res.destroy(err));
+      return;
+    }
+
+    if (ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.writeHead(206, Object.assign(headers, {
+        'Content-Type': type,
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${size}`
+      }));
+      if (req.method === 'HEAD') {
+        res.end();
+        return;
+      }
+      await pipeRange(manager.storage.readStream(up, { start, end }), res).then(() => res.end(), (err) => res.destroy(err));
+      return;
+    }
+
+    const boundary = crypto.randomBytes(16).toString('hex');
+    const partHeads = ranges.map(({ start, end }, i) => Buffer.from(
+      `${i ? '\r\n' : ''}--${boundary}\r\nContent-Type: ${type}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`));
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+    const length = ranges.reduce((n, r, i) => n + partHeads[i].length + r.end - r.start + 1, tail.length);
+    res.writeHead(206, Object.assign(headers, {
+      'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+      'Content-Length': length
+    }));
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    try {
+      for (let i = 0; i < ranges.length; i++) {
+        res.write(partHeads[i]);
+        await pipeRange(manager.storage.readStream(up, ranges[i]), res);
+      }
+      res.end(tail);
+    } catch (err) {
+      res.destroy(err);
+    }
+  }
+
+  return handle;
+}
+
+module.exports = { createDownloadHandler, parseRange, contentDisposition };
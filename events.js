@@ -0,0 +1,146 @@
+// Upload lifecycle events (upload.created, chunk.received, upload.progress, upload.completed,
+// upload.aborted) for the SSE streams. Every event gets an id "<epoch>-<seq>" and is kept in a
+// bounded replay buffer, so a consumer reconnecting with Last-Event-ID gets what it missed.
+// Under cluster.js the primary numbers the events and fans them out to every worker (see
+// serveClusterEvents), so ids are the same on all workers and any of them can resume a stream.
+// The buffer lives in memory: after a restart, or once a consumer falls further behind than the
+// buffer reaches, since() reports a gap instead of silently skipping events.
+const cluster = require('cluster');
+const { EventEmitter } = require('events');
+
+const DEFAULT_CAPACITY = 10000;
+
+function newEpoch() {
+  return Date.now().toString(36);
+}
+
+// "<epoch>-<seq>" -> { epoch, seq }, or null
+function parseEventId(id) {
+  const m = /^([0-9a-z]+)-(\d+)$/.exec(String(id || '').trim());
+  return m ? { epoch: m[1], seq: Number(m[2]) } : null;
+}
+
+class EventLog extends EventEmitter {
+  /**
+   * options.capacity: events kept for replay (default 10000)
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per open stream
+    this.capacity = options.capacity || DEFAULT_CAPACITY;
+    this.buffer = [];
+    this.epoch = newEpoch();
+    this.seq = 0;
+    this.clustered = cluster.isWorker;
+    if (this.clustered) this._joinCluster();
+  }
+
+  /**
+   * Record an event: { id, type, uploadId, owner, time, data }. Emitted as 'event' once it has
+   * its id (in a cluster worker, after the primary numbered it).
+   */
+  publish(type, uploadId, owner, data = {}) {
+    const event = { type, uploadId, owner: owner || null, time: Date.now(), data };
+    if (this.clustered) {
+      process.send({ type: 'events:publish', event });
+      return;
+    }
+    event.id = `${this.epoch}-${++this.seq}`;
+    this._ingest(event);
+  }
+
+  _ingest(event) {
+    this.buffer.push(event);
+    if (this.buffer.length > this.capacity) this.buffer.splice(0, this.buffer.length - this.capacity);
+    this.emit('event', event);
+  }
+
+  // take ids and history from the primary; events published before the history arrives are kept
+  _joinCluster() {
+    process.on('message', (msg) => {
+      if (!msg) return;
+      if (msg.type === 'events:event') {
+        this._ingest(msg.event);
+      } else if (msg.type === 'events:history') {
+        this.epoch = msg.epoch;
+        const known = new Set(this.buffer.map((e) => e.id));
+        this.buffer = msg.events.filter((e) => !known.has(e.id)).concat(this.buffer).slice(-this.capacity);
+      }
+    });
+    process.send({ type: 'events:history' });
+  }
+
+  // id of the newest event, for a notice that should resume from here
+  position() {
+    return this.buffer.length ? this.buffer[this.buffer.length - 1].id : `${this.epoch}-${this.seq}`;
+  }
+
+  /**
+   * Events after lastEventId: { events, gap }. gap is true when some events in between are no
+   * longer available (the id is from before a restart, older than the buffer, or unparseable);
+   * events is then the whole buffer. Without lastEventId: no events, no gap.
+   */
+  since(lastEventId) {
+    if (!lastEventId) return { events: [], gap: false };
+    const last = parseEventId(lastEventId);
+    const oldest = this.buffer.length ? parseEventId(this.buffer[0].id) : null;
+    const epoch = oldest ? oldest.epoch : this.epoch;
+    if (!last || last.epoch !== epoch || (oldest && last.seq < oldest.seq - 1)) {
+      return { events: this.buffer.slice(), gap: true };
+    }
+    return { events: this.buffer.filter((e) => parseEventId(e.id).seq > last.seq), gap: false };
+  }
+}
+
+// primary side of cluster.js: number every worker's events, keep history for (re)started workers
+function serveClusterEvents(options = {}) {
+  const capacity = options.capacity || DEFAULT_CAPACITY;
+  const epoch = newEpoch();
+  const history = [];
+  let seq = 0;
+  cluster.on('message', (worker, msg) => {
+    if (!msg) return;
+    if (msg.type === 'events:history') {
+      worker.send({ type: 'events:history', epoch, events: history });
+      return;
+    }
+    if (msg.type !== 'events:publish') return;
+    const event = Object.assign({}, msg.event, { id: `${epoch}-${++seq}` });
+    history.push(event);
+    if (history.length > capacity) history.splice(0, history.length - capacity);
+    for (const w of Object.values(cluster.workers)) {
+      if (w.isConnected()) w.send({ type: 'events:event', event });
+    }
+  });
+}
+
+/**
+ * Start a text/event-stream response. Returns { send(event), close() }; a
+ * keep-alive comment goes out every heartbeatMs so proxies don't drop an idle stream.
+ */
+function openEventStream(req, res, { heartbeatMs = 15000, retryMs = 3000 } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    // nginx buffers responses unless told not to
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${retryMs}\n\n`);
+  const timer = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+  const stop = () => clearInterval(timer);
+  res.on('close', stop);
+  return {
+    // an event without an id (a stream-level notice) doesn't move the client's Last-Event-ID
+    send(event) {
+      const body = Object.assign({ uploadId: event.uploadId, owner: event.owner, time: event.time }, event.data);
+      res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(body)}\n\n`);
+    },
+    close() {
+      stop();
+      res.end();
+    }
+  };
+}
+
+module.exports = { EventLog, serveClusterEvents, openEventStream, parseEventId };
@@ -0,0 +1,407 @@
+// File-based metadata and lock store: one <id>.json snapshot per upload in dir, locks as
+// <dir>/.locks/<id>.<key>.lock files created with O_EXCL. Every process sharing dir (cluster
+// workers, or hosts on one NFS mount) sees the same state. A lock whose holder stopped renewing
+// it (crashed process) is taken over once it expires.
+//
+// update() doesn't rewrite the snapshot: it appends the change to <id>.journal and fdatasyncs it
+// before resolving, so an acknowledged chunk survives a crash. Once a journal reaches
+// compactAfter entries (and every compactIntervalMs) it is folded into a new snapshot, written
+// to a temp file, fsynced and renamed over the old one. The snapshot records the last journal
+// seq it contains, so entries already in it are skipped if the journal outlives it.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { diffRecords, applyEntry } = require('./journal');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const renameAsync = promisify(fs.rename);
+const unlinkAsync = promisify(fs.unlink);
+const readdirAsync = promisify(fs.readdir);
+const statAsync = promisify(fs.stat);
+const fstatAsync = promisify(fs.fstat);
+const linkAsync = promisify(fs.link);
+const openAsync = promisify(fs.open);
+const writeAsync = promisify(fs.write);
+const fsyncAsync = promisify(fs.fsync);
+const fdatasyncAsync = promisify(fs.fdatasync);
+const closeAsync = promisify(fs.close);
+
+// upload ids (uuid), UploadManager's open-uploads index and content index entries (blob-<sha256>)
+const ID_RE = '(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|open-uploads|blob-[0-9a-f]{64})';
+const META_FILE_RE = new RegExp(`^(${ID_RE})\\.json$`);
+const JOURNAL_FILE_RE = new RegExp(`^(${ID_RE})\\.journal$`);
+// lock key serializing read-modify-write of one record
+const META_LOCK = 'meta';
+const META_LOCK_TTL_MS = 10 * 1000;
+const META_LOCK_WAIT_MS = 30 * 1000;
+const COMPACT_AFTER = 256;
+const COMPACT_INTERVAL_MS = 60 * 1000;
+// temp files older than this were left behind by a crashed writer
+const STALE_TMP_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retry store.acquireLock until it succeeds or timeoutMs passes. Resolves the lock token;
+ * rejects with a transient 503 lock_timeout error.
+ */
+async function waitForLock(store, id, key, ttlMs, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const token = await store.acquireLock(id, key, ttlMs);
+    if (token) return token;
+    if (Date.now() > deadline) {
+      const err = new Error('lock_timeout');
+      err.status = 503;
+      err.transient = true;
+      throw err;
+    }
+    await sleep(5 + Math.random() * 20);
+  }
+}
+
+class FileMetadataStore {
+  /**
+   * options.fsync: fsync journal appends and snapshots (default true)
+   * options.compactAfter: journal entries that trigger a compaction (default 256)
+   * options.compactIntervalMs: how often journals are compacted in the background (default 60s; 0 = never)
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.lockDir = path.join(dir, '.locks');
+    this.name = 'file';
+    this.fsync = options.fsync !== false;
+    this.compactAfter = options.compactAfter || COMPACT_AFTER;
+    fs.mkdirSync(this.lockDir, { recursive: true });
+    const interval = options.compactIntervalMs === undefined ? COMPACT_INTERVAL_MS : options.compactIntervalMs;
+    if (interval > 0) {
+      this._compactTimer = setInterval(() => {
+        this.compactAll().catch((e) => console.error('journal compaction failed', e));
+      }, interval);
+      this._compactTimer.unref();
+    }
+  }
+
+  _metaPath(id) { return path.join(this.dir, `${id}.json`); }
+
+  _journalPath(id) { return path.join(this.dir, `${id}.journal`); }
+
+  _lockPath(id, key) { return path.join(this.lockDir, `${id}.${key}.lock`); }
+
+  _tmpPath(file) { return `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`; }
+
+  async _readFile(file) {
+    try {
+      return await readFileAsync(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async _syncDir() {
+    if (!this.fsync) return;
+    const fd = await openAsync(this.dir, 'r');
+    try {
+      await fsyncAsync(fd);
+    } finally {
+      await closeAsync(fd);
+    }
+  }
+
+  /**
+   * Snapshot plus journal replay. Resolves { record, seq, entries, torn } (record null if the
+   * upload doesn't exist); torn means the journal ends in a partial line from a crashed append.
+   * The journal is read first: a compaction landing between the two reads leaves a snapshot
+   * that already holds every entry read, never one that misses some.
+   */
+  async _load(id) {
+    const journal = await this._readFile(this._journalPath(id));
+    const text = await this._readFile(this._metaPath(id));
+    if (text === null) return { record: null, seq: 0, entries: 0, torn: false };
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (e) {
+      console.error('load meta failed', id, e);
+      return { record: null, seq: 0, entries: 0, torn: false };
+    }
+    let seq = record.journalSeq || 0;
+    delete record.journalSeq;
+    let entries = 0;
+    let torn = false;
+    for (const line of (journal || '').split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // only the last append can be partial; nothing after it was acknowledged
+        torn = true;
+        break;
+      }
+      entries++;
+      if (entry.seq <= seq) continue;
+      applyEntry(record, entry);
+      seq = entry.seq;
+    }
+    return { record, seq, entries, torn };
+  }
+
+  // tmp + fsync + rename (+ fsync of dir), so a crash leaves either the old or the new snapshot
+  async _writeSnapshot(record, seq) {
+    const file = this._metaPath(record.id);
+    const tmp = this._tmpPath(file);
+    const fd = await openAsync(tmp, 'w');
+    try {
+      await writeAsync(fd, JSON.stringify(Object.assign({}, record, { journalSeq: seq })));
+      if (this.fsync) await fsyncAsync(fd);
+    } finally {
+      await closeAsync(fd);
+    }
+    await renameAsync(tmp, file);
+    await this._syncDir();
+  }
+
+  async _removeJournal(id) {
+    try { await unlinkAsync(this._journalPath(id)); } catch (e) {}
+  }
+
+  async _append(id, entry, created) {
+    const fd = await openAsync(this._journalPath(id), 'a');
+    try {
+      await writeAsync(fd, JSON.stringify(entry) + '\n');
+      if (this.fsync) await fdatasyncAsync(fd);
+    } finally {
+      await closeAsync(fd);
+    }
+    // a new journal's directory entry must be durable too
+    if (created) await this._syncDir();
+  }
+
+  async _compact(id, loaded) {
+    await this._writeSnapshot(loaded.record, loaded.seq);
+    await this._removeJournal(id);
+  }
+
+  async get(id) {
+    return (await this._load(id)).record;
+  }
+
+  // replaces the record: snapshot it at the current seq so older journal entries are skipped
+  async put(record) {
+    const token = await waitForLock(this, record.id, META_LOCK, META_LOCK_TTL_MS, META_LOCK_WAIT_MS);
+    try {
+      const { seq } = await this._load(record.id);
+      await this._writeSnapshot(record, seq);
+      await this._removeJournal(record.id);
+    } finally {
+      await this.releaseLock(record.id, META_LOCK, token);
+    }
+  }
+
+  async update(id, fn) {
+    const token = await waitForLock(this, id, META_LOCK, META_LOCK_TTL_MS, META_LOCK_WAIT_MS);
+    try {
+      const loaded = await this._load(id);
+      if (!loaded.record) return null;
+      // a torn tail would hide everything appended after it; fold the journal away first
+      if (loaded.torn) {
+        await this._compact(id, loaded);
+        loaded.entries = 0;
+      }
+      const before = JSON.parse(JSON.stringify(loaded.record));
+      fn(loaded.record);
+      const entry = diffRecords(before, loaded.record);
+      if (!entry) return loaded.record;
+      loaded.seq++;
+      await this._append(id, Object.assign({ seq: loaded.seq }, entry), loaded.entries === 0);
+      if (loaded.entries + 1 >= this.compactAfter) await this._compact(id, loaded);
+      return loaded.record;
+    } finally {
+      await this.releaseLock(id, META_LOCK, token);
+    }
+  }
+
+  // snapshot first: a journal left without one is an orphan that recover() removes
+  async delete(id) {
+    try { await unlinkAsync(this._metaPath(id)); } catch (e) {}
+    await this._removeJournal(id);
+  }
+
+  async list() {
+    const ids = [];
+    for (const name of await readdirAsync(this.dir)) {
+      const m = name.match(META_FILE_RE);
+      if (m) ids.push(m[1]);
+    }
+    return ids;
+  }
+
+  /**
+   * Fold every journal into its snapshot. Records whose meta lock is held are skipped (the
+   * holder is updating them right now); the next round picks them up.
+   */
+  async compactAll() {
+    let compacted = 0;
+    for (const name of await readdirAsync(this.dir)) {
+      const m = name.match(JOURNAL_FILE_RE);
+      if (!m) continue;
+      const token = await this.acquireLock(m[1], META_LOCK, META_LOCK_TTL_MS);
+      if (!token) continue;
+      try {
+        const loaded = await this._load(m[1]);
+        if (loaded.record) {
+          await this._compact(m[1], loaded);
+          compacted++;
+        }
+      } finally {
+        await this.releaseLock(m[1], META_LOCK, token);
+      }
+    }
+    return compacted;
+  }
+
+  /**
+   * Startup recovery: replay and compact every journal, drop journals whose snapshot is gone
+   * (deleted uploads) and temp files left by crashed writers. Resolves counts for logging.
+   */
+  async recover() {
+    const now = Date.now();
+    let orphans = 0;
+    let tmpRemoved = 0;
+    for (const name of await readdirAsync(this.dir)) {
+      const m = name.match(JOURNAL_FILE_RE);
+      if (m && (await this._readFile(this._metaPath(m[1]))) === null) {
+        await this._removeJournal(m[1]);
+        orphans++;
+      }
+    }
+    for (const dir of [this.dir, this.lockDir]) {
+      for (const name of await readdirAsync(dir)) {
+        if (!name.endsWith('.tmp')) continue;
+        const file = path.join(dir, name);
+        const st = await statAsync(file).catch(() => null);
+        if (!st || now - st.mtimeMs < STALE_TMP_MS) continue;
+        try {
+          await unlinkAsync(file);
+          tmpRemoved++;
+        } catch (e) {}
+      }
+    }
+    const replayed = await this.compactAll();
+    return { replayed, orphans, tmpRemoved };
+  }
+
+  // { token, expiresAt, ino } of a lock file, or null if there is none; ino and token tell a
+  // lock file apart from one created in its place since
+  async _readLock(file) {
+    let fd;
+    try {
+      fd = await openAsync(file, 'r');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    let st;
+    let text;
+    try {
+      st = await fstatAsync(fd);
+      text = await readFileAsync(fd, 'utf8');
+    } finally {
+      await closeAsync(fd);
+    }
+    try {
+      return Object.assign(JSON.parse(text), { ino: st.ino });
+    } catch (e) {
+      // created but not written yet; treat as held unless it has been empty for a while
+      return { token: null, expiresAt: st.mtimeMs + META_LOCK_TTL_MS, ino: st.ino };
+    }
+  }
+
+  async acquireLock(id, key, ttlMs) {
+    const file = this._lockPath(id, key);
+    const token = crypto.randomBytes(12).toString('hex');
+    const body = JSON.stringify({ token, expiresAt: Date.now() + ttlMs, pid: process.pid });
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await writeFileAsync(file, body, { flag: 'wx' });
+        return token;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+      const held = await this._readLock(file);
+      if (held && held.expiresAt > Date.now()) return null;
+      if (held && !(await this._removeExpiredLock(file, held))) return null;
+    }
+    return null;
+  }
+
+  /**
+   * Take an expired lock file out of the way. It is renamed to a unique name first, which only
+   * one process can do to a given file; if that moved a lock file other than the expired one (it
+   * was taken over and re-created after we read it), the file is put back. True when the path
+   * is free for another try.
+   */
+  async _removeExpiredLock(file, expired) {
+    const grave = this._tmpPath(file);
+    try {
+      await renameAsync(file, grave);
+    } catch (e) {
+      if (e.code === 'ENOENT') return true;
+      throw e;
+    }
+    // inode numbers are reused, so the token has to match too
+    const moved = await this._readLock(grave);
+    if (!moved || (moved.ino === expired.ino && moved.token === expired.token && moved.expiresAt === expired.expiresAt)) {
+      await unlinkAsync(grave).catch(() => {});
+      return true;
+    }
+    try {
+      await linkAsync(grave, file);
+    } catch (e) {
+      // another process created a lock in the moment the path was free; that one stands
+      if (e.code !== 'EEXIST') throw e;
+    }
+    await unlinkAsync(grave).catch(() => {});
+    return false;
+  }
+
+  async renewLock(id, key, token, ttlMs) {
+    const file = this._lockPath(id, key);
+    const held = await this._readLock(file);
+    if (!held || held.token !== token) return false;
+    const tmp = this._tmpPath(file);
+    await writeFileAsync(tmp, JSON.stringify({ token, expiresAt: Date.now() + ttlMs, pid: process.pid }));
+    await renameAsync(tmp, file);
+    return true;
+  }
+
+  async releaseLock(id, key, token) {
+    const file = this._lockPath(id, key);
+    const held = await this._readLock(file);
+    if (!held || held.token !== token) return;
+    try { await unlinkAsync(file); } catch (e) {}
+  }
+
+  // true while any unexpired lock is held on the upload
+  async isLocked(id) {
+    const now = Date.now();
+    for (const name of await readdirAsync(this.lockDir)) {
+      if (!name.startsWith(`${id}.`) || !name.endsWith('.lock')) continue;
+      const held = await this._readLock(path.join(this.lockDir, name));
+      if (held && held.expiresAt > now) return true;
+    }
+    return false;
+  }
+
+  async close() {
+    clearInterval(this._compactTimer);
+    await this.compactAll();
+  }
+}
+
+module.exports = FileMetadataStore;
+module.exports.waitForLock = waitForLock;
@@ -0,0 +1,32 @@
+// Metadata and lock store factory. Every store implements (all async):
+//   get(id) -> record | null              record = UploadManager._toMeta() shape
+//   put(record)                           create or replace
+//   update(id, fn) -> record | null       atomic read-modify-write; fn(record) mutates it synchronously
+//   delete(id), list() -> [id]
+//   acquireLock(id, key, ttlMs) -> token | null   try-lock shared by every process using the store
+//   renewLock(id, key, token, ttlMs) -> boolean, releaseLock(id, key, token), isLocked(id)
+//   close()
+// A lock that isn't renewed expires after ttlMs, so a crashed process can't hold one forever.
+const path = require('path');
+const FileMetadataStore = require('./fileMetadataStore');
+const SqliteMetadataStore = require('./sqliteMetadataStore');
+const RedisMetadataStore = require('./redisMetadataStore');
+
+/**
+ * config.backend: 'file' (default) | 'sqlite' | 'redis'
+ * file: { dir }; sqlite: { file } (default <dir>/metadata.db); redis: { url, prefix }
+ */
+function createMetadataStore(config = {}) {
+  switch (config.backend || 'file') {
+    case 'file':
+      return new FileMetadataStore(config.dir);
+    case 'sqlite':
+      return new SqliteMetadataStore(config.file || path.join(config.dir, 'metadata.db'));
+    case 'redis':
+      return new RedisMetadataStore(config.url, { prefix: config.prefix });
+    default:
+      throw new Error(`unknown metadata store: ${config.backend}`);
+  }
+}
+
+module.exports = { createMetadataStore, FileMetadataStore, SqliteMetadataStore, RedisMetadataStore };
@@ -0,0 +1,59 @@
+// Journal entries for the file metadata store: each update appends the difference between the
+// record before and after it, one JSON object per line:
+//   { seq, set: { key: value }, merge: { key: { subkey: value } }, add: { key: [n] }, remove: { key: [n] } }
+// Number arrays (receivedChunks) are sets, so acknowledging a chunk appends only its index;
+// plain objects (chunkDigests) merge per key; anything else is replaced as a whole.
+// Replaying an entry twice gives the same record, which keeps recovery after a crash mid-compaction simple.
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumberArray = (v) => Array.isArray(v) && v.every((n) => typeof n === 'number');
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Difference from before to after as a journal entry (without seq), or null if nothing changed.
+ */
+function diffRecords(before, after) {
+  const entry = {};
+  const put = (op, key, value) => {
+    entry[op] = entry[op] || {};
+    entry[op][key] = value;
+  };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const a = before[key];
+    const b = after[key];
+    if (same(a, b)) continue;
+    if (isNumberArray(a) && isNumberArray(b)) {
+      const old = new Set(a);
+      const now = new Set(b);
+      const added = b.filter((n) => !old.has(n));
+      const removed = a.filter((n) => !now.has(n));
+      if (added.length) put('add', key, added);
+      if (removed.length) put('remove', key, removed);
+    } else if (isPlainObject(a) && isPlainObject(b) && Object.keys(a).every((k) => k in b)) {
+      const changed = {};
+      for (const k of Object.keys(b)) if (!same(a[k], b[k])) changed[k] = b[k];
+      put('merge', key, changed);
+    } else {
+      put('set', key, b === undefined ? null : b);
+    }
+  }
+  return Object.keys(entry).length ? entry : null;
+}
+
+// apply one journal entry to record in place
+function applyEntry(record, entry) {
+  for (const [key, value] of Object.entries(entry.set || {})) record[key] = value;
+  for (const [key, value] of Object.entries(entry.merge || {})) record[key] = Object.assign({}, record[key], value);
+  for (const [key, values] of Object.entries(entry.add || {})) {
+    const set = new Set(record[key] || []);
+    for (const n of values) set.add(n);
+    record[key] = Array.from(set).sort((x, y) => x - y);
+  }
+  for (const [key, values] of Object.entries(entry.remove || {})) {
+    const drop = new Set(values);
+    record[key] = (record[key] || []).filter((n) => !drop.has(n));
+  }
+  return record;
+}
+
+module.exports = { diffRecords, applyEntry };
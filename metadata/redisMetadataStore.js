@@ -0,0 +1,113 @@
+// Redis metadata and lock store (ioredis, an optional dependency); works across hosts.
+// Records are JSON strings at <prefix>meta:<id> with all ids in the set <prefix>ids. Locks are
+// SET NX PX keys at <prefix>lock:<id>:<key> holding a random token, so only the holder can
+// renew or release them (checked in Lua). update() runs under the record's 'meta' lock, and its
+// write is made in Lua only while that lock is still held; if it expired meanwhile (a slow
+// read-modify-write), the update starts over on a fresh copy of the record.
+const crypto = require('crypto');
+const { waitForLock } = require('./fileMetadataStore');
+
+const META_LOCK = 'meta';
+const META_LOCK_TTL_MS = 10 * 1000;
+const META_LOCK_WAIT_MS = 30 * 1000;
+// read-modify-write attempts before an update whose lock keeps expiring gives up
+const UPDATE_ATTEMPTS = 3;
+
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+const SET_IF_LOCKED_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then redis.call('set', KEYS[2], ARGV[2]) return 1 else return 0 end";
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+
+class RedisMetadataStore {
+  /**
+   * url: redis://[:password@]host:port[/db]
+   * options.prefix: key prefix (default 'uploads:')
+   * options.client: an existing ioredis client to use instead of connecting to url
+   */
+  constructor(url, options = {}) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (e) {
+      throw new Error('the redis metadata store needs the ioredis package (npm install ioredis)');
+    }
+    this.name = 'redis';
+    this.prefix = options.prefix || 'uploads:';
+    this.redis = options.client || new Redis(url || 'redis://127.0.0.1:6379');
+  }
+
+  _metaKey(id) { return `${this.prefix}meta:${id}`; }
+
+  _lockKey(id, key) { return `${this.prefix}lock:${id}:${key}`; }
+
+  async get(id) {
+    const data = await this.redis.get(this._metaKey(id));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async put(record) {
+    await this.redis.multi()
+      .set(this._metaKey(record.id), JSON.stringify(record))
+      .sadd(`${this.prefix}ids`, record.id)
+      .exec();
+  }
+
+  async update(id, fn) {
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+      const token = await waitForLock(this, id, META_LOCK, META_LOCK_TTL_MS, META_LOCK_WAIT_MS);
+      try {
+        const record = await this.get(id);
+        if (!record) return null;
+        fn(record);
+        const written = await this.redis.eval(SET_IF_LOCKED_SCRIPT, 2, this._lockKey(id, META_LOCK), this._metaKey(id), token, JSON.stringify(record));
+        if (written === 1) return record;
+      } finally {
+        await this.releaseLock(id, META_LOCK, token);
+      }
+    }
+    const err = new Error('lock_lost');
+    err.status = 503;
+    err.transient = true;
+    throw err;
+  }
+
+  async delete(id) {
+    await this.redis.multi()
+      .del(this._metaKey(id))
+      .srem(`${this.prefix}ids`, id)
+      .exec();
+  }
+
+  async list() {
+    return this.redis.smembers(`${this.prefix}ids`);
+  }
+
+  async acquireLock(id, key, ttlMs) {
+    const token = crypto.randomBytes(12).toString('hex');
+    const ok = await this.redis.set(this._lockKey(id, key), token, 'PX', ttlMs, 'NX');
+    return ok === 'OK' ? token : null;
+  }
+
+  async renewLock(id, key, token, ttlMs) {
+    return (await this.redis.eval(RENEW_SCRIPT, 1, this._lockKey(id, key), token, ttlMs)) === 1;
+  }
+
+  async releaseLock(id, key, token) {
+    await this.redis.eval(RELEASE_SCRIPT, 1, this._lockKey(id, key), token);
+  }
+
+  async isLocked(id) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.redis.scan(cursor, 'MATCH', this._lockKey(id, '*'), 'COUNT', 100);
+      if (keys.length) return true;
+      cursor = next;
+    } while (cursor !== '0');
+    return false;
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+module.exports = RedisMetadataStore;
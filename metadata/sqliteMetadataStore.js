@@ -0,0 +1,101 @@
+// SQLite metadata and lock store (better-sqlite3, an optional dependency). The database runs in
+// WAL mode so worker processes on one host can share it; writes serialize on SQLite's own lock
+// (busy_timeout waits for it) and every update is one IMMEDIATE transaction.
+const crypto = require('crypto');
+
+class SqliteMetadataStore {
+  /**
+   * file: database path, created if missing
+   */
+  constructor(file) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (e) {
+      throw new Error('the sqlite metadata store needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    this.name = 'sqlite';
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    // WAL's default (NORMAL) can lose the last commits on power failure; acks must be durable
+    this.db.pragma('synchronous = FULL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS uploads (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS locks (
+        id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        token TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (id, key)
+      );
+    `);
+    this.stmts = {
+      get: this.db.prepare('SELECT data FROM uploads WHERE id = ?'),
+      put: this.db.prepare('INSERT INTO uploads (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data'),
+      delete: this.db.prepare('DELETE FROM uploads WHERE id = ?'),
+      list: this.db.prepare('SELECT id FROM uploads'),
+      dropExpiredLock: this.db.prepare('DELETE FROM locks WHERE id = ? AND key = ? AND expires_at <= ?'),
+      insertLock: this.db.prepare('INSERT OR IGNORE INTO locks (id, key, token, expires_at) VALUES (?, ?, ?, ?)'),
+      renewLock: this.db.prepare('UPDATE locks SET expires_at = ? WHERE id = ? AND key = ? AND token = ?'),
+      releaseLock: this.db.prepare('DELETE FROM locks WHERE id = ? AND key = ? AND token = ?'),
+      isLocked: this.db.prepare('SELECT 1 FROM locks WHERE id = ? AND expires_at > ? LIMIT 1')
+    };
+    this._update = this.db.transaction((id, fn) => {
+      const row = this.stmts.get.get(id);
+      if (!row) return null;
+      const record = JSON.parse(row.data);
+      fn(record);
+      this.stmts.put.run(id, JSON.stringify(record));
+      return record;
+    });
+    this._acquire = this.db.transaction((id, key, token, now, ttlMs) => {
+      this.stmts.dropExpiredLock.run(id, key, now);
+      return this.stmts.insertLock.run(id, key, token, now + ttlMs).changes === 1;
+    });
+  }
+
+  async get(id) {
+    const row = this.stmts.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(record) {
+    this.stmts.put.run(record.id, JSON.stringify(record));
+  }
+
+  async update(id, fn) {
+    return this._update.immediate(id, fn);
+  }
+
+  async delete(id) {
+    this.stmts.delete.run(id);
+  }
+
+  async list() {
+    return this.stmts.list.all().map((row) => row.id);
+  }
+
+  async acquireLock(id, key, ttlMs) {
+    const token = crypto.randomBytes(12).toString('hex');
+    return this._acquire.immediate(id, key, token, Date.now(), ttlMs) ? token : null;
+  }
+
+  async renewLock(id, key, token, ttlMs) {
+    return this.stmts.renewLock.run(Date.now() + ttlMs, id, key, token).changes === 1;
+  }
+
+  async releaseLock(id, key, token) {
+    this.stmts.releaseLock.run(id, key, token);
+  }
+
+  async isLocked(id) {
+    return !!this.stmts.isLocked.get(id, Date.now());
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteMetadataStore;
@@ -0,0 +1,224 @@
+// Minimal Prometheus metrics (text exposition format 0.0.4), no dependencies.
+// A registry holds counters, gauges and histograms; snapshot() turns it into plain JSON so
+// cluster workers can send theirs to the primary, which sums them (see collectClusterMetrics).
+const cluster = require('cluster');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// how long a scrape waits for the other workers' snapshots
+const CLUSTER_TIMEOUT_MS = 2000;
+
+const labelKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map((n) => String(labels[n] === undefined ? '' : labels[n])));
+
+class Metric {
+  constructor(type, name, help, labelNames = [], buckets = null) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.values = new Map(); // labelKey -> number | { counts, sum, count }
+  }
+
+  inc(value = 1, labels) {
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(value = 1, labels) {
+    this.inc(-value, labels);
+  }
+
+  set(value, labels) {
+    this.values.set(labelKey(this.labelNames, labels), value);
+  }
+
+  observe(value, labels) {
+    const key = labelKey(this.labelNames, labels);
+    let h = this.values.get(key);
+    if (!h) {
+      h = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, h);
+    }
+    for (let i = 0; i < this.buckets.length; i++) if (value <= this.buckets[i]) h.counts[i]++;
+    h.sum += value;
+    h.count++;
+  }
+
+  // resolves the elapsed seconds when called
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(seconds, labels);
+      return seconds;
+    };
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _add(type, name, help, labelNames, buckets) {
+    if (this.metrics.has(name)) return this.metrics.get(name);
+    const metric = new Metric(type, name, help, labelNames, buckets);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) { return this._add('counter', name, help, labelNames); }
+
+  gauge(name, help, labelNames) { return this._add('gauge', name, help, labelNames); }
+
+  histogram(name, help, buckets = DEFAULT_BUCKETS, labelNames) { return this._add('histogram', name, help, labelNames, buckets); }
+
+  /**
+   * [{ name, type, help, labelNames, buckets, samples: [[labelKey, value]] }] (JSON-safe)
+   */
+  snapshot() {
+    return Array.from(this.metrics.values()).map((m) => ({
+      name: m.name,
+      type: m.type,
+      help: m.help,
+      labelNames: m.labelNames,
+      buckets: m.buckets,
+      samples: Array.from(m.values.entries())
+    }));
+  }
+}
+
+/**
+ * Sum several processes' snapshots into one (counters, gauges and histogram buckets add up).
+ */
+function mergeSnapshots(snapshots) {
+  const byName = new Map();
+  for (const snapshot of snapshots) {
+    for (const m of snapshot) {
+      let merged = byName.get(m.name);
+      if (!merged) {
+        merged = Object.assign({}, m, { values: new Map() });
+        byName.set(m.name, merged);
+      }
+      for (const [key, value] of m.samples) {
+        const prev = merged.values.get(key);
+        if (typeof value === 'number') {
+          merged.values.set(key, (prev || 0) + value);
+        } else if (!prev) {
+          merged.values.set(key, { counts: value.counts.slice(), sum: value.sum, count: value.count });
+        } else {
+          value.counts.forEach((n, i) => { prev.counts[i] += n; });
+          prev.sum += value.sum;
+          prev.count += value.count;
+        }
+      }
+    }
+  }
+  return Array.from(byName.values()).map(({ values, ...m }) => Object.assign(m, { samples: Array.from(values.entries()) }));
+}
+
+const escapeLabel = (v) => v.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = (v) => v.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = JSON.parse(key);
+  const pairs = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const formatNumber = (n) => (Number.isFinite(n) ? String(n) : n > 0 ? '+Inf' : n < 0 ? '-Inf' : 'NaN');
+
+/**
+ * Render a snapshot in the Prometheus text format.
+ */
+function formatSnapshot(snapshot) {
+  const lines = [];
+  for (const m of snapshot) {
+    lines.push(`# HELP ${m.name} ${escapeHelp(m.help)}`);
+    lines.push(`# TYPE ${m.name} ${m.type}`);
+    for (const [key, value] of m.samples) {
+      if (m.type !== 'histogram') {
+        lines.push(`${m.name}${formatLabels(m.labelNames, key)} ${formatNumber(value)}`);
+        continue;
+      }
+      m.buckets.forEach((le, i) => {
+        lines.push(`${m.name}_bucket${formatLabels(m.labelNames, key, `le="${le}"`)} ${value.counts[i]}`);
+      });
+      lines.push(`${m.name}_bucket${formatLabels(m.labelNames, key, 'le="+Inf"')} ${value.count}`);
+      lines.push(`${m.name}_sum${formatLabels(m.labelNames, key)} ${formatNumber(value.sum)}`);
+      lines.push(`${m.name}_count${formatLabels(m.labelNames, key)} ${value.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Snapshots of every process serving requests: just registry's outside a cluster; in a cluster
+ * worker, all live workers' (asked through the primary, see serveClusterMetrics). A worker that
+ * doesn't answer within CLUSTER_TIMEOUT_MS is left out.
+ */
+function collectClusterMetrics(registry) {
+  if (!cluster.isWorker) return Promise.resolve([registry.snapshot()]);
+  return new Promise((resolve) => {
+    const requestId = `${process.pid}-${Date.now()}-${Math.random()}`;
+    const onMessage = (msg) => {
+      if (!msg || msg.type !== 'metrics:result' || msg.requestId !== requestId) return;
+      process.removeListener('message', onMessage);
+      clearTimeout(timer);
+      resolve(msg.snapshots);
+    };
+    // the primary already gave up on slow workers; this only covers a primary that is gone
+    const timer = setTimeout(() => {
+      process.removeListener('message', onMessage);
+      resolve([registry.snapshot()]);
+    }, CLUSTER_TIMEOUT_MS * 2);
+    process.on('message', onMessage);
+    process.send({ type: 'metrics:collect', requestId });
+  });
+}
+
+// worker side: answer the primary's requests for this process's snapshot
+function answerClusterMetrics(registry) {
+  if (!cluster.isWorker) return;
+  process.on('message', (msg) => {
+    if (msg && msg.type === 'metrics:snapshot') {
+      process.send({ type: 'metrics:snapshot', requestId: msg.requestId, snapshot: registry.snapshot() });
+    }
+  });
+}
+
+// primary side: on 'metrics:collect' from a worker, gather every worker's snapshot and reply
+function serveClusterMetrics() {
+  const pending = new Map(); // requestId -> { snapshots, waiting, done }
+  cluster.on('message', (worker, msg) => {
+    if (!msg) return;
+    if (msg.type === 'metrics:snapshot') {
+      const p = pending.get(msg.requestId);
+      if (!p) return;
+      p.snapshots.push(msg.snapshot);
+      if (--p.waiting === 0) p.done();
+      return;
+    }
+    if (msg.type !== 'metrics:collect') return;
+    const workers = Object.values(cluster.workers).filter((w) => w.isConnected());
+    const p = { snapshots: [], waiting: workers.length };
+    const timer = setTimeout(() => p.done(), CLUSTER_TIMEOUT_MS);
+    p.done = () => {
+      clearTimeout(timer);
+      pending.delete(msg.requestId);
+      if (worker.isConnected()) worker.send({ type: 'metrics:result', requestId: msg.requestId, snapshots: p.snapshots });
+    };
+    pending.set(msg.requestId, p);
+    for (const w of workers) w.send({ type: 'metrics:snapshot', requestId: msg.requestId });
+  });
+}
+
+module.exports = {
+  MetricsRegistry,
+  mergeSnapshots,
+  formatSnapshot,
+  collectClusterMetrics,
+  answerClusterMetrics,
+  serveClusterMetrics
+};
@@ -0,0 +1,540 @@
+// Resumable upload client for Node.js (CI jobs, servers), speaking the same chunk API as the
+// browser client: GET /upload/limits, POST /upload/initiate, PUT /upload/:id, GET /upload/:id/status,
+// POST /upload/:id/complete and DELETE /upload/:id. Chunks are read with positional reads, sent
+// with a Content-Digest and retried with the browser client's rules; the state needed to resume
+// (upload id and token, chunk size, chunk digests) is kept in a JSON state file. Uploads can be
+// encrypted end to end (chunkCrypto.js), and download() fetches and decrypts them again.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const chunkCrypto = require('./chunkCrypto');
+
+const statAsync = promisify(fs.stat);
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const renameAsync = promisify(fs.rename);
+const unlinkAsync = promisify(fs.unlink);
+const mkdirAsync = promisify(fs.mkdir);
+
+// Content-Encodings a chunk can be sent with
+const COMPRESSORS = {
+  gzip: promisify(zlib.gzip),
+  deflate: promisify(zlib.deflate),
+  br: promisify(zlib.brotliCompress)
+};
+
+const DEFAULT_STATE_FILE = path.join(os.homedir(), '.large-upload', 'state.json');
+const DEFAULT_CHUNK_SIZE = 64 * 1024 * 1024;
+const DEFAULT_CONCURRENCY = 4;
+// same as the browser client: 6 retries per chunk, backoff 300ms * 2^n (max 30s) plus jitter
+const MAX_CHUNK_RETRIES = 6;
+const MAX_BACKOFF_MS = 30000;
+// as in the browser client: a compressed chunk is sent when it saves 5%; after 3 chunks of a file
+// in a row didn't, the rest of it is sent as it is
+const MIN_COMPRESSION_SAVING = 0.05;
+const INCOMPRESSIBLE_CHUNKS = 3;
+// how often 'progress' is emitted at most
+const PROGRESS_INTERVAL_MS = 500;
+// DELETE retries, a second apart, while the server answers 409 upload_busy
+const ABORT_ATTEMPTS = 10;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function httpError(message, status, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  return Object.assign(err, extra);
+}
+
+// retry rules of the browser client; 429 waits for Retry-After without using up a retry
+function isTransient(err) {
+  return !!(err && (err.transient || err.retryAfterMs || err.status === 409 || err.status === 422));
+}
+
+function backoffMs(attempt) {
+  return Math.min(MAX_BACKOFF_MS, 300 * 2 ** attempt + Math.random() * 200);
+}
+
+// what is sent for chunk idx read into buf: where it goes, the body and the upload's size on the
+// server; with keys the chunk is encrypted and the offsets are the ciphertext's
+function wireChunk(entry, keys, idx, buf) {
+  if (!keys) return { start: idx * entry.chunkSize, body: buf, total: entry.totalSize };
+  return {
+    start: idx * (entry.chunkSize + chunkCrypto.CHUNK_OVERHEAD),
+    body: chunkCrypto.encryptChunk(keys, idx, entry.totalSize, buf),
+    total: chunkCrypto.cipherSize(entry.totalSize, entry.chunkSize)
+  };
+}
+
+// the filename of a Content-Disposition header (filename* preferred)
+function dispositionFilename(header) {
+  const star = /filename\*=UTF-8''([^;]+)/i.exec(header || '');
+  if (star) {
+    try {
+      return decodeURIComponent(star[1]);
+    } catch (e) {}
+  }
+  const plain = /filename="([^"]*)"/i.exec(header || '');
+  return plain ? plain[1] : null;
+}
+
+/**
+ * Resume state: one entry per file (absolute path, size and mtime, so a changed file starts
+ * over) in a JSON file, rewritten atomically. Writes are serialized within the process; two
+ * processes sharing a state file should upload different files.
+ */
+class StateFile {
+  constructor(file) {
+    this.file = file;
+    this._chain = Promise.resolve();
+  }
+
+  static key(filePath, stat) {
+    return `${path.resolve(filePath)}:${stat.size}:${Math.floor(stat.mtimeMs)}`;
+  }
+
+  async _readAll() {
+    try {
+      return JSON.parse(await readFileAsync(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  async get(key) {
+    await this._chain;
+    return (await this._readAll())[key] || null;
+  }
+
+  // fn(entry or null) returns the new entry, or null to remove it
+  update(key, fn) {
+    const next = this._chain.then(async () => {
+      const all = await this._readAll();
+      const entry = fn(all[key] || null);
+      if (entry) all[key] = entry;
+      else delete all[key];
+      await mkdirAsync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await writeFileAsync(tmp, JSON.stringify(all));
+      await renameAsync(tmp, this.file);
+    });
+    this._chain = next.catch(() => {});
+    return next;
+  }
+}
+
+class UploadClient extends EventEmitter {
+  /**
+   * options.server: base URL, or a pre-signed initiate URL (.../upload/initiate?sig=...)
+   * options.credential: API key or bearer token, when the server requires auth
+   * options.chunkSize: bytes per chunk for new uploads (default: the server's recommendation)
+   * options.concurrency: chunk requests in flight (default: the server's recommendation)
+   * options.compression: 'gzip', 'deflate' or 'br' to compress chunks, when the server accepts it
+   * options.encryption: { passphrase } or { key } (32 bytes, see chunkCrypto.readKeyFile) to
+   *   encrypt new uploads end to end (no compression then) and to decrypt downloads
+   * options.stateFile: where resume state is kept (default ~/.large-upload/state.json)
+   * options.requestTimeoutMs: per request (default 5 min)
+   *
+   * Emits 'initiated', 'progress', 'retry' and 'completed' (see upload()).
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.server) throw new Error('server required');
+    const u = new URL(options.server);
+    const sig = u.searchParams.get('sig');
+    if (sig && u.pathname.endsWith('/upload/initiate')) {
+      this.base = u.origin + u.pathname.slice(0, -'/upload/initiate'.length);
+      this.sig = sig;
+    } else {
+      this.base = options.server.replace(/\/$/, '');
+      this.sig = null;
+    }
+    this.credential = options.credential || null;
+    this.chunkSize = options.chunkSize || null;
+    this.concurrency = options.concurrency || null;
+    if (options.compression && !COMPRESSORS[options.compression]) throw new Error(`unsupported compression ${options.compression}`);
+    this.compression = options.compression || null;
+    this.encryption = options.encryption || null;
+    // kdf -> promise of { kdf, master }; 'new' is the kdf of this client's new uploads
+    this._masters = new Map();
+    this.state = new StateFile(options.stateFile || DEFAULT_STATE_FILE);
+    this.requestTimeoutMs = options.requestTimeoutMs || 5 * 60 * 1000;
+  }
+
+  // token: the upload-scoped token for per-upload routes; otherwise the credential is sent
+  async _fetch(route, opts = {}, token = null) {
+    let url = this.base + route;
+    // a pre-signed policy's limits apply to /upload/limits too
+    if (this.sig && (route === '/upload/initiate' || route.startsWith('/upload/limits'))) {
+      url += `${url.includes('?') ? '&' : '?'}sig=${encodeURIComponent(this.sig)}`;
+    }
+    const headers = Object.assign({}, opts.headers);
+    const bearer = token || this.credential;
+    if (bearer) headers.Authorization = `Bearer ${bearer}`;
+    return fetch(url, Object.assign({}, opts, { headers, signal: AbortSignal.timeout(this.requestTimeoutMs) }));
+  }
+
+  async _json(route, opts, token) {
+    const resp = await this._fetch(route, opts, token);
+    const text = await resp.text();
+    let body = null;
+    try { body = text ? JSON.parse(text) : null; } catch (e) {}
+    if (!resp.ok) {
+      throw httpError(`${opts && opts.method || 'GET'} ${route}: HTTP ${resp.status} ${text}`, resp.status, {
+        body,
+        transient: resp.status >= 500
+      });
+    }
+    return body;
+  }
+
+  // master key of this client's passphrase or key for kdf, or with no kdf a new kdf for new uploads
+  _master(kdf) {
+    const id = kdf ? `${kdf.name}:${kdf.salt || ''}:${kdf.keyCheck}` : 'new';
+    if (!this._masters.has(id)) {
+      const p = kdf ? chunkCrypto.masterKey(kdf, this.encryption).then((master) => ({ kdf, master })) : chunkCrypto.newMasterKey(this.encryption);
+      // a wrong key is reported every time, not cached
+      p.catch(() => this._masters.delete(id));
+      this._masters.set(id, p);
+    }
+    return this._masters.get(id);
+  }
+
+  // AES and HMAC keys of an encrypted upload's descriptor
+  async _fileKeys(desc) {
+    if (!this.encryption) throw Object.assign(new Error('the upload is encrypted: the passphrase or key it was encrypted with is needed'), { code: 'wrong_key' });
+    const { master } = await this._master(desc.kdf);
+    return chunkCrypto.fileKeys(master, desc.salt);
+  }
+
+  // what the server accepts and recommends; older servers don't say
+  async limits(totalSize = 0) {
+    try {
+      return await this._json(`/upload/limits?totalSize=${totalSize}`);
+    } catch (e) {
+      if (e.status === 403) throw e;
+      return { chunkSize: { min: 1, max: null, recommended: DEFAULT_CHUNK_SIZE }, maxChunks: null, concurrency: { recommended: DEFAULT_CONCURRENCY, max: 16 }, contentEncodings: [] };
+    }
+  }
+
+  /**
+   * Upload filePath, resuming an upload recorded in the state file unless options.resume is
+   * false. options.relativePath: the file's path inside an uploaded folder (see the server's
+   * folder uploads). Resolves { uploadId, filename, sha256, resumed }.
+   */
+  async upload(filePath, options = {}) {
+    const stat = await statAsync(filePath);
+    const key = StateFile.key(filePath, stat);
+    const totalSize = stat.size;
+    const limits = await this.limits(totalSize);
+    const concurrency = Math.max(1, Math.min(limits.concurrency.max || Infinity, this.concurrency || limits.concurrency.recommended));
+    // older servers list no encodings and get the chunks as they are; ciphertext doesn't compress
+    const compression = !this.encryption && (limits.contentEncodings || []).includes(this.compression) ? this.compression : null;
+
+    let entry = options.resume === false ? null : await this.state.get(key);
+    // recorded against another server
+    if (entry && entry.server !== this.base) entry = null;
+    // resumes the way it started: encrypted ones need the same passphrase or key
+    let keys = entry && entry.encryption ? await this._fileKeys(entry.encryption) : null;
+    let received = new Set();
+    if (entry) {
+      try {
+        const st = await this._json(`/upload/${entry.uploadId}/status`, {}, entry.uploadToken);
+        received = new Set(st.receivedChunks || []);
+      } catch (e) {
+        // gone on the server (expired, deleted): start over
+        if (e.status !== 404 && e.status !== 401 && e.status !== 403) throw e;
+        entry = null;
+      }
+    }
+    const resumed = !!entry;
+
+    if (!entry) {
+      const body = { filename: path.basename(filePath), totalSize };
+      if (options.relativePath) body.relativePath = options.relativePath;
+      let chunkSize = this.chunkSize || limits.chunkSize.recommended;
+      if (limits.maxChunks) chunkSize = Math.max(chunkSize, Math.ceil(totalSize / limits.maxChunks));
+      body.chunkSize = chunkSize;
+      // the server gets the ciphertext's sizes; an empty file has nothing to encrypt
+      let encryption = null;
+      if (this.encryption && totalSize > 0) {
+        if (limits.chunkSize.max) chunkSize = Math.min(chunkSize, limits.chunkSize.max - chunkCrypto.CHUNK_OVERHEAD);
+        const { kdf, master } = await this._master(null);
+        encryption = { scheme: chunkCrypto.SCHEME, plainSize: totalSize, chunkSize, salt: crypto.randomBytes(16).toString('base64'), kdf };
+        keys = await chunkCrypto.fileKeys(master, encryption.salt);
+        Object.assign(body, { totalSize: chunkCrypto.cipherSize(totalSize, chunkSize), chunkSize: chunkSize + chunkCrypto.CHUNK_OVERHEAD, encryption });
+      }
+      const j = await this._json('/upload/initiate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      // chunkSize and totalSize are the plaintext's
+      const entryChunkSize = encryption ? chunkSize : j.chunkSize;
+      this.emit('initiated', { file: filePath, uploadId: j.uploadId, chunkSize: entryChunkSize, totalSize, encrypted: !!encryption });
+      if (j.completed) {
+        // empty, or the same content is already on the server
+        const done = { uploadId: j.uploadId, filename: j.filename, sha256: j.sha256 || null, resumed: false };
+        this.emit('completed', Object.assign({ file: filePath }, done));
+        return done;
+      }
+      entry = { uploadId: j.uploadId, uploadToken: j.uploadToken || null, chunkSize: entryChunkSize, totalSize, digests: {}, server: this.base, encryption };
+      await this.state.update(key, () => entry);
+    }
+
+    const digests = await this._sendChunks(filePath, key, entry, received, concurrency, compression, keys);
+    const manifestSha256 = await this._manifest(filePath, entry, digests, keys);
+    const done = await this._json(`/upload/${entry.uploadId}/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ manifestSha256 })
+    }, entry.uploadToken);
+    await this.state.update(key, () => null);
+    const result = { uploadId: entry.uploadId, filename: done.filename, sha256: done.sha256 || null, resumed };
+    this.emit('completed', Object.assign({ file: filePath }, result));
+    return result;
+  }
+
+  /**
+   * Send every chunk not in received with `concurrency` lanes pulling from one queue; a failed
+   * chunk is requeued with a not-before time; with keys chunks are encrypted. Resolves the chunk
+   * digests (index -> sha256 hex of what was sent).
+   */
+  async _sendChunks(filePath, key, entry, received, concurrency, compression, keys) {
+    const { uploadId, uploadToken, chunkSize, totalSize } = entry;
+    const totalChunks = Math.max(1, Math.ceil(totalSize / chunkSize));
+    const digests = Object.assign({}, entry.digests);
+    const queue = [];
+    for (let i = 0; i < totalChunks; i++) if (!received.has(i)) queue.push(i);
+    const notBefore = new Map();
+    const attempts = new Map();
+    const startedAt = Date.now();
+    let sentBytes = 0;
+    let receivedBytes = 0;
+    for (const i of received) receivedBytes += Math.min(chunkSize, totalSize - i * chunkSize);
+    let lastProgress = 0;
+    let failed = null;
+    let inFlight = 0;
+    const coding = compression ? { encoding: compression, misses: 0 } : null;
+
+    const progress = (force) => {
+      const now = Date.now();
+      if (!force && now - lastProgress < PROGRESS_INTERVAL_MS) return;
+      lastProgress = now;
+      const seconds = (now - startedAt) / 1000;
+      this.emit('progress', {
+        file: filePath,
+        uploadId,
+        receivedBytes,
+        totalBytes: totalSize,
+        receivedChunks: received.size,
+        totalChunks,
+        bytesPerSecond: seconds > 0 ? Math.round(sentBytes / seconds) : null
+      });
+    };
+    progress(true);
+
+    const fh = await fs.promises.open(filePath, 'r');
+    try {
+      const lane = async () => {
+        for (;;) {
+          if (failed) return;
+          const now = Date.now();
+          const at = queue.findIndex((i) => !(notBefore.get(i) > now));
+          if (at < 0) {
+            // nothing ready: done, or wait for a retry (or for a chunk in flight to fail)
+            if (!queue.length && !inFlight) return;
+            const waitMs = queue.length ? Math.min(...queue.map((i) => notBefore.get(i) - now)) : 100;
+            await sleep(Math.max(10, Math.min(1000, waitMs)));
+            continue;
+          }
+          const idx = queue.splice(at, 1)[0];
+          inFlight++;
+          try {
+            const length = Math.min(chunkSize, totalSize - idx * chunkSize);
+            const buf = Buffer.allocUnsafe(length);
+            const { bytesRead } = await fh.read(buf, 0, length, idx * chunkSize);
+            if (bytesRead !== length) throw new Error(`${filePath} changed while uploading (short read at chunk ${idx})`);
+            const wire = wireChunk(entry, keys, idx, buf);
+            const digest = crypto.createHash('sha256').update(wire.body).digest();
+            await this._putChunk(uploadId, uploadToken, wire.start, wire.body, wire.total, digest, coding);
+            digests[idx] = digest.toString('hex');
+            received.add(idx);
+            sentBytes += length;
+            receivedBytes += length;
+            await this.state.update(key, (e) => (e ? Object.assign(e, { digests: Object.assign(e.digests || {}, { [idx]: digests[idx] }) }) : e));
+            progress(false);
+          } catch (err) {
+            const throttled = !!err.retryAfterMs;
+            const n = throttled ? attempts.get(idx) || 0 : (attempts.get(idx) || 0) + 1;
+            attempts.set(idx, n);
+            if (!isTransient(err) || n > MAX_CHUNK_RETRIES) {
+              failed = failed || err;
+              return;
+            }
+            const delayMs = throttled ? err.retryAfterMs + Math.random() * 500 : backoffMs(n);
+            this.emit('retry', { file: filePath, uploadId, chunk: idx, attempt: n, delayMs: Math.round(delayMs), error: err.message });
+            notBefore.set(idx, Date.now() + delayMs);
+            queue.unshift(idx);
+          } finally {
+            inFlight--;
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, lane));
+    } finally {
+      await fh.close();
+    }
+    if (failed) throw failed;
+    progress(true);
+    return digests;
+  }
+
+  // coding: { encoding, misses } to send the chunk compressed; Content-Range and the digest stay
+  // those of buf
+  async _putChunk(uploadId, uploadToken, start, buf, totalSize, digest, coding) {
+    const headers = {
+      'Content-Range': `bytes ${start}-${start + buf.length - 1}/${totalSize}`,
+      'Content-Digest': `sha-256=:${digest.toString('base64')}:`,
+      'Content-Type': 'application/octet-stream'
+    };
+    let body = buf;
+    if (coding && coding.misses < INCOMPRESSIBLE_CHUNKS) {
+      const compressed = await COMPRESSORS[coding.encoding](buf);
+      const saves = compressed.length <= buf.length * (1 - MIN_COMPRESSION_SAVING);
+      coding.misses = saves ? 0 : coding.misses + 1;
+      if (saves) {
+        headers['Content-Encoding'] = coding.encoding;
+        body = compressed;
+      }
+    }
+    let resp;
+    try {
+      resp = await this._fetch(`/upload/${uploadId}`, { method: 'PUT', headers, body }, uploadToken);
+    } catch (e) {
+      // network error or timeout: transient
+      const cause = e && e.cause && (e.cause.code || e.cause.message);
+      throw Object.assign(new Error(`PUT chunk at ${start}: ${e.message}${cause ? ` (${cause})` : ''}`), { transient: true });
+    }
+    const text = await resp.text().catch(() => '');
+    if (resp.ok) return;
+    const err = httpError(`PUT chunk at ${start}: HTTP ${resp.status} ${text}`, resp.status, { transient: resp.status >= 500 });
+    if (resp.status === 429) err.retryAfterMs = (Number(resp.headers.get('Retry-After')) || 1) * 1000;
+    throw err;
+  }
+
+  // sha256 over the concatenated chunk digests; chunks sent by an earlier process without a recorded digest are hashed again
+  async _manifest(filePath, entry, digests, keys) {
+    const totalChunks = Math.max(1, Math.ceil(entry.totalSize / entry.chunkSize));
+    const all = Buffer.alloc(totalChunks * 32);
+    const fh = await fs.promises.open(filePath, 'r');
+    try {
+      for (let i = 0; i < totalChunks; i++) {
+        let hex = digests[i];
+        if (!hex) {
+          const length = Math.min(entry.chunkSize, entry.totalSize - i * entry.chunkSize);
+          const buf = Buffer.allocUnsafe(length);
+          await fh.read(buf, 0, length, i * entry.chunkSize);
+          // encryption is deterministic: the same chunk encrypts to what was sent
+          hex = crypto.createHash('sha256').update(wireChunk(entry, keys, i, buf).body).digest('hex');
+        }
+        Buffer.from(hex, 'hex').copy(all, i * 32);
+      }
+    } finally {
+      await fh.close();
+    }
+    return crypto.createHash('sha256').update(all).digest('hex');
+  }
+
+  /**
+   * Download a completed upload (GET /files/:id) to dest, decrypting an encrypted one with
+   * options.encryption. source: an upload id, or a download link (POST /files/:id/link). dest: a
+   * file, or a directory to put it in under the upload's filename. It is written to <file>.part
+   * and renamed when complete and, if encrypted, authenticated. Resolves { file, bytes, encrypted }.
+   */
+  async download(source, dest = '.') {
+    const route = /^https?:/i.test(source) ? null : `/files/${encodeURIComponent(source)}`;
+    let resp;
+    try {
+      resp = route ? await this._fetch(route) : await fetch(source, { signal: AbortSignal.timeout(this.requestTimeoutMs) });
+    } catch (e) {
+      throw Object.assign(new Error(`GET ${route || source}: ${e.message}`), { transient: true });
+    }
+    if (!resp.ok) {
+      const text = await resp.text().catch(() => '');
+      throw httpError(`GET ${route || source}: HTTP ${resp.status} ${text}`, resp.status, { transient: resp.status >= 500 });
+    }
+    const header = resp.headers.get('upload-encryption');
+    const desc = header ? JSON.parse(header) : null;
+    let keys;
+    try {
+      keys = desc ? await this._fileKeys(desc) : null;
+    } catch (e) {
+      await resp.body.cancel().catch(() => {});
+      throw e;
+    }
+    let file = dest;
+    const stat = await statAsync(dest).catch(() => null);
+    if (stat && stat.isDirectory()) file = path.join(dest, path.basename(dispositionFilename(resp.headers.get('content-disposition')) || String(source)));
+    const part = `${file}.part`;
+    let bytes = 0;
+    const out = fs.createWriteStream(part);
+    const stages = [Readable.fromWeb(resp.body)];
+    if (keys) stages.push(chunkCrypto.createDecryptStream(desc, keys));
+    try {
+      await pipeline(...stages, async function* (chunks) {
+        for await (const c of chunks) {
+          bytes += c.length;
+          yield c;
+        }
+      }, out);
+    } catch (e) {
+      await unlinkAsync(part).catch(() => {});
+      throw e;
+    }
+    await renameAsync(part, file);
+    return { file, bytes, encrypted: !!desc };
+  }
+
+  /**
+   * Status of filePath's upload in progress (GET /upload/:id/status), or null if the state file
+   * has none.
+   */
+  async status(filePath) {
+    const entry = await this.state.get(StateFile.key(filePath, await statAsync(filePath)));
+    if (!entry) return null;
+    return this._json(`/upload/${entry.uploadId}/status`, {}, entry.uploadToken);
+  }
+
+  /**
+   * Delete filePath's upload in progress on the server and forget it. Resolves its id, or null
+   * if there was none.
+   */
+  async abort(filePath) {
+    const key = StateFile.key(filePath, await statAsync(filePath));
+    const entry = await this.state.get(key);
+    if (!entry) return null;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this._json(`/upload/${entry.uploadId}`, { method: 'DELETE' }, entry.uploadToken);
+        break;
+      } catch (e) {
+        if (e.status === 404) break;
+        // 409 upload_busy: a chunk write or completion is still running
+        if (e.status !== 409 || attempt >= ABORT_ATTEMPTS) throw e;
+        await sleep(1000);
+      }
+    }
+    await this.state.update(key, () => null);
+    return entry.uploadId;
+  }
+}
+
+module.exports = { UploadClient, StateFile, DEFAULT_STATE_FILE };
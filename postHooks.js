@@ -0,0 +1,72 @@
+// Post-completion hooks: run in order after a completed upload lands in its destination.
+// Hook specs (e.g. from a JSON config file):
+//   { "type": "command", "command": "gzip -k \"$UPLOAD_PATH\"", "timeoutMs": 600000 }
+//   { "type": "module",  "module": "./hooks/index-file.js" }   // exports async (ctx) => {}
+//   { "type": "webhook", "url": "http://127.0.0.1:8080/uploaded", "timeoutMs": 10000 }
+// Every hook receives ctx = { id, filename, path, totalSize, sha256, metadata }.
+const path = require('path');
+const { spawn } = require('child_process');
+
+function commandHook(spec) {
+  return (ctx) => new Promise((resolve, reject) => {
+    const child = spawn(spec.command, {
+      shell: true,
+      stdio: ['ignore', 'ignore', 'pipe'],
+      env: Object.assign({}, process.env, {
+        UPLOAD_ID: ctx.id,
+        UPLOAD_FILENAME: ctx.filename,
+        UPLOAD_PATH: ctx.path,
+        UPLOAD_SIZE: String(ctx.totalSize),
+        UPLOAD_SHA256: ctx.sha256 || ''
+      })
+    });
+    let stderr = '';
+    child.stderr.on('data', (d) => { if (stderr.length < 4096) stderr += d; });
+    const timer = spec.timeoutMs ? setTimeout(() => child.kill('SIGKILL'), spec.timeoutMs) : null;
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`command exited with ${signal || code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+function moduleHook(spec, baseDir) {
+  const fn = require(path.resolve(baseDir, spec.module));
+  const run = typeof fn === 'function' ? fn : fn && fn.default;
+  if (typeof run !== 'function') throw new Error(`hook module ${spec.module} does not export a function`);
+  return (ctx) => Promise.resolve(run(ctx));
+}
+
+function webhookHook(spec) {
+  return async (ctx) => {
+    const resp = await fetch(spec.url, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, spec.headers || {}),
+      body: JSON.stringify(ctx),
+      signal: AbortSignal.timeout(spec.timeoutMs || 10000)
+    });
+    if (!resp.ok) throw new Error(`webhook responded ${resp.status}`);
+  };
+}
+
+/**
+ * Build runnable hooks from specs. Returns [{ name, type, run(ctx) -> Promise }].
+ * baseDir resolves relative module paths (defaults to cwd).
+ */
+function loadHooks(specs, baseDir = process.cwd()) {
+  return (specs || []).map((spec, i) => {
+    let run;
+    if (spec.type === 'command') run = commandHook(spec);
+    else if (spec.type === 'module') run = moduleHook(spec, baseDir);
+    else if (spec.type === 'webhook') run = webhookHook(spec);
+    else throw new Error(`unknown hook type: ${spec.type}`);
+    return { name: spec.name || `${spec.type}-${i}`, type: spec.type, run };
+  });
+}
+
+module.exports = { loadHooks };
@@ -2,14 +2,198 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const UploadManager = require('./uploadManager');
+const { createStorage } = require('./storage');
+const { createMetadataStore } = require('./metadata');
+const { createTusHandler } = require('./tusHandler');
+const { createDownloadHandler } = require('./downloads');
+const { loadHooks } = require('./postHooks');
+const { mergeSnapshots, formatSnapshot, collectClusterMetrics, answerClusterMetrics } = require('./metrics');
+const { EventLog, openEventStream } = require('./events');
+const { WebhookDispatcher, parseEndpoints } = require('./webhooks');
+const { Throttle } = require('./throttle');
+const { Authenticator, checkPolicy, normalizeSubdir } = require('./auth');
+const chunkCrypto = require('./chunkCrypto');
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 4000;
 const STORAGE_DIR = process.env.STORAGE_DIR || path.resolve(__dirname, 'uploads');
+// completed files are moved here; in-progress data and metadata never are
+const DEST_DIR = process.env.DEST_DIR || path.join(STORAGE_DIR, 'completed');
+const COLLISION_POLICY = process.env.COLLISION_POLICY || 'rename';
+// JSON array of post-completion hook specs (see postHooks.js)
+const HOOKS_FILE = process.env.HOOKS_FILE;
+// incomplete uploads expire after UPLOAD_TTL_SECONDS from creation or UPLOAD_IDLE_TTL_SECONDS
+// without a chunk, whichever comes first (0 disables either)
+const secondsEnv = (name, dflt) => (process.env[name] !== undefined ? Number(process.env[name]) : dflt) * 1000;
+const UPLOAD_TTL_MS = secondsEnv('UPLOAD_TTL_SECONDS', 7 * 24 * 3600);
+const UPLOAD_IDLE_TTL_MS = secondsEnv('UPLOAD_IDLE_TTL_SECONDS', 24 * 3600);
+const REAP_INTERVAL_MS = secondsEnv('REAP_INTERVAL_SECONDS', 600);
+// admission limits in bytes (0 = unlimited)
+const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_SIZE || 0);
+const MAX_RESERVED_BYTES = Number(process.env.MAX_RESERVED_BYTES || 0);
+const OWNER_QUOTA_BYTES = Number(process.env.OWNER_QUOTA_BYTES || 0);
+const MIN_FREE_BYTES = Number(process.env.MIN_FREE_BYTES || 0);
+// where chunk data lives: local (STORAGE_DIR / DEST_DIR), s3 (S3_* below) or memory (tests, demos)
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+// upload metadata and locks: file (<id>.json in STORAGE_DIR), sqlite or redis; share one store
+// between processes (see cluster.js) so they can serve the same uploads
+const METADATA_STORE = process.env.METADATA_STORE || 'file';
+// startup check of data against metadata: report, quarantine (into QUARANTINE_DIR), delete or rebuild
+const RECONCILE_POLICY = process.env.RECONCILE_POLICY || 'quarantine';
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || path.join(STORAGE_DIR, 'quarantine');
+// initiate with a known sha256 reuses a completed file: only the same owner's (owner) or anyone's (global)
+const DEDUP_SCOPE = process.env.DEDUP_SCOPE || 'owner';
+// upload events kept for Last-Event-ID resume of /events and /upload/:id/events
+const EVENT_BUFFER_SIZE = Number(process.env.EVENT_BUFFER_SIZE || 10000);
+// longest lifetime of a signed download link from POST /files/:id/link
+const DOWNLOAD_LINK_MAX_MS = secondsEnv('DOWNLOAD_LINK_MAX_SECONDS', 7 * 24 * 3600);
+// lifecycle webhooks: WEBHOOK_URLS (comma separated) or WEBHOOKS_FILE (JSON array of endpoint specs,
+// see webhooks.js), signed with WEBHOOK_SECRET unless an endpoint has its own secret
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 15);
+// bandwidth limits in bytes per second and concurrent chunk writes (0 = unlimited). A client is the
+// upload's owner, or its IP address without auth. Under cluster.js the global limits are shared
+// out evenly among the CLUSTER_WORKERS workers; the per-upload and per-client ones apply per worker.
+const CLUSTER_WORKERS = Number(process.env.CLUSTER_WORKERS || 1);
+const GLOBAL_BYTES_PER_SECOND = Number(process.env.GLOBAL_BYTES_PER_SECOND || 0) / CLUSTER_WORKERS;
+const UPLOAD_BYTES_PER_SECOND = Number(process.env.UPLOAD_BYTES_PER_SECOND || 0);
+const CLIENT_BYTES_PER_SECOND = Number(process.env.CLIENT_BYTES_PER_SECOND || 0);
+const MAX_CONCURRENT_WRITES = Math.ceil(Number(process.env.MAX_CONCURRENT_WRITES || 0) / CLUSTER_WORKERS);
+const CLIENT_MAX_CONCURRENT_WRITES = Number(process.env.CLIENT_MAX_CONCURRENT_WRITES || 0);
+// writes that would queue longer than this behind the same client's or upload's get 429
+const THROTTLE_MAX_WAIT_SECONDS = Number(process.env.THROTTLE_MAX_WAIT_SECONDS || 30);
+// chunk sizes in bytes allowed at initiate (within the storage backend's own limits), and the starting
+// values GET /upload/limits recommends to clients (chunk size, parallel chunk writes)
+const MIN_CHUNK_SIZE = Number(process.env.MIN_CHUNK_SIZE || 0);
+const MAX_CHUNK_SIZE = Number(process.env.MAX_CHUNK_SIZE || 0);
+const DEFAULT_CHUNK_SIZE = Number(process.env.DEFAULT_CHUNK_SIZE || 0);
+const RECOMMENDED_CONCURRENCY = Number(process.env.RECOMMENDED_CONCURRENCY || 4);
+// most parallel writes a client is told to use, unless CLIENT_MAX_CONCURRENT_WRITES is lower
+const MAX_CLIENT_CONCURRENCY = Number(process.env.MAX_CLIENT_CONCURRENCY || 16);
+// Content-Encodings accepted on chunk PUTs (comma-separated; empty for none), default all that
+// UploadManager decodes
+const CHUNK_CONTENT_ENCODINGS = (process.env.CHUNK_CONTENT_ENCODINGS === undefined
+  ? UploadManager.CONTENT_ENCODINGS
+  : process.env.CHUNK_CONTENT_ENCODINGS.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean));
 
 if (!fs.existsSync(STORAGE_DIR)) fs.mkdirSync(STORAGE_DIR, { recursive: true });
 
-const manager = new UploadManager(STORAGE_DIR);
+// Auth is enabled when any of API_KEYS, ADMIN_KEYS, AUTH_HMAC_SECRET, JWT_SECRET or
+// JWT_PUBLIC_KEY_FILE is set.
+// API_KEYS, ADMIN_KEYS: comma separated "name:key" (or bare "key"); admin keys may also use the admin routes
+function parseKeys(list, prefix) {
+  return (list || '').split(',').filter(Boolean).map((entry, i) => {
+    const sep = entry.indexOf(':');
+    return sep > 0 ? { name: entry.slice(0, sep), key: entry.slice(sep + 1) } : { name: `${prefix}${i}`, key: entry };
+  });
+}
+const API_KEYS = parseKeys(process.env.API_KEYS, 'key');
+const ADMIN_KEYS = parseKeys(process.env.ADMIN_KEYS, 'admin');
+const JWT_KEY = process.env.JWT_PUBLIC_KEY_FILE
+  ? fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8')
+  : process.env.JWT_SECRET;
+
+// upload tokens must survive restarts (uploads are resumable), so persist a generated secret
+function uploadTokenSecret() {
+  if (process.env.UPLOAD_TOKEN_SECRET) return process.env.UPLOAD_TOKEN_SECRET;
+  const file = path.join(STORAGE_DIR, '.upload-token-secret');
+  if (!fs.existsSync(file)) {
+    // published with link() so cluster workers starting together all end up with the first one
+    const tmp = `${file}.${process.pid}`;
+    fs.writeFileSync(tmp, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    try {
+      fs.linkSync(tmp, file);
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    } finally {
+      fs.unlinkSync(tmp);
+    }
+  }
+  return fs.readFileSync(file, 'utf8').trim();
+}
+
+const auth = new Authenticator({
+  apiKeys: API_KEYS,
+  adminKeys: ADMIN_KEYS,
+  hmacSecret: process.env.AUTH_HMAC_SECRET,
+  jwtKey: JWT_KEY,
+  jwtIssuer: process.env.JWT_ISSUER,
+  jwtAudience: process.env.JWT_AUDIENCE,
+  uploadTokenSecret: uploadTokenSecret(),
+  uploadTokenTtlMs: process.env.UPLOAD_TOKEN_TTL_SECONDS ? Number(process.env.UPLOAD_TOKEN_TTL_SECONDS) * 1000 : undefined,
+  presignSecret: process.env.PRESIGN_SECRET
+});
+
+const hooks = HOOKS_FILE
+  ? loadHooks(JSON.parse(fs.readFileSync(HOOKS_FILE, 'utf8')), path.dirname(path.resolve(HOOKS_FILE)))
+  : [];
+const storage = createStorage({
+  backend: STORAGE_BACKEND,
+  baseDir: STORAGE_DIR,
+  destDir: DEST_DIR,
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+  }
+});
+const metadataStore = createMetadataStore({
+  backend: METADATA_STORE,
+  dir: STORAGE_DIR,
+  file: process.env.METADATA_SQLITE_FILE,
+  url: process.env.REDIS_URL,
+  prefix: process.env.REDIS_PREFIX
+});
+// pending deliveries are files under STORAGE_DIR/.webhooks, so they survive restarts
+const webhooks = new WebhookDispatcher(parseEndpoints({ file: WEBHOOKS_FILE, urls: process.env.WEBHOOK_URLS }), {
+  dir: path.join(STORAGE_DIR, '.webhooks'),
+  store: metadataStore,
+  secret: process.env.WEBHOOK_SECRET,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: secondsEnv('WEBHOOK_RETRY_BASE_SECONDS', 5),
+  maxDelayMs: secondsEnv('WEBHOOK_RETRY_MAX_SECONDS', 3600)
+});
+const throttle = new Throttle({
+  globalBytesPerSecond: GLOBAL_BYTES_PER_SECOND,
+  uploadBytesPerSecond: UPLOAD_BYTES_PER_SECOND,
+  clientBytesPerSecond: CLIENT_BYTES_PER_SECOND,
+  maxConcurrentWrites: MAX_CONCURRENT_WRITES,
+  maxClientWrites: CLIENT_MAX_CONCURRENT_WRITES,
+  maxWaitSeconds: THROTTLE_MAX_WAIT_SECONDS
+});
+const manager = new UploadManager(STORAGE_DIR, {
+  storage,
+  metadataStore,
+  destDir: DEST_DIR,
+  collisionPolicy: COLLISION_POLICY,
+  hooks,
+  ttlMs: UPLOAD_TTL_MS,
+  idleTtlMs: UPLOAD_IDLE_TTL_MS,
+  reapIntervalMs: REAP_INTERVAL_MS,
+  maxUploadSize: MAX_UPLOAD_SIZE,
+  maxReservedBytes: MAX_RESERVED_BYTES,
+  ownerQuotaBytes: OWNER_QUOTA_BYTES,
+  minFreeBytes: MIN_FREE_BYTES,
+  quarantineDir: QUARANTINE_DIR,
+  dedupScope: DEDUP_SCOPE,
+  events: new EventLog({ capacity: EVENT_BUFFER_SIZE }),
+  webhooks: webhooks.enabled ? webhooks : null,
+  throttle: throttle.enabled ? throttle : null,
+  minChunkSize: MIN_CHUNK_SIZE,
+  maxChunkSize: MAX_CHUNK_SIZE,
+  defaultChunkSize: DEFAULT_CHUNK_SIZE
+});
+manager.startReaper();
+webhooks.start();
+// under cluster.js, /metrics on any worker reports the counters of all of them
+answerClusterMetrics(manager.metrics);
+const handleTus = createTusHandler(manager, { basePath: '/tus/', auth });
+const handleDownload = createDownloadHandler(manager, { basePath: '/files/', auth });
 
 // small helper to parse JSON bodies for small endpoints (initiate only)
 async function collectJson(req, maxBytes = 1024 * 1024) {
@@ -37,6 +221,32 @@ async function collectJson(req, maxBytes = 1024 * 1024) {
   });
 }
 
+// Per-chunk digest from `Content-Digest: sha-256=:<base64>:` (RFC 9530) or `x-chunk-sha256: <hex>`.
+// Returns lowercase hex, null when absent, or undefined when the header is malformed.
+function parseChunkDigest(req) {
+  const cd = req.headers['content-digest'];
+  if (cd) {
+    const m = cd.match(/sha-256=:([A-Za-z0-9+/=]+):/i);
+    if (!m) return undefined;
+    const buf = Buffer.from(m[1], 'base64');
+    return buf.length === 32 ? buf.toString('hex') : undefined;
+  }
+  const x = req.headers['x-chunk-sha256'];
+  if (x) return /^[0-9a-f]{64}$/i.test(x) ? x.toLowerCase() : undefined;
+  return null;
+}
+
+// Content-Encoding of a chunk PUT: null for none (or identity), undefined when not accepted
+function parseContentEncoding(req) {
+  const ce = String(req.headers['content-encoding'] || '').trim().toLowerCase();
+  if (!ce || ce === 'identity') return null;
+  return CHUNK_CONTENT_ENCODINGS.includes(ce) ? ce : undefined;
+}
+
+function isSha256Hex(v) {
+  return typeof v === 'string' && /^[0-9a-f]{64}$/i.test(v);
+}
+
 function sendJSON(res, code, obj, origin = '*') {
   const s = JSON.stringify(obj);
   const headers = {
@@ -52,11 +262,113 @@ function sendJSON(res, code, obj, origin = '*') {
   res.end(s);
 }
 
+// upload-scoped routes: require that upload's token; sends 401/403 and returns false otherwise
+function authorizeUpload(req, res, id, origin) {
+  const check = auth.authorizeUpload(req, id);
+  if (check.ok) return true;
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  sendJSON(res, check.status, { error: check.error }, origin);
+  req.resume();
+  return false;
+}
+
+// body of GET /upload/limits; a pre-signed policy narrows the ranges. null = no limit.
+function uploadLimits(policy, totalSize) {
+  const chunks = manager.chunkLimits();
+  let min = chunks.minChunkSize;
+  let max = chunks.maxChunkSize;
+  let maxUploadSize = MAX_UPLOAD_SIZE || Infinity;
+  if (policy) {
+    if (policy.minChunkSize) min = Math.max(min, policy.minChunkSize);
+    if (policy.maxChunkSize) max = Math.min(max, policy.maxChunkSize);
+    if (policy.maxSize) maxUploadSize = Math.min(maxUploadSize, policy.maxSize);
+  }
+  const maxConcurrency = Math.min(MAX_CLIENT_CONCURRENCY, CLIENT_MAX_CONCURRENT_WRITES || Infinity);
+  const orNull = (n) => (Number.isFinite(n) ? n : null);
+  return {
+    chunkSize: { min, max: orNull(max), recommended: Math.min(max, Math.max(min, manager.chunkSizeFor(totalSize))) },
+    maxChunks: orNull(chunks.maxChunks),
+    maxUploadSize: orNull(maxUploadSize),
+    concurrency: { recommended: Math.min(RECOMMENDED_CONCURRENCY, maxConcurrency), max: maxConcurrency },
+    rate: {
+      clientBytesPerSecond: CLIENT_BYTES_PER_SECOND || null,
+      uploadBytesPerSecond: UPLOAD_BYTES_PER_SECOND || null
+    },
+    // x-gzip is only an alias of gzip
+    contentEncodings: CHUNK_CONTENT_ENCODINGS.filter((e) => e !== 'x-gzip')
+  };
+}
+
+// admin routes: an ADMIN_KEYS key or a token with the admin role (open when auth is disabled)
+function authorizeAdmin(req, res, origin) {
+  if (!auth.enabled) return true;
+  const principal = auth.authenticate(req);
+  if (principal && principal.admin) return true;
+  if (principal) {
+    sendJSON(res, 403, { error: 'admin_required' }, origin);
+  } else {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendJSON(res, 401, { error: 'unauthorized' }, origin);
+  }
+  req.resume();
+  return false;
+}
+
+// GET /upload/:id/status response (also the upload.state event of /upload/:id/events)
+function statusBody(up) {
+  const received = up.receivedBitset.toArray();
+  const progress = manager.getProgress(up);
+  const st = up.stats;
+  return {
+    uploadId: up.id,
+    filename: up.filename,
+    relativePath: up.relativePath || null,
+    totalSize: up.totalSize,
+    chunkSize: up.chunkSize,
+    encryption: up.encryption || null,
+    totalChunks: Math.ceil(up.totalSize / up.chunkSize),
+    receivedChunks: received,
+    receivedCount: received.length,
+    receivedBytes: progress.receivedBytes,
+    rateBytesPerSecond: progress.rateBytesPerSecond,
+    averageRateBytesPerSecond: progress.averageRateBytesPerSecond,
+    etaSeconds: progress.etaSeconds,
+    stats: {
+      chunks: st.chunks,
+      bytesReceived: st.bytesReceived,
+      avgChunkWriteSeconds: st.chunks ? st.writeSeconds / st.chunks : null,
+      retries: st.retries,
+      conflicts: st.conflicts,
+      transientFailures: st.transientFailures,
+      enospc: st.enospc,
+      digestMismatches: st.digestMismatches
+    },
+    completed: !!up.completed,
+    expiresAt: manager.getExpiresAt(up),
+    finalName: up.finalName || null,
+    sha256: up.sha256 || null,
+    dedupOf: up.dedupOf,
+    hooks: up.hooks || []
+  };
+}
+
+// EventSource can't send headers: the event streams also take the credential as ?access_token=
+function useQueryToken(req, url) {
+  const token = url.searchParams.get('access_token');
+  if (token && !req.headers.authorization) req.headers.authorization = `Bearer ${token}`;
+}
+
+const isTerminalEvent = (event) => event.type === 'upload.completed' || event.type === 'upload.aborted';
+
 function setCorsHeaders(res, origin = '*') {
   res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Content-Range,x-chunk-offset,x-chunk-size,Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,HEAD,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Content-Range,Content-Digest,Content-Encoding,x-chunk-offset,x-chunk-size,x-chunk-sha256,Authorization,x-api-key,x-upload-token,Last-Event-ID,' +
+    'Range,If-Range,If-None-Match,If-Modified-Since,' +
+    'Tus-Resumable,Upload-Length,Upload-Metadata,Upload-Offset,Upload-Checksum,Upload-Defer-Length,X-HTTP-Method-Override,X-Requested-With');
+  res.setHeader('Access-Control-Expose-Headers', 'Location,Upload-Token,Upload-Expires,Tus-Resumable,Tus-Version,Tus-Extension,Tus-Checksum-Algorithm,Upload-Offset,Upload-Length,Upload-Metadata,' +
+    'Content-Range,Content-Length,Content-Disposition,Accept-Ranges,ETag,Last-Modified,Retry-After,Upload-Encryption');
   res.setHeader('Access-Control-Max-Age', '600');
 }
 
@@ -68,6 +380,12 @@ const server = http.createServer((req, res) => {
   const origin = req.headers.origin || '*';
   setCorsHeaders(res, origin);
 
+  // tus protocol endpoints (handles its own OPTIONS)
+  if (handleTus(req, res, pathname)) return;
+
+  // GET/HEAD /files/:id (completed uploads)
+  if (req.method !== 'OPTIONS' && handleDownload(req, res, url)) return;
+
   // OPTIONS preflight
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -82,23 +400,375 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // POST /upload/initiate
+  // GET /metrics (Prometheus text format; same access as the admin routes)
+  if (req.method === 'GET' && pathname === '/metrics') {
+    if (!authorizeAdmin(req, res, origin)) return;
+    Promise.all([collectClusterMetrics(manager.metrics), manager.uploadMetrics()]).then(([snapshots, uploads]) => {
+      const body = formatSnapshot(mergeSnapshots(snapshots).concat(uploads));
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+      });
+      res.end(body);
+    }).catch((err) => {
+      console.error('metrics error', err);
+      sendJSON(res, 500, { error: 'metrics_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // GET /events (SSE, every upload; ?owner= filters) resumes after Last-Event-ID
+  if (req.method === 'GET' && pathname === '/events') {
+    useQueryToken(req, url);
+    if (!authorizeAdmin(req, res, origin)) return;
+    const owner = url.searchParams.get('owner');
+    const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+    const { events, gap } = manager.events.since(lastEventId);
+    const stream = openEventStream(req, res);
+    // some events are gone: the consumer should re-read state (GET /admin/uploads)
+    if (gap) stream.send({ type: 'stream.gap', time: Date.now(), data: { lastEventId } });
+    const onEvent = (event) => {
+      if (!owner || event.owner === owner) stream.send(event);
+    };
+    events.forEach(onEvent);
+    manager.events.on('event', onEvent);
+    res.on('close', () => manager.events.removeListener('event', onEvent));
+    return;
+  }
+
+  // GET /admin/storage
+  if (req.method === 'GET' && pathname === '/admin/storage') {
+    if (!authorizeAdmin(req, res, origin)) return;
+    manager.getStorageStats().then((stats) => {
+      sendJSON(res, 200, Object.assign({ storageDir: STORAGE_DIR }, stats, {
+        limits: {
+          maxUploadSize: MAX_UPLOAD_SIZE || null,
+          maxReservedBytes: MAX_RESERVED_BYTES || null,
+          ownerQuotaBytes: OWNER_QUOTA_BYTES || null,
+          minFreeBytes: MIN_FREE_BYTES
+        },
+        // this worker's share under cluster.js
+        throttle: throttle.snapshot()
+      }), origin);
+    }).catch((err) => {
+      console.error('storage stats error', err);
+      sendJSON(res, 500, { error: 'storage_stats_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // GET /admin/expired (dry run) and POST /admin/sweep (reap now)
+  if ((req.method === 'GET' && pathname === '/admin/expired') || (req.method === 'POST' && pathname === '/admin/sweep')) {
+    if (!authorizeAdmin(req, res, origin)) return;
+    req.resume();
+    const dryRun = req.method === 'GET';
+    manager.sweepExpired({ dryRun }).then((expired) => {
+      sendJSON(res, 200, {
+        dryRun,
+        count: expired.length,
+        allocatedBytes: expired.reduce((n, e) => n + e.allocatedBytes, 0),
+        uploads: expired
+      }, origin);
+    }).catch((err) => {
+      console.error('sweep error', err);
+      sendJSON(res, 500, { error: 'sweep_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // GET /admin/uploads?state=completed|in_progress|stale&owner=&staleSeconds=&limit=
+  if (req.method === 'GET' && pathname === '/admin/uploads') {
+    if (!authorizeAdmin(req, res, origin)) return;
+    const state = url.searchParams.get('state') || null;
+    if (state && !['completed', 'in_progress', 'stale'].includes(state)) {
+      sendJSON(res, 400, { error: 'invalid_state', allowed: ['completed', 'in_progress', 'stale'] }, origin);
+      return;
+    }
+    const staleSeconds = Number(url.searchParams.get('staleSeconds') || 3600);
+    const limit = Number(url.searchParams.get('limit') || 1000);
+    manager.listUploads({
+      state,
+      owner: url.searchParams.get('owner') || null,
+      staleMs: staleSeconds * 1000,
+      limit
+    }).then((result) => {
+      sendJSON(res, 200, result, origin);
+    }).catch((err) => {
+      console.error('list uploads error', err);
+      sendJSON(res, 500, { error: 'list_uploads_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // GET /admin/reconcile (report only) and POST /admin/reconcile?policy= (apply, default RECONCILE_POLICY)
+  if (pathname === '/admin/reconcile' && (req.method === 'GET' || req.method === 'POST')) {
+    if (!authorizeAdmin(req, res, origin)) return;
+    req.resume();
+    const policy = req.method === 'GET' ? 'report' : (url.searchParams.get('policy') || RECONCILE_POLICY);
+    if (!UploadManager.RECONCILE_POLICIES.includes(policy)) {
+      sendJSON(res, 400, { error: 'invalid_policy', allowed: UploadManager.RECONCILE_POLICIES }, origin);
+      return;
+    }
+    manager.reconcile({ policy }).then((report) => {
+      if (!report) sendJSON(res, 409, { error: 'reconcile_in_progress' }, origin);
+      else sendJSON(res, 200, report, origin);
+    }).catch((err) => {
+      console.error('reconcile error', err);
+      sendJSON(res, err.transient ? 503 : 500, { error: 'reconcile_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // GET /admin/webhooks: queued and failed deliveries
+  if (req.method === 'GET' && pathname === '/admin/webhooks') {
+    if (!authorizeAdmin(req, res, origin)) return;
+    webhooks.list().then((result) => {
+      sendJSON(res, 200, Object.assign({ endpoints: webhooks.endpoints.map((e) => ({ url: e.url, events: e.events })) }, result), origin);
+    }).catch((err) => {
+      console.error('list webhooks error', err);
+      sendJSON(res, 500, { error: 'list_webhooks_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // POST /admin/webhooks/retry { ids? }: requeue failed deliveries (all without ids)
+  if (req.method === 'POST' && pathname === '/admin/webhooks/retry') {
+    if (!authorizeAdmin(req, res, origin)) return;
+    collectJson(req).then(async (body) => {
+      const ids = body && Array.isArray(body.ids) ? body.ids.map(String) : null;
+      sendJSON(res, 200, { requeued: await webhooks.retryFailed(ids) }, origin);
+    }, (err) => {
+      sendJSON(res, 400, { error: 'invalid_json', details: String(err) }, origin);
+    }).catch((err) => {
+      console.error('retry webhooks error', err);
+      sendJSON(res, 500, { error: 'retry_webhooks_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // POST /files/:id/link { expiresIn? } -> signed download URL, for anyone who may download the file
+  if (req.method === 'POST' && /^\/files\/[^/]+\/link$/.test(pathname)) {
+    const id = pathname.split('/')[2];
+    collectJson(req).then(async (body) => {
+      const up = await manager.getUpload(id);
+      const check = auth.authorizeUpload(req, id, { owner: up ? up.owner : null });
+      if (!check.ok) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJSON(res, check.status, { error: check.error }, origin);
+        return;
+      }
+      if (!up) {
+        sendJSON(res, 404, { error: 'upload_not_found' }, origin);
+        return;
+      }
+      if (!up.completed) {
+        sendJSON(res, 409, { error: 'upload_not_completed' }, origin);
+        return;
+      }
+      const ttlMs = Number((body && body.expiresIn) || 3600) * 1000;
+      if (!(ttlMs > 0) || ttlMs > DOWNLOAD_LINK_MAX_MS) {
+        sendJSON(res, 400, { error: 'invalid_expires_in', maxSeconds: DOWNLOAD_LINK_MAX_MS / 1000 }, origin);
+        return;
+      }
+      const sig = auth.issueDownloadToken(id, ttlMs);
+      const proto = req.headers['x-forwarded-proto'] || 'http';
+      sendJSON(res, 200, {
+        url: `${proto}://${req.headers.host}/files/${id}?sig=${encodeURIComponent(sig)}`,
+        expiresAt: Date.now() + ttlMs
+      }, origin);
+    }, (err) => {
+      sendJSON(res, 400, { error: 'invalid_json', details: String(err) }, origin);
+    }).catch((err) => {
+      console.error('download link error', err);
+      sendJSON(res, err.transient ? 503 : 500, { error: 'link_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // POST /upload/presign (trusted callers mint a pre-signed initiate URL)
+  if (req.method === 'POST' && pathname === '/upload/presign') {
+    const principal = auth.enabled ? auth.authenticate(req) : null;
+    if (!principal) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJSON(res, 401, { error: 'unauthorized' }, origin);
+      req.resume();
+      return;
+    }
+    if (!auth.presignSecret) {
+      sendJSON(res, 501, { error: 'presign_not_configured' }, origin);
+      req.resume();
+      return;
+    }
+    collectJson(req).then((body) => {
+      const { filenamePattern, maxSize, minChunkSize, maxChunkSize, subdir, expiresIn = 3600 } = body || {};
+      const destSubdir = normalizeSubdir(subdir);
+      if (destSubdir === null) {
+        sendJSON(res, 400, { error: 'invalid_subdir' }, origin);
+        return;
+      }
+      const ttlMs = Number(expiresIn) * 1000;
+      if (!(ttlMs > 0)) {
+        sendJSON(res, 400, { error: 'invalid_expires_in' }, origin);
+        return;
+      }
+      const policy = {
+        sub: principal.sub,
+        filenamePattern: filenamePattern || null,
+        maxSize: maxSize ? Number(maxSize) : null,
+        minChunkSize: minChunkSize ? Number(minChunkSize) : null,
+        maxChunkSize: maxChunkSize ? Number(maxChunkSize) : null,
+        subdir: destSubdir
+      };
+      const sig = auth.issuePresignedPolicy(policy, ttlMs);
+      const proto = req.headers['x-forwarded-proto'] || 'http';
+      sendJSON(res, 200, {
+        url: `${proto}://${req.headers.host}/upload/initiate?sig=${encodeURIComponent(sig)}`,
+        expiresAt: Date.now() + ttlMs
+      }, origin);
+    }).catch((err) => {
+      sendJSON(res, 400, { error: 'invalid_json', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // GET /upload/limits[?sig=&totalSize=]: what /upload/initiate accepts and where clients should start
+  if (req.method === 'GET' && pathname === '/upload/limits') {
+    req.resume();
+    const sig = url.searchParams.get('sig');
+    const policy = sig ? auth.verifyPresignedPolicy(sig) : null;
+    if (sig && !policy) {
+      sendJSON(res, 403, { error: 'invalid_signature', message: 'Pre-signed URL is invalid or expired' }, origin);
+      return;
+    }
+    sendJSON(res, 200, uploadLimits(policy, Number(url.searchParams.get('totalSize')) || 0), origin);
+    return;
+  }
+
+  // POST /upload/initiate (credential, or ?sig= pre-signed policy)
   if (req.method === 'POST' && pathname === '/upload/initiate') {
+    const sig = url.searchParams.get('sig');
+    const policy = sig ? auth.verifyPresignedPolicy(sig) : null;
+    if (sig && !policy) {
+      sendJSON(res, 403, { error: 'invalid_signature', message: 'Pre-signed URL is invalid or expired' }, origin);
+      req.resume();
+      return;
+    }
+    const principal = policy
+      ? { sub: policy.sub || 'presigned', method: 'presigned' }
+      : (auth.enabled ? auth.authenticate(req) : null);
+    if (auth.enabled && !principal) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJSON(res, 401, { error: 'unauthorized' }, origin);
+      req.resume();
+      return;
+    }
     collectJson(req).then(async (body) => {
-      const { filename, totalSize, chunkSize } = body || {};
-      if (!filename || !totalSize) {
+      const { filename, relativePath, totalSize, chunkSize, sha256, baseUploadId, chunkHashes, encryption } = body || {};
+      // 0 is fine: folders hold empty files too
+      if (!(filename || relativePath) || totalSize === undefined || totalSize === null || !(Number(totalSize) >= 0)) {
         sendJSON(res, 400, { error: 'filename and totalSize required' }, origin);
         return;
       }
+      const hasChunkSize = chunkSize !== undefined && chunkSize !== null;
+      if (hasChunkSize && !(Number.isSafeInteger(Number(chunkSize)) && Number(chunkSize) > 0)) {
+        sendJSON(res, 400, { error: 'invalid_chunk_size', message: 'chunkSize must be a positive integer' }, origin);
+        return;
+      }
+      // folder uploads: the file's path inside the folder, recreated under DEST_DIR
+      const placed = relativePath ? UploadManager.parseRelativePath(relativePath) : null;
+      if (relativePath && !placed) {
+        sendJSON(res, 400, { error: 'invalid_relative_path', message: 'relativePath must stay inside the folder: no leading "/", drive, ".." or control characters' }, origin);
+        return;
+      }
+      if (sha256 && !isSha256Hex(sha256)) {
+        sendJSON(res, 400, { error: 'invalid_digest' }, origin);
+        return;
+      }
+      let cs = hasChunkSize ? Number(chunkSize) : manager.chunkSizeFor(Number(totalSize));
+      if (policy) {
+        // default chunk size, clamped into the policy's range
+        if (!hasChunkSize) {
+          if (policy.maxChunkSize) cs = Math.min(cs, policy.maxChunkSize);
+          if (policy.minChunkSize) cs = Math.max(cs, policy.minChunkSize);
+        }
+        const violation = checkPolicy(policy, { filename: placed ? placed.name : path.basename(filename), totalSize: Number(totalSize), chunkSize: cs });
+        if (violation) {
+          sendJSON(res, 403, { error: 'policy_violation', message: violation }, origin);
+          return;
+        }
+      }
+      // client-side encryption: the sizes are the ciphertext's, laid out as the descriptor says, so
+      // the client has to name the chunk size it encrypted with
+      if (encryption && !hasChunkSize) {
+        sendJSON(res, 400, { error: 'encryption_needs_chunk_size', message: 'an encrypted upload must give its chunkSize' }, origin);
+        return;
+      }
+      const encrypted = encryption ? chunkCrypto.parseDescriptor(encryption, Number(totalSize), cs) : null;
+      if (encryption && !encrypted) {
+        sendJSON(res, 400, { error: 'invalid_encryption', message: `encryption must be an ${chunkCrypto.SCHEME} descriptor matching totalSize and chunkSize` }, origin);
+        return;
+      }
+      // upload-from-base: per-chunk sha256 of the new file, one per chunk (null where unknown)
+      if (baseUploadId) {
+        const totalChunks = Math.ceil(Number(totalSize) / cs);
+        if (!Array.isArray(chunkHashes) || chunkHashes.length !== totalChunks ||
+          !chunkHashes.every((h) => h === null || isSha256Hex(h))) {
+          sendJSON(res, 400, { error: 'invalid_chunk_hashes', message: `chunkHashes must list ${totalChunks} sha256 hex digests (or null)` }, origin);
+          return;
+        }
+      }
       try {
-        const id = await manager.createUpload({
-          filename,
+        const spec = {
+          filename: filename || placed.name,
+          relativePath: relativePath || null,
           totalSize: Number(totalSize),
-          chunkSize: chunkSize ? Number(chunkSize) : undefined
-        });
-        const up = manager.getUpload(id);
-        sendJSON(res, 200, { uploadId: id, chunkSize: up.chunkSize }, origin);
+          chunkSize: cs,
+          owner: principal ? principal.sub : null,
+          destSubdir: policy ? policy.subdir : '',
+          sha256: sha256 ? sha256.toLowerCase() : null,
+          base: baseUploadId ? { uploadId: String(baseUploadId), chunkHashes: chunkHashes.map((h) => h && h.toLowerCase()) } : null,
+          encryption: encrypted
+        };
+        // a completed file with the same content: finish now without transferring any bytes (not
+        // for encrypted uploads: the copy wouldn't carry this upload's descriptor)
+        const dedupId = spec.sha256 && !encrypted ? await manager.createFromContent(spec) : null;
+        const id = dedupId || await manager.createUpload(spec);
+        // the stored record's chunk size is the one the chunks have to follow
+        const created = await manager.getUpload(id);
+        const out = { uploadId: id, chunkSize: created.chunkSize };
+        if (dedupId) {
+          Object.assign(out, { completed: true, deduplicated: true, filename: created.finalName, sha256: created.sha256 });
+        } else if (spec.totalSize === 0) {
+          // nothing to send: complete it now, as tus creation does
+          const done = await manager.markCompleted(id);
+          Object.assign(out, { completed: true, filename: done.finalName, sha256: done.sha256 });
+        } else if (spec.base) {
+          // chunks copied from the base are already received; the client sends the rest
+          out.copiedChunks = await manager.getReceivedChunksArray(id);
+        }
+        if (principal) out.uploadToken = auth.issueUploadToken(id, principal.sub);
+        sendJSON(res, 200, out, origin);
       } catch (err) {
+        // rejected by admission control (size limit, free space, reservation caps, quota)
+        if (err && err.admission) {
+          sendJSON(res, err.status, err.admission, origin);
+          return;
+        }
+        // chunk layout the storage backend can't hold (e.g. s3 part size / count limits)
+        if (err && err.status === 400) {
+          sendJSON(res, 400, Object.assign({ error: err.message }, err.limits), origin);
+          return;
+        }
+        if (err && (err.status === 409 || err.status === 404)) {
+          sendJSON(res, err.status, { error: err.message }, origin);
+          return;
+        }
+        // another process held the admission lock for too long
+        if (err && err.transient) {
+          sendJSON(res, 503, { error: err.message }, origin);
+          return;
+        }
         // disk full during createUpload or metadata write
         if (err && (err.code === 'ENOSPC' || err.status === 507)) {
           sendJSON(res, 507, { error: 'disk_full', message: 'No space left on device' }, origin);
@@ -116,59 +786,139 @@ const server = http.createServer((req, res) => {
   // GET /upload/:id/status
   if (req.method === 'GET' && pathname.startsWith('/upload/') && pathname.endsWith('/status')) {
     const id = pathname.split('/')[2];
-    const up = manager.getUpload(id);
-    if (!up) {
-      sendJSON(res, 404, { error: 'upload_not_found' }, origin);
-      return;
-    }
-    const totalChunks = Math.ceil(up.totalSize / up.chunkSize);
-    const received = manager.getReceivedChunksArray(id);
-    sendJSON(res, 200, {
-      uploadId: id,
-      filename: up.filename,
-      totalSize: up.totalSize,
-      chunkSize: up.chunkSize,
-      totalChunks,
-      receivedChunks: received,
-      receivedCount: received.length
-    }, origin);
+    if (!authorizeUpload(req, res, id, origin)) return;
+    manager.getUpload(id).then((up) => {
+      if (!up) {
+        sendJSON(res, 404, { error: 'upload_not_found' }, origin);
+        return;
+      }
+      sendJSON(res, 200, statusBody(up), origin);
+    }).catch((err) => {
+      console.error('status error', err);
+      sendJSON(res, 500, { error: 'status_failed', details: String(err) }, origin);
+    });
+    return;
+  }
+
+  // GET /upload/:id/events (SSE) resumes after Last-Event-ID; ends after completion or abort
+  if (req.method === 'GET' && pathname.startsWith('/upload/') && pathname.endsWith('/events')) {
+    const id = pathname.split('/')[2];
+    useQueryToken(req, url);
+    if (!authorizeUpload(req, res, id, origin)) return;
+    const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+    manager.getUpload(id).then((up) => {
+      // replay and subscribe in one tick so no event falls in between
+      const { events, gap } = manager.events.since(lastEventId);
+      const missed = events.filter((e) => e.uploadId === id);
+      const resync = !lastEventId || gap;
+      if (!up && !missed.length) {
+        // 204 tells EventSource to stop reconnecting: the consumer already saw the end
+        if (lastEventId) {
+          res.writeHead(204);
+          res.end();
+        } else {
+          sendJSON(res, 404, { error: 'upload_not_found' }, origin);
+        }
+        return;
+      }
+      if (up && up.completed && !resync && !missed.length) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      const stream = openEventStream(req, res);
+      missed.forEach((e) => stream.send(e));
+      // a new consumer, or one that missed events, also gets the current state; its id is the
+      // current position, so a reconnect after the stream ends resumes from here
+      if (up && resync) stream.send({ id: manager.events.position(), type: 'upload.state', uploadId: id, owner: up.owner, time: Date.now(), data: statusBody(up) });
+      if (missed.some(isTerminalEvent) || (up && up.completed && resync)) {
+        stream.close();
+        return;
+      }
+      const onEvent = (event) => {
+        if (event.uploadId !== id) return;
+        stream.send(event);
+        if (isTerminalEvent(event)) stream.close();
+      };
+      manager.events.on('event', onEvent);
+      res.on('close', () => manager.events.removeListener('event', onEvent));
+    }).catch((err) => {
+      console.error('events error', err);
+      if (!res.headersSent) sendJSON(res, 500, { error: 'events_failed', details: String(err) }, origin);
+      else res.end();
+    });
     return;
   }
 
   // POST /upload/:id/complete
   if (req.method === 'POST' && pathname.startsWith('/upload/') && pathname.endsWith('/complete')) {
     const id = pathname.split('/')[2];
-    const up = manager.getUpload(id);
-    if (!up) {
-      sendJSON(res, 404, { error: 'upload_not_found' }, origin);
-      return;
-    }
-    const missing = manager.getMissingChunks(id);
-    if (missing.length > 0) {
-      sendJSON(res, 400, { error: 'missing_chunks', missing }, origin);
-      return;
-    }
-    try {
-      manager.markCompleted(id);
-      sendJSON(res, 200, { ok: true, path: up.filePath }, origin);
-    } catch (err) {
-      console.error('complete error', err);
-      sendJSON(res, 500, { error: 'complete_failed', details: String(err) }, origin);
-    }
+    if (!authorizeUpload(req, res, id, origin)) return;
+    // optional body: { sha256?, manifestSha256? } (hex) for whole-file verification
+    collectJson(req).then(async (body) => {
+      const up = await manager.getUpload(id);
+      if (!up) {
+        sendJSON(res, 404, { error: 'upload_not_found' }, origin);
+        return;
+      }
+      const missing = await manager.getMissingChunks(id);
+      if (missing.length > 0) {
+        sendJSON(res, 400, { error: 'missing_chunks', missing }, origin);
+        return;
+      }
+      const { sha256, manifestSha256 } = body || {};
+      if ((sha256 && !isSha256Hex(sha256)) || (manifestSha256 && !isSha256Hex(manifestSha256))) {
+        sendJSON(res, 400, { error: 'invalid_digest' }, origin);
+        return;
+      }
+      try {
+        const done = await manager.markCompleted(id, {
+          sha256: sha256 ? sha256.toLowerCase() : undefined,
+          manifestSha256: manifestSha256 ? manifestSha256.toLowerCase() : undefined
+        });
+        sendJSON(res, 200, { ok: true, filename: done.finalName, sha256: done.sha256, hooks: done.hooks }, origin);
+      } catch (err) {
+        if (err && err.status === 422) {
+          sendJSON(res, 422, { error: 'file_digest_mismatch', expected: err.expected, actual: err.actual }, origin);
+          return;
+        }
+        // destination_exists (collision policy 'fail') or a concurrent /complete
+        if (err && err.status === 409) {
+          sendJSON(res, 409, { error: err.message }, origin);
+          return;
+        }
+        if (err && (err.code === 'ENOSPC' || err.status === 507)) {
+          sendJSON(res, 507, { error: 'disk_full', message: 'No space left on device' }, origin);
+          return;
+        }
+        console.error('complete error', err);
+        sendJSON(res, 500, { error: 'complete_failed', details: String(err) }, origin);
+      }
+    }).catch((err) => {
+      sendJSON(res, 400, { error: 'invalid_json', details: String(err) }, origin);
+    });
     return;
   }
 
   // DELETE /upload/:id
   if (req.method === 'DELETE' && pathname.startsWith('/upload/')) {
     const id = pathname.split('/')[2];
-    const up = manager.getUpload(id);
-    if (!up) {
-      sendJSON(res, 404, { error: 'upload_not_found' }, origin);
-      return;
-    }
-    manager.abortUpload(id).then(() => {
+    if (!authorizeUpload(req, res, id, origin)) return;
+    req.resume();
+    manager.getUpload(id).then(async (up) => {
+      if (!up) {
+        sendJSON(res, 404, { error: 'upload_not_found' }, origin);
+        return;
+      }
+      await manager.abortUpload(id);
       sendJSON(res, 200, { ok: true }, origin);
     }).catch((err) => {
+      // a chunk write or completion is in progress
+      if (err && err.status === 409) {
+        res.setHeader('Retry-After', '1');
+        sendJSON(res, 409, { error: err.message }, origin);
+        return;
+      }
       console.error('abort error', err);
       // disk errors rarely happen on delete; return generic 500
       sendJSON(res, 500, { error: 'abort_failed', details: String(err) }, origin);
@@ -179,10 +929,15 @@ const server = http.createServer((req, res) => {
   // PUT /upload/:id (chunk upload)
   if (req.method === 'PUT' && pathname.startsWith('/upload/')) {
     const id = pathname.split('/')[2];
-    const up = manager.getUpload(id);
-    if (!up) {
-      sendJSON(res, 404, { error: 'upload_not_found' }, origin);
-      req.resume(); // drain body
+    if (!authorizeUpload(req, res, id, origin)) return;
+
+    // a compressed body is decoded before it is written; Content-Range (or x-chunk-offset and
+    // x-chunk-size) and the digest describe the decoded bytes
+    const contentEncoding = parseContentEncoding(req);
+    if (contentEncoding === undefined) {
+      res.setHeader('Accept-Encoding', CHUNK_CONTENT_ENCODINGS.join(', ') || 'identity');
+      sendJSON(res, 415, { error: 'unsupported_content_encoding', supported: CHUNK_CONTENT_ENCODINGS }, origin);
+      req.resume();
       return;
     }
 
@@ -201,7 +956,8 @@ const server = http.createServer((req, res) => {
       length = Number(m[2]) - Number(m[1]) + 1;
     } else {
       const xoffset = req.headers['x-chunk-offset'];
-      const xlen = req.headers['x-chunk-size'] || req.headers['content-length'];
+      // Content-Length counts the compressed bytes
+      const xlen = req.headers['x-chunk-size'] || (contentEncoding ? null : req.headers['content-length']);
       if (!xoffset || !xlen) {
         sendJSON(res, 400, { error: 'missing_offset_or_length' }, origin);
         req.resume();
@@ -211,13 +967,32 @@ const server = http.createServer((req, res) => {
       length = Number(xlen);
     }
 
-    if (isNaN(offset) || isNaN(length) || offset < 0 || length <= 0 || offset + length > up.totalSize) {
-      sendJSON(res, 400, { error: 'invalid_range' }, origin);
+    const expectedDigest = parseChunkDigest(req);
+    if (expectedDigest === undefined) {
+      sendJSON(res, 400, { error: 'invalid_chunk_digest' }, origin);
       req.resume();
       return;
     }
 
-    manager.writeChunkAt(id, offset, req, length).then((result) => {
+    manager.getUpload(id).then((up) => {
+      if (!up) {
+        sendJSON(res, 404, { error: 'upload_not_found' }, origin);
+        req.resume(); // drain body
+        return null;
+      }
+      if (isNaN(offset) || isNaN(length) || offset < 0 || length <= 0 || offset + length > up.totalSize) {
+        sendJSON(res, 400, { error: 'invalid_range' }, origin);
+        req.resume();
+        return null;
+      }
+      return manager.writeChunkAt(id, offset, req, length, {
+        expectedDigest,
+        client: up.owner || req.socket.remoteAddress,
+        contentEncoding,
+        wireLength: contentEncoding ? Number(req.headers['content-length']) || null : null
+      });
+    }).then((result) => {
+      if (!result) return;
       if (result.alreadyReceived) {
         sendJSON(res, 200, { ok: true, message: 'chunk_already_received' }, origin);
       } else {
@@ -230,9 +1005,33 @@ const server = http.createServer((req, res) => {
         sendJSON(res, 507, { error: 'disk_full', message: 'No space left on device' }, origin);
         return;
       }
-      // write in progress / conflict
+      // bytes on disk don't match the digest the client sent; chunk stays missing
+      if (err && err.status === 422) {
+        sendJSON(res, 422, { error: 'chunk_digest_mismatch', expected: err.expected, actual: err.actual }, origin);
+        return;
+      }
+      // write in progress / conflict (possibly in another worker process)
       if (err && err.status === 409) {
         sendJSON(res, 409, { error: 'chunk_write_in_progress' }, origin);
+        req.resume();
+        return;
+      }
+      // over a rate or concurrency limit (see throttle.js)
+      if (err && err.status === 429) {
+        res.setHeader('Retry-After', String(err.retryAfter));
+        sendJSON(res, 429, { error: err.message, retryAfter: err.retryAfter }, origin);
+        req.resume();
+        return;
+      }
+      // aborted or reaped while the chunk was being written
+      if (err && err.message === 'upload_not_found') {
+        sendJSON(res, 404, { error: 'upload_not_found' }, origin);
+        return;
+      }
+      // storage needs whole, chunk-aligned writes (s3 parts), or a compressed body didn't decode
+      // to the chunk (invalid_content_encoding, decoded_length_mismatch)
+      if (err && err.status === 400) {
+        sendJSON(res, 400, { error: err.message }, origin);
         return;
       }
       // transient write failure: tell client to retry
@@ -258,18 +1057,37 @@ server.on('connection', (socket) => {
   try { socket.setNoDelay(true); } catch (e) {}
 });
 
-server.listen(PORT, () => {
-  console.log(`Fast upload server listening on ${PORT}`);
-  console.log(`Storage dir: ${STORAGE_DIR}`);
+function logReconcile(report) {
+  if (!report) return; // another worker is on it
+  const { completed, inProgress, unreadable } = report.uploads;
+  console.log(`Reconcile (${report.policy}): ${completed} completed and ${inProgress} in-progress uploads, ` +
+    `${unreadable} unreadable records, ${report.issues.length} issue(s)`);
+  for (const issue of report.issues) {
+    console.log(`  ${issue.kind} ${issue.id || '-'} ${issue.location || ''} -> ${issue.action}${issue.quarantinedTo ? ` (${issue.quarantinedTo})` : ''}`);
+  }
+}
+
+// replay metadata journals left behind by a crash, then check data against metadata, before serving requests
+const recovery = metadataStore.recover ? metadataStore.recover() : Promise.resolve(null);
+recovery.then(async (result) => {
+  if (result) console.log(`Metadata recovery: ${result.replayed} journals replayed, ${result.orphans} orphaned journals and ${result.tmpRemoved} temp files removed`);
+  logReconcile(await manager.reconcile({ policy: RECONCILE_POLICY }));
+  server.listen(PORT, () => {
+    console.log(`Fast upload server listening on ${PORT}`);
+    console.log(`Storage dir: ${STORAGE_DIR} (${storage.name} backend, ${metadataStore.name} metadata)`);
+  });
+}).catch((e) => {
+  console.error('startup recovery failed', e);
+  process.exit(1);
 });
 
-// On process exit, ensure metadata is flushed
+// On process exit, release the metadata store (closes sqlite / redis connections)
 async function shutdown() {
-  console.log('Shutting down, flushing metadata...');
+  console.log('Shutting down, closing metadata store...');
   try {
-    await manager.flushAllMetadata();
+    await manager.close();
   } catch (e) {
-    console.error('flush metadata failed', e);
+    console.error('close metadata store failed', e);
   }
   process.exit(0);
 }
@@ -0,0 +1,34 @@
+// Storage adapter factory. Every adapter implements:
+//   name, capabilities { partialWrites, readBeforeFinalize }, limits { minChunkSize, maxChunkSize, maxChunks }
+//   create(up, { collisionPolicy })        set up.filePath (adapter location) / up.storageState
+//   writeAt(up, offset, readable, { length, maxLength }) -> { written, interrupted }
+//   readStream(up, { start, end })         -> Readable
+//   finalize(up, { collisionPolicy })      -> { finalName }, publish the completed file
+//   remove(up), allocatedBytes(up), stats() -> { capacity, free, used } | null
+//   inspect(up) -> { exists, size }       an upload's data, in progress or completed (size null if unknown)
+//   findOrphans(ups) -> [{ location, size }], removeOrphan(orphan)   data no upload record points at
+// and optionally quarantine(location, dir) -> new location, resize(up) (restore totalSize),
+// link(source, up, { collisionPolicy }) -> { finalName } (dedup: up gets its own name for source's data;
+// without it deduplicated uploads share the source's location)
+const LocalDiskStorage = require('./localDiskStorage');
+const MemoryStorage = require('./memoryStorage');
+const S3Storage = require('./s3Storage');
+
+/**
+ * config.backend: 'local' (default) | 's3' | 'memory'
+ * local: { baseDir, destDir }; s3: see S3Storage
+ */
+function createStorage(config = {}) {
+  switch (config.backend || 'local') {
+    case 'local':
+      return new LocalDiskStorage(config.baseDir, { destDir: config.destDir });
+    case 'memory':
+      return new MemoryStorage();
+    case 's3':
+      return new S3Storage(config.s3 || {});
+    default:
+      throw new Error(`unknown storage backend: ${config.backend}`);
+  }
+}
+
+module.exports = { createStorage, LocalDiskStorage, MemoryStorage, S3Storage };
@@ -0,0 +1,320 @@
+// Local-disk storage adapter: preallocated sparse file per upload, positional writes through
+// per-chunk write streams, and an atomic move into destDir on completion.
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const truncateAsync = promisify(fs.truncate);
+const unlinkAsync = promisify(fs.unlink);
+const statAsync = promisify(fs.stat);
+const openAsync = promisify(fs.open);
+const closeAsync = promisify(fs.close);
+const fsyncAsync = promisify(fs.fsync);
+const renameAsync = promisify(fs.rename);
+const linkAsync = promisify(fs.link);
+const copyFileAsync = promisify(fs.copyFile);
+const mkdirAsync = promisify(fs.mkdir);
+const readdirAsync = promisify(fs.readdir);
+
+// in-progress data files are named <filename>.<upload id>
+const DATA_FILE_RE = /\.[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// rename, or copy and unlink across devices
+async function moveFile(from, to) {
+  try {
+    await renameAsync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await copyFileAsync(from, to);
+    await unlinkAsync(from);
+  }
+}
+
+/**
+ * Pipe readable into writable, resolving { written, interrupted } once writable has flushed.
+ * If the source goes away mid-body (client abort) what already arrived is flushed and the
+ * promise resolves with interrupted = true. More than maxLength bytes rejects with 413.
+ */
+function pipeCounted(readable, writable, maxLength) {
+  return new Promise((resolve, reject) => {
+    let written = 0;
+    let interrupted = false;
+    let settled = false;
+
+    const cleanup = () => {
+      readable.removeListener('data', onData);
+      readable.removeListener('aborted', onInterrupt);
+      writable.removeListener('error', onError);
+      writable.removeListener('finish', onFinish);
+    };
+
+    const onError = (err) => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+      try { writable.destroy(); } catch (_) {}
+      reject(err);
+    };
+
+    const onData = (chunk) => {
+      written += chunk.length;
+      if (maxLength !== undefined && written > maxLength) {
+        readable.unpipe(writable);
+        const err = new Error('upload_length_exceeded');
+        err.status = 413;
+        onError(err);
+      }
+    };
+
+    // client went away mid-body: stop piping and flush what we already have
+    const onInterrupt = () => {
+      if (interrupted || settled) return;
+      interrupted = true;
+      readable.unpipe(writable);
+      writable.end();
+    };
+
+    const onFinish = () => {
+      if (settled) return;
+      settled = true;
+      cleanup();
+      resolve({ written, interrupted });
+    };
+
+    readable.on('data', onData);
+    readable.on('aborted', onInterrupt);
+    // stays attached: a late 'error' on the request must not go unhandled
+    readable.on('error', onInterrupt);
+    writable.on('error', onError);
+    writable.on('finish', onFinish);
+
+    // Start piping (backpressure handled by stream)
+    readable.pipe(writable);
+  });
+}
+
+class LocalDiskStorage {
+  /**
+   * baseDir: in-progress data files (<filename>.<id>)
+   * options.destDir: completed files are moved here (default: left in baseDir)
+   * options.fsync: flush each write to disk before it is acknowledged (default true)
+   */
+  constructor(baseDir, options = {}) {
+    this.baseDir = baseDir;
+    this.destDir = options.destDir || null;
+    this.fsync = options.fsync !== false;
+    this.name = 'local';
+    this.capabilities = { partialWrites: true, readBeforeFinalize: true };
+    this.limits = { minChunkSize: 1, maxChunkSize: Infinity, maxChunks: Infinity };
+  }
+
+  _filePath(id, filename) { return path.join(this.baseDir, `${filename}.${id}`); }
+
+  _destFolder(up) {
+    return path.join(this.destDir, up.destSubdir || '');
+  }
+
+  // create the data file and preallocate/truncate it (no long-lived fd)
+  async create(up) {
+    up.filePath = this._filePath(up.id, up.filename);
+    try {
+      // open+close quickly to ensure file exists, then truncate
+      const fd = await openAsync(up.filePath, 'w');
+      await closeAsync(fd);
+      await truncateAsync(up.filePath, up.totalSize);
+    } catch (e) {
+      // If truncate fails, log and rethrow
+      console.error('preallocate/truncate failed for', up.filePath, e);
+      throw e;
+    }
+  }
+
+  /**
+   * Write readable at offset. Uses a per-chunk write stream (Node opens/closes fd for each
+   * chunk), which is robust. Resolves { written, interrupted } once the data is on disk, so
+   * the chunk's journaled acknowledgement never points at bytes a crash could lose.
+   */
+  async writeAt(up, offset, readable, options = {}) {
+    // create a write stream that opens/closes its own fd
+    const ws = fs.createWriteStream(up.filePath, {
+      flags: 'r+',
+      start: offset,
+      highWaterMark: 16 * 1024 * 1024
+    });
+    const result = await pipeCounted(readable, ws, options.maxLength);
+    if (this.fsync && result.written > 0) {
+      const fd = await openAsync(up.filePath, 'r+');
+      try {
+        await fsyncAsync(fd);
+      } finally {
+        await closeAsync(fd);
+      }
+    }
+    return result;
+  }
+
+  readStream(up, { start = 0, end = Math.max(0, up.totalSize - 1) } = {}) {
+    return fs.createReadStream(up.filePath, { start, end, highWaterMark: 16 * 1024 * 1024 });
+  }
+
+  /**
+   * Move the data file to a hidden staging name inside destDir, so the final rename/link
+   * happens on one filesystem and is atomic. Crosses devices with a copy.
+   */
+  async _stageInDestination(up) {
+    await mkdirAsync(this._destFolder(up), { recursive: true });
+    const staged = path.join(this._destFolder(up), `.${up.id}.partial`);
+    if (up.filePath === staged) return staged;
+    await moveFile(up.filePath, staged);
+    up.filePath = staged;
+    return staged;
+  }
+
+  // Publish the staged file under its final name according to collisionPolicy; returns the name
+  async _publish(up, staged, collisionPolicy) {
+    const ext = path.extname(up.filename);
+    const stem = path.basename(up.filename, ext);
+    const folder = this._destFolder(up);
+    if (collisionPolicy === 'overwrite') {
+      await renameAsync(staged, path.join(folder, up.filename));
+      return up.filename;
+    }
+    for (let n = 0; ; n++) {
+      const name = n === 0 ? up.filename : `${stem} (${n})${ext}`;
+      try {
+        // link() fails with EEXIST instead of clobbering, so concurrent completions can't race
+        await linkAsync(staged, path.join(folder, name));
+        await unlinkAsync(staged);
+        return name;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        if (collisionPolicy === 'fail') {
+          const err = new Error('destination_exists');
+          err.status = 409;
+          throw err;
+        }
+      }
+    }
+  }
+
+  /**
+   * Make the completed file visible at its destination. Updates up.filePath; returns { finalName }.
+   * Throws 409 destination_exists under the 'fail' collision policy, with the data file moved
+   * back to where it was so finalize can be retried once the name is free.
+   */
+  async finalize(up, { collisionPolicy = 'rename' } = {}) {
+    if (!this.destDir) return { finalName: path.basename(up.filePath) };
+    const original = up.filePath;
+    const staged = await this._stageInDestination(up);
+    let finalName;
+    try {
+      finalName = await this._publish(up, staged, collisionPolicy);
+    } catch (e) {
+      if (original !== staged) {
+        await moveFile(staged, original);
+        up.filePath = original;
+      }
+      throw e;
+    }
+    up.filePath = path.join(this._destFolder(up), finalName);
+    return { finalName };
+  }
+
+  /**
+   * Give up its own hardlink to the completed source upload's file (dedup), named and placed
+   * like a finalized upload. Updates up.filePath; returns { finalName }.
+   */
+  async link(source, up, { collisionPolicy = 'rename' } = {}) {
+    if (!this.destDir) {
+      up.filePath = this._filePath(up.id, up.filename);
+      await linkAsync(source.filePath, up.filePath);
+      return { finalName: path.basename(up.filePath) };
+    }
+    await mkdirAsync(this._destFolder(up), { recursive: true });
+    const staged = path.join(this._destFolder(up), `.${up.id}.partial`);
+    try {
+      await linkAsync(source.filePath, staged);
+    } catch (e) {
+      if (e.code !== 'EXDEV') throw e;
+      await copyFileAsync(source.filePath, staged);
+    }
+    try {
+      const finalName = await this._publish(up, staged, collisionPolicy);
+      up.filePath = path.join(this._destFolder(up), finalName);
+      return { finalName };
+    } catch (e) {
+      try { await unlinkAsync(staged); } catch (_) {}
+      throw e;
+    }
+  }
+
+  async remove(up) {
+    try { await unlinkAsync(up.filePath); } catch (e) {}
+  }
+
+  // bytes actually allocated on disk (the data file is sparse)
+  async allocatedBytes(up) {
+    try {
+      const st = await statAsync(up.filePath);
+      return st.blocks * 512;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  // { exists, size } of an upload's data file
+  async inspect(up) {
+    try {
+      const st = await statAsync(up.filePath);
+      return { exists: true, size: st.size };
+    } catch (e) {
+      if (e.code === 'ENOENT') return { exists: false, size: null };
+      throw e;
+    }
+  }
+
+  // data files in baseDir that belong to none of ups (all known uploads) -> [{ location, size }]
+  async findOrphans(ups) {
+    const known = new Set(ups.map((up) => path.resolve(up.filePath || '')));
+    const orphans = [];
+    for (const name of await readdirAsync(this.baseDir)) {
+      if (!DATA_FILE_RE.test(name)) continue;
+      const location = path.join(this.baseDir, name);
+      if (known.has(path.resolve(location))) continue;
+      const st = await statAsync(location).catch(() => null);
+      if (st && st.isFile()) orphans.push({ location, size: st.size });
+    }
+    return orphans;
+  }
+
+  async removeOrphan(orphan) {
+    try { await unlinkAsync(orphan.location); } catch (e) {}
+  }
+
+  // move a data file into dir for an operator to look at; resolves its new path
+  async quarantine(location, dir) {
+    await mkdirAsync(dir, { recursive: true });
+    const dest = path.join(dir, path.basename(location));
+    await renameAsync(location, dest);
+    return dest;
+  }
+
+  // give a data file of the wrong length its preallocated size back; bytes before the cut survive
+  async resize(up) {
+    await truncateAsync(up.filePath, up.totalSize);
+  }
+
+  // capacity/free/used of baseDir's filesystem, or null where statfs is unavailable
+  async stats() {
+    if (!fs.promises.statfs) return null;
+    const st = await fs.promises.statfs(this.baseDir);
+    return {
+      capacity: st.blocks * st.bsize,
+      free: st.bavail * st.bsize,
+      used: (st.blocks - st.bfree) * st.bsize
+    };
+  }
+}
+
+module.exports = LocalDiskStorage;
+module.exports.pipeCounted = pipeCounted;
@@ -0,0 +1,108 @@
+// In-memory storage adapter for tests and local experiments. Data lives in Buffers keyed by
+// upload id; completed files move to a name-keyed map. Nothing survives a restart.
+const { Readable, Writable } = require('stream');
+const path = require('path');
+const { pipeCounted } = require('./localDiskStorage');
+
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.capabilities = { partialWrites: true, readBeforeFinalize: true };
+    this.limits = { minChunkSize: 1, maxChunkSize: Infinity, maxChunks: Infinity };
+    this.buffers = new Map(); // location -> Buffer
+    this.files = new Map(); // "subdir/name" -> Buffer, completed files
+  }
+
+  async create(up) {
+    up.filePath = `memory:${up.id}`;
+    this.buffers.set(up.filePath, Buffer.alloc(up.totalSize));
+  }
+
+  _buffer(up) {
+    const buf = this.buffers.get(up.filePath);
+    if (!buf) {
+      const err = new Error('ENOENT: no such upload data');
+      err.code = 'ENOENT';
+      throw err;
+    }
+    return buf;
+  }
+
+  writeAt(up, offset, readable, options = {}) {
+    const buf = this._buffer(up);
+    let pos = offset;
+    const ws = new Writable({
+      write(chunk, _enc, cb) {
+        if (pos + chunk.length > buf.length) {
+          cb(new Error('write past end of upload'));
+          return;
+        }
+        chunk.copy(buf, pos);
+        pos += chunk.length;
+        cb();
+      }
+    });
+    return pipeCounted(readable, ws, options.maxLength);
+  }
+
+  readStream(up, { start = 0, end = Math.max(0, up.totalSize - 1) } = {}) {
+    return Readable.from([this._buffer(up).subarray(start, end + 1)]);
+  }
+
+  async finalize(up, { collisionPolicy = 'rename' } = {}) {
+    const buf = this._buffer(up);
+    const ext = path.extname(up.filename);
+    const stem = path.basename(up.filename, ext);
+    for (let n = 0; ; n++) {
+      const name = n === 0 ? up.filename : `${stem} (${n})${ext}`;
+      const key = path.posix.join(up.destSubdir || '', name);
+      if (this.files.has(key) && collisionPolicy !== 'overwrite') {
+        if (collisionPolicy === 'fail') {
+          const err = new Error('destination_exists');
+          err.status = 409;
+          throw err;
+        }
+        continue;
+      }
+      this.files.set(key, buf);
+      this.buffers.delete(up.filePath);
+      up.filePath = `memory:${key}`;
+      this.buffers.set(up.filePath, buf);
+      return { finalName: name };
+    }
+  }
+
+  async remove(up) {
+    this.buffers.delete(up.filePath);
+    if (up.completed) this.files.delete(up.filePath.slice('memory:'.length));
+  }
+
+  async inspect(up) {
+    const buf = this.buffers.get(up.filePath);
+    return buf ? { exists: true, size: buf.length } : { exists: false, size: null };
+  }
+
+  async findOrphans(ups) {
+    const known = new Set(ups.map((up) => up.filePath));
+    const orphans = [];
+    for (const [location, buf] of this.buffers) {
+      if (!known.has(location)) orphans.push({ location, size: buf.length });
+    }
+    return orphans;
+  }
+
+  async removeOrphan(orphan) {
+    this.buffers.delete(orphan.location);
+  }
+
+  async allocatedBytes(up) {
+    const buf = this.buffers.get(up.filePath);
+    return buf ? buf.length : 0;
+  }
+
+  async stats() {
+    return null;
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,317 @@
+// S3-compatible storage adapter (AWS S3, MinIO, Ceph RGW...). Each upload is one multipart
+// upload; chunk i is part i + 1, so chunks must be whole and chunkSize within S3's part limits.
+// The object only becomes visible when CompleteMultipartUpload runs on /complete.
+// Part ETags are listed from S3 at completion, so parts may be uploaded by any worker process.
+// Requests are signed with AWS Signature V4 using node's http/https (no SDK dependency).
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { pipeCounted } = require('./localDiskStorage');
+
+const MiB = 1024 * 1024;
+
+function encodeRfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function xmlValue(xml, tag) {
+  const m = String(xml).match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return m ? m[1] : null;
+}
+
+function xmlValues(xml, tag) {
+  return Array.from(String(xml).matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g')), (m) => m[1]);
+}
+
+function s3Error(op, res) {
+  const code = xmlValue(res.body, 'Code') || `HTTP ${res.statusCode}`;
+  const err = new Error(`s3 ${op} failed: ${code}`);
+  err.s3Code = code;
+  // throttling and server errors are worth a client retry
+  err.transient = res.statusCode >= 500 || code === 'SlowDown';
+  return err;
+}
+
+class S3Storage {
+  /**
+   * options: { endpoint, region, bucket, accessKeyId, secretAccessKey, prefix, forcePathStyle }
+   * forcePathStyle (default true) suits MinIO-style endpoints: http://host:9000/<bucket>/<key>
+   */
+  constructor(options = {}) {
+    if (!options.endpoint || !options.bucket) throw new Error('s3 storage needs endpoint and bucket');
+    this.endpoint = new URL(options.endpoint);
+    this.region = options.region || 'us-east-1';
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.prefix = options.prefix || '';
+    this.forcePathStyle = options.forcePathStyle !== false;
+    this.name = 's3';
+    // no sub-part writes (tus PATCH) and no reads until the multipart upload is completed
+    this.capabilities = { partialWrites: false, readBeforeFinalize: false };
+    this.limits = { minChunkSize: 5 * MiB, maxChunkSize: 5 * 1024 * MiB, maxChunks: 10000 };
+  }
+
+  _target(key, query = {}) {
+    const encKey = key.split('/').map(encodeRfc3986).join('/');
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const pathname = this.forcePathStyle ? `/${this.bucket}/${encKey}` : `/${encKey}`;
+    const qs = Object.keys(query).sort()
+      .map((k) => `${encodeRfc3986(k)}=${encodeRfc3986(String(query[k]))}`)
+      .join('&');
+    return { host, pathname, qs };
+  }
+
+  // adds host, x-amz-date, x-amz-content-sha256 and authorization to headers (lowercase keys)
+  _sign(method, { host, pathname, qs }, headers, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    headers.host = host;
+    headers['x-amz-date'] = amzDate;
+    headers['x-amz-content-sha256'] = payloadHash;
+    const names = Object.keys(headers).sort();
+    const canonicalHeaders = names.map((n) => `${n}:${String(headers[n]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [method, pathname, qs, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const kDate = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const kSigning = hmac(hmac(hmac(kDate, this.region), 's3'), 'aws4_request');
+    const signature = hmac(kSigning, stringToSign).toString('hex');
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  }
+
+  /**
+   * Start a signed request. Returns { req, response } where response resolves with
+   * { statusCode, headers, body } (body buffered) or, with options.stream, { statusCode, headers, stream }.
+   */
+  _open(method, key, { query, headers = {}, payload, stream = false } = {}) {
+    const target = this._target(key, query);
+    const payloadHash = payload === undefined ? 'UNSIGNED-PAYLOAD' : sha256Hex(payload);
+    if (payload !== undefined) headers['content-length'] = Buffer.byteLength(payload);
+    this._sign(method, target, headers, payloadHash);
+    const lib = this.endpoint.protocol === 'https:' ? https : http;
+    let req;
+    const response = new Promise((resolve, reject) => {
+      req = lib.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port || undefined,
+        method,
+        path: target.pathname + (target.qs ? `?${target.qs}` : ''),
+        headers
+      }, (res) => {
+        if (stream) {
+          resolve({ statusCode: res.statusCode, headers: res.headers, stream: res });
+          return;
+        }
+        const parts = [];
+        res.on('data', (d) => parts.push(d));
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(parts).toString('utf8') }));
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+    });
+    // callers that fail while streaming the body must not leave this rejection unhandled
+    response.catch(() => {});
+    return { req, response };
+  }
+
+  async _call(method, key, options = {}) {
+    const { req, response } = this._open(method, key, options);
+    req.end(options.payload);
+    return response;
+  }
+
+  _key(up, name) {
+    return this.prefix + path.posix.join(up.destSubdir || '', name);
+  }
+
+  async _exists(key) {
+    const res = await this._call('HEAD', key);
+    if (res.statusCode === 404) return false;
+    if (res.statusCode === 200) return true;
+    throw s3Error('HeadObject', res);
+  }
+
+  /**
+   * Pick the object key (collision policy is applied here, since a multipart upload's key is
+   * fixed when it starts) and start the multipart upload.
+   */
+  async create(up, { collisionPolicy = 'rename' } = {}) {
+    const ext = path.extname(up.filename);
+    const stem = path.basename(up.filename, ext);
+    let name = up.filename;
+    if (collisionPolicy !== 'overwrite') {
+      for (let n = 1; await this._exists(this._key(up, name)); n++) {
+        if (collisionPolicy === 'fail') {
+          const err = new Error('destination_exists');
+          err.status = 409;
+          throw err;
+        }
+        name = `${stem} (${n})${ext}`;
+      }
+    }
+    const key = this._key(up, name);
+    const res = await this._call('POST', key, { query: { uploads: '' } });
+    if (res.statusCode !== 200) throw s3Error('CreateMultipartUpload', res);
+    up.filePath = key;
+    up.storageState = { uploadId: xmlValue(res.body, 'UploadId'), finalName: name };
+  }
+
+  async writeAt(up, offset, readable, options = {}) {
+    const chunkIndex = Math.floor(offset / up.chunkSize);
+    const expected = Math.min(up.chunkSize, up.totalSize - chunkIndex * up.chunkSize);
+    if (offset % up.chunkSize !== 0 || options.length !== expected) {
+      const err = new Error('unaligned_write');
+      err.status = 400;
+      throw err;
+    }
+    const partNumber = chunkIndex + 1;
+    const { req, response } = this._open('PUT', up.filePath, {
+      query: { partNumber, uploadId: up.storageState.uploadId },
+      headers: { 'content-length': expected }
+    });
+    const result = await pipeCounted(readable, req, expected);
+    if (result.interrupted) {
+      req.destroy();
+      return result;
+    }
+    const res = await response;
+    if (res.statusCode !== 200) throw s3Error('UploadPart', res);
+    return result;
+  }
+
+  readStream(up, { start = 0, end = Math.max(0, up.totalSize - 1) } = {}) {
+    const out = new PassThrough();
+    // an empty object has no satisfiable range
+    if (up.totalSize === 0) {
+      out.end();
+      return out;
+    }
+    const { req, response } = this._open('GET', up.filePath, { headers: { range: `bytes=${start}-${end}` }, stream: true });
+    req.end();
+    response.then((res) => {
+      if (res.statusCode !== 200 && res.statusCode !== 206) {
+        res.stream.resume();
+        out.destroy(new Error(`s3 GetObject failed: HTTP ${res.statusCode}`));
+        return;
+      }
+      res.stream.on('error', (e) => out.destroy(e));
+      res.stream.pipe(out);
+    }, (e) => out.destroy(e));
+    return out;
+  }
+
+  // ListParts, following pagination. Returns [{ partNumber, etag }] in part order.
+  async _listParts(up) {
+    const parts = [];
+    let marker = 0;
+    for (;;) {
+      const query = { uploadId: up.storageState.uploadId };
+      if (marker) query['part-number-marker'] = marker;
+      const res = await this._call('GET', up.filePath, { query });
+      if (res.statusCode !== 200) throw s3Error('ListParts', res);
+      for (const part of xmlValues(res.body, 'Part')) {
+        parts.push({ partNumber: Number(xmlValue(part, 'PartNumber')), etag: xmlValue(part, 'ETag').replace(/&quot;/g, '"') });
+      }
+      if (xmlValue(res.body, 'IsTruncated') !== 'true') return parts;
+      marker = Number(xmlValue(res.body, 'NextPartNumberMarker'));
+    }
+  }
+
+  async finalize(up, { collisionPolicy = 'rename' } = {}) {
+    const state = up.storageState;
+    if (collisionPolicy === 'fail' && await this._exists(up.filePath)) {
+      const err = new Error('destination_exists');
+      err.status = 409;
+      throw err;
+    }
+    if (up.totalSize === 0) {
+      // S3 can't complete a multipart upload without parts
+      const put = await this._call('PUT', up.filePath, { payload: '' });
+      if (put.statusCode !== 200) throw s3Error('PutObject', put);
+      await this._call('DELETE', up.filePath, { query: { uploadId: state.uploadId } });
+      return { finalName: state.finalName };
+    }
+    const parts = (await this._listParts(up))
+      .map((p) => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`)
+      .join('');
+    const res = await this._call('POST', up.filePath, {
+      query: { uploadId: state.uploadId },
+      headers: { 'content-type': 'application/xml' },
+      payload: `<CompleteMultipartUpload>${parts}</CompleteMultipartUpload>`
+    });
+    // S3 may report a failed completion inside a 200 response
+    if (res.statusCode !== 200 || xmlValue(res.body, 'Code')) throw s3Error('CompleteMultipartUpload', res);
+    return { finalName: state.finalName };
+  }
+
+  async remove(up) {
+    const res = up.completed
+      ? await this._call('DELETE', up.filePath)
+      : await this._call('DELETE', up.filePath, { query: { uploadId: up.storageState.uploadId } });
+    if (res.statusCode >= 300 && res.statusCode !== 404) throw s3Error('Delete', res);
+  }
+
+  // completed: HeadObject; in progress: whether the multipart upload still exists (part sizes aren't checked)
+  async inspect(up) {
+    if (up.completed) {
+      const head = await this._call('HEAD', up.filePath);
+      if (head.statusCode === 404) return { exists: false, size: null };
+      if (head.statusCode !== 200) throw s3Error('HeadObject', head);
+      return { exists: true, size: Number(head.headers['content-length']) };
+    }
+    const res = await this._call('GET', up.filePath, { query: { uploadId: up.storageState.uploadId, 'max-parts': 1 } });
+    if (res.statusCode === 404) return { exists: false, size: null };
+    if (res.statusCode !== 200) throw s3Error('ListParts', res);
+    return { exists: true, size: null };
+  }
+
+  /**
+   * Multipart uploads under prefix that belong to none of ups -> [{ location, size, uploadId }].
+   * Anything else starting multipart uploads under the same prefix would show up here too.
+   */
+  async findOrphans(ups) {
+    const known = new Set(ups.map((up) => up.storageState && up.storageState.uploadId).filter(Boolean));
+    const orphans = [];
+    let markers = {};
+    for (;;) {
+      const res = await this._call('GET', '', { query: Object.assign({ uploads: '', prefix: this.prefix }, markers) });
+      if (res.statusCode !== 200) throw s3Error('ListMultipartUploads', res);
+      for (const entry of xmlValues(res.body, 'Upload')) {
+        const uploadId = xmlValue(entry, 'UploadId');
+        if (!known.has(uploadId)) orphans.push({ location: xmlValue(entry, 'Key'), size: null, uploadId });
+      }
+      if (xmlValue(res.body, 'IsTruncated') !== 'true') return orphans;
+      markers = { 'key-marker': xmlValue(res.body, 'NextKeyMarker'), 'upload-id-marker': xmlValue(res.body, 'NextUploadIdMarker') };
+    }
+  }
+
+  async removeOrphan(orphan) {
+    const res = await this._call('DELETE', orphan.location, { query: { uploadId: orphan.uploadId } });
+    if (res.statusCode >= 300 && res.statusCode !== 404) throw s3Error('AbortMultipartUpload', res);
+  }
+
+  async allocatedBytes(up) {
+    const parts = up.receivedBitset ? up.receivedBitset.toArray().length : 0;
+    return Math.min(up.totalSize, parts * up.chunkSize);
+  }
+
+  // bucket capacity is not observable through the S3 API
+  async stats() {
+    return null;
+  }
+}
+
+module.exports = S3Storage;
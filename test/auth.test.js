@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Authenticator, signToken, verifyToken, verifyJwt, checkPolicy, normalizeSubdir } = require('../auth');
+
+const b64url = (v) => Buffer.from(typeof v === 'string' ? v : JSON.stringify(v)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+function hsJwt(claims, secret, alg = 'HS256') {
+  const input = `${b64url({ alg, typ: 'JWT' })}.${b64url(claims)}`;
+  const hash = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }[alg];
+  return `${input}.${crypto.createHmac(hash, secret).update(input).digest('base64url')}`;
+}
+
+function signedJwt(claims, privateKey, alg, opts = {}) {
+  const input = `${b64url({ alg, typ: 'JWT' })}.${b64url(claims)}`;
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), Object.assign({ key: privateKey }, opts)).toString('base64url')}`;
+}
+
+function req(headers = {}) {
+  return { headers };
+}
+
+test('verifyToken accepts what signToken signed', () => {
+  const token = signToken({ sub: 'ci', exp: now() + 60 }, 's3cret');
+  assert.equal(verifyToken(token, 's3cret').sub, 'ci');
+});
+
+test('verifyToken rejects forged, expired and malformed tokens', () => {
+  const token = signToken({ sub: 'ci' }, 's3cret');
+  const [body, sig] = token.split('.');
+  assert.equal(verifyToken(token, 'other'), null);
+  assert.equal(verifyToken(`${b64url({ sub: 'root' })}.${sig}`, 's3cret'), null);
+  assert.equal(verifyToken(`${body}.${sig.slice(0, -2)}`, 's3cret'), null);
+  assert.equal(verifyToken(signToken({ sub: 'ci', exp: now() - 1 }, 's3cret'), 's3cret'), null);
+  assert.equal(verifyToken(signToken({ sub: 'ci', nbf: now() + 60 }, 's3cret'), 's3cret'), null);
+  assert.equal(verifyToken('no-dot', 's3cret'), null);
+  assert.equal(verifyToken(`${token}.extra`, 's3cret'), null);
+});
+
+test('verifyJwt checks HS* signatures, expiry, issuer and audience', () => {
+  const claims = { sub: 'alice', iss: 'idp', aud: ['uploads', 'other'], exp: now() + 60 };
+  for (const alg of ['HS256', 'HS384', 'HS512']) assert.equal(verifyJwt(hsJwt(claims, 'k', alg), 'k').sub, 'alice');
+  assert.equal(verifyJwt(hsJwt(claims, 'k'), 'wrong'), null);
+  assert.equal(verifyJwt(hsJwt(claims, 'k'), 'k', { issuer: 'idp', audience: 'uploads' }).sub, 'alice');
+  assert.equal(verifyJwt(hsJwt(claims, 'k'), 'k', { issuer: 'elsewhere' }), null);
+  assert.equal(verifyJwt(hsJwt(claims, 'k'), 'k', { audience: 'admin' }), null);
+  assert.equal(verifyJwt(hsJwt(Object.assign({}, claims, { exp: now() - 1 }), 'k'), 'k'), null);
+});
+
+test('verifyJwt refuses alg none and an HMAC signed with a public key', () => {
+  const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pem = publicKey.export({ type: 'spki', format: 'pem' });
+  const none = `${b64url({ alg: 'none' })}.${b64url({ sub: 'x' })}.`;
+  assert.equal(verifyJwt(none, 'k'), null);
+  assert.equal(verifyJwt(hsJwt({ sub: 'x' }, pem), pem), null);
+  assert.equal(verifyJwt('a.b', 'k'), null);
+});
+
+test('verifyJwt verifies RS256, PS256 and ES256 with a PEM public key', () => {
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const rsaPem = rsa.publicKey.export({ type: 'spki', format: 'pem' });
+  assert.equal(verifyJwt(signedJwt({ sub: 'rs' }, rsa.privateKey, 'RS256'), rsaPem).sub, 'rs');
+  const ps = signedJwt({ sub: 'ps' }, rsa.privateKey, 'PS256', {
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+  });
+  assert.equal(verifyJwt(ps, rsaPem).sub, 'ps');
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const es = signedJwt({ sub: 'es' }, ec.privateKey, 'ES256', { dsaEncoding: 'ieee-p1363' });
+  assert.equal(verifyJwt(es, ec.publicKey.export({ type: 'spki', format: 'pem' })).sub, 'es');
+  // a valid signature under another key
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  assert.equal(verifyJwt(signedJwt({ sub: 'rs' }, other.privateKey, 'RS256'), rsaPem), null);
+});
+
+test('Authenticator identifies callers by API key, HMAC token or JWT', () => {
+  const auth = new Authenticator({
+    apiKeys: [{ name: 'ci', key: 'ukey' }],
+    hmacSecret: 'hs',
+    jwtKey: 'jk',
+    uploadTokenSecret: 'ut'
+  });
+  assert.deepEqual(auth.authenticate(req({ 'x-api-key': 'ukey' })), { sub: 'ci', method: 'api_key', admin: false });
+  assert.equal(auth.authenticate(req({ authorization: 'Bearer ukey' })).sub, 'ci');
+  assert.equal(auth.authenticate(req({ authorization: `Bearer ${signToken({ sub: 'h' }, 'hs')}` })).method, 'hmac');
+  assert.equal(auth.authenticate(req({ authorization: `Bearer ${hsJwt({ sub: 'j' }, 'jk')}` })).method, 'jwt');
+  assert.equal(auth.authenticate(req({ 'x-api-key': 'nope' })), null);
+  // an upload token is not a principal
+  assert.equal(auth.authenticate(req({ authorization: `Bearer ${auth.issueUploadToken('id-1', 'ci')}` })), null);
+});
+
+test('Authenticator tells uploaders from admins', () => {
+  const auth = new Authenticator({
+    apiKeys: [{ name: 'u', key: 'ukey' }],
+    adminKeys: [{ name: 'ops', key: 'akey' }],
+    hmacSecret: 'hs',
+    uploadTokenSecret: 'ut'
+  });
+  assert.equal(auth.authenticate(req({ 'x-api-key': 'ukey' })).admin, false);
+  assert.deepEqual(auth.authenticate(req({ authorization: 'Bearer akey' })), { sub: 'ops', method: 'api_key', admin: true });
+  assert.equal(auth.authenticate(req({ authorization: `Bearer ${signToken({ sub: 'r', role: 'admin' }, 'hs')}` })).admin, true);
+  assert.equal(auth.authenticate(req({ authorization: `Bearer ${signToken({ sub: 'r', roles: ['admin'] }, 'hs')}` })).admin, true);
+  assert.equal(auth.authenticate(req({ authorization: `Bearer ${signToken({ sub: 'r' }, 'hs')}` })).admin, false);
+});
+
+test('download tokens only open the upload they were issued for', () => {
+  const auth = new Authenticator({ apiKeys: [{ name: 'ci', key: 'ukey' }], uploadTokenSecret: 'ut' });
+  const sig = auth.issueDownloadToken('id-1', 60000);
+  assert.equal(auth.verifyDownloadToken(sig, 'id-1'), true);
+  assert.equal(auth.verifyDownloadToken(sig, 'id-2'), false);
+  assert.equal(auth.verifyDownloadToken(auth.issueDownloadToken('id-1', -60000), 'id-1'), false);
+  // neither kind of token stands in for the other
+  assert.equal(auth.verifyDownloadToken(auth.issueUploadToken('id-1', 'ci'), 'id-1'), false);
+  assert.equal(auth.authorizeUpload(req({ authorization: `Bearer ${sig}` }), 'id-1').ok, false);
+});
+
+test('Authenticator is off without methods and needs an upload token secret with them', () => {
+  const open = new Authenticator();
+  assert.equal(open.enabled, false);
+  assert.deepEqual(open.authorizeUpload(req({}), 'id-1'), { ok: true });
+  assert.throws(() => new Authenticator({ apiKeys: [{ name: 'u', key: 'k' }] }), /uploadTokenSecret/);
+});
+
+test('Authenticator scopes upload tokens to one upload', () => {
+  const auth = new Authenticator({ apiKeys: [{ name: 'u', key: 'ukey' }], uploadTokenSecret: 'ut' });
+  const token = auth.issueUploadToken('id-1', 'u');
+  assert.deepEqual(auth.authorizeUpload(req({ 'x-upload-token': token }), 'id-1'), { ok: true });
+  assert.deepEqual(auth.authorizeUpload(req({ authorization: `Bearer ${token}` }), 'id-1'), { ok: true });
+  assert.equal(auth.authorizeUpload(req({ 'x-upload-token': token }), 'id-2').status, 403);
+  assert.equal(auth.authorizeUpload(req({}), 'id-1').status, 401);
+  assert.deepEqual(auth.authorizeUpload(req({ 'x-api-key': 'ukey' }), 'id-2', { owner: 'u' }), { ok: true });
+  assert.equal(auth.authorizeUpload(req({ 'x-api-key': 'ukey' }), 'id-2', { owner: 'other' }).status, 401);
+});
+
+test('checkPolicy and normalizeSubdir', () => {
+  const policy = { filenamePattern: '*.csv', maxSize: 100, minChunkSize: 10, maxChunkSize: 50 };
+  assert.equal(checkPolicy(policy, { filename: 'a.csv', totalSize: 100, chunkSize: 10 }), null);
+  assert.match(checkPolicy(policy, { filename: 'a.exe', totalSize: 1, chunkSize: 10 }), /filename/);
+  assert.match(checkPolicy(policy, { filename: 'a.csv', totalSize: 101, chunkSize: 10 }), /totalSize/);
+  assert.match(checkPolicy(policy, { filename: 'a.csv', totalSize: 1, chunkSize: 51 }), /chunkSize/);
+  assert.equal(normalizeSubdir('a/./b/'), 'a/b');
+  assert.equal(normalizeSubdir('../up'), null);
+  assert.equal(normalizeSubdir('/abs'), null);
+  assert.equal(normalizeSubdir(''), '');
+});
+
+test('Authenticator signs presign policies and refuses a presign secret without a way to authenticate', () => {
+  assert.throws(() => new Authenticator({ presignSecret: 'p', uploadTokenSecret: 'ut' }), /presignSecret/);
+  const auth = new Authenticator({ presignSecret: 'p', apiKeys: [{ name: 'u', key: 'k' }], uploadTokenSecret: 'ut' });
+  const sig = auth.issuePresignedPolicy({ sub: 'u', maxSize: 10 }, 60000);
+  assert.equal(auth.verifyPresignedPolicy(sig).maxSize, 10);
+  assert.equal(auth.verifyPresignedPolicy(sig + 'x'), null);
+  // an upload token is not a policy
+  assert.equal(auth.verifyPresignedPolicy(auth.issueUploadToken('id-1', 'u')), null);
+});
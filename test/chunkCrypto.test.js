@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const cc = require('../chunkCrypto');
+
+const CHUNK = 1000;
+const key = crypto.randomBytes(32);
+
+// descriptor, keys and ciphertext of plain, encrypted the way the clients do it
+async function encrypt(plain, chunkSize = CHUNK) {
+  const { kdf, master } = await cc.newMasterKey({ key });
+  const desc = { scheme: cc.SCHEME, plainSize: plain.length, chunkSize, salt: crypto.randomBytes(16).toString('base64'), kdf };
+  const keys = await cc.fileKeys(master, desc.salt);
+  const parts = [];
+  for (let i = 0; i * chunkSize < plain.length; i++) {
+    parts.push(cc.encryptChunk(keys, i, plain.length, plain.subarray(i * chunkSize, (i + 1) * chunkSize)));
+  }
+  return { desc, keys, cipher: Buffer.concat(parts) };
+}
+
+// decrypt through createDecryptStream, feeding the ciphertext in pieces of step bytes
+async function decryptStream(desc, keys, cipher, step = 333) {
+  const pieces = [];
+  for (let i = 0; i < cipher.length; i += step) pieces.push(cipher.subarray(i, i + step));
+  const out = [];
+  await pipeline(Readable.from(pieces), cc.createDecryptStream(desc, keys), async function* (source) {
+    for await (const data of source) out.push(data);
+  });
+  return Buffer.concat(out);
+}
+
+test('chunks round-trip and the layout matches cipherSize', async () => {
+  const plain = crypto.randomBytes(2500);
+  const { desc, keys, cipher } = await encrypt(plain);
+  assert.equal(cipher.length, cc.cipherSize(plain.length, CHUNK));
+  assert.ok(cc.parseDescriptor(desc, cipher.length, CHUNK + cc.CHUNK_OVERHEAD));
+  const first = cipher.subarray(0, CHUNK + cc.CHUNK_OVERHEAD);
+  assert.deepEqual(cc.decryptChunk(keys, 0, plain.length, first), plain.subarray(0, CHUNK));
+  // the nonce comes from the content, so a resent chunk is byte-identical
+  assert.deepEqual(cc.encryptChunk(keys, 0, plain.length, plain.subarray(0, CHUNK)), first);
+});
+
+test('decryptChunk refuses a wrong key, a moved chunk, altered and truncated data', async () => {
+  const plain = crypto.randomBytes(2000);
+  const { keys, cipher } = await encrypt(plain);
+  const chunk = cipher.subarray(0, CHUNK + cc.CHUNK_OVERHEAD);
+  const other = await cc.fileKeys(crypto.randomBytes(32), crypto.randomBytes(16).toString('base64'));
+  const flipped = Buffer.from(chunk);
+  flipped[20] ^= 1;
+  const attempts = [
+    () => cc.decryptChunk(other, 0, plain.length, chunk),
+    () => cc.decryptChunk(keys, 1, plain.length, chunk),
+    () => cc.decryptChunk(keys, 0, plain.length - 1, chunk),
+    () => cc.decryptChunk(keys, 0, plain.length, flipped),
+    () => cc.decryptChunk(keys, 0, plain.length, chunk.subarray(0, 20))
+  ];
+  for (const attempt of attempts) assert.throws(attempt, { code: 'decrypt_failed' });
+});
+
+test('masterKey checks the key against the descriptor', async () => {
+  const { kdf } = await cc.newMasterKey({ key });
+  assert.deepEqual(await cc.masterKey(kdf, { key }), key);
+  await assert.rejects(cc.masterKey(kdf, { key: crypto.randomBytes(32) }), { code: 'wrong_key' });
+  await assert.rejects(cc.masterKey(kdf, { passphrase: 'pw' }), { code: 'wrong_key' });
+});
+
+test('createDecryptStream yields the plaintext however the data is split', async () => {
+  for (const size of [1, CHUNK, CHUNK + 1, 3 * CHUNK - 7]) {
+    const plain = crypto.randomBytes(size);
+    const { desc, keys, cipher } = await encrypt(plain);
+    for (const step of [1, 333, cipher.length]) {
+      assert.deepEqual(await decryptStream(desc, keys, cipher, step), plain, `size ${size}, step ${step}`);
+    }
+  }
+});
+
+test('createDecryptStream fails on truncated data', async () => {
+  const plain = crypto.randomBytes(2500);
+  const { desc, keys, cipher } = await encrypt(plain);
+  // a whole chunk missing, and a cut inside the last chunk
+  await assert.rejects(decryptStream(desc, keys, cipher.subarray(0, 2 * (CHUNK + cc.CHUNK_OVERHEAD))), { code: 'decrypt_failed' });
+  await assert.rejects(decryptStream(desc, keys, cipher.subarray(0, cipher.length - 1)), { code: 'decrypt_failed' });
+  await assert.rejects(decryptStream(desc, keys, Buffer.alloc(0)), { code: 'decrypt_failed' });
+});
+
+test('createDecryptStream fails on extra data', async () => {
+  const plain = crypto.randomBytes(2500);
+  const { desc, keys, cipher } = await encrypt(plain);
+  await assert.rejects(decryptStream(desc, keys, Buffer.concat([cipher, Buffer.from([0])])), { code: 'decrypt_failed' });
+  await assert.rejects(decryptStream(desc, keys, Buffer.concat([cipher, cipher]), cipher.length), { code: 'decrypt_failed' });
+});
+
+test('parseDescriptor keeps only known fields and checks the sizes', async () => {
+  const { desc } = await encrypt(crypto.randomBytes(10));
+  const total = cc.cipherSize(10, CHUNK);
+  assert.deepEqual(cc.parseDescriptor(Object.assign({ extra: 1 }, desc), total, CHUNK + cc.CHUNK_OVERHEAD), desc);
+  assert.equal(cc.parseDescriptor(desc, total + 1, CHUNK + cc.CHUNK_OVERHEAD), null);
+  assert.equal(cc.parseDescriptor(desc, total, CHUNK), null);
+  const weak = Object.assign({}, desc, { kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000, salt: desc.salt, keyCheck: desc.kdf.keyCheck } });
+  assert.equal(cc.parseDescriptor(weak, total, CHUNK + cc.CHUNK_OVERHEAD), null);
+});
+
+test('readKeyFile accepts raw, hex and base64 keys', () => {
+  assert.deepEqual(cc.readKeyFile(key), key);
+  assert.deepEqual(cc.readKeyFile(Buffer.from(`${key.toString('hex')}\n`)), key);
+  assert.deepEqual(cc.readKeyFile(Buffer.from(key.toString('base64'))), key);
+  assert.throws(() => cc.readKeyFile(Buffer.from('short')), { code: 'invalid_key' });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const UploadManager = require('../uploadManager');
+const { createDownloadHandler, parseRange, contentDisposition } = require('../downloads');
+
+test('parseRange reads single, open-ended and suffix ranges', () => {
+  assert.deepEqual(parseRange('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+  assert.deepEqual(parseRange('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+  assert.deepEqual(parseRange('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+  assert.deepEqual(parseRange('BYTES= 10 - 19 ', 1000), [{ start: 10, end: 19 }]);
+});
+
+test('parseRange clamps to the file size', () => {
+  assert.deepEqual(parseRange('bytes=990-2000', 1000), [{ start: 990, end: 999 }]);
+  assert.deepEqual(parseRange('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+});
+
+test('parseRange sorts and merges overlapping and adjacent ranges', () => {
+  assert.deepEqual(parseRange('bytes=500-599,0-99,100-199,550-700', 1000), [
+    { start: 0, end: 199 },
+    { start: 500, end: 700 }
+  ]);
+  assert.deepEqual(parseRange('bytes=0-0,-1', 1000), [{ start: 0, end: 0 }, { start: 999, end: 999 }]);
+});
+
+test('parseRange reports ranges past the end as unsatisfiable', () => {
+  assert.equal(parseRange('bytes=1000-', 1000), 'unsatisfiable');
+  assert.equal(parseRange('bytes=-0', 1000), 'unsatisfiable');
+  assert.equal(parseRange('bytes=0-', 0), 'unsatisfiable');
+  // satisfiable parts are still served
+  assert.deepEqual(parseRange('bytes=2000-3000,0-9', 1000), [{ start: 0, end: 9 }]);
+});
+
+test('parseRange returns null for headers it cannot parse', () => {
+  for (const header of ['items=0-1', 'bytes=', 'bytes=-', 'bytes=a-b', 'bytes=5-1', 'bytes=0-1;2-3', 'bytes=0-1,,2-3']) {
+    assert.equal(parseRange(header, 1000), null, header);
+  }
+});
+
+test('parseRange refuses too many separate ranges', () => {
+  const spec = (n) => Array.from({ length: n }, (_, i) => `${i * 10}-${i * 10}`).join(',');
+  assert.equal(parseRange(`bytes=${spec(50)}`, 10000).length, 50);
+  assert.equal(parseRange(`bytes=${spec(51)}`, 10000), null);
+  // many ranges merging into few are fine
+  const adjacent = Array.from({ length: 200 }, (_, i) => `${i}-${i}`).join(',');
+  assert.deepEqual(parseRange(`bytes=${adjacent}`, 10000), [{ start: 0, end: 199 }]);
+});
+
+test('contentDisposition keeps an ASCII fallback and the UTF-8 name', () => {
+  assert.equal(contentDisposition('report.pdf'), `attachment; filename="report.pdf"; filename*=UTF-8''report.pdf`);
+  assert.equal(contentDisposition('a "b" ü.txt', 'inline'), `inline; filename="a _b_ _.txt"; filename*=UTF-8''a%20%22b%22%20%C3%BC.txt`);
+});
+
+// a download handler over a temp manager, listening on a random port; resolves { manager, get }
+async function downloadServer(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-'));
+  const manager = new UploadManager(dir, Object.assign({ destDir: path.join(dir, 'dest') }, options));
+  const handle = createDownloadHandler(manager);
+  const server = http.createServer((req, res) => handle(req, res, new URL(req.url, 'http://localhost')));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await manager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const get = (urlPath, headers) => fetch(`http://127.0.0.1:${server.address().port}${urlPath}`, { headers });
+  return { manager, get };
+}
+
+async function completedUpload(manager, filename, data, metadata) {
+  const id = await manager.createUpload({ filename, totalSize: data.length, chunkSize: data.length, metadata });
+  await manager.writeChunkAt(id, 0, Readable.from([data]), data.length);
+  await manager.markCompleted(id);
+  return id;
+}
+
+test('downloads serve ranges of a completed upload', async (t) => {
+  const { manager, get } = await downloadServer(t);
+  const data = Buffer.from('0123456789');
+  const id = await completedUpload(manager, 'digits.txt', data);
+  const whole = await get(`/files/${id}`);
+  assert.equal(whole.status, 200);
+  assert.equal(whole.headers.get('content-type'), 'text/plain; charset=utf-8');
+  assert.equal(await whole.text(), '0123456789');
+
+  const part = await get(`/files/${id}`, { range: 'bytes=2-4' });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get('content-range'), 'bytes 2-4/10');
+  assert.equal(await part.text(), '234');
+  assert.equal((await get(`/files/${id}`, { range: 'bytes=20-' })).status, 416);
+});
+
+test('downloads send active content as an octet-stream attachment with nosniff', async (t) => {
+  const { manager, get } = await downloadServer(t);
+  const id = await completedUpload(manager, 'page.html', Buffer.from('<script>alert(1)</script>'), { filetype: 'text/html' });
+  const res = await get(`/files/${id}?disposition=inline`);
+  assert.equal(res.headers.get('content-type'), 'application/octet-stream');
+  assert.match(res.headers.get('content-disposition'), /^attachment;/);
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+
+  const text = await completedUpload(manager, 'notes.txt', Buffer.from('hi'));
+  assert.match((await get(`/files/${text}?disposition=inline`)).headers.get('content-disposition'), /^inline;/);
+});
+
+test('downloads refuse incomplete, replaced and vanished uploads', async (t) => {
+  const { manager, get } = await downloadServer(t, { collisionPolicy: 'overwrite' });
+  const open = await manager.createUpload({ filename: 'a.txt', totalSize: 1, chunkSize: 1 });
+  const first = await completedUpload(manager, 'a.txt', Buffer.from('first'));
+  const second = await completedUpload(manager, 'a.txt', Buffer.from('second'));
+  const gone = await completedUpload(manager, 'b.txt', Buffer.from('gone'));
+  fs.unlinkSync((await manager.getUpload(gone)).filePath);
+
+  const cases = [[open, 409, 'upload_not_completed'], [first, 410, 'data_replaced'], [gone, 410, 'data_missing']];
+  for (const [id, status, error] of cases) {
+    const res = await get(`/files/${id}`);
+    assert.equal(res.status, status);
+    assert.deepEqual(await res.json(), { error });
+  }
+  assert.equal(await (await get(`/files/${second}`)).text(), 'second');
+});
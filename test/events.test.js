@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { EventLog, openEventStream, parseEventId } = require('../events');
+
+test('since() replays the events after a Last-Event-ID', () => {
+  const log = new EventLog();
+  for (const n of [1, 2, 3]) log.publish('upload.progress', 'id-1', null, { n });
+  const [first, second] = log.buffer.map((e) => e.id);
+  assert.deepEqual(parseEventId(second), { epoch: log.epoch, seq: 2 });
+  assert.deepEqual(log.since(first).events.map((e) => e.data.n), [2, 3]);
+  assert.deepEqual(log.since(log.position()), { events: [], gap: false });
+  assert.deepEqual(log.since(null), { events: [], gap: false });
+});
+
+test('since() reports a gap for ids it can no longer resume from', () => {
+  const log = new EventLog({ capacity: 2 });
+  for (const n of [1, 2, 3, 4]) log.publish('upload.progress', 'id-1', null, { n });
+  // the buffer keeps 3 and 4: resuming after 2 misses nothing, after 1 misses event 2
+  assert.deepEqual(log.since(`${log.epoch}-2`), { events: log.buffer, gap: false });
+  for (const id of [`${log.epoch}-1`, 'zzz-3', 'garbage']) {
+    assert.deepEqual(log.since(id), { events: log.buffer, gap: true }, id);
+  }
+});
+
+test('openEventStream writes ids only for replayable events', () => {
+  const res = new PassThrough();
+  res.writeHead = () => {};
+  let out = '';
+  res.on('data', (b) => { out += b; });
+  const stream = openEventStream({}, res, { retryMs: 500 });
+  stream.send({ id: 'a-1', type: 'upload.created', uploadId: 'id-1', owner: null, time: 5, data: { totalSize: 3 } });
+  stream.send({ type: 'stream.gap', uploadId: null, owner: null, time: 6, data: {} });
+  stream.close();
+  assert.equal(out, [
+    'retry: 500\n',
+    'id: a-1\nevent: upload.created\ndata: {"uploadId":"id-1","owner":null,"time":5,"totalSize":3}\n',
+    'event: stream.gap\ndata: {"uploadId":null,"owner":null,"time":6}\n',
+    ''
+  ].join('\n'));
+});
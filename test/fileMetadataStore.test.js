@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileMetadataStore = require('../metadata/fileMetadataStore');
+
+const { waitForLock } = FileMetadataStore;
+
+const ID = '0b7c7a62-5f0e-4d8a-9c3e-2f1a6b4d8e90';
+
+function tempStore(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new FileMetadataStore(dir, Object.assign({ compactIntervalMs: 0, fsync: false }, options));
+}
+
+const journalLines = (store) => fs.readFileSync(path.join(store.dir, `${ID}.journal`), 'utf8').split('\n').filter(Boolean);
+
+test('records are put, updated, listed and deleted', async (t) => {
+  const store = tempStore(t);
+  await store.put({ id: ID, n: 0 });
+  await store.put({ id: 'open-uploads', uploads: {} });
+  fs.writeFileSync(path.join(store.dir, 'notes.json'), '{}');
+  assert.deepEqual((await store.update(ID, (r) => { r.n++; })).n, 1);
+  assert.deepEqual(await store.get(ID), { id: ID, n: 1 });
+  assert.deepEqual((await store.list()).sort(), [ID, 'open-uploads'].sort());
+  await store.delete(ID);
+  assert.equal(await store.get(ID), null);
+  assert.equal(await store.update(ID, () => {}), null);
+});
+
+test('a lock has one holder until it is released or expires', async (t) => {
+  const store = tempStore(t);
+  const token = await store.acquireLock(ID, 'seq', 60000);
+  assert.ok(token);
+  assert.equal(await store.acquireLock(ID, 'seq', 60000), null);
+  assert.ok(await store.acquireLock(ID, '0', 60000));
+  assert.equal(await store.isLocked(ID), true);
+  await store.releaseLock(ID, 'seq', 'not-the-token');
+  assert.equal(await store.acquireLock(ID, 'seq', 60000), null);
+  await store.releaseLock(ID, 'seq', token);
+  assert.ok(await store.acquireLock(ID, 'seq', 60000));
+
+  const stale = await store.acquireLock(ID, 'complete', 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const taken = await store.acquireLock(ID, 'complete', 60000);
+  assert.ok(taken);
+  assert.equal(await store.renewLock(ID, 'complete', stale, 60000), false);
+  assert.equal(await store.renewLock(ID, 'complete', taken, 60000), true);
+  assert.deepEqual(fs.readdirSync(store.lockDir).filter((n) => n.endsWith('.tmp')), []);
+});
+
+test('waitForLock gives up with a transient 503', async (t) => {
+  const store = tempStore(t);
+  await store.acquireLock(ID, 'admission', 60000);
+  await assert.rejects(waitForLock(store, ID, 'admission', 60000, 50), { status: 503, transient: true, message: 'lock_timeout' });
+});
+
+test('updates are journaled and replayed on read', async (t) => {
+  const store = tempStore(t);
+  await store.put({ id: ID, receivedChunks: [], status: 'uploading' });
+  await store.update(ID, (r) => { r.receivedChunks.push(0); });
+  await store.update(ID, (r) => { r.receivedChunks.push(1); });
+  assert.equal(journalLines(store).length, 2);
+  assert.deepEqual(await store.get(ID), { id: ID, receivedChunks: [0, 1], status: 'uploading' });
+  assert.equal(await store.update('0b7c7a62-5f0e-4d8a-9c3e-000000000000', () => {}), null);
+});
+
+test('a full journal is folded into the snapshot', async (t) => {
+  const store = tempStore(t, { compactAfter: 3 });
+  await store.put({ id: ID, receivedChunks: [] });
+  for (let i = 0; i < 3; i++) await store.update(ID, (r) => { r.receivedChunks.push(i); });
+  assert.equal(fs.existsSync(path.join(store.dir, `${ID}.journal`)), false);
+  assert.deepEqual((await store.get(ID)).receivedChunks, [0, 1, 2]);
+});
+
+test('entries already in the snapshot are skipped when the journal outlives it', async (t) => {
+  const store = tempStore(t);
+  await store.put({ id: ID, n: 0 });
+  await store.update(ID, (r) => { r.n = 1; });
+  const journal = fs.readFileSync(path.join(store.dir, `${ID}.journal`));
+  await store.compactAll();
+  // a crash between the snapshot rename and the journal unlink
+  fs.writeFileSync(path.join(store.dir, `${ID}.journal`), journal);
+  await store.update(ID, (r) => { r.n = 2; });
+  assert.equal((await store.get(ID)).n, 2);
+});
+
+test('a torn journal tail is ignored on read and folded away on the next update', async (t) => {
+  const store = tempStore(t);
+  await store.put({ id: ID, receivedChunks: [] });
+  await store.update(ID, (r) => { r.receivedChunks.push(0); });
+  fs.appendFileSync(path.join(store.dir, `${ID}.journal`), '{"seq":2,"add":{"receivedChu');
+  assert.deepEqual((await store.get(ID)).receivedChunks, [0]);
+
+  await store.update(ID, (r) => { r.receivedChunks.push(1); });
+  assert.deepEqual((await store.get(ID)).receivedChunks, [0, 1]);
+  const lines = journalLines(store);
+  assert.equal(lines.length, 1);
+  assert.doesNotThrow(() => JSON.parse(lines[0]));
+});
+
+test('recover removes journals without a snapshot', async (t) => {
+  const store = tempStore(t);
+  fs.writeFileSync(path.join(store.dir, `${ID}.journal`), '{"seq":1,"set":{"n":1}}\n');
+  const result = await store.recover();
+  assert.equal(result.orphans, 1);
+  assert.equal(await store.get(ID), null);
+});
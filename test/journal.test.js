@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRecords, applyEntry } = require('../metadata/journal');
+
+const copy = (v) => JSON.parse(JSON.stringify(v));
+
+test('diffRecords returns null when nothing changed', () => {
+  const rec = { id: 'a', receivedChunks: [0, 1], chunkDigests: { 0: 'x' } };
+  assert.equal(diffRecords(rec, copy(rec)), null);
+});
+
+test('diffRecords encodes chunk sets as add/remove and objects as merges', () => {
+  const before = { status: 'uploading', receivedChunks: [0, 1, 2], chunkDigests: { 0: 'a', 1: 'b' }, old: 1 };
+  const after = { status: 'completed', receivedChunks: [0, 2, 3], chunkDigests: { 0: 'a', 1: 'c', 3: 'd' }, added: true };
+  assert.deepEqual(diffRecords(before, after), {
+    set: { status: 'completed', old: null, added: true },
+    add: { receivedChunks: [3] },
+    remove: { receivedChunks: [1] },
+    merge: { chunkDigests: { 1: 'c', 3: 'd' } }
+  });
+});
+
+test('an object losing keys is replaced as a whole', () => {
+  const entry = diffRecords({ chunkDigests: { 0: 'a', 1: 'b' } }, { chunkDigests: { 0: 'a' } });
+  assert.deepEqual(entry, { set: { chunkDigests: { 0: 'a' } } });
+});
+
+test('applyEntry turns before into after', () => {
+  const before = { status: 'uploading', receivedChunks: [0, 1, 2], chunkDigests: { 0: 'a', 1: 'b' }, tags: ['x'] };
+  const after = { status: 'completed', receivedChunks: [0, 2, 5, 3], chunkDigests: { 0: 'a', 1: 'c' }, tags: ['y'] };
+  const entry = diffRecords(before, after);
+  const replayed = applyEntry(copy(before), entry);
+  assert.deepEqual(replayed, Object.assign({}, after, { receivedChunks: [0, 2, 3, 5] }));
+});
+
+test('replaying an entry twice gives the same record', () => {
+  const before = { receivedChunks: [0], chunkDigests: {}, bytes: 1 };
+  const after = { receivedChunks: [0, 1], chunkDigests: { 1: 'h' }, bytes: 2 };
+  const entry = diffRecords(before, after);
+  const once = applyEntry(copy(before), entry);
+  assert.deepEqual(applyEntry(copy(once), entry), once);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry, mergeSnapshots, formatSnapshot } = require('../metrics');
+
+test('formatSnapshot renders counters with labels and cumulative histogram buckets', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('chunks_total', 'Chunks', ['api']).inc(2, { api: 'tus' });
+  const h = registry.histogram('write_seconds', 'Write time', [0.1, 1]);
+  h.observe(0.05);
+  h.observe(0.5);
+  assert.equal(formatSnapshot(registry.snapshot()), [
+    '# HELP chunks_total Chunks',
+    '# TYPE chunks_total counter',
+    'chunks_total{api="tus"} 2',
+    '# HELP write_seconds Write time',
+    '# TYPE write_seconds histogram',
+    'write_seconds_bucket{le="0.1"} 1',
+    'write_seconds_bucket{le="1"} 2',
+    'write_seconds_bucket{le="+Inf"} 2',
+    'write_seconds_sum 0.55',
+    'write_seconds_count 2',
+    ''
+  ].join('\n'));
+});
+
+test('mergeSnapshots adds up every process\'s samples', () => {
+  const snapshots = [1, 2].map((n) => {
+    const registry = new MetricsRegistry();
+    registry.counter('bytes_total', 'Bytes').inc(n * 10);
+    registry.histogram('write_seconds', 'Write time', [1]).observe(n);
+    return registry.snapshot();
+  });
+  const [bytes, seconds] = mergeSnapshots(snapshots);
+  assert.deepEqual(bytes.samples, [['[]', 30]]);
+  assert.deepEqual(seconds.samples, [['[]', { counts: [1], sum: 3, count: 2 }]]);
+});
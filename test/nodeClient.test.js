@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { UploadClient, StateFile } = require('../nodeClient');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('StateFile keeps one entry per file version and serializes updates', async (t) => {
+  const dir = tempDir(t);
+  const state = new StateFile(path.join(dir, 'state.json'));
+  const file = path.join(dir, 'a.bin');
+  fs.writeFileSync(file, 'abc');
+  const key = StateFile.key(file, fs.statSync(file));
+  assert.match(key, /a\.bin:3:\d+$/);
+  await Promise.all([1, 2, 3].map((n) => state.update(key, (e) => ({ n: (e ? e.n : 0) + n }))));
+  assert.deepEqual(await state.get(key), { n: 6 });
+  await state.update(key, () => null);
+  assert.equal(await state.get(key), null);
+});
+
+test('abort retries while the server reports the upload busy', async (t) => {
+  const dir = tempDir(t);
+  const statuses = [409, 200];
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(`${req.method} ${req.url}`);
+    res.writeHead(statuses.shift(), { 'Content-Type': 'application/json' });
+    res.end('{}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const client = new UploadClient({ server: `http://127.0.0.1:${server.address().port}`, stateFile: path.join(dir, 'state.json') });
+  const file = path.join(dir, 'a.bin');
+  fs.writeFileSync(file, 'abc');
+  const key = StateFile.key(file, fs.statSync(file));
+  await client.state.update(key, () => ({ uploadId: 'u1', uploadToken: 't' }));
+
+  assert.equal(await client.abort(file), 'u1');
+  assert.deepEqual(seen, ['DELETE /upload/u1', 'DELETE /upload/u1']);
+  assert.equal(await client.state.get(key), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { Throttle, TokenBucket } = require('../throttle');
+
+test('writes over the concurrency limits are refused until a slot is released', () => {
+  const throttle = new Throttle({ maxConcurrentWrites: 2, maxClientWrites: 1 });
+  const first = throttle.admit({ uploadId: 'u1', client: 'alice', length: 10 });
+  assert.throws(() => throttle.admit({ uploadId: 'u2', client: 'alice', length: 10 }),
+    { status: 429, message: 'too_many_concurrent_writes' });
+  const second = throttle.admit({ uploadId: 'u2', client: 'bob', length: 10 });
+  assert.throws(() => throttle.admit({ uploadId: 'u3', client: 'carol', length: 10 }), { status: 429, message: 'server_busy' });
+  first.release();
+  first.release();
+  assert.equal(throttle.snapshot().activeWrites, 1);
+  throttle.admit({ uploadId: 'u2', client: 'alice', length: 10 }).release();
+  second.release();
+  assert.deepEqual(throttle.snapshot().clients, []);
+});
+
+test('a client\'s queued bytes may only take maxWaitSeconds at its rate', () => {
+  const throttle = new Throttle({ clientBytesPerSecond: 100, maxWaitSeconds: 2 });
+  // a lone write is admitted however large it is
+  const big = throttle.admit({ uploadId: 'u1', client: 'alice', length: 500 });
+  assert.throws(() => throttle.admit({ uploadId: 'u2', client: 'alice', length: 1 }), (err) => {
+    assert.deepEqual([err.status, err.message, err.retryAfter], [429, 'rate_limited', 4]);
+    return true;
+  });
+  throttle.admit({ uploadId: 'u2', client: 'bob', length: 100 }).release();
+  big.release();
+});
+
+test('paced bodies pass through unchanged', async () => {
+  const throttle = new Throttle({ uploadBytesPerSecond: 1024 * 1024 });
+  const data = Buffer.alloc(200 * 1024, 7);
+  const slot = throttle.admit({ uploadId: 'u1', client: 'alice', length: data.length });
+  const parts = [];
+  for await (const part of slot.pace(Readable.from([data]))) parts.push(part);
+  slot.release();
+  assert.deepEqual(Buffer.concat(parts), data);
+});
+
+test('a token bucket serves keys round-robin and drops cancelled waits', async () => {
+  const bucket = new TokenBucket(1000);
+  bucket.tokens = 0;
+  const order = [];
+  const owner = {};
+  const waits = [
+    bucket.take(100, 'a').then(() => order.push('a1')),
+    bucket.take(100, 'a').then(() => order.push('a2')),
+    bucket.take(100, 'b').then(() => order.push('b1')),
+    bucket.take(100, 'c', owner)
+  ];
+  bucket.cancel(owner);
+  assert.equal(await waits[3], false);
+  await Promise.all(waits.slice(0, 3));
+  assert.deepEqual(order, ['a1', 'b1', 'a2']);
+});
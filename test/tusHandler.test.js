@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const UploadManager = require('../uploadManager');
+const { createTusHandler, parseMetadata, formatMetadata } = require('../tusHandler');
+
+const TUS = { 'Tus-Resumable': '1.0.0' };
+
+// a tus server on an ephemeral port; resolves { manager, url }
+async function tusServer(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-test-'));
+  const manager = new UploadManager(dir, options);
+  const handle = createTusHandler(manager, { basePath: '/tus/' });
+  const server = http.createServer((req, res) => {
+    if (!handle(req, res, new URL(req.url, 'http://localhost').pathname)) {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await manager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { manager, url: `http://127.0.0.1:${server.address().port}/tus/` };
+}
+
+async function create(url, length, metadata) {
+  const headers = Object.assign({ 'Upload-Length': String(length) }, TUS);
+  if (metadata) headers['Upload-Metadata'] = formatMetadata(metadata);
+  const res = await fetch(url, { method: 'POST', headers });
+  assert.equal(res.status, 201);
+  return res.headers.get('location');
+}
+
+function patch(location, offset, body, headers = {}) {
+  return fetch(location, {
+    method: 'PATCH',
+    headers: Object.assign({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) }, TUS, headers),
+    body
+  });
+}
+
+test('metadata headers round-trip', () => {
+  const meta = { filename: 'résumé.pdf', empty: '' };
+  assert.deepEqual(parseMetadata(formatMetadata(meta)), meta);
+  assert.deepEqual(parseMetadata(''), {});
+});
+
+test('OPTIONS advertises the protocol and other requests must name the version', async (t) => {
+  const { url } = await tusServer(t);
+  const options = await fetch(url, { method: 'OPTIONS' });
+  assert.equal(options.status, 204);
+  assert.equal(options.headers.get('tus-version'), '1.0.0');
+  assert.match(options.headers.get('tus-extension'), /creation/);
+  const res = await fetch(url, { method: 'POST', headers: { 'Upload-Length': '1' } });
+  assert.equal(res.status, 412);
+});
+
+test('uploads in unaligned PATCHes and completes at Upload-Length', async (t) => {
+  const { manager, url } = await tusServer(t);
+  const data = crypto.randomBytes(3000);
+  const location = await create(url, data.length, { filename: 'a.bin' });
+  const id = location.split('/').pop();
+
+  let res = await patch(location, 0, data.subarray(0, 1234));
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('upload-offset'), '1234');
+
+  const head = await fetch(location, { method: 'HEAD', headers: TUS });
+  assert.equal(head.headers.get('upload-offset'), '1234');
+  assert.equal(head.headers.get('upload-length'), '3000');
+  assert.deepEqual(parseMetadata(head.headers.get('upload-metadata')), { filename: 'a.bin' });
+
+  res = await patch(location, 1234, data.subarray(1234));
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('upload-offset'), '3000');
+  const up = await manager.getUpload(id);
+  assert.equal(up.completed, true);
+  assert.deepEqual(fs.readFileSync(up.filePath), data);
+});
+
+test('a PATCH at the wrong offset gets 409', async (t) => {
+  const { url } = await tusServer(t);
+  const location = await create(url, 100);
+  const res = await patch(location, 10, Buffer.alloc(10));
+  assert.equal(res.status, 409);
+});
+
+test('a body that fails its Upload-Checksum does not advance the offset', async (t) => {
+  const { url } = await tusServer(t);
+  const location = await create(url, 100);
+  const body = Buffer.alloc(50, 1);
+  const wrong = crypto.createHash('sha1').update('other').digest('base64');
+  let res = await patch(location, 0, body, { 'Upload-Checksum': `sha1 ${wrong}` });
+  assert.equal(res.status, 460);
+  const head = await fetch(location, { method: 'HEAD', headers: TUS });
+  assert.equal(head.headers.get('upload-offset'), '0');
+
+  const right = crypto.createHash('sha1').update(body).digest('base64');
+  res = await patch(location, 0, body, { 'Upload-Checksum': `sha1 ${right}` });
+  assert.equal(res.headers.get('upload-offset'), '50');
+});
+
+test('DELETE terminates the upload', async (t) => {
+  const { url } = await tusServer(t);
+  const location = await create(url, 100);
+  assert.equal((await fetch(location, { method: 'DELETE', headers: TUS })).status, 204);
+  assert.equal((await fetch(location, { method: 'HEAD', headers: TUS })).status, 404);
+});
+
+test('a name collision at Upload-Length gets 422 and an empty PATCH completes it later', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-dest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'a.bin'), 'taken');
+  const { manager, url } = await tusServer(t, { destDir: dir, collisionPolicy: 'fail' });
+  const data = crypto.randomBytes(100);
+  const location = await create(url, data.length, { filename: 'a.bin' });
+
+  let res = await patch(location, 0, data);
+  assert.equal(res.status, 422);
+  assert.match(await res.text(), /^destination_exists/);
+  // a retried PATCH of the last bytes is an offset mismatch, not a lost upload
+  assert.equal((await patch(location, 0, data)).status, 409);
+  const head = await fetch(location, { method: 'HEAD', headers: TUS });
+  assert.equal(head.headers.get('upload-offset'), '100');
+
+  fs.unlinkSync(path.join(dir, 'a.bin'));
+  res = await patch(location, 100, Buffer.alloc(0));
+  assert.equal(res.status, 204);
+  assert.equal((await manager.getUpload(location.split('/').pop())).completed, true);
+  assert.deepEqual(fs.readFileSync(path.join(dir, 'a.bin')), data);
+});
@@ -0,0 +1,600 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const zlib = require('zlib');
+const UploadManager = require('../uploadManager');
+const { MemoryStorage } = require('../storage');
+const { Throttle } = require('../throttle');
+
+const { parseRelativePath } = UploadManager;
+
+const CHUNK = 1024;
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+// options may be a function of the temp dir
+function tempManager(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+  const manager = new UploadManager(dir, typeof options === 'function' ? options(dir) : options);
+  t.after(async () => {
+    await manager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return manager;
+}
+
+// write every chunk of data to upload id
+async function writeAll(manager, id, data) {
+  for (let offset = 0; offset < data.length; offset += CHUNK) {
+    const chunk = data.subarray(offset, offset + CHUNK);
+    await manager.writeChunkAt(id, offset, Readable.from([chunk]), chunk.length, { expectedDigest: sha256(chunk) });
+  }
+}
+
+// assert.rejects validator for an admission error with the given status, code and fields
+function admissionError(status, error, fields = {}) {
+  return (err) => {
+    assert.equal(err.status, status);
+    assert.deepEqual(err.admission, Object.assign({}, err.admission, { error }, fields));
+    return true;
+  };
+}
+
+// resolves once a write has taken one of the upload's locks
+async function untilLocked(manager, id) {
+  while (!(await manager.store.isLocked(id))) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+function manifestOf(data) {
+  const manifest = crypto.createHash('sha256');
+  for (let offset = 0; offset < data.length; offset += CHUNK) {
+    manifest.update(crypto.createHash('sha256').update(data.subarray(offset, offset + CHUNK)).digest());
+  }
+  return manifest.digest('hex');
+}
+
+test('a chunk is only received when it matches its digest', async (t) => {
+  const manager = tempManager(t);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  const chunk = crypto.randomBytes(CHUNK);
+  await assert.rejects(
+    manager.writeChunkAt(id, 0, Readable.from([chunk]), CHUNK, { expectedDigest: sha256(Buffer.from('other')) }),
+    { status: 422, message: 'chunk_digest_mismatch' }
+  );
+  assert.deepEqual(await manager.getReceivedChunksArray(id), []);
+
+  await manager.writeChunkAt(id, 0, Readable.from([chunk]), CHUNK, { expectedDigest: sha256(chunk) });
+  assert.deepEqual(await manager.getReceivedChunksArray(id), [0]);
+  assert.equal((await manager.getUpload(id)).chunkDigests[0], sha256(chunk));
+});
+
+test('completion verifies the whole-file and manifest hashes', async (t) => {
+  const manager = tempManager(t);
+  const data = crypto.randomBytes(2 * CHUNK + 100);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK });
+  await writeAll(manager, id, data);
+
+  const chunkDigests = [0, 1, 2].map((i) => sha256(data.subarray(i * CHUNK, (i + 1) * CHUNK)));
+  assert.deepEqual(await manager.computeFileDigests(id), { sha256: sha256(data), manifestSha256: manifestOf(data), chunkDigests });
+  await assert.rejects(manager.markCompleted(id, { sha256: sha256(Buffer.from('other')) }), (err) => {
+    assert.equal(err.status, 422);
+    assert.equal(err.actual.sha256, sha256(data));
+    return true;
+  });
+  assert.equal((await manager.getUpload(id)).completed, false);
+
+  await manager.markCompleted(id, { manifestSha256: manifestOf(data) });
+  assert.equal((await manager.getUpload(id)).completed, true);
+  assert.equal((await manager.getUpload(id)).sha256, sha256(data));
+});
+
+// a manager completing into <dir>/dest under collisionPolicy
+function destManager(t, collisionPolicy, hooks) {
+  return tempManager(t, (dir) => ({ destDir: path.join(dir, 'dest'), collisionPolicy, hooks }));
+}
+
+async function uploadFile(manager, filename, data) {
+  const id = await manager.createUpload({ filename, totalSize: data.length, chunkSize: CHUNK });
+  await writeAll(manager, id, data);
+  return id;
+}
+
+test('completion moves the file into destDir and renames on collision', async (t) => {
+  const manager = destManager(t, 'rename');
+  const first = await uploadFile(manager, 'a.bin', Buffer.from('first'));
+  const second = await uploadFile(manager, 'a.bin', Buffer.from('second'));
+  await manager.markCompleted(first);
+  await manager.markCompleted(second);
+  assert.equal((await manager.getUpload(first)).finalName, 'a.bin');
+  assert.equal((await manager.getUpload(second)).finalName, 'a (1).bin');
+  assert.equal(fs.readFileSync(path.join(manager.destDir, 'a (1).bin'), 'utf8'), 'second');
+  assert.deepEqual(fs.readdirSync(manager.destDir).sort(), ['a (1).bin', 'a.bin']);
+});
+
+test('a collision under the fail policy leaves the upload intact for a retry', async (t) => {
+  const manager = destManager(t, 'fail');
+  fs.mkdirSync(manager.destDir);
+  fs.writeFileSync(path.join(manager.destDir, 'a.bin'), 'taken');
+  const id = await uploadFile(manager, 'a.bin', Buffer.from('data'));
+  const original = (await manager.getUpload(id)).filePath;
+
+  await assert.rejects(manager.markCompleted(id), { status: 409, message: 'destination_exists' });
+  const up = await manager.getUpload(id);
+  assert.equal(up.completed, false);
+  assert.equal(up.filePath, original);
+  assert.equal(fs.readFileSync(original, 'utf8'), 'data');
+  assert.deepEqual(fs.readdirSync(manager.destDir), ['a.bin']);
+  await assert.rejects(manager.markCompleted(id), { status: 409, message: 'destination_exists' });
+
+  fs.unlinkSync(path.join(manager.destDir, 'a.bin'));
+  await manager.markCompleted(id);
+  assert.equal(fs.readFileSync(path.join(manager.destDir, 'a.bin'), 'utf8'), 'data');
+});
+
+test('deleting an upload after a failed completion leaves nothing behind', async (t) => {
+  const manager = destManager(t, 'fail');
+  fs.mkdirSync(manager.destDir);
+  fs.writeFileSync(path.join(manager.destDir, 'a.bin'), 'taken');
+  const id = await uploadFile(manager, 'a.bin', Buffer.from('data'));
+  await assert.rejects(manager.markCompleted(id), { status: 409 });
+  await manager.abortUpload(id);
+  assert.equal(await manager.getUpload(id), null);
+  assert.deepEqual(fs.readdirSync(manager.destDir), ['a.bin']);
+  assert.deepEqual(fs.readdirSync(manager.baseDir).filter((n) => n.includes(id)), []);
+});
+
+test('an overwritten upload is superseded and deleting it keeps the new file', async (t) => {
+  const manager = destManager(t, 'overwrite');
+  const first = await uploadFile(manager, 'a.bin', Buffer.from('first'));
+  await manager.markCompleted(first);
+  const second = await uploadFile(manager, 'a.bin', Buffer.from('second'));
+  await manager.markCompleted(second);
+  assert.equal((await manager.getUpload(first)).supersededBy, second);
+  assert.equal((await manager.getUpload(first)).filePath, null);
+  await manager.abortUpload(first);
+  assert.equal(fs.readFileSync(path.join(manager.destDir, 'a.bin'), 'utf8'), 'second');
+});
+
+test('post hooks run in order and a failure skips the rest', async (t) => {
+  const calls = [];
+  const hook = (name, fail) => ({
+    name,
+    type: 'module',
+    run: async (ctx) => {
+      calls.push([name, fs.readFileSync(ctx.path, 'utf8')]);
+      if (fail) throw new Error('boom');
+    }
+  });
+  const manager = destManager(t, 'rename', [hook('one'), hook('two', true), hook('three')]);
+  const id = await uploadFile(manager, 'a.bin', Buffer.from('data'));
+  await manager.markCompleted(id);
+  while ((await manager.getUpload(id)).hooks.some((h) => h.status === 'pending' || h.status === 'running')) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.deepEqual(calls, [['one', 'data'], ['two', 'data']]);
+  assert.deepEqual((await manager.getUpload(id)).hooks.map((h) => h.status), ['succeeded', 'failed', 'skipped']);
+});
+
+test('an upload with a chunk write in flight cannot be deleted', async (t) => {
+  const manager = tempManager(t);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: CHUNK, chunkSize: CHUNK });
+  const body = new PassThrough();
+  const writing = manager.writeChunkAt(id, 0, body, CHUNK);
+  body.write(Buffer.alloc(CHUNK / 2));
+  await untilLocked(manager, id);
+  await assert.rejects(manager.abortUpload(id), { status: 409, message: 'upload_busy' });
+  body.end(Buffer.alloc(CHUNK / 2));
+  await writing;
+  await manager.abortUpload(id);
+  assert.equal(await manager.getUpload(id), null);
+});
+
+test('an incomplete upload expires at the earlier of its ttl and idle deadlines', async (t) => {
+  const manager = tempManager(t, { ttlMs: 10000, idleTtlMs: 1000 });
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  const up = await manager.getUpload(id);
+  assert.equal(manager.getExpiresAt(up), up.lastActivityAt + 1000);
+  up.lastActivityAt = up.createdAt + 9500;
+  assert.equal(manager.getExpiresAt(up), up.createdAt + 10000);
+  assert.equal(tempManager(t).getExpiresAt(up), null);
+});
+
+test('sweepExpired removes expired uploads and skips busy ones', async (t) => {
+  const manager = tempManager(t, { idleTtlMs: 1000 });
+  const idle = await manager.createUpload({ filename: 'idle.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  const busy = await manager.createUpload({ filename: 'busy.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  const filePath = (await manager.getUpload(idle)).filePath;
+  const later = Date.now() + 2000;
+  assert.deepEqual((await manager.sweepExpired({ dryRun: true, now: Date.now() })), []);
+  assert.deepEqual((await manager.sweepExpired({ dryRun: true, now: later })).map((e) => e.id).sort(), [idle, busy].sort());
+  assert.ok(await manager.getUpload(idle));
+
+  const body = new PassThrough();
+  const writing = manager.writeChunkAt(busy, 0, body, CHUNK);
+  body.write(Buffer.alloc(CHUNK / 2));
+  await untilLocked(manager, busy);
+  assert.deepEqual((await manager.sweepExpired({ now: later })).map((e) => e.id), [idle]);
+  assert.equal(await manager.getUpload(idle), null);
+  assert.equal(fs.existsSync(filePath), false);
+  body.end(Buffer.alloc(CHUNK / 2));
+  await writing;
+  assert.ok(await manager.getUpload(busy));
+});
+
+test('admission enforces the size limit, the reservation cap and owner quotas', async (t) => {
+  const manager = tempManager(t, { maxUploadSize: 10 * CHUNK, maxReservedBytes: 8 * CHUNK, ownerQuotaBytes: 4 * CHUNK });
+  await assert.rejects(
+    manager.createUpload({ filename: 'big.bin', totalSize: 11 * CHUNK, chunkSize: CHUNK }),
+    admissionError(413, 'upload_too_large', { requested: 11 * CHUNK, limit: 10 * CHUNK })
+  );
+  await manager.createUpload({ filename: 'a.bin', totalSize: 3 * CHUNK, chunkSize: CHUNK, owner: 'alice' });
+  await assert.rejects(
+    manager.createUpload({ filename: 'b.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK, owner: 'alice' }),
+    admissionError(507, 'quota_exceeded', { available: CHUNK })
+  );
+  await manager.createUpload({ filename: 'c.bin', totalSize: 4 * CHUNK, chunkSize: CHUNK, owner: 'bob' });
+  await assert.rejects(
+    manager.createUpload({ filename: 'd.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK }),
+    admissionError(507, 'reservation_limit', { available: CHUNK })
+  );
+  const stats = await manager.getStorageStats();
+  assert.equal(stats.reserved, 7 * CHUNK);
+  assert.equal(stats.incompleteUploads, 2);
+  assert.deepEqual(stats.reservedByOwner, { alice: 3 * CHUNK, bob: 4 * CHUNK });
+});
+
+test('received bytes, completion and deletion release reservations', async (t) => {
+  const manager = tempManager(t, { maxReservedBytes: 4 * CHUNK });
+  const data = crypto.randomBytes(3 * CHUNK);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK });
+  const other = await manager.createUpload({ filename: 'b.bin', totalSize: CHUNK, chunkSize: CHUNK });
+  await writeAll(manager, id, data.subarray(0, CHUNK));
+  assert.equal((await manager.getStorageStats()).reserved, 3 * CHUNK);
+  await writeAll(manager, id, data);
+  await manager.markCompleted(id);
+  assert.equal((await manager.getStorageStats()).reserved, CHUNK);
+  await manager.abortUpload(other);
+  assert.deepEqual(await manager.getStorageStats().then((s) => [s.reserved, s.incompleteUploads]), [0, 0]);
+  await manager.createUpload({ filename: 'c.bin', totalSize: 4 * CHUNK, chunkSize: CHUNK });
+});
+
+test('admission rebuilds a missing open-uploads index from the upload records', async (t) => {
+  const manager = tempManager(t, { ownerQuotaBytes: 3 * CHUNK });
+  const open = await manager.createUpload({ filename: 'a.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK, owner: 'alice' });
+  const done = await manager.createUpload({ filename: 'b.bin', totalSize: CHUNK, chunkSize: CHUNK });
+  await writeAll(manager, done, crypto.randomBytes(CHUNK));
+  await manager.markCompleted(done);
+  assert.deepEqual(Object.keys((await manager.store.get('open-uploads')).uploads), [open]);
+
+  // e.g. a store written before the index existed
+  await manager.store.delete('open-uploads');
+  const stats = await manager.getStorageStats();
+  assert.deepEqual([stats.reserved, stats.incompleteUploads], [2 * CHUNK, 1]);
+  await assert.rejects(
+    manager.createUpload({ filename: 'c.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK, owner: 'alice' }),
+    admissionError(507, 'quota_exceeded')
+  );
+  assert.deepEqual(Object.keys((await manager.store.get('open-uploads')).uploads), [open]);
+});
+
+test('memory storage publishes completed files by name and honours the fail policy', async (t) => {
+  const storage = new MemoryStorage();
+  const manager = tempManager(t, { storage, collisionPolicy: 'fail' });
+  const data = crypto.randomBytes(2 * CHUNK);
+  const first = await manager.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK });
+  await writeAll(manager, first, data);
+  await manager.markCompleted(first, { sha256: sha256(data) });
+  assert.deepEqual(storage.files.get('a.bin'), data);
+  assert.equal((await manager.getUpload(first)).filePath, 'memory:a.bin');
+
+  const second = await manager.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK });
+  await writeAll(manager, second, data);
+  await assert.rejects(manager.markCompleted(second), { status: 409, message: 'destination_exists' });
+  assert.equal(await storage.allocatedBytes(await manager.getUpload(second)), data.length);
+});
+
+test('uploads must fit the storage chunk limits and capabilities', async (t) => {
+  const storage = new MemoryStorage();
+  storage.limits = { minChunkSize: CHUNK, maxChunkSize: 4 * CHUNK, maxChunks: 3 };
+  storage.capabilities = Object.assign({}, storage.capabilities, { partialWrites: false });
+  const manager = tempManager(t, { storage });
+  for (const [totalSize, chunkSize] of [[4 * CHUNK, CHUNK], [2 * CHUNK, CHUNK / 2], [CHUNK, 5 * CHUNK]]) {
+    await assert.rejects(manager.createUpload({ filename: 'a.bin', totalSize, chunkSize }),
+      { status: 400, message: 'invalid_chunk_size' });
+  }
+  // one chunk may be smaller than minChunkSize
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: 10, chunkSize: CHUNK });
+  await assert.rejects(manager.writeSequential(id, 0, Readable.from([Buffer.alloc(10)])),
+    { status: 501, message: 'sequential_writes_not_supported' });
+});
+
+test('storage verified after publishing restarts the upload on a digest mismatch', async (t) => {
+  const storage = new MemoryStorage();
+  storage.capabilities = Object.assign({}, storage.capabilities, { readBeforeFinalize: false });
+  const manager = tempManager(t, { storage });
+  const data = crypto.randomBytes(2 * CHUNK);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK });
+  await writeAll(manager, id, data);
+  await assert.rejects(manager.markCompleted(id, { sha256: sha256(Buffer.from('other')) }),
+    { status: 422, message: 'file_digest_mismatch' });
+  assert.equal(storage.files.has('a.bin'), false);
+  assert.equal((await manager.getUpload(id)).completed, false);
+  assert.deepEqual(await manager.getReceivedChunksArray(id), []);
+
+  await writeAll(manager, id, data);
+  await manager.markCompleted(id, { sha256: sha256(data) });
+  assert.deepEqual(storage.files.get('a.bin'), data);
+});
+
+test('managers sharing a metadata store see each other\'s chunks and locks', async (t) => {
+  const one = tempManager(t);
+  const two = new UploadManager(one.baseDir);
+  const data = crypto.randomBytes(2 * CHUNK);
+  const id = await one.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK });
+  await writeAll(two, id, data.subarray(0, CHUNK));
+
+  const body = new PassThrough();
+  const writing = one.writeChunkAt(id, CHUNK, body, CHUNK);
+  body.write(data.subarray(CHUNK, CHUNK + 10));
+  await untilLocked(one, id);
+  await assert.rejects(two.writeChunkAt(id, CHUNK, Readable.from([data.subarray(CHUNK)]), CHUNK),
+    { status: 409, message: 'chunk_write_in_progress' });
+  body.end(data.subarray(CHUNK + 10));
+  await writing;
+
+  assert.deepEqual(await two.getReceivedChunksArray(id), [0, 1]);
+  await two.markCompleted(id, { sha256: sha256(data) });
+  assert.equal((await one.getUpload(id)).completed, true);
+});
+
+test('reconcile reports missing and truncated data and deletes it under the delete policy', async (t) => {
+  const manager = tempManager(t);
+  const missing = await manager.createUpload({ filename: 'a.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  const short = await manager.createUpload({ filename: 'b.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  fs.unlinkSync((await manager.getUpload(missing)).filePath);
+  fs.truncateSync((await manager.getUpload(short)).filePath, CHUNK);
+
+  const report = await manager.reconcile();
+  assert.deepEqual(report.uploads, { completed: 0, inProgress: 2, unreadable: 0 });
+  assert.deepEqual(report.issues.map((i) => [i.kind, i.id, i.actualSize, i.action]).sort(),
+    [['missing_data', missing, null, 'none'], ['size_mismatch', short, CHUNK, 'none']].sort());
+
+  const applied = await manager.reconcile({ policy: 'delete' });
+  assert.deepEqual(applied.issues.map((i) => i.action), ['deleted', 'deleted']);
+  assert.deepEqual(await manager.listUploadIds(), []);
+  assert.deepEqual((await manager.store.get('open-uploads')).uploads, {});
+});
+
+test('reconcile rebuild keeps the intact prefix and marks later chunks missing', async (t) => {
+  const manager = tempManager(t);
+  const data = crypto.randomBytes(3 * CHUNK);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK });
+  await writeAll(manager, id, data);
+  fs.truncateSync((await manager.getUpload(id)).filePath, CHUNK + 10);
+
+  const report = await manager.reconcile({ policy: 'rebuild' });
+  assert.deepEqual(report.issues.map((i) => [i.kind, i.action]), [['size_mismatch', 'rebuilt']]);
+  assert.deepEqual(await manager.getReceivedChunksArray(id), [0]);
+  await writeAll(manager, id, data);
+  await manager.markCompleted(id, { sha256: sha256(data) });
+});
+
+test('reconcile quarantines orphaned data and broken uploads', async (t) => {
+  const manager = tempManager(t);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  const location = (await manager.getUpload(id)).filePath;
+  fs.truncateSync(location, CHUNK);
+  const orphan = path.join(manager.baseDir, `left.${crypto.randomUUID()}`);
+  fs.writeFileSync(orphan, 'x');
+
+  const report = await manager.reconcile({ policy: 'quarantine' });
+  assert.deepEqual(report.issues.map((i) => [i.kind, i.action]).sort(),
+    [['orphan_data', 'quarantined'], ['size_mismatch', 'quarantined']]);
+  assert.equal(fs.existsSync(orphan), false);
+  assert.equal(fs.existsSync(location), false);
+  const record = JSON.parse(fs.readFileSync(path.join(manager.quarantineDir, `${id}.json`), 'utf8'));
+  assert.equal(record.quarantined.kind, 'size_mismatch');
+  assert.equal(await manager.getUpload(id), null);
+  assert.equal((await manager.getStorageStats()).incompleteUploads, 0);
+});
+
+test('content with a known sha256 is completed from the existing data and reference-counted', async (t) => {
+  const manager = destManager(t, 'rename');
+  const data = crypto.randomBytes(2 * CHUNK);
+  const first = await uploadFile(manager, 'a.bin', data);
+  await manager.markCompleted(first, { sha256: sha256(data) });
+
+  assert.equal(await manager.createFromContent({ filename: 'b.bin', sha256: sha256(data), totalSize: data.length, owner: 'bob' }), null);
+  const copy = await manager.createFromContent({ filename: 'b.bin', sha256: sha256(data), totalSize: data.length });
+  const up = await manager.getUpload(copy);
+  assert.deepEqual([up.completed, up.dedupOf, up.finalName], [true, first, 'b.bin']);
+  assert.deepEqual(fs.readFileSync(path.join(manager.destDir, 'b.bin')), data);
+  assert.deepEqual(Object.keys((await manager.store.get(`blob-${sha256(data)}`)).refs).sort(), [first, copy].sort());
+  assert.deepEqual(await manager.listUploadIds().then((ids) => ids.sort()), [first, copy].sort());
+
+  await manager.abortUpload(first);
+  assert.deepEqual(fs.readFileSync(path.join(manager.destDir, 'b.bin')), data);
+  await manager.abortUpload(copy);
+  assert.equal(await manager.store.get(`blob-${sha256(data)}`), null);
+  assert.deepEqual(fs.readdirSync(manager.destDir), []);
+});
+
+test('shared data outlives all but the last upload referencing it', async (t) => {
+  const storage = new MemoryStorage();
+  const manager = tempManager(t, { storage });
+  const data = crypto.randomBytes(CHUNK);
+  const first = await uploadFile(manager, 'a.bin', data);
+  await manager.markCompleted(first, { sha256: sha256(data) });
+  const copy = await manager.createFromContent({ filename: 'b.bin', sha256: sha256(data), totalSize: data.length });
+  assert.equal((await manager.getUpload(copy)).filePath, (await manager.getUpload(first)).filePath);
+
+  await manager.abortUpload(copy);
+  assert.deepEqual(storage.files.get('a.bin'), data);
+  await manager.abortUpload(first);
+  assert.equal(storage.files.has('a.bin'), false);
+});
+
+test('a superseded upload leaves the content index', async (t) => {
+  const manager = destManager(t, 'overwrite');
+  const data = Buffer.from('first');
+  const first = await uploadFile(manager, 'a.bin', data);
+  await manager.markCompleted(first, { sha256: sha256(data) });
+  const second = await uploadFile(manager, 'a.bin', Buffer.from('second'));
+  await manager.markCompleted(second);
+  assert.equal(await manager.store.get(`blob-${sha256(data)}`), null);
+  assert.equal(await manager.createFromContent({ filename: 'b.bin', sha256: sha256(data), totalSize: data.length }), null);
+});
+
+test('chunks found in a base upload are copied and the rest stay missing', async (t) => {
+  const manager = tempManager(t);
+  const old = crypto.randomBytes(3 * CHUNK);
+  const base = await uploadFile(manager, 'a.bin', old);
+  await manager.markCompleted(base, { sha256: sha256(old) });
+
+  // the first chunk changed, the second moved to the end
+  const data = Buffer.concat([crypto.randomBytes(CHUNK), old.subarray(2 * CHUNK), old.subarray(CHUNK, 2 * CHUNK)]);
+  const chunkHashes = [0, 1, 2].map((i) => sha256(data.subarray(i * CHUNK, (i + 1) * CHUNK)));
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: data.length, chunkSize: CHUNK, base: { uploadId: base, chunkHashes } });
+  assert.deepEqual(await manager.getReceivedChunksArray(id), [1, 2]);
+  await writeAll(manager, id, data.subarray(0, CHUNK));
+  await manager.markCompleted(id, { sha256: sha256(data) });
+});
+
+test('a base must be a completed upload of the same owner that still has its data', async (t) => {
+  const manager = destManager(t, 'overwrite');
+  const data = crypto.randomBytes(CHUNK);
+  const spec = { filename: 'b.bin', totalSize: CHUNK, chunkSize: CHUNK };
+  const open = await manager.createUpload(spec);
+  const first = await uploadFile(manager, 'a.bin', data);
+  await manager.markCompleted(first);
+  await assert.rejects(manager.createUpload(Object.assign({ owner: 'bob', base: { uploadId: first, chunkHashes: [] } }, spec)),
+    { status: 404, message: 'base_not_found' });
+  await manager.createUpload(Object.assign({ base: { uploadId: first, chunkHashes: [] } }, spec));
+
+  await manager.markCompleted(await uploadFile(manager, 'a.bin', data));
+  for (const uploadId of [open, first]) {
+    await assert.rejects(manager.createUpload(Object.assign({ base: { uploadId, chunkHashes: [] } }, spec)),
+      { status: 404, message: 'base_not_found' });
+  }
+});
+
+test('lifecycle events carry the upload and why it was aborted', async (t) => {
+  const manager = tempManager(t, { ttlMs: 1000 });
+  const seen = [];
+  manager.events.on('event', (e) => seen.push([e.type, e.uploadId, e.data.reason]));
+  const data = crypto.randomBytes(CHUNK);
+  const done = await uploadFile(manager, 'a.bin', data);
+  await manager.markCompleted(done);
+  const expired = await manager.createUpload({ filename: 'b.bin', totalSize: CHUNK, chunkSize: CHUNK });
+  await manager.sweepExpired({ now: Date.now() + 2000 });
+  await manager.abortUpload(done);
+  assert.deepEqual(seen, [
+    ['upload.created', done, undefined],
+    ['chunk.received', done, undefined],
+    ['upload.completed', done, undefined],
+    ['upload.created', expired, undefined],
+    ['upload.aborted', expired, 'expired'],
+    ['upload.aborted', done, 'deleted']
+  ]);
+});
+
+test('a throttle slot is given back when the chunk lock can\'t be taken', async (t) => {
+  const throttle = new Throttle({ maxConcurrentWrites: 1 });
+  const manager = tempManager(t, { throttle });
+  const data = crypto.randomBytes(CHUNK);
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: CHUNK, chunkSize: CHUNK });
+  const acquireLock = manager.store.acquireLock;
+  manager.store.acquireLock = async () => {
+    const err = new Error('store unavailable');
+    err.transient = true;
+    throw err;
+  };
+  await assert.rejects(manager.writeChunkAt(id, 0, Readable.from([data]), CHUNK), { transient: true });
+  await assert.rejects(manager.writeSequential(id, 0, Readable.from([data]), { length: CHUNK }), { transient: true });
+  assert.equal(throttle.snapshot().activeWrites, 0);
+
+  manager.store.acquireLock = acquireLock;
+  await writeAll(manager, id, data);
+  assert.deepEqual(await manager.getReceivedChunksArray(id), [0]);
+});
+
+test('parseRelativePath splits a folder path into dir and name', () => {
+  assert.deepEqual(parseRelativePath('photos/2024/a.jpg'), { dir: 'photos/2024', name: 'a.jpg' });
+  assert.deepEqual(parseRelativePath('a.jpg'), { dir: '', name: 'a.jpg' });
+  assert.deepEqual(parseRelativePath('photos\\raw\\b.cr2'), { dir: 'photos/raw', name: 'b.cr2' });
+  assert.deepEqual(parseRelativePath('./photos//./c.jpg'), { dir: 'photos', name: 'c.jpg' });
+  assert.deepEqual(parseRelativePath('fotos/été.jpg'), { dir: 'fotos', name: 'été.jpg' });
+});
+
+test('parseRelativePath refuses paths that leave the destination', () => {
+  for (const p of ['/etc/passwd', '\\server\\share', 'C:/x.txt', 'c:x.txt', '../x', 'a/../../x', 'a\\..\\x', '..']) {
+    assert.equal(parseRelativePath(p), null, p);
+  }
+});
+
+test('parseRelativePath refuses control characters, empty and oversized paths', () => {
+  for (const p of ['', '.', './', 'a/\0b', 'a\nb', 'tab\there', 'del\x7f']) {
+    assert.equal(parseRelativePath(p), null, JSON.stringify(p));
+  }
+  assert.equal(parseRelativePath(`${'x'.repeat(256)}.txt`), null);
+  assert.equal(parseRelativePath(`${'d/'.repeat(32)}f`), null);
+  assert.equal(parseRelativePath(`${'d/'.repeat(31)}f`).name, 'f');
+  assert.equal(parseRelativePath(`${'a'.repeat(1025)}`), null);
+});
+
+test('folder uploads are completed into their folders under destDir', async (t) => {
+  const manager = destManager(t, 'rename');
+  const id = await manager.createUpload({ filename: 'ignored', relativePath: 'album/2024/a.jpg', totalSize: 3, chunkSize: CHUNK, destSubdir: 'alice' });
+  await writeAll(manager, id, Buffer.from('jpg'));
+  await manager.markCompleted(id);
+  assert.equal(fs.readFileSync(path.join(manager.destDir, 'alice/album/2024/a.jpg'), 'utf8'), 'jpg');
+  assert.equal((await manager.getUpload(id)).relativePath, 'album/2024/a.jpg');
+
+  const empty = await manager.createUpload({ relativePath: 'album/empty.txt', totalSize: 0 });
+  await manager.markCompleted(empty);
+  assert.equal(fs.statSync(path.join(manager.destDir, 'album/empty.txt')).size, 0);
+  await assert.rejects(manager.createUpload({ relativePath: '../x', totalSize: 1 }), { status: 400, message: 'invalid_relative_path' });
+});
+
+test('compressed chunks are decoded, verified against the decoded digest and written', async (t) => {
+  const manager = tempManager(t);
+  const data = Buffer.alloc(2 * CHUNK, 'a');
+  const id = await manager.createUpload({ filename: 'a.txt', totalSize: data.length, chunkSize: CHUNK });
+  const chunk = data.subarray(0, CHUNK);
+  for (const [i, encoding, body] of [[0, 'gzip', zlib.gzipSync(chunk)], [1, 'br', zlib.brotliCompressSync(chunk)]]) {
+    await manager.writeChunkAt(id, i * CHUNK, Readable.from([body]), CHUNK,
+      { expectedDigest: sha256(chunk), contentEncoding: encoding, wireLength: body.length });
+  }
+  await manager.markCompleted(id, { sha256: sha256(data) });
+});
+
+test('compressed chunks that don\'t decode to their range are refused', async (t) => {
+  const manager = tempManager(t);
+  const id = await manager.createUpload({ filename: 'a.txt', totalSize: 2 * CHUNK, chunkSize: CHUNK });
+  const cases = [
+    [Buffer.from('not gzip'), 'invalid_content_encoding'],
+    [zlib.gzipSync(Buffer.alloc(CHUNK - 1)), 'decoded_length_mismatch'],
+    // a bomb stops at the chunk's size
+    [zlib.gzipSync(Buffer.alloc(100 * CHUNK)), 'decoded_length_mismatch']
+  ];
+  for (const [body, message] of cases) {
+    await assert.rejects(manager.writeChunkAt(id, 0, Readable.from([body]), CHUNK, { contentEncoding: 'gzip' }),
+      { status: 400, message });
+  }
+  assert.deepEqual(await manager.getReceivedChunksArray(id), []);
+});
+
+test('encrypted uploads stay out of the content index', async (t) => {
+  const manager = tempManager(t);
+  const cipher = crypto.randomBytes(CHUNK);
+  const encryption = { scheme: 'aes-256-gcm-chunks-v1', plainSize: CHUNK - 32, chunkSize: CHUNK - 32 };
+  const id = await manager.createUpload({ filename: 'a.bin', totalSize: CHUNK, chunkSize: CHUNK, encryption });
+  await writeAll(manager, id, cipher);
+  await manager.markCompleted(id, { sha256: sha256(cipher) });
+  assert.deepEqual((await manager.getUpload(id)).encryption, encryption);
+  assert.equal(await manager.store.get(`blob-${sha256(cipher)}`), null);
+  assert.equal(await manager.createFromContent({ filename: 'b.bin', sha256: sha256(cipher), totalSize: CHUNK }), null);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const FileMetadataStore = require('../metadata/fileMetadataStore');
+const { WebhookDispatcher, signPayload } = require('../webhooks');
+
+// an endpoint answering with statuses in turn (the last one repeats); resolves { url, received }
+async function endpoint(t, statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (b) => { body += b; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses[Math.min(received.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+function tempDispatcher(t, endpoints, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new FileMetadataStore(path.join(dir, 'meta'), { compactIntervalMs: 0, fsync: false });
+  return new WebhookDispatcher(endpoints, Object.assign({ dir: path.join(dir, 'queue'), store, secret: 's3cret' }, options));
+}
+
+// resolves once nothing is pending or being sent
+async function settled(dispatcher) {
+  for (;;) {
+    const { pending } = await dispatcher.list();
+    if (!pending.some((d) => d.nextAttemptAt <= Date.now())) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('deliveries are signed and leave the queue once accepted', async (t) => {
+  const hook = await endpoint(t, [204]);
+  const dispatcher = tempDispatcher(t, [{ url: hook.url, events: ['upload.completed'] }]);
+  await dispatcher.enqueue('upload.created', { id: 'u1' });
+  await dispatcher.enqueue('upload.completed', { id: 'u1' });
+  await settled(dispatcher);
+
+  assert.equal(hook.received.length, 1);
+  const { headers, body } = hook.received[0];
+  assert.equal(JSON.parse(body).type, 'upload.completed');
+  assert.equal(headers['x-webhook-event'], 'upload.completed');
+  const t0 = /^t=(\d+),/.exec(headers['x-webhook-signature'])[1];
+  assert.equal(headers['x-webhook-signature'], signPayload(body, 's3cret', Number(t0)));
+  assert.deepEqual(await dispatcher.list(), { pending: [], failed: [] });
+});
+
+test('failed deliveries back off, end up in failed/ and can be requeued', async (t) => {
+  const hook = await endpoint(t, [500, 500, 200]);
+  const dispatcher = tempDispatcher(t, [{ url: hook.url }], { maxAttempts: 2, baseDelayMs: 60000 });
+  await dispatcher.enqueue('upload.aborted', { id: 'u1' });
+  await settled(dispatcher);
+  let { pending } = await dispatcher.list();
+  assert.deepEqual([pending.length, pending[0].attempts, pending[0].lastError], [1, 1, 'HTTP 500']);
+  assert.ok(pending[0].nextAttemptAt > Date.now() + 20000);
+
+  // not due yet: a scan leaves it alone
+  await dispatcher.processDue();
+  assert.equal(hook.received.length, 1);
+  await dispatcher._attempt(pending[0].id, Infinity);
+  const listed = await dispatcher.list();
+  assert.deepEqual([listed.pending.length, listed.failed.length, listed.failed[0].attempts], [0, 1, 2]);
+
+  assert.equal(await dispatcher.retryFailed([crypto.randomUUID()]), 0);
+  assert.equal(await dispatcher.retryFailed(), 1);
+  await settled(dispatcher);
+  ({ pending } = await dispatcher.list());
+  assert.deepEqual([pending.length, hook.received.length], [0, 3]);
+  assert.equal(hook.received[2].headers['x-webhook-attempt'], '1');
+});
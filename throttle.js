@@ -0,0 +1,255 @@
+// Bandwidth limits and fair scheduling for chunk writes. Request bodies are paced through token
+// buckets (one global, one per upload, one per client) in slices of SLICE_BYTES; the global
+// bucket serves waiting clients round-robin, so a client with 16 lanes gets the same share of it
+// as a client with one. Writes beyond the concurrency limits, or that would queue for longer
+// than maxWaitSeconds behind the client's own writes, are refused with 429 and a retry delay.
+// Limits are per process: under cluster.js server.js divides the global ones among the workers.
+const { Transform } = require('stream');
+
+const SLICE_BYTES = 64 * 1024;
+
+class TokenBucket {
+  // rate in bytes per second; the bucket holds up to one second of it
+  constructor(rate) {
+    this.rate = rate;
+    this.burst = Math.max(rate, SLICE_BYTES);
+    this.tokens = this.burst;
+    this.last = Date.now();
+    this.waiters = new Map(); // key -> [{ n, resolve, owner }], served round-robin by key
+    this.timer = null;
+  }
+
+  _refill(now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.last) * this.rate / 1000);
+    this.last = now;
+  }
+
+  // resolves true once n bytes (at most burst) may pass, or false if cancel(owner) drops the wait
+  take(n, key = '', owner = null) {
+    return new Promise((resolve) => {
+      const queue = this.waiters.get(key);
+      if (queue) queue.push({ n, resolve, owner });
+      else this.waiters.set(key, [{ n, resolve, owner }]);
+      this._drain();
+    });
+  }
+
+  // drop owner's waits without taking their tokens (their write is over)
+  cancel(owner) {
+    let dropped = false;
+    for (const [key, queue] of this.waiters) {
+      const keep = queue.filter((w) => w.owner !== owner);
+      if (keep.length === queue.length) continue;
+      dropped = true;
+      for (const w of queue) if (w.owner === owner) w.resolve(false);
+      if (keep.length) this.waiters.set(key, keep);
+      else this.waiters.delete(key);
+    }
+    if (!dropped) return;
+    // the first wait may have been one of them
+    clearTimeout(this.timer);
+    this.timer = null;
+    this._drain();
+  }
+
+  _drain() {
+    if (this.timer) return;
+    this._refill();
+    while (this.waiters.size) {
+      const [key, queue] = this.waiters.entries().next().value;
+      const w = queue[0];
+      if (this.tokens < w.n) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this._drain();
+        }, Math.ceil((w.n - this.tokens) * 1000 / this.rate));
+        return;
+      }
+      this.tokens -= w.n;
+      queue.shift();
+      // to the back of the line
+      this.waiters.delete(key);
+      if (queue.length) this.waiters.set(key, queue);
+      w.resolve(true);
+    }
+  }
+
+  // ms until forgetting this bucket changes nothing (waiters served, full again)
+  idleInMs() {
+    this._refill();
+    let queued = 0;
+    for (const queue of this.waiters.values()) for (const w of queue) queued += w.n;
+    return Math.ceil((this.burst - this.tokens + queued) * 1000 / this.rate);
+  }
+}
+
+function throttled(reason, retryAfter) {
+  const err = new Error(reason);
+  err.status = 429;
+  err.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  return err;
+}
+
+class Throttle {
+  /**
+   * Byte rates are per second, 0 = unlimited:
+   * options.globalBytesPerSecond, options.uploadBytesPerSecond, options.clientBytesPerSecond
+   * options.maxConcurrentWrites: chunk writes in progress at once (0 = unlimited)
+   * options.maxClientWrites: the same per client (0 = unlimited)
+   * options.maxWaitSeconds: a client's queued bytes may take this long at its rate (default 30)
+   */
+  constructor(options = {}) {
+    this.globalRate = options.globalBytesPerSecond || 0;
+    this.uploadRate = options.uploadBytesPerSecond || 0;
+    this.clientRate = options.clientBytesPerSecond || 0;
+    this.maxConcurrentWrites = options.maxConcurrentWrites || 0;
+    this.maxClientWrites = options.maxClientWrites || 0;
+    this.maxWaitSeconds = options.maxWaitSeconds || 30;
+    this.global = this.globalRate ? new TokenBucket(this.globalRate) : null;
+    this.active = 0;
+    this.clients = new Map(); // client -> { writes, pendingBytes, bucket }
+    this.uploads = new Map(); // upload id -> same
+  }
+
+  get enabled() {
+    return !!(this.globalRate || this.uploadRate || this.clientRate || this.maxConcurrentWrites || this.maxClientWrites);
+  }
+
+  _entry(map, key, rate) {
+    let e = map.get(key);
+    if (!e) {
+      e = { writes: 0, pendingBytes: 0, bucket: rate ? new TokenBucket(rate) : null, timer: null };
+      map.set(key, e);
+    }
+    clearTimeout(e.timer);
+    return e;
+  }
+
+  // drop an entry once it has no writes and its bucket would be full anyway
+  _forget(map, key, e) {
+    if (e.writes > 0) return;
+    const ms = e.bucket ? e.bucket.idleInMs() : 0;
+    if (ms <= 0) {
+      map.delete(key);
+      return;
+    }
+    e.timer = setTimeout(() => {
+      if (e.writes === 0 && map.get(key) === e) map.delete(key);
+    }, ms);
+    e.timer.unref();
+  }
+
+  /**
+   * Admit a write of length bytes, or throw 429 (err.retryAfter in seconds). The caller pipes
+   * the body through slot.pace() and must call slot.release() when the write is over.
+   */
+  admit({ uploadId, client, length }) {
+    client = String(client || 'anonymous');
+    const c = this.clients.get(client);
+    const u = this.uploads.get(uploadId);
+    if (this.maxConcurrentWrites && this.active >= this.maxConcurrentWrites) {
+      throw throttled('server_busy', 1);
+    }
+    if (this.maxClientWrites && c && c.writes >= this.maxClientWrites) {
+      throw throttled('too_many_concurrent_writes', this.clientRate ? c.pendingBytes / c.writes / this.clientRate : 1);
+    }
+    // a single write is always admitted, however long it takes at the rate
+    for (const [e, rate] of [[c, this.clientRate], [u, this.uploadRate]]) {
+      if (!e || !rate || !e.writes) continue;
+      const wait = (e.pendingBytes + length) / rate;
+      if (wait > this.maxWaitSeconds) throw throttled('rate_limited', wait - this.maxWaitSeconds);
+    }
+
+    const ce = this._entry(this.clients, client, this.clientRate);
+    const ue = this._entry(this.uploads, uploadId, this.uploadRate);
+    this.active++;
+    ce.writes++;
+    ue.writes++;
+    ce.pendingBytes += length;
+    ue.pendingBytes += length;
+    let unpaced = length;
+    let released = false;
+    // identifies this write's waits in the buckets
+    const owner = {};
+    const passed = (n) => {
+      n = Math.min(n, unpaced);
+      unpaced -= n;
+      ce.pendingBytes -= n;
+      ue.pendingBytes -= n;
+    };
+    const buckets = [ue.bucket, ce.bucket].filter(Boolean);
+    const global = this.global;
+    const paced = buckets.length > 0 || !!global;
+    let stopped = false;
+    const cancelWaits = () => {
+      stopped = true;
+      for (const b of buckets) b.cancel(owner);
+      if (global) global.cancel(owner);
+    };
+
+    return {
+      pace(readable) {
+        if (!paced) return readable;
+        const out = new Transform({
+          transform(chunk, _enc, cb) {
+            (async () => {
+              for (let pos = 0; pos < chunk.length && !stopped; pos += SLICE_BYTES) {
+                const slice = chunk.subarray(pos, pos + SLICE_BYTES);
+                for (const b of buckets) if (!(await b.take(slice.length, '', owner))) return;
+                if (global && !(await global.take(slice.length, client, owner))) return;
+                passed(slice.length);
+                if (released) return;
+                out.push(slice);
+              }
+            })().then(() => cb(), cb);
+          }
+        });
+        // the storage adapters watch the request for a client that went away; its queued
+        // slices stop waiting for tokens that live writes need
+        readable.on('aborted', () => {
+          cancelWaits();
+          out.emit('aborted');
+        });
+        readable.on('close', () => {
+          if (!readable.readableEnded) cancelWaits();
+        });
+        readable.on('error', (err) => {
+          cancelWaits();
+          out.destroy(err);
+        });
+        return readable.pipe(out);
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        cancelWaits();
+        passed(unpaced);
+        this.active--;
+        ce.writes--;
+        ue.writes--;
+        this._forget(this.clients, client, ce);
+        this._forget(this.uploads, uploadId, ue);
+      }
+    };
+  }
+
+  // configured limits and current load (GET /admin/storage)
+  snapshot() {
+    return {
+      limits: {
+        globalBytesPerSecond: this.globalRate,
+        uploadBytesPerSecond: this.uploadRate,
+        clientBytesPerSecond: this.clientRate,
+        maxConcurrentWrites: this.maxConcurrentWrites,
+        maxClientWrites: this.maxClientWrites,
+        maxWaitSeconds: this.maxWaitSeconds
+      },
+      activeWrites: this.active,
+      clients: Array.from(this.clients.entries())
+        .filter(([, e]) => e.writes > 0)
+        .map(([client, e]) => ({ client, writes: e.writes, pendingBytes: e.pendingBytes }))
+    };
+  }
+}
+
+module.exports = { Throttle, TokenBucket };
@@ -0,0 +1,279 @@
+// tus 1.0.0 resumable upload protocol (core + creation, termination, checksum, expiration extensions)
+// backed by the same UploadManager storage as the custom /upload API.
+// https://tus.io/protocols/resumable-upload
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,checksum,expiration';
+// tus checksum names -> node crypto algorithms
+const CHECKSUM_ALGORITHMS = { sha1: 'sha1', sha256: 'sha256', md5: 'md5' };
+const DESTINATION_EXISTS = 'destination_exists: the destination already has a file with this name; ' +
+  'free the name and PATCH an empty body at Upload-Offset = Upload-Length to complete the upload, or DELETE it';
+
+// Upload-Metadata: comma separated "key base64value" pairs (value optional)
+function parseMetadata(header) {
+  const out = {};
+  if (!header) return out;
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    out[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return out;
+}
+
+function formatMetadata(meta) {
+  return Object.entries(meta || {})
+    .map(([k, v]) => (v ? `${k} ${Buffer.from(String(v), 'utf8').toString('base64')}` : k))
+    .join(',');
+}
+
+function send(res, code, headers = {}, body = '') {
+  res.writeHead(code, Object.assign({ 'Tus-Resumable': TUS_VERSION, 'Content-Length': Buffer.byteLength(body) }, headers));
+  res.end(body);
+}
+
+/**
+ * Returns handle(req, res, pathname) -> boolean (true when the request was a tus request).
+ * options.basePath: mount point, default '/tus/'.
+ * options.auth: Authenticator; creation needs a principal, later requests the upload token
+ * (returned in the Upload-Token header) or the creating principal.
+ */
+function createTusHandler(manager, options = {}) {
+  const basePath = options.basePath || '/tus/';
+  const auth = options.auth || null;
+  const root = basePath.replace(/\/$/, '');
+
+  function handle(req, res, pathname) {
+    if (pathname !== root && !pathname.startsWith(basePath)) return false;
+    const id = pathname.slice(basePath.length).split('/')[0];
+
+    // some clients tunnel PATCH/DELETE through POST
+    const method = (req.method === 'POST' && req.headers['x-http-method-override']) || req.method;
+
+    if (method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Tus-Resumable': TUS_VERSION,
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': TUS_EXTENSIONS,
+        'Tus-Checksum-Algorithm': Object.keys(CHECKSUM_ALGORITHMS).join(',')
+      });
+      res.end();
+      return true;
+    }
+
+    if (req.headers['tus-resumable'] !== TUS_VERSION) {
+      send(res, 412, { 'Tus-Version': TUS_VERSION }, 'unsupported tus version');
+      req.resume();
+      return true;
+    }
+
+    // creation: POST <basePath>
+    if (method === 'POST' && !id) {
+      if (req.headers['upload-defer-length']) {
+        send(res, 400, {}, 'Upload-Defer-Length not supported');
+        req.resume();
+        return true;
+      }
+      const length = Number(req.headers['upload-length']);
+      if (!req.headers['upload-length'] || !Number.isInteger(length) || length < 0) {
+        send(res, 400, {}, 'invalid Upload-Length');
+        req.resume();
+        return true;
+      }
+      const principal = auth && auth.enabled ? auth.authenticate(req) : null;
+      if (auth && auth.enabled && !principal) {
+        send(res, 401, { 'WWW-Authenticate': 'Bearer' }, 'unauthorized');
+        req.resume();
+        return true;
+      }
+      const metadata = parseMetadata(req.headers['upload-metadata']);
+      req.resume();
+      manager.createUpload({
+        filename: metadata.filename || metadata.name || 'upload',
+        // set by tus clients for files picked from a folder (Uppy sends "null" for the others)
+        relativePath: metadata.relativePath && metadata.relativePath !== 'null' ? metadata.relativePath : null,
+        totalSize: length,
+        metadata,
+        owner: principal ? principal.sub : null
+      }).then(async (newId) => {
+        const location = `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}${basePath}${newId}`;
+        // zero-length uploads are complete on creation
+        if (length === 0) {
+          try {
+            await manager.markCompleted(newId);
+          } catch (err) {
+            await manager.abortUpload(newId).catch(() => {});
+            throw err;
+          }
+        }
+        const headers = { Location: location };
+        const expiresAt = manager.getExpiresAt(await manager.getUpload(newId));
+        if (expiresAt) headers['Upload-Expires'] = new Date(expiresAt).toUTCString();
+        if (principal) headers['Upload-Token'] = auth.issueUploadToken(newId, principal.sub);
+        send(res, 201, headers);
+      }).catch((err) => {
+        if (err && err.admission) {
+          send(res, err.status, {}, err.admission.message);
+          return;
+        }
+        if (err && err.message === 'destination_exists') {
+          send(res, 422, {}, DESTINATION_EXISTS);
+          return;
+        }
+        if (err && (err.status === 400 || err.status === 409)) {
+          send(res, err.status, {}, err.message);
+          return;
+        }
+        if (err && (err.code === 'ENOSPC' || err.status === 507)) {
+          send(res, 507, {}, 'No space left on device');
+          return;
+        }
+        console.error('tus create error', err);
+        send(res, 500, {}, 'create failed');
+      });
+      return true;
+    }
+
+    (id ? manager.getUpload(id) : Promise.resolve(null)).then((up) => handleUpload(req, res, id, method, up)).catch((err) => {
+      console.error('tus request error', err);
+      if (!res.headersSent) send(res, 500, {}, 'request failed');
+      req.resume();
+    });
+    return true;
+  }
+
+  // HEAD / PATCH / DELETE on an existing upload (up is null when it doesn't exist)
+  function handleUpload(req, res, id, method, up) {
+    if (auth) {
+      const check = auth.authorizeUpload(req, id, { owner: up ? up.owner : null });
+      if (!check.ok) {
+        send(res, check.status, { 'WWW-Authenticate': 'Bearer' }, check.error);
+        req.resume();
+        return;
+      }
+    }
+    if (!up) {
+      send(res, 404, {}, 'upload not found');
+      req.resume();
+      return;
+    }
+
+    if (method === 'HEAD') {
+      const headers = {
+        'Upload-Offset': String(manager.contiguousOffset(up)),
+        'Upload-Length': String(up.totalSize),
+        'Cache-Control': 'no-store'
+      };
+      if (up.metadata) headers['Upload-Metadata'] = formatMetadata(up.metadata);
+      const expiresAt = manager.getExpiresAt(up);
+      if (expiresAt) headers['Upload-Expires'] = new Date(expiresAt).toUTCString();
+      res.writeHead(200, Object.assign({ 'Tus-Resumable': TUS_VERSION }, headers));
+      res.end();
+      return;
+    }
+
+    if (method === 'PATCH') {
+      if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+        send(res, 415, {}, 'Content-Type must be application/offset+octet-stream');
+        req.resume();
+        return;
+      }
+      const offset = Number(req.headers['upload-offset']);
+      if (req.headers['upload-offset'] === undefined || !Number.isInteger(offset) || offset < 0) {
+        send(res, 400, {}, 'invalid Upload-Offset');
+        req.resume();
+        return;
+      }
+      const contentLength = req.headers['content-length'];
+      if (contentLength !== undefined && offset + Number(contentLength) > up.totalSize) {
+        send(res, 413, {}, 'body exceeds Upload-Length');
+        req.resume();
+        return;
+      }
+
+      let checksum;
+      if (req.headers['upload-checksum']) {
+        const [name, digest] = req.headers['upload-checksum'].split(' ');
+        const algorithm = CHECKSUM_ALGORITHMS[name];
+        if (!algorithm || !digest) {
+          send(res, 400, {}, 'unsupported checksum algorithm');
+          req.resume();
+          return;
+        }
+        checksum = { algorithm, digest };
+      }
+
+      const client = up.owner || req.socket.remoteAddress;
+      const length = contentLength !== undefined ? Number(contentLength) : 0;
+      manager.writeSequential(id, offset, req, { checksum, client, length }).then(async (result) => {
+        // the connection is gone; progress is saved for the next HEAD
+        if (result.interrupted) return;
+        const current = result.offset === up.totalSize
+          ? await manager.markCompleted(id)
+          : await manager.getUpload(id);
+        const headers = { 'Upload-Offset': String(result.offset) };
+        const expiresAt = manager.getExpiresAt(current);
+        if (expiresAt) headers['Upload-Expires'] = new Date(expiresAt).toUTCString();
+        send(res, 204, headers);
+      }).catch((err) => {
+        // all data is in but the name is taken (collision policy 'fail'). Not a 409: that makes a
+        // tus client re-sync its offset, and at Upload-Length it would think it was done
+        if (err && err.message === 'destination_exists') {
+          send(res, 422, {}, DESTINATION_EXISTS);
+          return;
+        }
+        // 501: the storage backend can't append partial chunks (s3)
+        if (err && (err.status === 409 || err.status === 501)) {
+          send(res, err.status, {}, err.message);
+          req.resume();
+          return;
+        }
+        // over a rate or concurrency limit (see throttle.js)
+        if (err && err.status === 429) {
+          send(res, 429, { 'Retry-After': String(err.retryAfter) }, err.message);
+          req.resume();
+          return;
+        }
+        if (err && (err.status === 460 || err.status === 413)) {
+          send(res, err.status, {}, err.message);
+          return;
+        }
+        if (err && (err.code === 'ENOSPC' || err.status === 507)) {
+          send(res, 507, {}, 'No space left on device');
+          return;
+        }
+        if (err && err.transient) {
+          send(res, 503, {}, 'transient write failure');
+          return;
+        }
+        console.error('tus patch error', err);
+        if (!res.headersSent) send(res, 500, {}, 'patch failed');
+      });
+      return;
+    }
+
+    // termination
+    if (method === 'DELETE') {
+      req.resume();
+      manager.abortUpload(id).then(() => {
+        send(res, 204);
+      }).catch((err) => {
+        // a PATCH or completion is running
+        if (err && err.status === 409) {
+          send(res, 409, { 'Retry-After': '1' }, 'upload busy');
+          return;
+        }
+        console.error('tus terminate error', err);
+        send(res, 500, {}, 'terminate failed');
+      });
+      return;
+    }
+
+    send(res, 405, {}, 'method not allowed');
+    req.resume();
+  }
+
+  return handle;
+}
+
+module.exports = { createTusHandler, parseMetadata, formatMetadata };
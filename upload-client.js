@@ -1,22 +1,71 @@
-// High-performance lane-based browser client
+// High-performance lane-based browser client. Files and whole folders (picker, drag and drop)
+// go into a persistent queue; every file's chunks are spread over parallel lanes by a
+// work-stealing scheduler, and all files share one budget of chunk requests in flight, which
+// (with "Adapt") follows the measured throughput within the limits the server advertises at
+// GET /upload/limits. Folder uploads send each file's relative path, which the server recreates.
+// Resume state and the queue live in IndexedDB, keyed by a fingerprint of the file's content;
+// where the File System Access API is available the file handles are kept there too, so pending
+// uploads can be resumed after a reload without picking the files again. The engine is in
+// upload-core.js; with "Upload in the background" it runs in upload-worker.js instead of the page.
+// With encryption on, new uploads are encrypted in the browser (see chunkCrypto.js).
 (() => {
   // UI
   const fileInput = document.getElementById('file');
+  const pickFilesBtn = document.getElementById('pickFilesBtn');
+  const folderInput = document.getElementById('folder');
+  const pickFolderBtn = document.getElementById('pickFolderBtn');
+  const dropZone = document.getElementById('dropZone');
+  const queueBody = document.querySelector('#queue tbody');
   const startBtn = document.getElementById('startBtn');
   const pauseBtn = document.getElementById('pauseBtn');
   const abortBtn = document.getElementById('abortBtn');
+  const clearBtn = document.getElementById('clearBtn');
   const chunkSizeMBInput = document.getElementById('chunkSizeMB');
   const concurrencyInput = document.getElementById('concurrency');
+  const adaptiveInput = document.getElementById('adaptive');
+  const compressionInput = document.getElementById('compression');
+  const encryptionInput = document.getElementById('encryption');
+  const passphraseInput = document.getElementById('passphrase');
+  const keyFileInput = document.getElementById('keyFile');
+  const newKeyBtn = document.getElementById('newKeyBtn');
   const progressBar = document.querySelector('#progress > i');
   const percentLabel = document.getElementById('percent');
   const statusLabel = document.getElementById('status');
   const infoPre = document.getElementById('info');
   const baseUrlInput = document.getElementById('baseUrl');
+  const credentialInput = document.getElementById('credential');
+  const pendingBox = document.getElementById('pending');
+  const pendingText = document.getElementById('pendingText');
+  const resumePendingBtn = document.getElementById('resumePendingBtn');
+  const discardPendingBtn = document.getElementById('discardPendingBtn');
+  const backgroundInput = document.getElementById('background');
 
-  const STORAGE_KEY = 'fast-large-upload-meta-v1';
+  const { MiB, fileKey, dbGet, dbGetAll, dbPut, dbDelete, deleteRemote, encryptionKey, UploadRun } = UploadCore;
 
-  let paused = false;
-  let abortRequested = false;
+  // kept in localStorage by earlier versions: resume state keyed by path and size (taken over when
+  // its file is added again), and the bases and tuning that have moved to IndexedDB
+  const LEGACY_META_KEY = 'fast-large-upload-meta-v1';
+  const LEGACY_BASES_KEY = 'fast-large-upload-bases-v1';
+  const LEGACY_TUNING_KEY = 'fast-large-upload-tuning-v1';
+  // whether "Upload in the background" is ticked
+  const BACKGROUND_KEY = 'fast-large-upload-background-v1';
+  // an open page pings the background uploader this often; a Service Worker is stopped when idle
+  const KEEPALIVE_MS = 20000;
+
+  // queue entries: { key, name, relativePath, size, lastModified, order, file, handle, rootId,
+  // state, doneBytes, note, row, background }; file is null until the file is added again or its
+  // handle read; background is set while the background uploader holds the file
+  // state: queued | uploading | paused | done | error, and cancelled once discarded (its lanes stop)
+  let items = [];
+  // the highest queue position handed out so far
+  let lastOrder = 0;
+  // the queue's run in this page (an UploadRun), if any
+  let run = null;
+  // posts a message to the background uploader, once connected
+  let postToWorker = null;
+  // the passphrase or key File and the key derived from it; derived again only when that changes,
+  // as PBKDF2 takes a moment
+  let encryptionCache = { source: null, key: null };
 
   // sensible defaults
   if (!chunkSizeMBInput.value) chunkSizeMBInput.value = 64;
@@ -25,229 +74,596 @@
     concurrencyInput.value = Math.min(4, hw);
   }
 
-  function baseUrl() {
+  // The server field takes a base URL or a pre-signed initiate URL (.../upload/initiate?sig=...);
+  // the result is the target upload-core.js sends requests to
+  function serverTarget() {
+    const credential = (credentialInput.value || '').trim();
     const v = (baseUrlInput.value || '').trim();
-    return v || window.location.origin;
+    if (!v) return { base: window.location.origin, sig: null, credential };
+    const u = new URL(v, window.location.href);
+    const sig = u.searchParams.get('sig');
+    if (sig && u.pathname.endsWith('/upload/initiate')) {
+      return { base: u.origin + u.pathname.slice(0, -'/upload/initiate'.length), sig, credential };
+    }
+    return { base: v, sig: null, credential };
   }
 
-  async function apiFetch(path, opts = {}) {
-    const url = baseUrl().replace(/\/$/, '') + path;
-    return fetch(url, opts);
+  // the key new uploads are encrypted with, or null when encryption is off
+  async function runEncryption() {
+    const mode = encryptionInput.value;
+    if (!mode) return null;
+    const source = mode === 'passphrase' ? passphraseInput.value : keyFileInput.files[0];
+    if (!source) throw new Error(mode === 'passphrase' ? 'Enter the encryption passphrase' : 'Choose the encryption key file');
+    if (encryptionCache.source !== source) {
+      const key = await encryptionKey(mode === 'passphrase' ? { passphrase: source } : { keyFile: await source.arrayBuffer() });
+      encryptionCache = { source, key };
+    }
+    return encryptionCache.key;
   }
 
-  function fileKey(file) { return `${file.name}:${file.size}`; }
-
-  function saveMeta(key, meta) {
-    try {
-      const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
-      all[key] = meta;
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
-    } catch (e) { /* ignore */ }
+  async function runSettings() {
+    return {
+      target: serverTarget(),
+      adaptive: adaptiveInput.checked,
+      concurrency: Number(concurrencyInput.value) || null,
+      chunkSizeMB: Number(chunkSizeMBInput.value) || null,
+      compression: compressionInput.value || null,
+      encryption: await runEncryption()
+    };
   }
-  function loadMeta(key) {
+
+  function loadMeta(key, storageKey) {
     try {
-      const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      const all = JSON.parse(localStorage.getItem(storageKey) || '{}');
       return all[key] || null;
     } catch (e) { return null; }
   }
-  function removeMeta(key) {
+  function removeMeta(key, storageKey) {
     try {
-      const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      const all = JSON.parse(localStorage.getItem(storageKey) || '{}');
       delete all[key];
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+      localStorage.setItem(storageKey, JSON.stringify(all));
     } catch (e) {}
   }
 
+  // bases and tuning of earlier versions move to IndexedDB, where the background uploader reads them too
+  async function migrateLegacy() {
+    for (const [storageKey, storeName] of [[LEGACY_BASES_KEY, 'bases'], [LEGACY_TUNING_KEY, 'tuning']]) {
+      let all = null;
+      try { all = JSON.parse(localStorage.getItem(storageKey) || 'null'); } catch (e) {}
+      if (!all) continue;
+      for (const [key, value] of Object.entries(all)) {
+        if (!(await dbGet(storeName, key))) await dbPut(storeName, key, value);
+      }
+      localStorage.removeItem(storageKey);
+    }
+  }
+
   function logInfo(obj) { infoPre.textContent = JSON.stringify(obj, null, 2); }
 
-  async function startOrResume() {
-    const file = fileInput.files && fileInput.files[0];
-    if (!file) { alert('Select a file'); return; }
-    paused = false; abortRequested = false;
-    startBtn.disabled = true; pauseBtn.disabled = false; abortBtn.disabled = false;
+  // Start (or join) a run of the queue in this page: files are uploaded side by side, at most one
+  // per slot of the shared budget, in queue order.
+  async function runQueue(settings) {
+    if (run) {
+      run.pump();
+      return;
+    }
+    const created = await UploadRun.create(settings);
+    if (run) {
+      run.pump();
+      return;
+    }
+    run = created;
+    run.onChange = showRunStatus;
+    await run.drain(() => items.find((it) => it.state === 'queued' && it.file && !it.background && !it.busy) || null, itemHooks);
+    run = null;
+    updateButtons();
+    showRunStatus();
+  }
 
-    const chunkSize = Math.max(1, Number(chunkSizeMBInput.value || 64)) * 1024 * 1024;
-    const concurrency = Math.max(1, Math.min(16, Number(concurrencyInput.value || 4)));
+  // how upload-core.js reports on an item uploading in this page
+  function itemHooks(item) {
+    return {
+      setState: (state, note) => setState(item, state, note),
+      setNote: (note) => setNote(item, note),
+      progress: () => {
+        renderItem(item);
+        updateProgress();
+      },
+      log: logInfo
+    };
+  }
 
-    const key = fileKey(file);
-    let meta = loadMeta(key);
-    if (meta) {
-      // confirm server status and update received list
+  // Connect to the background uploader: a Service Worker where the page can register one (served
+  // over http(s) or from localhost), which keeps uploading while the page navigates away or
+  // reloads; otherwise a dedicated Worker, which stops with the page but still keeps hashing and
+  // retries off this thread. Resolves false when neither is available.
+  async function connectWorker() {
+    if (postToWorker) return true;
+    if ('serviceWorker' in navigator && window.isSecureContext) {
       try {
-        const r = await apiFetch(`/upload/${meta.uploadId}/status`);
-        if (!r.ok) {
-          // server lost it; start fresh
-          meta = null; removeMeta(key);
-        } else {
-          const st = await r.json();
-          meta.chunkSize = st.chunkSize || meta.chunkSize;
-          meta.received = new Set(st.receivedChunks || []);
-        }
-      } catch (e) { /* ignore, will try resume locally */ }
-    }
-
-    if (!meta) {
-      // initiate new upload
-      const r = await apiFetch('/upload/initiate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ filename: file.name, totalSize: file.size, chunkSize })
-      });
-      if (!r.ok) {
-        alert('Initiate failed: ' + await r.text());
-        startBtn.disabled = false; pauseBtn.disabled = true; abortBtn.disabled = true;
-        return;
+        await navigator.serviceWorker.register('upload-worker.js');
+        const reg = await navigator.serviceWorker.ready;
+        attachServiceWorker(reg.active);
+        return true;
+      } catch (e) {
+        console.warn('Service Worker registration failed', e);
       }
-      const j = await r.json();
-      meta = {
-        uploadId: j.uploadId,
-        chunkSize: j.chunkSize || chunkSize,
-        totalSize: file.size,
-        received: new Set()
-      };
-      saveMeta(key, { uploadId: meta.uploadId, chunkSize: meta.chunkSize, totalSize: meta.totalSize, received: [] });
     }
+    if (window.Worker) {
+      try {
+        const worker = new Worker('upload-worker.js');
+        worker.addEventListener('message', onWorkerMessage);
+        postToWorker = (msg) => worker.postMessage(msg);
+        return true;
+      } catch (e) {
+        console.warn('Worker failed to start', e);
+      }
+    }
+    return false;
+  }
 
-    logInfo({ file: file.name, size: file.size, uploadId: meta.uploadId, chunkSize: meta.chunkSize });
+  function attachServiceWorker(sw) {
+    navigator.serviceWorker.addEventListener('message', onWorkerMessage);
+    navigator.serviceWorker.startMessages();
+    postToWorker = (msg) => sw.postMessage(msg);
+    // every message keeps it alive a while longer
+    setInterval(() => {
+      if (items.some((it) => it.background && (it.state === 'queued' || it.state === 'uploading'))) postToWorker({ type: 'keepalive' });
+    }, KEEPALIVE_MS);
+  }
 
-    // compute total chunks
-    const totalChunks = Math.ceil(meta.totalSize / meta.chunkSize);
-    // refresh server received
-    try {
-      const r = await apiFetch(`/upload/${meta.uploadId}/status`);
-      if (r.ok) {
-        const st = await r.json();
-        meta.received = new Set(st.receivedChunks || []);
-      }
-    } catch (e) {}
+  // a Service Worker started from an earlier page may still be uploading; ask what it holds
+  async function reconnectWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    const reg = await navigator.serviceWorker.getRegistration().catch(() => null);
+    if (!reg || !reg.active) return;
+    attachServiceWorker(reg.active);
+    postToWorker({ type: 'hello' });
+  }
 
-    updateProgress(meta.received.size, totalChunks);
-    // build lanes: each lane gets contiguous chunk indices
-    const lanes = buildLanes(totalChunks, meta.received, concurrency);
-    statusLabel.textContent = `Uploading in ${lanes.length} lanes (concurrency ${lanes.length})`;
+  // Reports from the background uploader, to every open page:
+  //   { type: 'snapshot', jobs: [{ key, state, note, doneBytes }] }: everything it holds
+  //   { type: 'update', key, state, note, doneBytes }, { type: 'status', text }, { type: 'log', info }
+  function onWorkerMessage(e) {
+    const msg = e.data || {};
+    if (msg.type === 'snapshot' || msg.type === 'update') {
+      const held = msg.type === 'snapshot' ? msg.jobs : [msg];
+      if (msg.type === 'snapshot') {
+        for (const it of items) it.background = false;
+      }
+      for (const job of held) {
+        const item = items.find((it) => it.key === job.key);
+        if (!item) continue;
+        // a finished file leaves the uploader
+        item.background = job.state !== 'done';
+        item.state = job.state;
+        item.note = job.note;
+        item.doneBytes = job.doneBytes;
+        renderItem(item);
+      }
+      updateProgress();
+      updateButtons();
+      showPending();
+    } else if (msg.type === 'status') {
+      if (!run) statusLabel.textContent = msg.text;
+    } else if (msg.type === 'log') {
+      logInfo(msg.info);
+    }
+  }
 
+  // Upload these items: hand them to the background uploader when that's ticked (or it already
+  // holds them), otherwise run them in this page.
+  async function startItems(list) {
+    list = list.filter((it) => it.file || it.background);
+    // before anything is queued: it fails without the passphrase or key file
+    let settings;
     try {
-      await Promise.all(lanes.map((lane) => laneWorker(lane, file, meta)));
-      if (abortRequested) {
-        statusLabel.textContent = 'Aborted';
-      } else {
-        statusLabel.textContent = 'All chunks uploaded, completing...';
-        const r = await apiFetch(`/upload/${meta.uploadId}/complete`, { method: 'POST' });
-        if (r.ok) {
-          statusLabel.textContent = 'Upload complete';
-          removeMeta(key);
-        } else {
-          statusLabel.textContent = 'Complete failed: ' + (await r.text());
+      settings = await runSettings();
+    } catch (e) {
+      alert(e.message || e);
+      return;
+    }
+    for (const it of list) setState(it, 'queued');
+    if (backgroundInput.checked || list.some((it) => it.background)) {
+      if (await connectWorker()) {
+        const held = list.filter((it) => it.background);
+        const handed = list.filter((it) => !it.background);
+        if (held.length) postToWorker({ type: 'resume', keys: held.map((it) => it.key) });
+        if (handed.length) {
+          for (const it of handed) it.background = true;
+          postToWorker({
+            type: 'enqueue',
+            settings,
+            jobs: handed.map((it) => ({ key: it.key, name: it.name, relativePath: it.relativePath, size: it.size, file: it.file }))
+          });
         }
+        return;
       }
-    } catch (err) {
-      if (err && err.name === 'AbortError') {
-        statusLabel.textContent = 'Paused';
-      } else {
-        console.error('Upload error', err);
-        statusLabel.textContent = 'Upload error: ' + (err && err.message ? err.message : String(err));
-      }
-    } finally {
-      startBtn.disabled = false; pauseBtn.disabled = true; abortBtn.disabled = true;
+      statusLabel.textContent = 'Background uploads are not available here; uploading in this page';
     }
+    await runQueue(settings);
   }
 
-  function buildLanes(totalChunks, receivedSet, concurrency) {
-    const lanes = [];
-    const chunksPerLane = Math.ceil(totalChunks / concurrency);
-    for (let i = 0; i < concurrency; i++) {
-      const start = i * chunksPerLane;
-      const end = Math.min(totalChunks, (i + 1) * chunksPerLane);
-      const lane = [];
-      for (let c = start; c < end; c++) {
-        if (!receivedSet.has(c)) lane.push(c);
-      }
-      if (lane.length) lanes.push(lane);
+
+  // queue bookkeeping and rendering
+
+  // the queue entry as stored; file handles survive a reload, File objects don't
+  function persistItem(item) {
+    // discarded: its record is gone and must stay gone
+    if (!items.includes(item)) return;
+    dbPut('queue', item.key, {
+      key: item.key,
+      name: item.name,
+      relativePath: item.relativePath,
+      size: item.size,
+      lastModified: item.lastModified,
+      order: item.order,
+      handle: item.handle || null,
+      rootId: item.rootId || null,
+      // an upload in progress resumes as queued
+      state: item.state === 'uploading' ? 'queued' : item.state,
+      note: item.state === 'error' || item.state === 'done' ? item.note : '',
+      doneBytes: item.doneBytes
+    });
+  }
+
+  // drop an entry from the queue, and the folder handle once no entry needs it
+  function forgetItem(item) {
+    items = items.filter((it) => it !== item);
+    if (item.row) item.row.remove();
+    dbDelete('queue', item.key);
+    if (item.rootId && !items.some((it) => it.rootId === item.rootId)) dbDelete('roots', item.rootId);
+  }
+
+  async function restoreQueue() {
+    const saved = (await dbGetAll('queue')) || [];
+    saved.sort((a, b) => a.order - b.order);
+    for (const s of saved) {
+      items.push(Object.assign({ file: null, row: null }, s));
+      lastOrder = Math.max(lastOrder, s.order || 0);
     }
-    // if no lanes (all done), return empty
-    return lanes;
+    items.forEach(renderItem);
+    updateProgress();
+    updateButtons();
+    showPending();
   }
 
-  async function laneWorker(laneIndices, file, meta) {
-    for (const idx of laneIndices) {
-      if (abortRequested) throw new Error('abort_requested');
-      if (paused) throw new DOMException('paused', 'AbortError');
-      await uploadWithRetries(file, meta, idx);
-      // mark locally
-      meta.received.add(idx);
-      const key = fileKey(file);
-      const stored = loadMeta(key) || {};
-      stored.received = Array.from(meta.received);
-      saveMeta(key, stored);
-      updateProgress(meta.received.size, Math.ceil(meta.totalSize / meta.chunkSize));
+  // unfinished uploads of an earlier session, offered for resuming after a reload
+  function showPending() {
+    const pending = items.filter((it) => !it.file && !it.background && it.state !== 'done');
+    pendingBox.hidden = !pending.length;
+    if (!pending.length) return;
+    const resumable = pending.filter((it) => it.handle).length;
+    let text = `${pending.length} unfinished upload(s) from an earlier session.`;
+    if (resumable < pending.length) {
+      text += resumable
+        ? ` ${pending.length - resumable} of them need their files added again (or use Resume on the row).`
+        : ' Add the files again, or use Resume on a row to pick its file.';
     }
+    pendingText.textContent = text;
+    resumePendingBtn.hidden = !resumable;
   }
 
-  async function uploadWithRetries(file, meta, chunkIndex) {
-    const maxRetries = 6;
-    let attempt = 0;
-    while (attempt <= maxRetries) {
-      try {
-        await uploadChunk(file, meta.uploadId, meta.chunkSize, chunkIndex, meta.totalSize);
-        return;
-      } catch (err) {
-        // treat 409 or network errors as transient
-        const transient = (err && (err.transient || err.name === 'TypeError' || err.status === 409));
-        attempt++;
-        if (!transient || attempt > maxRetries) throw err;
-        const backoff = Math.min(30000, 300 * 2 ** attempt + Math.random() * 200);
-        await new Promise((r) => setTimeout(r, backoff));
+  function setState(item, state, note = '') {
+    item.state = state;
+    item.note = note;
+    renderItem(item);
+    persistItem(item);
+    updateProgress();
+    updateButtons();
+  }
+
+  function setNote(item, note) {
+    item.note = note;
+    renderItem(item);
+  }
+
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    const units = ['KiB', 'MiB', 'GiB', 'TiB'];
+    let i = -1;
+    do { n /= 1024; i++; } while (n >= 1024 && i < units.length - 1);
+    return `${n.toFixed(1)} ${units[i]}`;
+  }
+
+  const STATE_LABELS = { queued: 'Queued', uploading: 'Uploading', paused: 'Paused', done: 'Done', error: 'Error' };
+
+  function renderItem(item) {
+    if (!item.row) {
+      const row = document.createElement('tr');
+      row.innerHTML = '<td class="path"></td><td class="size"></td><td><progress max="1" value="0"></progress></td><td class="state"></td><td><button class="toggle"></button> <button class="discard">Discard</button></td>';
+      row.querySelector('.toggle').addEventListener('click', () => togglePause(item));
+      row.querySelector('.discard').addEventListener('click', () => discardItem(item));
+      queueBody.appendChild(row);
+      item.row = row;
+    }
+    const row = item.row;
+    row.querySelector('.path').textContent = item.relativePath || item.name;
+    row.querySelector('.size').textContent = formatBytes(item.size);
+    row.querySelector('progress').value = item.size ? item.doneBytes / item.size : (item.state === 'done' ? 1 : 0);
+    let label = STATE_LABELS[item.state] || item.state;
+    if (item.note && item.note !== label) label += `: ${item.note}`;
+    if (item.background) label += ' (in the background)';
+    else if (!item.file && item.state !== 'done') label += item.handle ? ' (from an earlier session)' : ' (add the file again to resume)';
+    row.querySelector('.state').textContent = label;
+    const toggle = row.querySelector('.toggle');
+    // a restored entry resumes from its row too, which reads its handle or asks for the file
+    const resumes = item.state === 'paused' || item.state === 'error' || (!item.file && !item.background && item.state === 'queued');
+    toggle.textContent = resumes ? 'Resume' : 'Pause';
+    toggle.disabled = !['queued', 'uploading', 'paused', 'error'].includes(item.state);
+  }
+
+  // overall progress in bytes
+  function updateProgress() {
+    let total = 0;
+    let done = 0;
+    let doneFiles = 0;
+    for (const it of items) {
+      total += it.size;
+      done += it.doneBytes;
+      if (it.state === 'done') doneFiles++;
+    }
+    const pct = total === 0 ? (items.length && doneFiles === items.length ? 100 : 0) : Math.round((done / total) * 10000) / 100;
+    progressBar.style.width = `${pct}%`;
+    percentLabel.textContent = `${pct}% (${doneFiles}/${items.length} files)`;
+  }
+
+  function showRunStatus() {
+    if (!run) {
+      const failed = items.filter((it) => it.state === 'error').length;
+      statusLabel.textContent = failed ? `Stopped, ${failed} file(s) failed` : 'Idle';
+      return;
+    }
+    const uploading = items.filter((it) => it.state === 'uploading').length;
+    const mbps = run.sentBytes / MiB / Math.max(0.001, (performance.now() - run.startedAt) / 1000);
+    statusLabel.textContent = `Uploading ${uploading} file(s) in ${run.budget.limit} lanes, ${mbps.toFixed(1)} MB/s`;
+  }
+
+  function updateButtons() {
+    const open = items.some((it) => (it.file || it.background) && ['queued', 'paused', 'error'].includes(it.state));
+    startBtn.disabled = !open;
+    pauseBtn.disabled = !items.some((it) => it.state === 'queued' || it.state === 'uploading');
+    abortBtn.disabled = !items.some((it) => it.state !== 'done');
+  }
+
+  // resume state an earlier version of this page kept in localStorage, keyed by path and size
+  async function adoptLegacyMeta(key, file, relativePath) {
+    const legacyKey = `${relativePath || file.name}:${file.size}`;
+    const legacy = loadMeta(legacyKey, LEGACY_META_KEY);
+    if (!legacy) return;
+    removeMeta(legacyKey, LEGACY_META_KEY);
+    if (!(await dbGet('resume', key))) await dbPut('resume', key, legacy);
+  }
+
+  /**
+   * Add { file, relativePath, handle, rootId } entries to the queue (handle and rootId when the
+   * File System Access API gave them). A file already in the queue (same path and fingerprint)
+   * gets its File back, e.g. after a reload; a finished one is queued again.
+   */
+  async function addFiles(entries) {
+    if (!entries.length) return;
+    // ask the browser not to evict the resume state under storage pressure
+    if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+    if (!run) statusLabel.textContent = `Reading ${entries.length} file(s)...`;
+    for (const { file, relativePath, handle, rootId } of entries) {
+      // only paths inside a folder are sent; a lone file keeps its plain name
+      const rel = relativePath && relativePath.includes('/') ? relativePath : '';
+      const key = await fileKey(file, rel);
+      let item = items.find((it) => it.key === key);
+      if (!item) {
+        item = { key, name: file.name, relativePath: rel, size: file.size, lastModified: file.lastModified, order: ++lastOrder, handle: null, rootId: null, file: null, state: 'queued', note: '', doneBytes: 0, row: null };
+        items.push(item);
+        await adoptLegacyMeta(key, file, rel);
+      }
+      item.file = file;
+      if (handle) {
+        item.handle = handle;
+        item.rootId = rootId || null;
       }
+      if (item.state === 'done') {
+        item.state = 'queued';
+        item.note = '';
+        item.doneBytes = 0;
+      }
+      renderItem(item);
+      persistItem(item);
     }
+    showRunStatus();
+    updateProgress();
+    updateButtons();
+    showPending();
   }
 
-  async function uploadChunk(file, uploadId, chunkSize, chunkIndex, totalSize) {
-    const start = chunkIndex * chunkSize;
-    const endExclusive = Math.min(start + chunkSize, totalSize);
-    const endInclusive = endExclusive - 1;
-    const slice = file.slice(start, endExclusive);
-    const headers = new Headers();
-    headers.set('Content-Range', `bytes ${start}-${endInclusive}/${totalSize}`);
-    // Use fetch with Blob body (browser will stream)
-    const resp = await apiFetch(`/upload/${uploadId}`, {
-      method: 'PUT',
-      headers,
-      body: slice
-    });
-    if (resp.status === 200) {
+  // read permission on a stored handle; asking needs a user gesture (the click that got here)
+  async function readPermission(handle) {
+    const opts = { mode: 'read' };
+    if ((await handle.queryPermission(opts)) === 'granted') return true;
+    return (await handle.requestPermission(opts)) === 'granted';
+  }
+
+  // a single file for a restored entry without a handle; null when the user cancels
+  async function pickOneFile() {
+    if (window.showOpenFilePicker) {
       try {
-        const j = await resp.json();
-        if (j && j.message === 'chunk_already_received') {
-          const e = new Error('already_received');
-          e.already = true;
-          throw e;
-        }
-      } catch (_) {}
+        const [handle] = await window.showOpenFilePicker();
+        return { file: await handle.getFile(), handle };
+      } catch (e) {
+        if (e.name === 'AbortError') return null;
+        throw e;
+      }
+    }
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.addEventListener('change', () => resolve(input.files[0] ? { file: input.files[0], handle: null } : null));
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+  }
+
+  // Give a restored entry its File back, from its handle or a file the user picks. Resolves false
+  // when there's no permission or no file, or the file isn't the one the upload started with.
+  async function reattach(item) {
+    let picked;
+    try {
+      if (item.handle) {
+        if (!(await readPermission(item.handle))) return false;
+        picked = { file: await item.handle.getFile(), handle: item.handle };
+      } else {
+        picked = await pickOneFile();
+        if (!picked) return false;
+      }
+    } catch (e) {
+      setState(item, item.state, `can't read the file (${e.message || e})`);
+      return false;
+    }
+    if ((await fileKey(picked.file, item.relativePath)) !== item.key) {
+      setState(item, item.state, 'not the file this upload started with (a different or changed file)');
+      return false;
+    }
+    item.file = picked.file;
+    if (picked.handle) item.handle = picked.handle;
+    persistItem(item);
+    return true;
+  }
+
+  // files under a dropped directory entry (webkitGetAsEntry), with their paths
+  async function walkEntry(entry, out) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      out.push({ file, relativePath: entry.fullPath.replace(/^\//, '') });
       return;
-    } else if (resp.status === 409) {
-      const e = new Error('conflict');
-      e.status = 409;
-      e.transient = true;
-      throw e;
+    }
+    const reader = entry.createReader();
+    // readEntries returns at most ~100 entries per call
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (!batch.length) break;
+      for (const child of batch) await walkEntry(child, out);
+    }
+  }
+
+  // files under a directory handle (File System Access API), with their handles
+  async function walkHandle(handle, prefix, out, rootId) {
+    for await (const [name, child] of handle.entries()) {
+      if (child.kind === 'file') out.push({ file: await child.getFile(), relativePath: `${prefix}/${name}`, handle: child, rootId });
+      else await walkHandle(child, `${prefix}/${name}`, out, rootId);
+    }
+  }
+
+  // a picked or dropped handle: a file, or a folder whose handle is kept so that one permission
+  // grant after a reload covers every file in it
+  async function addHandle(handle, out) {
+    if (handle.kind === 'file') {
+      out.push({ file: await handle.getFile(), relativePath: '', handle });
+      return;
+    }
+    const rootId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    await dbPut('roots', rootId, handle);
+    await walkHandle(handle, handle.name, out, rootId);
+  }
+
+  async function togglePause(item) {
+    if (item.state === 'paused' || item.state === 'error' || (item.state === 'queued' && !item.file && !item.background)) {
+      if (!item.file && !item.background && !(await reattach(item))) return;
+      showPending();
+      await startItems([item]);
     } else {
-      const txt = await resp.text().catch(() => '');
-      const e = new Error('upload_failed ' + resp.status + ' ' + txt);
-      e.status = resp.status;
-      e.transient = resp.status >= 500 && resp.status < 600;
-      throw e;
+      // lanes notice and stop after their current chunk
+      if (item.background) postToWorker({ type: 'pause', keys: [item.key] });
+      setState(item, 'paused');
     }
   }
 
-  function updateProgress(doneChunks, totalChunks) {
-    const pct = totalChunks === 0 ? 0 : Math.round((doneChunks / totalChunks) * 10000) / 100;
-    progressBar.style.width = `${pct}%`;
-    percentLabel.textContent = `${pct}% (${doneChunks}/${totalChunks})`;
+  // remove an entry from the queue and delete its upload on the server
+  async function discardItem(item, ask = true) {
+    const unfinished = item.state !== 'done';
+    if (ask && unfinished && !confirm(`Discard ${item.relativePath || item.name} and delete its upload on the server?`)) return;
+    // lanes stop after their current chunk, and markReceived leaves the resume state alone
+    item.state = 'cancelled';
+    if (item.background) postToWorker({ type: 'discard', keys: [item.key] });
+    forgetItem(item);
+    await deleteRemote(serverTarget(), item.key);
+    updateProgress();
+    updateButtons();
+    showPending();
   }
 
   // UI handlers
+  fileInput.addEventListener('change', () => {
+    addFiles(Array.from(fileInput.files, (file) => ({ file, relativePath: '' })));
+    fileInput.value = '';
+  });
+
+  folderInput.addEventListener('change', () => {
+    addFiles(Array.from(folderInput.files, (file) => ({ file, relativePath: file.webkitRelativePath })));
+    folderInput.value = '';
+  });
+
+  pickFilesBtn.addEventListener('click', async () => {
+    if (!window.showOpenFilePicker) {
+      fileInput.click();
+      return;
+    }
+    try {
+      const handles = await window.showOpenFilePicker({ multiple: true });
+      const out = [];
+      for (const handle of handles) await addHandle(handle, out);
+      await addFiles(out);
+    } catch (e) {
+      if (e.name !== 'AbortError') alert('Reading the files failed: ' + (e.message || e));
+    }
+  });
+
+  pickFolderBtn.addEventListener('click', async () => {
+    if (!window.showDirectoryPicker) {
+      folderInput.click();
+      return;
+    }
+    try {
+      const dir = await window.showDirectoryPicker();
+      const out = [];
+      await addHandle(dir, out);
+      await addFiles(out);
+    } catch (e) {
+      if (e.name !== 'AbortError') alert('Reading the folder failed: ' + (e.message || e));
+    }
+  });
+
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('over');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('over'));
+  dropZone.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('over');
+    // everything must be taken before the first await; the list is emptied after the event.
+    // Handles (where supported) are kept for resuming after a reload, entries work elsewhere
+    const dropped = Array.from(e.dataTransfer.items || []);
+    const handles = dropped.map((it) => (it.getAsFileSystemHandle ? it.getAsFileSystemHandle() : null));
+    const entries = dropped.map((it) => (it.webkitGetAsEntry ? it.webkitGetAsEntry() : null));
+    const files = Array.from(e.dataTransfer.files);
+    const out = [];
+    try {
+      const resolved = handles.length && handles.every(Boolean) ? await Promise.all(handles) : [];
+      if (resolved.length && resolved.every(Boolean)) {
+        for (const handle of resolved) await addHandle(handle, out);
+      } else if (entries.length && entries.every(Boolean)) {
+        for (const entry of entries) await walkEntry(entry, out);
+      } else {
+        for (const file of files) out.push({ file, relativePath: '' });
+      }
+    } catch (err) {
+      alert('Reading the dropped files failed: ' + (err.message || err));
+    }
+    addFiles(out);
+  });
+
   startBtn.addEventListener('click', async () => {
     try {
-      await startOrResume();
+      await startItems(items.filter((it) => ['queued', 'paused', 'error'].includes(it.state)));
     } catch (e) {
       console.error('Start failed', e);
       alert('Start failed: ' + (e.message || e));
@@ -255,29 +671,73 @@
   });
 
   pauseBtn.addEventListener('click', () => {
-    paused = true;
-    pauseBtn.disabled = true;
-    startBtn.disabled = false;
+    const pausing = items.filter((it) => it.state === 'queued' || it.state === 'uploading');
+    const held = pausing.filter((it) => it.background).map((it) => it.key);
+    if (held.length) postToWorker({ type: 'pause', keys: held });
+    for (const it of pausing) setState(it, 'paused');
     statusLabel.textContent = 'Pausing...';
   });
 
   abortBtn.addEventListener('click', async () => {
-    if (!confirm('Abort and delete remote file+metadata?')) return;
-    abortRequested = true;
-    paused = false;
-    pauseBtn.disabled = true;
-    startBtn.disabled = false;
-    const file = fileInput.files && fileInput.files[0];
-    if (!file) return;
-    const key = fileKey(file);
-    const meta = loadMeta(key);
-    if (!meta) return;
-    try {
-      await apiFetch(`/upload/${meta.uploadId}`, { method: 'DELETE' });
-    } catch (e) { console.warn('abort API error', e); }
-    removeMeta(key);
-    statusLabel.textContent = 'Aborted';
-    progressBar.style.width = '0%';
+    if (!confirm('Discard every unfinished upload and delete them on the server?')) return;
+    for (const it of items.slice()) {
+      if (it.state !== 'done') await discardItem(it, false);
+    }
     infoPre.textContent = 'No upload in progress';
   });
+
+  clearBtn.addEventListener('click', () => {
+    for (const it of items.filter((it) => it.state === 'done')) forgetItem(it);
+    updateProgress();
+    updateButtons();
+  });
+
+  resumePendingBtn.addEventListener('click', async () => {
+    const pending = items.filter((it) => !it.file && it.handle && it.state !== 'done');
+    // one grant on a folder covers the files picked from it
+    for (const rootId of new Set(pending.map((it) => it.rootId).filter(Boolean))) {
+      const dir = await dbGet('roots', rootId);
+      if (dir) await readPermission(dir).catch(() => false);
+    }
+    const ready = [];
+    for (const it of pending) {
+      if (await reattach(it)) ready.push(it);
+    }
+    showPending();
+    await startItems(ready);
+  });
+
+  discardPendingBtn.addEventListener('click', async () => {
+    const pending = items.filter((it) => !it.file && !it.background && it.state !== 'done');
+    if (!confirm(`Discard ${pending.length} unfinished upload(s) and delete them on the server?`)) return;
+    for (const it of pending) await discardItem(it, false);
+  });
+
+  function showEncryptionInputs() {
+    passphraseInput.hidden = encryptionInput.value !== 'passphrase';
+    keyFileInput.hidden = newKeyBtn.hidden = encryptionInput.value !== 'key';
+  }
+  encryptionInput.addEventListener('change', showEncryptionInputs);
+  showEncryptionInputs();
+
+  // 32 random bytes as base64 text, saved as a file; it is then chosen like any other key file
+  newKeyBtn.addEventListener('click', () => {
+    const key = crypto.getRandomValues(new Uint8Array(32));
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([btoa(String.fromCharCode(...key)) + '\n'], { type: 'application/octet-stream' }));
+    a.download = 'upload.key';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  });
+
+  try {
+    backgroundInput.checked = localStorage.getItem(BACKGROUND_KEY) === '1';
+  } catch (e) {}
+  backgroundInput.addEventListener('change', () => {
+    try {
+      localStorage.setItem(BACKGROUND_KEY, backgroundInput.checked ? '1' : '0');
+    } catch (e) {}
+  });
+
+  migrateLegacy().then(restoreQueue).then(reconnectWorker);
 })();
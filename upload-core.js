@@ -0,0 +1,764 @@
+// Upload engine shared by the browser client (upload-client.js) and its background uploader
+// (upload-worker.js): digests and file fingerprints, the IndexedDB stores, the lane budget, the
+// work-stealing chunk scheduler, the throughput tuner and the upload of one file. A classic script
+// that defines self.UploadCore, so pages load it with <script> and workers with importScripts().
+(() => {
+  // IndexedDB: 'resume' (item key -> upload state), 'queue' (item key -> queue entry with its
+  // file handle, if any), 'roots' (id -> directory handle a folder's files were picked from),
+  // 'bases' (file path -> { uploadId, chunkSize } of its last completed upload, the base for the
+  // next version), 'tuning' ('last' -> throughput and lane count of the last adaptive run)
+  const DB_NAME = 'fast-large-upload';
+  const DB_VERSION = 2;
+  const DB_STORES = ['resume', 'queue', 'roots', 'bases', 'tuning'];
+
+  const MiB = 1024 * 1024;
+  // adaptive chunk sizes aim at chunks that take about this long on one lane
+  const TARGET_CHUNK_SECONDS = 8;
+  const MAX_CHUNK_RETRIES = 6;
+  // the fingerprint hashes this many ranges of this many bytes, spread evenly over the file
+  const FINGERPRINT_SAMPLES = 8;
+  const FINGERPRINT_SAMPLE_BYTES = 64 * 1024;
+  // a compressed chunk is sent when it saves at least this share of the bytes; after this many
+  // chunks of a file in a row didn't, the rest of it is sent as it is
+  const MIN_COMPRESSION_SAVING = 0.05;
+  const INCOMPRESSIBLE_CHUNKS = 3;
+  // end-to-end encryption, laid out as chunkCrypto.js describes: a chunk is stored as nonce,
+  // AES-256-GCM ciphertext and tag, CHUNK_OVERHEAD bytes longer than its plaintext
+  const ENCRYPTION_SCHEME = 'aes-256-gcm-chunks-v1';
+  const NONCE_BYTES = 12;
+  const CHUNK_OVERHEAD = NONCE_BYTES + 16;
+  const PBKDF2_ITERATIONS = 600000;
+  const KEY_INFO = new TextEncoder().encode(`fast-large-upload ${ENCRYPTION_SCHEME}`);
+  const KEY_CHECK_INFO = new TextEncoder().encode('fast-large-upload key check');
+  // share of failed chunk attempts in a window that makes the tuner drop lanes
+  const ERROR_RATE_LIMIT = 0.2;
+  // DELETE retries, a second apart, while the server answers 409 upload_busy (a chunk in flight)
+  const ABORT_ATTEMPTS = 10;
+  // assumed when the server has no GET /upload/limits
+  const DEFAULT_LIMITS = {
+    chunkSize: { min: 1, max: null, recommended: 64 * MiB },
+    maxChunks: null,
+    concurrency: { recommended: 4, max: 16 },
+    contentEncodings: []
+  };
+
+  // target: { base, sig, credential }, sig being a pre-signed policy's signature. token: the
+  // upload-scoped token for per-upload routes; otherwise the credential is sent
+  async function apiFetch(target, path, opts = {}, token) {
+    let url = target.base.replace(/\/$/, '') + path;
+    // the policy's limits apply to /upload/limits too
+    if (target.sig && (path === '/upload/initiate' || path.startsWith('/upload/limits'))) {
+      url += `${url.includes('?') ? '&' : '?'}sig=${encodeURIComponent(target.sig)}`;
+    }
+    const bearer = token || target.credential;
+    if (bearer) {
+      const headers = new Headers(opts.headers || {});
+      headers.set('Authorization', `Bearer ${bearer}`);
+      opts = Object.assign({}, opts, { headers });
+    }
+    return fetch(url, opts);
+  }
+
+  // sha256 hex over the size, lastModified and sampled ranges of the file's content
+  async function fingerprint(file) {
+    const parts = [`${file.size}:${file.lastModified}:`];
+    if (file.size <= FINGERPRINT_SAMPLES * FINGERPRINT_SAMPLE_BYTES) {
+      parts.push(file);
+    } else {
+      const step = (file.size - FINGERPRINT_SAMPLE_BYTES) / (FINGERPRINT_SAMPLES - 1);
+      for (let i = 0; i < FINGERPRINT_SAMPLES; i++) {
+        const start = Math.floor(i * step);
+        parts.push(file.slice(start, start + FINGERPRINT_SAMPLE_BYTES));
+      }
+    }
+    return bufToHex(await sha256(await new Blob(parts).arrayBuffer()));
+  }
+
+  // files from a folder are told apart by their path inside it, versions of a file by fingerprint
+  async function fileKey(file, relativePath) {
+    return `${relativePath || file.name}:${await fingerprint(file)}`;
+  }
+
+  let dbPromise = null;
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          for (const name of DB_STORES) {
+            if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // runs fn(store) in a transaction and resolves with its request's result; storage failures
+  // (private browsing, quota) are logged and resolve undefined, the upload itself carries on
+  async function dbRequest(storeName, mode, fn) {
+    try {
+      const db = await openDb();
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = tx.onabort = () => reject(tx.error);
+      });
+    } catch (e) {
+      console.warn('IndexedDB error', storeName, e);
+      return undefined;
+    }
+  }
+  const dbGet = (storeName, key) => dbRequest(storeName, 'readonly', (s) => s.get(key));
+  const dbGetAll = (storeName) => dbRequest(storeName, 'readonly', (s) => s.getAll());
+  const dbPut = (storeName, key, value) => dbRequest(storeName, 'readwrite', (s) => s.put(value, key));
+  const dbDelete = (storeName, key) => dbRequest(storeName, 'readwrite', (s) => s.delete(key));
+
+  // resume state as stored: received is an array; an encrypted upload keeps its descriptor and
+  // its (non-extractable) keys, so it resumes after a reload without the passphrase
+  function resumeRecord(meta) {
+    return {
+      uploadId: meta.uploadId,
+      uploadToken: meta.uploadToken,
+      chunkSize: meta.chunkSize,
+      totalSize: meta.totalSize,
+      received: Array.from(meta.received),
+      digests: meta.digests,
+      encryption: meta.encryption || null,
+      keys: meta.keys || null
+    };
+  }
+
+  // WebCrypto helpers for per-chunk and manifest digests
+  function bufToHex(buf) {
+    return Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+  function hexToBytes(hex) {
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+  function bufToBase64(buf) {
+    return btoa(String.fromCharCode(...new Uint8Array(buf)));
+  }
+  async function sha256(data) {
+    return crypto.subtle.digest('SHA-256', data);
+  }
+
+  function chunkSlice(file, chunkSize, chunkIndex, totalSize) {
+    const start = chunkIndex * chunkSize;
+    return file.slice(start, Math.min(start + chunkSize, totalSize));
+  }
+
+  // size on the server of an encrypted upload of size bytes in chunks of chunkSize
+  function cipherSize(size, chunkSize) {
+    return size + Math.ceil(size / chunkSize) * CHUNK_OVERHEAD;
+  }
+
+  // 32 bytes from a key file: raw, 64 hex digits or base64
+  function keyFileBytes(buf) {
+    if (buf.byteLength === 32) return new Uint8Array(buf);
+    const text = new TextDecoder().decode(buf).trim();
+    if (/^[0-9a-f]{64}$/i.test(text)) return hexToBytes(text);
+    try {
+      const bin = atob(text);
+      if (bin.length === 32) return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+    } catch (e) {}
+    throw new Error('A key file holds 32 bytes: raw, as 64 hex digits or as base64');
+  }
+
+  function hkdfBits(key, salt, info, bits) {
+    return crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, bits);
+  }
+
+  /**
+   * Master key of a run that encrypts, from { passphrase } (PBKDF2 with a new salt) or { keyFile }
+   * (the file's contents): { kdf, key }, key being a non-extractable HKDF key and kdf what every
+   * upload's descriptor records about it.
+   */
+  async function encryptionKey(source) {
+    let bits;
+    let kdf;
+    if (source.keyFile) {
+      bits = keyFileBytes(source.keyFile);
+      kdf = { name: 'raw' };
+    } else {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const pass = await crypto.subtle.importKey('raw', new TextEncoder().encode(source.passphrase), 'PBKDF2', false, ['deriveBits']);
+      bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS }, pass, 256);
+      kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bufToBase64(salt) };
+    }
+    const key = await crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveBits']);
+    kdf.keyCheck = bufToHex(await hkdfBits(key, new Uint8Array(0), KEY_CHECK_INFO, 64));
+    return { kdf, key };
+  }
+
+  // descriptor and keys of a new encrypted upload of size bytes in chunks of chunkSize
+  async function newEncryption(runEncryption, size, chunkSize) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const bits = await hkdfBits(runEncryption.key, salt, KEY_INFO, 512);
+    return {
+      encryption: { scheme: ENCRYPTION_SCHEME, plainSize: size, chunkSize, salt: bufToBase64(salt), kdf: runEncryption.kdf },
+      keys: {
+        aes: await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt']),
+        mac: await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+      }
+    };
+  }
+
+  // nonce | ciphertext | tag of chunk index, the nonce derived from the index and the content
+  async function encryptChunk(keys, index, plainSize, plain) {
+    const ad = new Uint8Array(16);
+    const view = new DataView(ad.buffer);
+    view.setBigUint64(0, BigInt(index));
+    view.setBigUint64(8, BigInt(plainSize));
+    const mac = await crypto.subtle.sign('HMAC', keys.mac, await new Blob([ad.subarray(0, 8), plain]).arrayBuffer());
+    const nonce = new Uint8Array(mac, 0, NONCE_BYTES);
+    const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: ad }, keys.aes, plain);
+    const out = new Uint8Array(NONCE_BYTES + sealed.byteLength);
+    out.set(nonce);
+    out.set(new Uint8Array(sealed), NONCE_BYTES);
+    return out.buffer;
+  }
+
+  // what is sent for chunk idx: its bytes from the file, encrypted when the upload is
+  async function chunkBody(file, meta, idx) {
+    const plain = await chunkSlice(file, meta.chunkSize, idx, meta.totalSize).arrayBuffer();
+    return meta.encryption ? encryptChunk(meta.keys, idx, meta.totalSize, plain) : plain;
+  }
+
+  // sha256 over the concatenated per-chunk digests; the server recomputes it over the file on /complete
+  async function computeManifestDigest(file, meta) {
+    const totalChunks = Math.ceil(meta.totalSize / meta.chunkSize);
+    const all = new Uint8Array(totalChunks * 32);
+    for (let i = 0; i < totalChunks; i++) {
+      let hex = meta.digests[i];
+      if (!hex) {
+        // chunk uploaded before digests were tracked locally; hash it from the file (encryption
+        // is deterministic, so an encrypted chunk comes out as it was sent)
+        hex = bufToHex(await sha256(await chunkBody(file, meta, i)));
+        meta.digests[i] = hex;
+      }
+      all.set(hexToBytes(hex), i * 32);
+    }
+    return bufToHex(await sha256(all));
+  }
+
+  // sha256 hex of every chunk, keyed by chunk index (what the upload keeps in meta.digests)
+  async function hashAllChunks(item, chunkSize, hooks) {
+    const digests = {};
+    const totalChunks = Math.ceil(item.size / chunkSize);
+    for (let i = 0; i < totalChunks; i++) {
+      digests[i] = bufToHex(await sha256(await chunkSlice(item.file, chunkSize, i, item.size).arrayBuffer()));
+      hooks.setNote(`Hashing chunks to reuse the previous version (${i + 1}/${totalChunks})...`);
+    }
+    return digests;
+  }
+
+  // POST /upload/initiate; with a base, the server copies the chunks it already has from it. An
+  // encrypted upload is announced with its descriptor and the ciphertext's sizes
+  async function initiate(target, item, chunkSize, base, digests, encryption) {
+    const body = { filename: item.name, totalSize: item.size, chunkSize };
+    if (encryption) Object.assign(body, { totalSize: cipherSize(item.size, chunkSize), chunkSize: chunkSize + CHUNK_OVERHEAD, encryption });
+    if (item.relativePath) body.relativePath = item.relativePath;
+    if (base) {
+      body.baseUploadId = base.uploadId;
+      body.chunkHashes = Array.from({ length: Math.ceil(item.size / chunkSize) }, (_, i) => digests[i]);
+    }
+    return apiFetch(target, '/upload/initiate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // what the server accepts and recommends for a new upload; older servers don't say
+  async function fetchLimits(target, totalSize) {
+    try {
+      const r = await apiFetch(target, `/upload/limits?totalSize=${totalSize}`);
+      if (r.ok) return await r.json();
+    } catch (e) {}
+    return DEFAULT_LIMITS;
+  }
+
+  // chunk size for a new upload: the run's chunkSizeMB, or when adapting the server's
+  // recommendation, or after an earlier run what one lane moved in TARGET_CHUNK_SECONDS (a power
+  // of two MiB)
+  async function pickChunkSize(size, run) {
+    const { limits } = run;
+    const { min, max, recommended } = limits.chunkSize;
+    let chunkSize = Math.max(1, Number(run.chunkSizeMB || 64)) * MiB;
+    if (run.adaptive) {
+      const tuning = await dbGet('tuning', 'last');
+      chunkSize = recommended;
+      if (tuning && tuning.bytesPerSecond && tuning.lanes) {
+        const perLane = tuning.bytesPerSecond / tuning.lanes * TARGET_CHUNK_SECONDS;
+        chunkSize = MiB * 2 ** Math.max(0, Math.floor(Math.log2(perLane / MiB)));
+      }
+    }
+    if (limits.maxChunks) chunkSize = Math.max(chunkSize, Math.ceil(size / limits.maxChunks));
+    // the server's limits apply to encrypted chunks, which are longer
+    return Math.min((max || Infinity) - (run.encryption ? CHUNK_OVERHEAD : 0), Math.max(min || 1, chunkSize));
+  }
+
+  // Chunk requests in flight across every file of the queue: a lane holds a slot while its chunk
+  // is being read, hashed and sent, and waits for one otherwise.
+  class LaneBudget {
+    constructor(limit) {
+      this.limit = limit;
+      this.active = 0;
+      this.waiters = [];
+    }
+
+    acquire() {
+      if (this.active < this.limit) {
+        this.active++;
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => this.waiters.push(resolve));
+    }
+
+    release() {
+      this.active--;
+      this._wake();
+    }
+
+    setLimit(limit) {
+      this.limit = limit;
+      this._wake();
+    }
+
+    _wake() {
+      while (this.waiters.length && this.active < this.limit) {
+        this.active++;
+        this.waiters.shift()();
+      }
+    }
+  }
+
+  // Work-stealing chunk scheduler. Each lane owns a contiguous run of the missing chunks and takes
+  // from its front; a lane whose run is used up steals the back half of the longest other run. A
+  // failed chunk goes back to the front of its lane's run with a not-before time and the lane
+  // carries on with the next one, so a chunk stuck in retries no longer leaves other lanes idle.
+  class ChunkScheduler {
+    constructor(indices, lanes) {
+      this.runs = new Map(); // lane id -> chunk indices
+      this.notBefore = new Map(); // chunk index -> earliest retry time
+      const perLane = Math.ceil(indices.length / lanes);
+      for (let i = 0; i < lanes; i++) this.runs.set(i, indices.slice(i * perLane, (i + 1) * perLane));
+    }
+
+    // { index }, { waitMs } when only chunks waiting for a retry are left, or null when none are
+    next(lane) {
+      const now = Date.now();
+      if (!this.runs.has(lane)) this.runs.set(lane, []);
+      const own = this.runs.get(lane);
+      const ready = (run) => run.findIndex((c) => !(this.notBefore.get(c) > now));
+      if (ready(own) < 0) {
+        let victim = null;
+        for (const run of this.runs.values()) {
+          if (run !== own && ready(run) >= 0 && (!victim || run.length > victim.length)) victim = run;
+        }
+        if (victim) own.push(...victim.splice(Math.floor(victim.length / 2)));
+      }
+      const i = ready(own);
+      if (i >= 0) return { index: own.splice(i, 1)[0] };
+      let waitMs = Infinity;
+      for (const run of this.runs.values()) {
+        for (const c of run) waitMs = Math.min(waitMs, (this.notBefore.get(c) || now) - now);
+      }
+      return Number.isFinite(waitMs) ? { waitMs: Math.max(0, waitMs) } : null;
+    }
+
+    retry(lane, index, delayMs) {
+      this.notBefore.set(index, Date.now() + delayMs);
+      this.runs.get(lane).unshift(index);
+    }
+
+    get pending() {
+      let n = 0;
+      for (const run of this.runs.values()) n += run.length;
+      return n;
+    }
+  }
+
+  // Hill climbing on measured throughput: after each window of chunk attempts, keep moving the
+  // lane count the way that raised throughput, take back a step that didn't, and cut a quarter of
+  // the lanes when more than ERROR_RATE_LIMIT of the attempts failed or the server throttled.
+  class ConcurrencyTuner {
+    constructor(lanes, max) {
+      this.lanes = lanes;
+      this.max = max;
+      this.step = 1;
+      this.lastRate = 0;
+      this.hold = false;
+      this._newWindow();
+    }
+
+    _newWindow() {
+      this.window = { start: performance.now(), bytes: 0, ok: 0, failed: 0, throttled: false };
+    }
+
+    // one chunk attempt; returns true when the lane count changed
+    record(bytes, ok, throttled) {
+      const w = this.window;
+      if (ok) { w.ok++; w.bytes += bytes; } else w.failed++;
+      if (throttled) w.throttled = true;
+      if (w.ok + w.failed < Math.max(4, 2 * this.lanes)) return false;
+      const rate = w.bytes / Math.max(0.001, (performance.now() - w.start) / 1000);
+      const before = this.lanes;
+      if (w.throttled || w.failed / (w.ok + w.failed) > ERROR_RATE_LIMIT) {
+        this.lanes = Math.max(1, Math.floor(this.lanes * 0.75));
+        this.step = 1;
+        this.hold = true;
+      } else if (this.hold) {
+        // measure the lane count we just went back to
+        this.hold = false;
+      } else if (rate > this.lastRate * 1.05) {
+        this.lanes += this.step;
+      } else {
+        this.lanes -= this.step;
+        this.step = -this.step;
+        this.hold = true;
+      }
+      this.lanes = Math.max(1, Math.min(this.max, this.lanes));
+      this.lastRate = rate;
+      this._newWindow();
+      return this.lanes !== before;
+    }
+  }
+
+  /**
+   * One file of a run: resume or initiate it, send the missing chunks, complete it. Never throws;
+   * the outcome goes to hooks.setState, and a change of item.state from outside (pause, discard)
+   * stops it after the chunks in flight.
+   *   item: { key, file, name, relativePath, size, state, doneBytes }
+   *   hooks: { setState(state, note), setNote(note), progress(), log(info) }
+   */
+  async function uploadFile(item, run, hooks) {
+    const file = item.file;
+    const key = item.key;
+    const baseKey = item.relativePath || item.name;
+    const target = run.target;
+    hooks.setState('uploading', 'Starting...');
+    try {
+      let meta = (await dbGet('resume', key)) || null;
+      if (meta) {
+        if (meta.encryption && !meta.keys) throw new Error('The keys of this encrypted upload are gone; discard it and upload it again');
+        meta.digests = meta.digests || {};
+        meta.received = new Set(meta.received || []);
+        // confirm server status and update received list
+        try {
+          const r = await apiFetch(target, `/upload/${meta.uploadId}/status`, {}, meta.uploadToken);
+          if (!r.ok) {
+            // server lost it; start fresh
+            meta = null;
+            await dbDelete('resume', key);
+          } else {
+            const st = await r.json();
+            // an encrypted upload's chunk size on the server is the ciphertext's
+            if (!meta.encryption) meta.chunkSize = st.chunkSize || meta.chunkSize;
+            meta.received = new Set(st.receivedChunks || []);
+          }
+        } catch (e) { /* ignore, will try resume locally */ }
+      }
+
+      if (!meta) {
+        // initiate new upload; a completed upload of an earlier version of this file is its base,
+        // chunked the same way so unchanged chunks hash the same
+        const chunkSize = await pickChunkSize(item.size, run);
+        // an empty file has nothing to encrypt; encrypted chunks never match an earlier version's
+        const sealed = run.encryption && item.size > 0 ? await newEncryption(run.encryption, item.size, chunkSize) : null;
+        let base = sealed ? null : (await dbGet('bases', baseKey)) || null;
+        let newChunkSize = base ? base.chunkSize : chunkSize;
+        let digests = base ? await hashAllChunks(item, newChunkSize, hooks) : {};
+        let r = await initiate(target, item, newChunkSize, base, digests, sealed && sealed.encryption);
+        if (base && r.status === 404) {
+          // the base was deleted on the server
+          await dbDelete('bases', baseKey);
+          base = null;
+          newChunkSize = chunkSize;
+          digests = {};
+          r = await initiate(target, item, newChunkSize, null, digests);
+        }
+        if (!r.ok) throw new Error('Initiate failed: ' + await r.text());
+        const j = await r.json();
+        if (j.completed) {
+          // empty, or the same content is already on the server
+          item.doneBytes = item.size;
+          hooks.setState('done', j.filename || '');
+          return;
+        }
+        meta = {
+          uploadId: j.uploadId,
+          uploadToken: j.uploadToken || null,
+          // the plaintext's, also when encrypted
+          chunkSize: sealed ? newChunkSize : j.chunkSize || newChunkSize,
+          totalSize: item.size,
+          received: new Set(j.copiedChunks || []),
+          // hashes from another chunk size are no use for the manifest
+          digests: (j.chunkSize || newChunkSize) === newChunkSize ? digests : {}
+        };
+        if (sealed) Object.assign(meta, sealed);
+        await dbPut('resume', key, resumeRecord(meta));
+        // cancelled while initiating
+        if (item.state === 'cancelled') {
+          await deleteRemote(target, key);
+          return;
+        }
+      }
+
+      hooks.log({ file: item.relativePath || item.name, size: item.size, uploadId: meta.uploadId, chunkSize: meta.chunkSize, lanes: run.budget.limit, adaptive: run.adaptive, encrypted: !!meta.encryption });
+
+      // compute total chunks
+      const totalChunks = Math.ceil(meta.totalSize / meta.chunkSize);
+      // refresh server received
+      try {
+        const r = await apiFetch(target, `/upload/${meta.uploadId}/status`, {}, meta.uploadToken);
+        if (r.ok) {
+          const st = await r.json();
+          meta.received = new Set(st.receivedChunks || []);
+        }
+      } catch (e) {}
+
+      item.doneBytes = receivedBytes(meta);
+      hooks.setNote('Uploading');
+      const missing = [];
+      for (let c = 0; c < totalChunks; c++) if (!meta.received.has(c)) missing.push(c);
+      await runLanes(item, meta, new ChunkScheduler(missing, Math.min(run.limits.concurrency.max, missing.length) || 1), run, hooks);
+      if (item.state !== 'uploading') return;
+
+      hooks.setNote('Verifying...');
+      const manifestSha256 = await computeManifestDigest(file, meta);
+      hooks.setNote('Completing...');
+      const r = await apiFetch(target, `/upload/${meta.uploadId}/complete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ manifestSha256 })
+      }, meta.uploadToken);
+      if (!r.ok) throw new Error('Complete failed: ' + (await r.text()));
+      const done = await r.json().catch(() => ({}));
+      await dbDelete('resume', key);
+      if (!meta.encryption) await dbPut('bases', baseKey, { uploadId: meta.uploadId, chunkSize: meta.chunkSize });
+      hooks.setState('done', done.filename || '');
+    } catch (err) {
+      if (item.state !== 'uploading') return;
+      console.error('Upload error', item.key, err);
+      hooks.setState('error', err && err.message ? err.message : String(err));
+    }
+  }
+
+  // Send the scheduler's chunks, one lane per run; a lane holds a budget slot while its chunk is in
+  // flight. Resolves once no chunks are left or the item stops uploading (paused, cancelled).
+  function runLanes(item, meta, scheduler, run, hooks) {
+    const { budget, tuner } = run;
+    const attempts = new Map(); // chunk index -> failed attempts
+    let failed = false;
+    // Content-Encoding for this file's chunks, while they keep shrinking
+    const coding = run.compression ? { encoding: run.compression, misses: 0 } : null;
+
+    async function send(lane, idx) {
+      const bytes = Math.min(meta.chunkSize, meta.totalSize - idx * meta.chunkSize);
+      let changed;
+      try {
+        const digest = await uploadChunk(run.target, item.file, meta, idx, coding);
+        markReceived(item, meta, idx, digest, hooks);
+        run.sentBytes += bytes;
+        changed = tuner && tuner.record(bytes, true, false);
+      } catch (err) {
+        // throttled (429): wait as long as the server asks; doesn't use up a retry
+        const throttled = !!(err && err.retryAfterMs);
+        // treat 409, digest mismatch (422) or network errors as transient
+        const transient = throttled || (err && (err.transient || err.name === 'TypeError' || err.status === 409 || err.status === 422));
+        const n = throttled ? attempts.get(idx) || 0 : (attempts.get(idx) || 0) + 1;
+        attempts.set(idx, n);
+        if (!transient || n > MAX_CHUNK_RETRIES) throw err;
+        const delay = throttled ? err.retryAfterMs + Math.random() * 500 : Math.min(30000, 300 * 2 ** n + Math.random() * 200);
+        scheduler.retry(lane, idx, delay);
+        changed = tuner && tuner.record(0, false, throttled);
+      }
+      if (changed) budget.setLimit(tuner.lanes);
+      run.onChange();
+    }
+
+    async function lane(id) {
+      let waitMs = 0;
+      for (;;) {
+        if (waitMs) await new Promise((r) => setTimeout(r, waitMs));
+        waitMs = 0;
+        if (failed || item.state !== 'uploading') return;
+        await budget.acquire();
+        try {
+          if (failed || item.state !== 'uploading') return;
+          const next = scheduler.next(id);
+          if (!next) return;
+          if (next.index === undefined) {
+            waitMs = Math.min(next.waitMs, 1000);
+            continue;
+          }
+          await send(id, next.index);
+        } finally {
+          budget.release();
+        }
+      }
+    }
+
+    return Promise.all(Array.from(scheduler.runs.keys(), (id) => lane(id).catch((err) => {
+      failed = true;
+      throw err;
+    })));
+  }
+
+  function receivedBytes(meta) {
+    let bytes = 0;
+    for (const idx of meta.received) bytes += Math.min(meta.chunkSize, meta.totalSize - idx * meta.chunkSize);
+    return bytes;
+  }
+
+  function markReceived(item, meta, idx, digest, hooks) {
+    // cancelled: its record is gone and must stay gone
+    if (item.state === 'cancelled') return;
+    meta.received.add(idx);
+    meta.digests[idx] = digest;
+    // readwrite transactions on a store run in order, so the last write wins
+    dbPut('resume', item.key, resumeRecord(meta));
+    item.doneBytes = receivedBytes(meta);
+    hooks.progress();
+  }
+
+  // DELETE the upload kept under an item key on the server, if there is one
+  async function deleteRemote(target, key) {
+    const meta = await dbGet('resume', key);
+    if (!meta) return;
+    try {
+      for (let attempt = 0; attempt < ABORT_ATTEMPTS; attempt++) {
+        const resp = await apiFetch(target, `/upload/${meta.uploadId}`, { method: 'DELETE' }, meta.uploadToken);
+        if (resp.status !== 409) break;
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    } catch (e) { console.warn('abort API error', e); }
+    await dbDelete('resume', key);
+  }
+
+  // body compressed with CompressionStream, or null when that doesn't save MIN_COMPRESSION_SAVING
+  async function compressChunk(body, encoding) {
+    const stream = new Blob([body]).stream().pipeThrough(new CompressionStream(encoding));
+    const compressed = await new Response(stream).arrayBuffer();
+    return compressed.byteLength <= body.byteLength * (1 - MIN_COMPRESSION_SAVING) ? compressed : null;
+  }
+
+  // uploads one chunk of meta's upload and resolves with its sha256 hex; coding: { encoding, misses }
+  // to send it compressed (Content-Range and the digest stay those of the uncompressed bytes). An
+  // encrypted upload's chunks are placed at the ciphertext's offsets
+  async function uploadChunk(target, file, meta, chunkIndex, coding) {
+    // read (and encrypt) the slice once so the digest covers exactly the bytes we send
+    const body = await chunkBody(file, meta, chunkIndex);
+    const start = chunkIndex * (meta.encryption ? meta.chunkSize + CHUNK_OVERHEAD : meta.chunkSize);
+    const totalSize = meta.encryption ? cipherSize(meta.totalSize, meta.chunkSize) : meta.totalSize;
+    const digest = await sha256(body);
+    const headers = new Headers();
+    headers.set('Content-Range', `bytes ${start}-${start + body.byteLength - 1}/${totalSize}`);
+    headers.set('Content-Digest', `sha-256=:${bufToBase64(digest)}:`);
+    let wire = body;
+    if (coding && coding.misses < INCOMPRESSIBLE_CHUNKS) {
+      const compressed = await compressChunk(body, coding.encoding);
+      coding.misses = compressed ? 0 : coding.misses + 1;
+      if (compressed) {
+        headers.set('Content-Encoding', coding.encoding);
+        wire = compressed;
+      }
+    }
+    const resp = await apiFetch(target, `/upload/${meta.uploadId}`, {
+      method: 'PUT',
+      headers,
+      body: wire
+    }, meta.uploadToken);
+    if (resp.status === 200) {
+      return bufToHex(digest);
+    } else if (resp.status === 409) {
+      const e = new Error('conflict');
+      e.status = 409;
+      e.transient = true;
+      throw e;
+    } else if (resp.status === 429) {
+      const e = new Error('throttled');
+      e.status = 429;
+      e.retryAfterMs = (Number(resp.headers.get('Retry-After')) || 1) * 1000;
+      throw e;
+    } else {
+      const txt = await resp.text().catch(() => '');
+      const e = new Error('upload_failed ' + resp.status + ' ' + txt);
+      e.status = resp.status;
+      e.transient = resp.status >= 500 && resp.status < 600;
+      throw e;
+    }
+  }
+
+  // A run over a queue: files upload side by side, at most one per slot of the lane budget shared
+  // by all of them, and with adaptive set the tuner moves that budget with the throughput.
+  class UploadRun {
+    // settings: { target, adaptive, concurrency, chunkSizeMB, compression, encryption }, encryption
+    // being encryptionKey()'s result for a run that encrypts new uploads
+    static async create(settings) {
+      return new UploadRun(settings, await fetchLimits(settings.target, 0));
+    }
+
+    constructor(settings, limits) {
+      const concurrency = Math.max(1, Math.min(limits.concurrency.max, Number(settings.concurrency || limits.concurrency.recommended)));
+      this.target = settings.target;
+      this.adaptive = !!settings.adaptive;
+      this.chunkSizeMB = settings.chunkSizeMB;
+      // a chunk Content-Encoding the server takes and the browser can produce (older servers list none)
+      const encodings = limits.contentEncodings || [];
+      this.encryption = settings.encryption || null;
+      // ciphertext doesn't compress
+      this.compression = !this.encryption && typeof CompressionStream !== 'undefined' && encodings.includes(settings.compression) ? settings.compression : null;
+      this.limits = limits;
+      this.budget = new LaneBudget(concurrency);
+      this.tuner = this.adaptive ? new ConcurrencyTuner(concurrency, limits.concurrency.max) : null;
+      this.startedAt = performance.now();
+      this.sentBytes = 0;
+      // called after every chunk attempt
+      this.onChange = () => {};
+      this.pump = () => {};
+    }
+
+    get bytesPerSecond() {
+      return this.sentBytes / Math.max(0.001, (performance.now() - this.startedAt) / 1000);
+    }
+
+    // Upload what nextItem() hands out (null when nothing is ready) until it has nothing left and
+    // every upload has finished; hooksFor(item) gives uploadFile's hooks. pump() asks again.
+    async drain(nextItem, hooksFor) {
+      const active = new Set();
+      await new Promise((resolve) => {
+        this.pump = () => {
+          while (active.size < this.budget.limit) {
+            const item = nextItem();
+            if (!item) break;
+            // busy: resumed while its earlier attempt is still winding down
+            item.busy = true;
+            const p = uploadFile(item, this, hooksFor(item)).finally(() => {
+              item.busy = false;
+              active.delete(p);
+              this.pump();
+            });
+            active.add(p);
+          }
+          if (!active.size) resolve();
+        };
+        this.pump();
+      });
+      const seconds = (performance.now() - this.startedAt) / 1000;
+      // what the next upload's chunk size is picked from
+      if (this.tuner && seconds > 2 && this.sentBytes) {
+        await dbPut('tuning', 'last', { bytesPerSecond: this.sentBytes / seconds, lanes: this.tuner.lanes });
+      }
+    }
+  }
+
+  self.UploadCore = { MiB, fileKey, dbGet, dbGetAll, dbPut, dbDelete, deleteRemote, encryptionKey, UploadRun };
+})();
@@ -0,0 +1,145 @@
+// Background uploader for upload-client.js. Registered as a Service Worker it keeps uploading while
+// the page navigates away or reloads; where one can't be registered the page starts it as a
+// dedicated Worker, which stops with the page. It takes files from the pages, uploads them with
+// upload-core.js and reports every change to all open pages of the client.
+//
+// Messages from a page:
+//   { type: 'enqueue', settings: { target, adaptive, concurrency, chunkSizeMB, compression, encryption }, jobs: [{ key, name, relativePath, size, file }] }
+//   (encryption holds a CryptoKey, which is cloned into the worker like the File objects)
+//   { type: 'pause' | 'resume' | 'discard', keys: [key] }
+//   { type: 'hello' }: answered with a snapshot of every file it holds
+//   { type: 'keepalive' }
+importScripts('upload-core.js');
+
+const { MiB, UploadRun, dbGet, dbPut } = self.UploadCore;
+const isServiceWorker = typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+
+// key -> { key, name, relativePath, size, file, state, note, doneBytes }; finished files leave
+const jobs = new Map();
+// the settings of the last enqueue; a run uses those it started with
+let settings = null;
+let run = null;
+let running = false;
+// settles when the current run has drained; a Service Worker's events wait for it
+let drained = Promise.resolve();
+
+async function broadcast(msg) {
+  if (!isServiceWorker) {
+    self.postMessage(msg);
+    return;
+  }
+  for (const client of await self.clients.matchAll({ type: 'window', includeUncontrolled: true })) client.postMessage(msg);
+}
+
+function summary(job) {
+  return { key: job.key, state: job.state, note: job.note, doneBytes: job.doneBytes };
+}
+
+function publish(job) {
+  broadcast(Object.assign({ type: 'update' }, summary(job)));
+}
+
+function publishStatus() {
+  let text;
+  if (run) {
+    const uploading = [...jobs.values()].filter((j) => j.state === 'uploading').length;
+    text = `Uploading ${uploading} file(s) in ${run.budget.limit} lanes in the background, ${(run.bytesPerSecond / MiB).toFixed(1)} MB/s`;
+  } else {
+    const failed = [...jobs.values()].filter((j) => j.state === 'error').length;
+    text = failed ? `Stopped, ${failed} file(s) failed` : 'Idle';
+  }
+  broadcast({ type: 'status', text });
+}
+
+// the pages may all be gone; keep the stored queue entry current for the next one
+async function persistState(job) {
+  const rec = await dbGet('queue', job.key);
+  // discarded
+  if (!rec) return;
+  rec.state = job.state === 'uploading' ? 'queued' : job.state;
+  rec.note = job.state === 'error' || job.state === 'done' ? job.note : '';
+  rec.doneBytes = job.doneBytes;
+  await dbPut('queue', job.key, rec);
+}
+
+function setState(job, state, note = '') {
+  job.state = state;
+  job.note = note;
+  publish(job);
+  persistState(job);
+  if (state === 'done') jobs.delete(job.key);
+}
+
+function hooksFor(job) {
+  return {
+    setState: (state, note) => setState(job, state, note),
+    setNote: (note) => {
+      job.note = note;
+      publish(job);
+    },
+    progress: () => publish(job),
+    log: (info) => broadcast({ type: 'log', info })
+  };
+}
+
+function startRun() {
+  if (running) {
+    if (run) run.pump();
+    return;
+  }
+  running = true;
+  drained = (async () => {
+    try {
+      run = await UploadRun.create(settings);
+      run.onChange = publishStatus;
+      await run.drain(() => [...jobs.values()].find((j) => j.state === 'queued' && !j.busy) || null, hooksFor);
+    } catch (e) {
+      console.error('Background run failed', e);
+    } finally {
+      run = null;
+      running = false;
+      publishStatus();
+    }
+  })();
+}
+
+function handle(msg) {
+  if (msg.type === 'hello') {
+    broadcast({ type: 'snapshot', jobs: [...jobs.values()].map(summary) });
+  } else if (msg.type === 'enqueue') {
+    settings = msg.settings;
+    for (const j of msg.jobs) {
+      const job = jobs.get(j.key);
+      if (job && (job.state === 'uploading' || job.busy)) continue;
+      jobs.set(j.key, Object.assign(job || { doneBytes: 0 }, j));
+      setState(jobs.get(j.key), 'queued');
+    }
+    startRun();
+  } else if (msg.type === 'resume') {
+    for (const key of msg.keys) {
+      const job = jobs.get(key);
+      if (job && (job.state === 'paused' || job.state === 'error')) setState(job, 'queued');
+    }
+    if (settings) startRun();
+  } else if (msg.type === 'pause') {
+    // lanes notice and stop after their current chunk
+    for (const key of msg.keys) {
+      const job = jobs.get(key);
+      if (job && (job.state === 'queued' || job.state === 'uploading')) setState(job, 'paused');
+    }
+  } else if (msg.type === 'discard') {
+    // the page deletes the upload on the server; the lanes stop and leave the resume state alone
+    for (const key of msg.keys) {
+      const job = jobs.get(key);
+      if (!job) continue;
+      job.state = 'cancelled';
+      jobs.delete(key);
+    }
+  }
+}
+
+self.addEventListener('message', (event) => {
+  handle(event.data || {});
+  // a Service Worker is kept alive while an event it got is unsettled
+  if (event.waitUntil) event.waitUntil(drained);
+});
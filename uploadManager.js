@@ -1,15 +1,91 @@
-// High-performance UploadManager (robust per-chunk write streams + debounced metadata flush)
+// High-performance UploadManager (pluggable data storage + shared metadata/lock store)
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Transform } = require('stream');
 const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
+const LocalDiskStorage = require('./storage/localDiskStorage');
+const FileMetadataStore = require('./metadata/fileMetadataStore');
+const { MetricsRegistry } = require('./metrics');
+const { EventLog } = require('./events');
 
+const { waitForLock } = FileMetadataStore;
+const mkdirAsync = promisify(fs.mkdir);
 const writeFileAsync = promisify(fs.writeFile);
-const truncateAsync = promisify(fs.truncate);
-const unlinkAsync = promisify(fs.unlink);
-const statAsync = promisify(fs.stat);
-const openAsync = promisify(fs.open);
-const closeAsync = promisify(fs.close);
+
+// lock key for sequential (tus) appends; chunk locks use numeric indices
+const SEQ_LOCK = 'seq';
+// lock key held while markCompleted verifies and publishes the file
+const COMPLETE_LOCK = 'complete';
+// pseudo upload id for cluster-wide locks (admission, reaper)
+const GLOBAL_LOCK_ID = '_global';
+// store record listing the incomplete uploads: { id, uploads: { <upload id>: true } }, so
+// admission reads only the records that still hold reservations
+const OPEN_INDEX_ID = 'open-uploads';
+// content index entries share the metadata store with uploads: blob-<sha256> -> { size, refs }
+const BLOB_ID_PREFIX = 'blob-';
+// lock key serializing changes to one content index entry
+const REFS_LOCK = 'refs';
+// locks expire unless renewed, so a crashed worker can't block a chunk forever
+const LOCK_TTL_MS = 60 * 1000;
+const LOCK_WAIT_MS = 30 * 1000;
+
+const COLLISION_POLICIES = ['rename', 'overwrite', 'fail'];
+// whose completed files an upload may reuse (dedup, base uploads)
+const DEDUP_SCOPES = ['owner', 'global'];
+// what reconcile() does about data without metadata and metadata without (intact) data
+const RECONCILE_POLICIES = ['report', 'quarantine', 'delete', 'rebuild'];
+const DEFAULT_CHUNK_SIZE = 64 * 1024 * 1024;
+// longest relative path (folder uploads) and deepest folder nesting a client may ask for
+const MAX_RELATIVE_PATH = 1024;
+const MAX_PATH_DEPTH = 32;
+// time constant of the per-upload receive rate average; a rate older than this decays
+const RATE_TAU_MS = 30 * 1000;
+// Content-Encoding values a chunk PUT may use, with their decoders; Content-Range and the chunk
+// digest always describe the decoded bytes
+const CONTENT_DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+// seconds; a chunk write includes receiving it from the client
+const WRITE_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// per-upload counters kept in its metadata record, so every process adds to the same numbers
+function emptyStats() {
+  return {
+    bytesReceived: 0,
+    chunks: 0,
+    // total time of the chunk writes counted in chunks (PUT; tus appends aren't chunks)
+    writeSeconds: 0,
+    retries: 0,
+    conflicts: 0,
+    transientFailures: 0,
+    enospc: 0,
+    digestMismatches: 0,
+    // chunks whose last write failed; writing one again counts as a retry
+    failedChunks: [],
+    firstByteAt: null,
+    // bytes and elapsed ms of recent writes, both decayed by RATE_TAU_MS as of rateAt; their
+    // ratio is the recent receive rate
+    windowBytes: 0,
+    windowMs: 0,
+    rateAt: null
+  };
+}
+
+// which per-upload / process counter a failed write adds to (null: not counted)
+function failureKind(err) {
+  if (!err) return null;
+  if (err.code === 'ENOSPC' || err.status === 507) return 'enospc';
+  if (err.status === 409) return 'conflicts';
+  if (err.status === 422 || err.status === 460) return 'digestMismatches';
+  if (err.transient) return 'transientFailures';
+  return null;
+}
 
 /**
  * Simple bitset class for received-chunks tracking
@@ -23,6 +99,7 @@ class BitSet {
   _byteIndex(i) { return (i / 8) | 0; }
   _bitMask(i) { return 1 << (i % 8); }
   set(i) { this.bytes[this._byteIndex(i)] |= this._bitMask(i); }
+  clear(i) { this.bytes[this._byteIndex(i)] &= ~this._bitMask(i); }
   has(i) { return (this.bytes[this._byteIndex(i)] & this._bitMask(i)) !== 0; }
   toArray() {
     const out = [];
@@ -39,243 +116,729 @@ class BitSet {
   }
 }
 
+/**
+ * Validate a relative path from a folder upload (e.g. "dataset/train/0001.jpg"). Returns
+ * { dir, name } with '/' separators ('' dir for a bare name), or null when it is absolute, names a
+ * drive, climbs out with '..', contains control characters, or is too long or too deep.
+ */
+function parseRelativePath(relativePath) {
+  const p = String(relativePath).replace(/\\/g, '/');
+  if (!p || p.length > MAX_RELATIVE_PATH || /[\x00-\x1f\x7f]/.test(p)) return null;
+  if (p.startsWith('/') || /^[A-Za-z]:/.test(p)) return null;
+  const parts = p.split('/').filter((s) => s && s !== '.');
+  if (!parts.length || parts.length > MAX_PATH_DEPTH) return null;
+  if (parts.some((s) => s === '..' || Buffer.byteLength(s) > 255)) return null;
+  return { dir: parts.slice(0, -1).join('/'), name: parts[parts.length - 1] };
+}
+
+/**
+ * The decoded body of a compressed chunk. It must decode to exactly length bytes, so a
+ * decompression bomb stops at the chunk's size; a body that doesn't decode or has the wrong length
+ * ends the stream with .decodeError set (400). Like the throttle's pacer, it passes on a client
+ * that went away.
+ */
+function decodeBody(readable, encoding, length) {
+  let decoded = 0;
+  const decoder = CONTENT_DECODERS[encoding]();
+  const fail = (message) => {
+    if (!out.decodeError) {
+      out.decodeError = Object.assign(new Error(message), { status: 400 });
+      // drain the rest of the request so the 400 can be sent
+      readable.unpipe(decoder);
+      readable.resume();
+    }
+    return out.decodeError;
+  };
+  const out = new Transform({
+    transform(chunk, _enc, cb) {
+      decoded += chunk.length;
+      if (decoded > length) cb(fail('decoded_length_mismatch'));
+      else cb(null, chunk);
+    },
+    flush(cb) {
+      cb(decoded === length ? null : fail('decoded_length_mismatch'));
+    }
+  });
+  decoder.on('error', () => out.destroy(fail('invalid_content_encoding')));
+  readable.on('aborted', () => out.emit('aborted'));
+  readable.on('error', (err) => out.destroy(err));
+  return readable.pipe(decoder).pipe(out);
+}
+
 class UploadManager {
-  constructor(baseDir) {
+  /**
+   * baseDir: data files with the default local storage, metadata with the default file store
+   * options.storage: data storage adapter (see storage/index.js); default LocalDiskStorage(baseDir)
+   * options.metadataStore: metadata and lock store (see metadata/index.js); default FileMetadataStore(baseDir)
+   * options.destDir: completed files are moved here by the default storage (default: left in baseDir)
+   * options.collisionPolicy: 'rename' | 'overwrite' | 'fail' when destDir already has the name
+   * options.hooks: post-completion hooks from postHooks.loadHooks()
+   * options.ttlMs: incomplete uploads expire this long after createdAt (0 = never)
+   * options.idleTtlMs: ...or this long after the last received chunk (0 = never)
+   * options.reapIntervalMs: how often the background reaper sweeps expired uploads
+   * options.maxUploadSize: largest totalSize accepted (413 upload_too_large)
+   * options.maxReservedBytes: cap on bytes still owed by all incomplete uploads (507)
+   * options.ownerQuotaBytes: same cap per owner (507 quota_exceeded)
+   * options.minFreeBytes: free space that must remain after all reservations
+   * options.quarantineDir: where reconcile() moves data and metadata it set aside (default baseDir/quarantine)
+   * options.dedupScope: 'owner' (default) only reuses the same owner's files; 'global' reuses anyone's
+   * options.metrics: MetricsRegistry for the process-wide counters (default: a new one, see .metrics)
+   * options.events: EventLog that lifecycle events are published to (default: a new one, see .events)
+   * options.webhooks: WebhookDispatcher that also gets created/completed/aborted/expired (see webhooks.js)
+   * options.throttle: Throttle that paces request bodies and refuses writes over its limits (see throttle.js)
+   * options.minChunkSize / options.maxChunkSize: narrow the chunk sizes the storage backend allows
+   * options.defaultChunkSize: for uploads created without one (default 64 MiB, kept within the limits)
+   *
+   * Upload state lives only in the metadata store and every change is an atomic update there,
+   * so any number of processes sharing the store and the storage can serve the same upload.
+   */
+  constructor(baseDir, options = {}) {
     this.baseDir = baseDir;
-    this.uploads = new Map(); // id -> metadata
-    this.locks = new Map(); // id -> Set of in-progress chunk indices
-    this.dirty = new Set(); // ids with pending metadata flush
-    this._debounceTimer = null;
-    this._flushDelayMs = 1500; // batch metadata writes
+    this.destDir = options.destDir || null;
+    this.collisionPolicy = options.collisionPolicy || 'rename';
+    if (!COLLISION_POLICIES.includes(this.collisionPolicy)) {
+      throw new Error(`invalid collisionPolicy: ${this.collisionPolicy}`);
+    }
+    this.storage = options.storage || new LocalDiskStorage(baseDir, { destDir: this.destDir });
+    this.store = options.metadataStore || new FileMetadataStore(baseDir);
+    this.hooks = options.hooks || [];
+    this.ttlMs = options.ttlMs || 0;
+    this.idleTtlMs = options.idleTtlMs || 0;
+    this.reapIntervalMs = options.reapIntervalMs || 10 * 60 * 1000;
+    this._reapTimer = null;
+    this.maxUploadSize = options.maxUploadSize || 0;
+    this.maxReservedBytes = options.maxReservedBytes || 0;
+    this.ownerQuotaBytes = options.ownerQuotaBytes || 0;
+    this.minFreeBytes = options.minFreeBytes || 0;
+    this.quarantineDir = options.quarantineDir || path.join(baseDir, 'quarantine');
+    this.dedupScope = options.dedupScope || 'owner';
+    if (!DEDUP_SCOPES.includes(this.dedupScope)) {
+      throw new Error(`invalid dedupScope: ${this.dedupScope}`);
+    }
+    this.events = options.events || new EventLog();
+    this.webhooks = options.webhooks || null;
+    this.throttle = options.throttle || null;
+    this.minChunkSize = options.minChunkSize || 0;
+    this.maxChunkSize = options.maxChunkSize || Infinity;
+    this.defaultChunkSize = options.defaultChunkSize || DEFAULT_CHUNK_SIZE;
+    this.metrics = options.metrics || new MetricsRegistry();
+    this._m = {
+      bytesReceived: this.metrics.counter('upload_bytes_received_total', 'Bytes written to storage from clients'),
+      chunks: this.metrics.counter('upload_chunks_received_total', 'Chunks written and marked received', ['api']),
+      copiedChunks: this.metrics.counter('upload_chunks_copied_total', 'Chunks copied from a base upload instead of sent'),
+      retries: this.metrics.counter('upload_chunk_retries_total', 'Writes of a chunk that was already received or failed before'),
+      conflicts: this.metrics.counter('upload_conflicts_total', 'Writes rejected with 409 (chunk locked by another write, offset mismatch)'),
+      transientFailures: this.metrics.counter('upload_transient_failures_total', 'Writes that failed transiently (client disconnect, EBADF); answered with 503'),
+      enospc: this.metrics.counter('upload_enospc_total', 'Writes and creations that failed with no space left on device'),
+      digestMismatches: this.metrics.counter('upload_digest_mismatches_total', 'Chunks rejected because their bytes did not match the digest sent'),
+      writeSeconds: this.metrics.histogram('upload_chunk_write_duration_seconds', 'Time to receive and store one write (chunk PUT, tus PATCH)', WRITE_BUCKETS, ['api']),
+      commitSeconds: this.metrics.histogram('upload_metadata_commit_duration_seconds', 'Time to record a written chunk in the metadata store'),
+      inFlight: this.metrics.gauge('upload_writes_in_flight', 'Writes currently streaming into storage'),
+      created: this.metrics.counter('uploads_created_total', 'Uploads created (including deduplicated ones)'),
+      completed: this.metrics.counter('uploads_completed_total', 'Uploads completed'),
+      aborted: this.metrics.counter('uploads_aborted_total', 'Uploads deleted or expired'),
+      throttled: this.metrics.counter('upload_writes_throttled_total', 'Writes refused with 429 by the throttle', ['reason'])
+    };
   }
 
-  _metaPath(id) { return path.join(this.baseDir, `${id}.json`); }
-  _filePath(id, filename) { return path.join(this.baseDir, `${filename}.${id}`); }
+  // metadata record shape persisted in the store
+  _toMeta(up) {
+    return {
+      id: up.id,
+      filename: up.filename,
+      totalSize: up.totalSize,
+      chunkSize: up.chunkSize,
+      createdAt: up.createdAt,
+      lastActivityAt: up.lastActivityAt || up.createdAt,
+      receivedChunks: up.receivedBitset ? up.receivedBitset.toArray() : [],
+      chunkDigests: up.chunkDigests || {},
+      sha256: up.sha256 || null,
+      expectedSha256: up.expectedSha256 || null,
+      partialOffset: up.partialOffset || 0,
+      metadata: up.metadata || null,
+      owner: up.owner || null,
+      destSubdir: up.destSubdir || '',
+      relativePath: up.relativePath || null,
+      encryption: up.encryption || null,
+      storage: up.storage || this.storage.name,
+      storageState: up.storageState || null,
+      // storage location: a path for local storage, an object key for s3
+      filePath: up.filePath,
+      finalName: up.finalName || null,
+      completed: !!up.completed,
+      completedAt: up.completedAt || null,
+      // upload whose data this one shares (dedup)
+      dedupOf: up.dedupOf || null,
+      // upload that was published over this one's file (collisionPolicy 'overwrite'); filePath is null
+      supersededBy: up.supersededBy || null,
+      // throughput and failure counters (see emptyStats)
+      stats: up.stats || emptyStats(),
+      hooks: up.hooks || []
+    };
+  }
 
-  _scheduleFlush(id) {
-    this.dirty.add(id);
-    if (this._debounceTimer) return;
-    this._debounceTimer = setTimeout(() => this._flushDirty(), this._flushDelayMs);
+  _fromMeta(data) {
+    const totalChunks = Math.max(1, Math.ceil(data.totalSize / data.chunkSize));
+    return {
+      id: data.id,
+      filename: data.filename,
+      totalSize: data.totalSize,
+      chunkSize: data.chunkSize,
+      createdAt: data.createdAt,
+      lastActivityAt: data.lastActivityAt || data.createdAt,
+      filePath: data.filePath,
+      completed: data.completed,
+      receivedBitset: BitSet.fromArray(data.receivedChunks || [], totalChunks),
+      chunkDigests: data.chunkDigests || {},
+      sha256: data.sha256 || null,
+      expectedSha256: data.expectedSha256 || null,
+      partialOffset: data.partialOffset || 0,
+      metadata: data.metadata || null,
+      owner: data.owner || null,
+      destSubdir: data.destSubdir || '',
+      relativePath: data.relativePath || null,
+      encryption: data.encryption || null,
+      storage: data.storage || 'local',
+      storageState: data.storageState || null,
+      finalName: data.finalName || null,
+      completedAt: data.completedAt || null,
+      dedupOf: data.dedupOf || null,
+      supersededBy: data.supersededBy || null,
+      stats: Object.assign(emptyStats(), data.stats, { failedChunks: ((data.stats && data.stats.failedChunks) || []).slice() }),
+      hooks: data.hooks || []
+    };
   }
 
-  async _flushDirty() {
-    const ids = Array.from(this.dirty);
-    this.dirty.clear();
-    clearTimeout(this._debounceTimer);
-    this._debounceTimer = null;
-    for (const id of ids) {
-      const up = this.uploads.get(id);
-      if (!up) continue;
-      const meta = {
-        id: up.id,
-        filename: up.filename,
-        totalSize: up.totalSize,
-        chunkSize: up.chunkSize,
-        createdAt: up.createdAt,
-        receivedChunks: up.receivedBitset ? up.receivedBitset.toArray() : [],
-        filePath: up.filePath,
-        completed: !!up.completed
-      };
+  // atomic read-modify-write of one upload; fn(up) mutates a fresh copy. Resolves it, or null if gone.
+  async _updateUpload(id, fn) {
+    const record = await this.store.update(id, (rec) => {
+      const up = this._fromMeta(rec);
+      fn(up);
+      Object.assign(rec, this._toMeta(up));
+    });
+    return record ? this._fromMeta(record) : null;
+  }
+
+  /**
+   * Take a lock shared by every process using the store, renewed while held. Resolves a
+   * release function, or null when someone else holds it. options.wait retries for a while
+   * instead (503 lock_timeout after that).
+   */
+  async _lock(id, key, options = {}) {
+    key = String(key);
+    const token = options.wait
+      ? await waitForLock(this.store, id, key, LOCK_TTL_MS, LOCK_WAIT_MS)
+      : await this.store.acquireLock(id, key, LOCK_TTL_MS);
+    if (!token) return null;
+    const timer = setInterval(() => {
+      this.store.renewLock(id, key, token, LOCK_TTL_MS).catch((e) => console.error('lock renew failed', id, key, e));
+    }, LOCK_TTL_MS / 3);
+    timer.unref();
+    return async () => {
+      clearInterval(timer);
       try {
-        await writeFileAsync(this._metaPath(id), JSON.stringify(meta));
+        await this.store.releaseLock(id, key, token);
       } catch (e) {
-        // log but keep going
-        console.error('flush metadata error', id, e);
+        // it expires on its own
+        console.error('lock release failed', id, key, e);
       }
+    };
+  }
+
+  /**
+   * Chunk sizes new uploads may use: the storage backend's limits (e.g. S3 part size and count)
+   * narrowed by the minChunkSize / maxChunkSize options. { minChunkSize, maxChunkSize, maxChunks }
+   */
+  chunkLimits() {
+    const limits = this.storage.limits;
+    return {
+      minChunkSize: Math.max(limits.minChunkSize, this.minChunkSize),
+      maxChunkSize: Math.min(limits.maxChunkSize, this.maxChunkSize),
+      maxChunks: limits.maxChunks
+    };
+  }
+
+  // defaultChunkSize clamped into chunkLimits(), and large enough for totalSize within maxChunks
+  chunkSizeFor(totalSize) {
+    const { minChunkSize, maxChunkSize, maxChunks } = this.chunkLimits();
+    const fewEnough = Number.isFinite(maxChunks) ? Math.ceil(totalSize / maxChunks) : 0;
+    return Math.min(maxChunkSize, Math.max(minChunkSize, fewEnough, this.defaultChunkSize));
+  }
+
+  // a single chunk may be smaller than minChunkSize (the whole file is smaller)
+  _checkLayout(totalSize, chunkSize) {
+    const { minChunkSize, maxChunkSize, maxChunks } = this.chunkLimits();
+    const chunks = Math.ceil(totalSize / chunkSize);
+    if (!(chunkSize > 0) || chunkSize > maxChunkSize || chunks > maxChunks || (chunks > 1 && chunkSize < minChunkSize)) {
+      const err = new Error('invalid_chunk_size');
+      err.status = 400;
+      err.limits = { minChunkSize, maxChunkSize, maxChunks };
+      throw err;
     }
   }
 
-  async flushAllMetadata() {
-    if (this._debounceTimer) {
-      clearTimeout(this._debounceTimer);
-      this._debounceTimer = null;
+  /**
+   * Name and folder (under destDir) of a new upload's file. relativePath, from a folder upload,
+   * supplies both and puts its folders under destSubdir; without it the filename's basename is
+   * used. Throws 400 invalid_relative_path for a path parseRelativePath() refuses.
+   */
+  _placement(filename, relativePath, destSubdir) {
+    if (!relativePath) return { safeName: path.basename(String(filename)), destSubdir, relativePath: null };
+    const parsed = parseRelativePath(relativePath);
+    if (!parsed) {
+      const err = new Error('invalid_relative_path');
+      err.status = 400;
+      throw err;
     }
-    await this._flushDirty();
+    return {
+      safeName: parsed.name,
+      destSubdir: [destSubdir, parsed.dir].filter(Boolean).join('/'),
+      relativePath: [parsed.dir, parsed.name].filter(Boolean).join('/')
+    };
   }
 
-  async createUpload({ filename, totalSize, chunkSize = 64 * 1024 * 1024 }) {
+  /**
+   * Admits (see _admit), then creates metadata and the data file in storage.
+   * destSubdir: folder under destDir for the completed file (already validated by the caller).
+   * relativePath: the file's path in a folder upload; see _placement.
+   * sha256: the client's whole-file hash (hex); markCompleted verifies it unless given another.
+   * base: { uploadId, chunkHashes } names a completed upload (a previous version of the file) and
+   * the new file's per-chunk sha256 hex (null where unknown); chunks found in the base are copied
+   * from it and marked received before this resolves (see _copyFromBase).
+   * encryption: the descriptor of a client-side encrypted upload, already validated (chunkCrypto.js).
+   */
+  async createUpload({ filename, relativePath = null, totalSize, chunkSize = null, metadata = null, owner = null, destSubdir = '', sha256 = null, base = null, encryption = null }) {
     const id = uuidv4();
-    const safeName = path.basename(filename);
-    const filePath = this._filePath(id, safeName);
+    const placement = this._placement(filename, relativePath, destSubdir);
     const total = Number(totalSize);
-    const cs = Number(chunkSize);
+    const cs = Number(chunkSize || this.chunkSizeFor(total));
     const totalChunks = Math.max(1, Math.ceil(total / cs));
+    this._checkLayout(total, cs);
+    const baseUpload = base ? await this._loadBase(base.uploadId, owner) : null;
 
+    // the admission check and the new reservation are one critical section across all processes
+    const release = await this._lock(GLOBAL_LOCK_ID, 'admission', { wait: true });
+    let upload;
+    try {
+      await this._admit(total, owner);
+      upload = await this._createAdmitted(id, Object.assign({ total, cs, totalChunks, metadata, owner, sha256, encryption }, placement));
+      await this._indexOpen(id, true);
+    } catch (err) {
+      if (failureKind(err) === 'enospc' && !err.admission) this._m.enospc.inc();
+      throw err;
+    } finally {
+      await release();
+    }
+    this._m.created.inc();
+    await this._lifecycle('upload.created', upload, { chunkSize: cs, totalChunks });
+    if (baseUpload) await this._copyFromBase(id, baseUpload, base.chunkHashes);
+    return id;
+  }
+
+  // a completed upload the owner may reuse (see dedupScope); 404 base_not_found otherwise
+  async _loadBase(baseId, owner) {
+    const base = await this.getUpload(baseId);
+    if (!base || !base.completed || !base.filePath || base.storage !== this.storage.name || (this.dedupScope === 'owner' && base.owner !== owner)) {
+      const err = new Error('base_not_found');
+      err.status = 404;
+      throw err;
+    }
+    return base;
+  }
+
+  /**
+   * Copy every chunk of upload id whose hash matches a chunk of base with a known digest,
+   * anywhere in the base (chunk sizes may differ; equal hashes mean equal bytes). Copies go
+   * through writeChunkAt, so each one is locked, verified against its hash and marked received.
+   * Best effort: a chunk that fails to copy stays missing and the client sends it.
+   * Resolves the copied chunk indices.
+   */
+  async _copyFromBase(id, base, chunkHashes) {
+    const up = await this.getUpload(id);
+    const byHash = new Map();
+    for (const [i, digest] of Object.entries(base.chunkDigests)) {
+      if (!byHash.has(digest)) byHash.set(digest, Number(i));
+    }
+    const copied = [];
+    for (let i = 0; i < chunkHashes.length; i++) {
+      const j = chunkHashes[i] ? byHash.get(chunkHashes[i]) : undefined;
+      if (j === undefined) continue;
+      const start = j * base.chunkSize;
+      const length = Math.min(up.chunkSize, up.totalSize - i * up.chunkSize);
+      if (Math.min(base.chunkSize, base.totalSize - start) !== length) continue;
+      try {
+        const rs = this.storage.readStream(base, { start, end: start + length - 1 });
+        await this.writeChunkAt(id, i * up.chunkSize, rs, length, { expectedDigest: chunkHashes[i], fromBase: true });
+        copied.push(i);
+      } catch (e) {
+        // 422: the base's file no longer holds what its digests say
+        if (e.status !== 422) console.error(`copy of chunk ${j} from ${base.id} to ${id} chunk ${i} failed`, e);
+      }
+    }
+    return copied;
+  }
+
+  async _createAdmitted(id, { safeName, total, cs, totalChunks, metadata, owner, destSubdir, relativePath, sha256, encryption }) {
+    const now = Date.now();
     const upload = {
       id,
       filename: safeName,
       totalSize: total,
       chunkSize: cs,
-      createdAt: Date.now(),
-      filePath,
+      createdAt: now,
+      // last chunk write, drives idle expiry
+      lastActivityAt: now,
+      filePath: null,
       completed: false,
       // received chunks bitset
-      receivedBitset: new BitSet(totalChunks)
+      receivedBitset: new BitSet(totalChunks),
+      // chunk index -> sha256 hex, for chunks sent with a digest
+      chunkDigests: {},
+      // whole-file sha256 hex, set on completion
+      sha256: null,
+      expectedSha256: sha256,
+      // contiguous byte offset reached by sequential writes inside the first missing chunk
+      partialOffset: 0,
+      // free-form key/value metadata (e.g. tus Upload-Metadata)
+      metadata,
+      // authenticated principal (sub) that initiated the upload
+      owner,
+      destSubdir,
+      // path inside the folder the client uploaded, if any
+      relativePath,
+      // descriptor of a client-side encrypted upload (see chunkCrypto.js); the data is ciphertext
+      encryption: encryption || null,
+      // adapter name and adapter-private state (e.g. s3 multipart upload id)
+      storage: this.storage.name,
+      storageState: null
     };
 
-    // create metadata file quickly (non-blocking)
-    const meta = {
-      id: upload.id,
-      filename: upload.filename,
-      totalSize: upload.totalSize,
-      chunkSize: upload.chunkSize,
-      createdAt: upload.createdAt,
-      receivedChunks: [],
-      filePath: upload.filePath,
-      completed: false
-    };
-    await writeFileAsync(this._metaPath(id), JSON.stringify(meta));
-
-    // create file and preallocate/truncate (no long-lived fd)
-    try {
-      // open+close quickly to ensure file exists, then truncate
-      const fd = await openAsync(filePath, 'w');
-      await closeAsync(fd);
-      await truncateAsync(filePath, total);
-    } catch (e) {
-      // If truncate fails, log and rethrow
-      console.error('preallocate/truncate failed for', filePath, e);
-      throw e;
-    }
-
-    this.uploads.set(id, upload);
-    this.locks.set(id, new Set());
-    this._scheduleFlush(id);
-    return id;
+    // allocate in storage first: it decides the location recorded in metadata
+    await this.storage.create(upload, { collisionPolicy: this.collisionPolicy });
+    await this.store.put(this._toMeta(upload));
+    return upload;
   }
 
-  getUpload(id) {
-    const inMem = this.uploads.get(id);
-    if (inMem) return inMem;
-    const metaPath = this._metaPath(id);
-    if (!fs.existsSync(metaPath)) return null;
-    try {
-      const data = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-      const totalChunks = Math.max(1, Math.ceil(data.totalSize / data.chunkSize));
-      const up = {
-        id: data.id,
-        filename: data.filename,
-        totalSize: data.totalSize,
-        chunkSize: data.chunkSize,
-        createdAt: data.createdAt,
-        filePath: data.filePath,
-        completed: data.completed,
-        receivedBitset: BitSet.fromArray(data.receivedChunks || [], totalChunks)
-      };
-      this.uploads.set(id, up);
-      if (!this.locks.has(id)) this.locks.set(id, new Set());
-      return up;
-    } catch (e) {
-      console.error('load meta failed', e);
-      return null;
-    }
+  // current state from the store (a fresh copy on every call), or null
+  async getUpload(id) {
+    const data = await this.store.get(id);
+    return data ? this._fromMeta(data) : null;
   }
 
-  getReceivedChunksArray(id) {
-    const up = this.getUpload(id);
+  async getReceivedChunksArray(id) {
+    const up = await this.getUpload(id);
     if (!up) return [];
     return up.receivedBitset ? up.receivedBitset.toArray() : [];
   }
 
   /**
-   * Write chunk to file at offset.
-   * Uses a per-chunk write stream (Node opens/closes fd for each chunk), which is robust.
-   * Retries once on EBADF / transient stream errors.
+   * Write chunk to storage at offset.
+   * EBADF / premature close and interrupted requests surface as transient errors (503 to the client).
+   * If options.expectedDigest (sha256 hex) is given, the chunk is only marked received
+   * when the bytes written hash to it; otherwise a 422 chunk_digest_mismatch is thrown.
+   * options.fromBase: the bytes come from a base upload (see _copyFromBase), not from the client.
+   * options.client: who the throttle charges the write to (default the upload's owner); over
+   * its limits the write is refused with 429 (err.retryAfter seconds) before anything is read.
+   * options.contentEncoding: the body is compressed (see CONTENT_DECODERS) and decoded before it is
+   * hashed and written; offset and expectedLength are decoded positions. options.wireLength is
+   * then its compressed length, when known, which the throttle paces instead.
    */
-  async writeChunkAt(id, offset, readStream, expectedLength) {
-    const up = this.getUpload(id);
+  async writeChunkAt(id, offset, readStream, expectedLength, options = {}) {
+    const up = await this.getUpload(id);
     if (!up) throw new Error('upload_not_found');
 
     const chunkIndex = Math.floor(offset / up.chunkSize);
     if (up.receivedBitset && up.receivedBitset.has(chunkIndex)) {
       // drain request quickly
       readStream.resume();
+      if (!options.fromBase) {
+        this._m.retries.inc();
+        await this._updateUpload(id, (u) => { u.stats.retries++; });
+      }
       return { alreadyReceived: true, written: 0 };
     }
 
-    const lockSet = this.locks.get(id);
-    if (lockSet.has(chunkIndex)) {
+    // over a rate or concurrency limit: 429 now; within them the body is paced
+    const slot = options.fromBase ? null : this._admitWrite(id, options.client || up.owner, options.wireLength || expectedLength);
+    // the slot is ours until the write ends, including when the lock can't be taken
+    const release = await this._lock(id, chunkIndex).catch((err) => {
+      if (slot) slot.release();
+      throw err;
+    });
+    if (!release) {
+      if (slot) slot.release();
       const err = new Error('chunk_write_in_progress');
       err.status = 409;
+      await this._recordFailure(id, err, chunkIndex);
       throw err;
     }
-    lockSet.add(chunkIndex);
+    const paced = slot ? slot.pace(readStream) : readStream;
+    const body = options.contentEncoding ? decodeBody(paced, options.contentEncoding, expectedLength) : paced;
 
-    // Encapsulate actual write with retry on EBADF / stream issues
-    const doWrite = () => {
-      return new Promise((resolve, reject) => {
-        // create a write stream that opens/closes its own fd
-        const ws = fs.createWriteStream(up.filePath, {
-          flags: 'r+',
-          start: offset,
-          highWaterMark: 16 * 1024 * 1024
-        });
+    const hash = crypto.createHash('sha256');
+    const onData = (chunk) => { hash.update(chunk); };
+    body.on('data', onData);
 
-        let written = 0;
-        const onData = (chunk) => { written += chunk.length; };
+    const stopTimer = this._m.writeSeconds.startTimer({ api: 'chunk' });
+    this._m.inFlight.inc();
+    try {
+      const result = await this.storage.writeAt(up, offset, body, { length: expectedLength }).catch((err) => {
+        if (body.decodeError) throw body.decodeError;
+        // EBADF or premature close: the request stream is already consumed, so the chunk can't
+        // be retried here. Report a transient failure so client retry logic re-uploads the chunk.
+        const isBadFd = err && (err.code === 'EBADF' || err.code === 'ERR_STREAM_PREMATURE_CLOSE');
+        if (isBadFd) {
+          console.warn(`writeChunkAt: encountered ${err.code} for upload ${id} chunk ${chunkIndex}`, err);
+          const e = new Error('transient_write_failure');
+          e.transient = true;
+          throw e;
+        }
+        // non-retriable; bubble up
+        throw err;
+      });
+      // a body that didn't decode ends like an interrupted one
+      if (body.decodeError) throw body.decodeError;
+      if (result.interrupted) {
+        const e = new Error('transient_write_failure');
+        e.transient = true;
+        throw e;
+      }
+      const seconds = stopTimer();
 
-        const cleanup = () => {
-          readStream.removeListener('data', onData);
-          readStream.removeListener('error', onError);
-          ws.removeListener('error', onError);
-          ws.removeListener('finish', onFinish);
-        };
+      const digest = hash.digest('hex');
+      if (options.expectedDigest && options.expectedDigest !== digest) {
+        const err = new Error('chunk_digest_mismatch');
+        err.status = 422;
+        err.expected = options.expectedDigest;
+        err.actual = digest;
+        throw err;
+      }
+      // mark received (merged into the stored bitset, so chunks written by other processes stay set)
+      const stopCommit = this._m.commitSeconds.startTimer();
+      let retried = false;
+      const updated = await this._updateUpload(id, (u) => {
+        u.receivedBitset.set(chunkIndex);
+        u.lastActivityAt = Date.now();
+        if (options.expectedDigest) u.chunkDigests[chunkIndex] = digest;
+        if (!options.fromBase) retried = this._addProgress(u, result.written, seconds, chunkIndex);
+      });
+      stopCommit();
+      if (!updated) throw new Error('upload_not_found'); // aborted meanwhile
+      if (options.fromBase) {
+        this._m.copiedChunks.inc();
+      } else {
+        this._m.bytesReceived.inc(result.written);
+        this._m.chunks.inc(1, { api: 'chunk' });
+        if (retried) this._m.retries.inc();
+      }
+      const totalChunks = Math.ceil(updated.totalSize / updated.chunkSize);
+      this.events.publish('chunk.received', id, updated.owner, {
+        index: chunkIndex,
+        size: result.written,
+        copied: !!options.fromBase,
+        receivedChunks: updated.receivedBitset.toArray().length,
+        totalChunks,
+        receivedBytes: this._receivedBytes(updated)
+      });
+      return { alreadyReceived: false, written: result.written };
+    } catch (err) {
+      if (!options.fromBase) await this._recordFailure(id, err, chunkIndex);
+      throw err;
+    } finally {
+      this._m.inFlight.dec();
+      body.removeListener('data', onData);
+      if (slot) slot.release();
+      await release();
+    }
+  }
 
-        const onError = (err) => {
-          cleanup();
-          // ensure ws is destroyed
-          try { ws.destroy(); } catch (_) {}
-          reject(err);
-        };
+  // throttle slot for one write (null without a throttle); counts the 429s it throws
+  _admitWrite(id, client, length) {
+    if (!this.throttle) return null;
+    try {
+      return this.throttle.admit({ uploadId: id, client, length });
+    } catch (err) {
+      if (err.status === 429) this._m.throttled.inc(1, { reason: err.message });
+      throw err;
+    }
+  }
 
-        const onFinish = async () => {
-          cleanup();
-          try {
-            // mark received
-            up.receivedBitset.set(chunkIndex);
-            this._scheduleFlush(id);
-            lockSet.delete(chunkIndex);
-          } catch (e) {
-            lockSet.delete(chunkIndex);
-          }
-          resolve({ alreadyReceived: false, written });
-        };
+  /**
+   * Add one successful write to u.stats (inside an update). Returns whether it was a retry of a
+   * chunk whose previous write failed.
+   */
+  _addProgress(u, bytes, seconds, chunkIndex = null, now = Date.now()) {
+    const st = u.stats;
+    st.bytesReceived += bytes;
+    if (chunkIndex !== null) {
+      st.chunks++;
+      st.writeSeconds += seconds;
+    }
+    if (st.firstByteAt === null) st.firstByteAt = now - Math.round(seconds * 1000);
+    // the time since the previous write covers parallel lanes and client-side work; after a pause
+    // longer than RATE_TAU_MS (or for the first write) the write's own duration does
+    const gapMs = st.rateAt === null ? Infinity : Math.max(now - st.rateAt, 0);
+    const decay = Math.exp(-gapMs / RATE_TAU_MS);
+    st.windowBytes = st.windowBytes * decay + bytes;
+    st.windowMs = st.windowMs * decay + (gapMs > RATE_TAU_MS ? seconds * 1000 : gapMs);
+    st.rateAt = now;
+    const failedBefore = chunkIndex !== null && st.failedChunks.includes(chunkIndex);
+    if (failedBefore) {
+      st.retries++;
+      st.failedChunks = st.failedChunks.filter((i) => i !== chunkIndex);
+    }
+    return failedBefore;
+  }
 
-        readStream.on('data', onData);
-        readStream.on('error', onError);
-        ws.on('error', onError);
-        ws.on('finish', onFinish);
+  // count a failed write in the process counters and in the upload's stats
+  async _recordFailure(id, err, chunkIndex = null) {
+    const kind = failureKind(err);
+    if (!kind) return;
+    this._m[kind].inc();
+    await this._updateUpload(id, (u) => {
+      u.stats[kind]++;
+      if (chunkIndex !== null && !u.stats.failedChunks.includes(chunkIndex)) u.stats.failedChunks.push(chunkIndex);
+    }).catch((e) => console.error('upload stats update failed', id, e));
+  }
 
-        // Start piping (backpressure handled by stream)
-        readStream.pipe(ws);
-      });
+  /**
+   * Progress of an upload: { receivedBytes, rateBytesPerSecond (recent), averageRateBytesPerSecond
+   * (since the first byte), etaSeconds } (rates and ETA null until known). The recent rate decays
+   * once no write has finished for RATE_TAU_MS, so a stalled upload's ETA grows.
+   */
+  getProgress(up, now = Date.now()) {
+    const st = up.stats || emptyStats();
+    const receivedBytes = up.completed ? up.totalSize : this._receivedBytes(up);
+    let rate = null;
+    if (!up.completed && st.rateAt !== null) {
+      const idle = now - st.rateAt;
+      rate = st.windowBytes * 1000 / Math.max(st.windowMs, 1);
+      if (idle > RATE_TAU_MS) rate *= Math.exp(-(idle - RATE_TAU_MS) / RATE_TAU_MS);
+    }
+    const activeMs = st.firstByteAt === null ? 0 : (up.completedAt || up.lastActivityAt) - st.firstByteAt;
+    const remaining = up.totalSize - receivedBytes;
+    return {
+      receivedBytes,
+      rateBytesPerSecond: rate === null ? null : Math.round(rate),
+      averageRateBytesPerSecond: activeMs > 0 ? Math.round(st.bytesReceived * 1000 / activeMs) : null,
+      etaSeconds: up.completed ? 0 : rate > 0 ? Math.ceil(remaining / rate) : null
     };
+  }
 
+  /**
+   * Number of bytes received contiguously from the start of the file.
+   * Whole chunks come from receivedBitset; progress inside the first missing chunk
+   * comes from partialOffset (only advanced by writeSequential).
+   */
+  contiguousOffset(up) {
+    const totalChunks = Math.ceil(up.totalSize / up.chunkSize);
+    let i = 0;
+    while (i < totalChunks && up.receivedBitset.has(i)) i++;
+    if (i === totalChunks) return up.totalSize;
+    const start = i * up.chunkSize;
+    const partial = up.partialOffset || 0;
+    return partial > start && partial < start + up.chunkSize ? partial : start;
+  }
+
+  /**
+   * Append bytes at the contiguous offset (tus PATCH semantics). Bodies need not be chunk
+   * aligned: chunks fully covered by the new offset are marked received and the remainder
+   * is kept in partialOffset.
+   * options.checksum = { algorithm, digest } (digest base64) verifies the body before the
+   * offset advances (460 checksum_mismatch otherwise). Without a checksum, bytes from an
+   * interrupted request are kept so the client can resume from where it stopped.
+   * options.client / options.length (body length, when known) are for the throttle, as in writeChunkAt.
+   * Resolves { offset, interrupted }.
+   */
+  async writeSequential(id, offset, readStream, options = {}) {
+    if (!this.storage.capabilities.partialWrites) {
+      const err = new Error('sequential_writes_not_supported');
+      err.status = 501;
+      throw err;
+    }
+
+    const slot = this._admitWrite(id, options.client, options.length || 0);
+    // the slot is ours until the write ends, including when the lock can't be taken
+    const release = await this._lock(id, SEQ_LOCK).catch((err) => {
+      if (slot) slot.release();
+      throw err;
+    });
+    if (!release) {
+      if (slot) slot.release();
+      const err = new Error('chunk_write_in_progress');
+      err.status = 409;
+      await this._recordFailure(id, err);
+      throw err;
+    }
+    const body = slot ? slot.pace(readStream) : readStream;
+
+    const hash = options.checksum ? crypto.createHash(options.checksum.algorithm) : null;
+    const onData = (chunk) => { hash.update(chunk); };
+    this._m.inFlight.inc();
     try {
-      return await doWrite().catch(async (err) => {
-        // If EBADF or premature close, attempt one retry (re-open path by creating a fresh stream)
-        const isBadFd = err && (err.code === 'EBADF' || err.code === 'ERR_STREAM_PREMATURE_CLOSE');
-        if (isBadFd) {
-          console.warn(`writeChunkAt: encountered ${err.code} for upload ${id} chunk ${chunkIndex}, retrying once`, err);
-          // The readStream may be in a bad state: we need to ensure it's readable again.
-          // The caller here typically passes the raw request stream; in that case the stream is already consumed or closed.
-          // Best-effort: attempt to retry only if caller will re-send the chunk (client will retry).
-          // Return an error indicating transient failure so client retry logic can re-upload chunk.
+      // read under the lock: another process may have appended since the caller looked
+      const up = await this.getUpload(id);
+      if (!up) throw new Error('upload_not_found');
+      const current = this.contiguousOffset(up);
+      if (offset !== current) {
+        const err = new Error('offset_mismatch');
+        err.status = 409;
+        err.offset = current;
+        throw err;
+      }
+
+      if (hash) body.on('data', onData);
+      const stopTimer = this._m.writeSeconds.startTimer({ api: 'tus' });
+      const result = await this.storage.writeAt(up, offset, body, { maxLength: up.totalSize - offset });
+      const seconds = stopTimer();
+      if (hash) result.digest = hash.digest('base64');
+
+      if (options.checksum) {
+        if (result.interrupted) {
           const e = new Error('transient_write_failure');
           e.transient = true;
           throw e;
         }
-        // non-retriable; bubble up
-        throw err;
+        if (result.digest !== options.checksum.digest) {
+          const err = new Error('checksum_mismatch');
+          err.status = 460;
+          throw err;
+        }
+      }
+
+      const newOffset = offset + result.written;
+      const totalChunks = Math.ceil(up.totalSize / up.chunkSize);
+      let chunks = 0;
+      const stopCommit = this._m.commitSeconds.startTimer();
+      await this._updateUpload(id, (u) => {
+        for (let i = Math.floor(offset / u.chunkSize); i < totalChunks; i++) {
+          const end = Math.min((i + 1) * u.chunkSize, u.totalSize);
+          if (end > newOffset) break;
+          if (!u.receivedBitset.has(i)) chunks++;
+          u.receivedBitset.set(i);
+        }
+        u.partialOffset = newOffset;
+        u.lastActivityAt = Date.now();
+        if (result.written) this._addProgress(u, result.written, seconds);
       });
+      stopCommit();
+      this._m.bytesReceived.inc(result.written);
+      this._m.chunks.inc(chunks, { api: 'tus' });
+      if (result.written) this.events.publish('upload.progress', id, up.owner, { offset: newOffset, totalSize: up.totalSize });
+      return { offset: newOffset, interrupted: result.interrupted };
+    } catch (err) {
+      await this._recordFailure(id, err);
+      throw err;
     } finally {
-      // ensure lock removed if some unexpected synchronous path returns
-      if (lockSet.has(chunkIndex)) lockSet.delete(chunkIndex);
+      this._m.inFlight.dec();
+      body.removeListener('data', onData);
+      if (slot) slot.release();
+      await release();
     }
   }
 
-  getMissingChunks(id) {
-    const up = this.getUpload(id);
+  async getMissingChunks(id) {
+    const up = await this.getUpload(id);
     if (!up) return [];
     const totalChunks = Math.ceil(up.totalSize / up.chunkSize);
     const missing = [];
@@ -283,24 +846,769 @@ class UploadManager {
     return missing;
   }
 
-  async markCompleted(id) {
-    const up = this.getUpload(id);
+  /**
+   * Hash the whole data file in a single pass (read back from storage).
+   * Returns { sha256, manifestSha256, chunkDigests } where manifestSha256 is the sha256 over the
+   * concatenated raw per-chunk sha256 digests (in chunk order) and chunkDigests lists those in hex.
+   * Browsers can't hash a 100GB file incrementally with WebCrypto, so the client verifies with
+   * the manifest form.
+   */
+  async computeFileDigests(id) {
+    const up = await this.getUpload(id);
     if (!up) throw new Error('upload_not_found');
-    up.completed = true;
-    this._scheduleFlush(id);
+    return this._hashData(up);
+  }
+
+  // computeFileDigests() of an upload in hand: after finalize its stored record can lag behind storage
+  _hashData(up) {
+    return new Promise((resolve, reject) => {
+      const whole = crypto.createHash('sha256');
+      const manifest = crypto.createHash('sha256');
+      const chunkDigests = [];
+      let chunkHash = crypto.createHash('sha256');
+      let chunkRemaining = up.chunkSize;
+      const endChunk = () => {
+        const digest = chunkHash.digest();
+        manifest.update(digest);
+        chunkDigests.push(digest.toString('hex'));
+      };
+
+      const rs = this.storage.readStream(up);
+      rs.on('data', (buf) => {
+        whole.update(buf);
+        let pos = 0;
+        while (pos < buf.length) {
+          const n = Math.min(chunkRemaining, buf.length - pos);
+          chunkHash.update(buf.subarray(pos, pos + n));
+          pos += n;
+          chunkRemaining -= n;
+          if (chunkRemaining === 0) {
+            endChunk();
+            chunkHash = crypto.createHash('sha256');
+            chunkRemaining = up.chunkSize;
+          }
+        }
+      });
+      rs.on('error', reject);
+      rs.on('end', () => {
+        // trailing partial chunk
+        if (chunkRemaining !== up.chunkSize) endChunk();
+        resolve({ sha256: whole.digest('hex'), manifestSha256: manifest.digest('hex'), chunkDigests });
+      });
+    });
   }
 
-  async abortUpload(id) {
-    const up = this.getUpload(id);
+  async _runHooks(id) {
+    const up = await this.getUpload(id);
     if (!up) return;
+    const ctx = {
+      id: up.id,
+      filename: up.finalName || up.filename,
+      path: up.filePath,
+      totalSize: up.totalSize,
+      sha256: up.sha256 || null,
+      metadata: up.metadata || null
+    };
+    const states = up.hooks;
+    const save = (i) => this._updateUpload(id, (u) => { u.hooks[i] = Object.assign({}, states[i]); })
+      .catch((e) => console.error('save hook state failed', id, e));
+    let failed = false;
+    for (let i = 0; i < this.hooks.length; i++) {
+      const state = states[i];
+      if (failed) {
+        state.status = 'skipped';
+        await save(i);
+        continue;
+      }
+      state.status = 'running';
+      state.startedAt = Date.now();
+      await save(i);
+      try {
+        await this.hooks[i].run(ctx);
+        state.status = 'succeeded';
+      } catch (e) {
+        console.error(`post hook ${state.name} failed for upload ${id}`, e);
+        state.status = 'failed';
+        state.error = String(e && e.message ? e.message : e);
+        failed = true;
+      }
+      state.finishedAt = Date.now();
+      await save(i);
+    }
+  }
+
+  // throws 422 file_digest_mismatch when the stored bytes don't hash to the expected values
+  async _verifyFileDigests(up, options) {
+    const digests = await this._hashData(up);
+    const mismatch = (options.sha256 && options.sha256 !== digests.sha256) ||
+      (options.manifestSha256 && options.manifestSha256 !== digests.manifestSha256);
+    if (mismatch) {
+      const err = new Error('file_digest_mismatch');
+      err.status = 422;
+      err.expected = { sha256: options.sha256 || null, manifestSha256: options.manifestSha256 || null };
+      err.actual = { sha256: digests.sha256, manifestSha256: digests.manifestSha256 };
+      throw err;
+    }
+    up.sha256 = digests.sha256;
+    // every chunk's digest, so later uploads can name this one as their base
+    digests.chunkDigests.forEach((digest, i) => { up.chunkDigests[i] = digest; });
+  }
+
+  /**
+   * Mark upload completed. When options.sha256 or options.manifestSha256 (hex) is given the
+   * file is hashed first and the upload stays incomplete on mismatch (422 file_digest_mismatch).
+   * Storage then publishes the file (409 destination_exists under the 'fail' policy) and
+   * post hooks start in the background; their progress is kept in up.hooks.
+   * Storage that can't be read before it is finalized (s3) is verified after publishing; on
+   * a mismatch the object is deleted and the upload restarts from zero chunks.
+   * Resolves the completed upload.
+   */
+  async markCompleted(id, options = {}) {
+    const release = await this._lock(id, COMPLETE_LOCK);
+    if (!release) {
+      const err = new Error('complete_in_progress');
+      err.status = 409;
+      throw err;
+    }
+    let completed;
     try {
-      try { await unlinkAsync(up.filePath); } catch (e) {}
-    } catch (e) {}
-    try { await unlinkAsync(this._metaPath(id)); } catch (e) {}
-    this.uploads.delete(id);
-    this.locks.delete(id);
-    this.dirty.delete(id);
+      const up = await this.getUpload(id);
+      if (!up) throw new Error('upload_not_found');
+      if (up.completed) return up;
+      options = { sha256: options.sha256 || up.expectedSha256 || undefined, manifestSha256: options.manifestSha256 };
+      const verify = !!(options.sha256 || options.manifestSha256);
+      const verifyFirst = this.storage.capabilities.readBeforeFinalize;
+      if (verify && verifyFirst) await this._verifyFileDigests(up, options);
+      const { finalName } = await this.storage.finalize(up, { collisionPolicy: this.collisionPolicy });
+      if (verify && !verifyFirst) {
+        try {
+          await this._verifyFileDigests(up, options);
+        } catch (err) {
+          if (err.status === 422) await this._restartUpload(up);
+          throw err;
+        }
+      }
+      completed = await this._updateUpload(id, (u) => {
+        u.filePath = up.filePath;
+        u.storageState = up.storageState;
+        u.sha256 = up.sha256;
+        u.chunkDigests = up.chunkDigests;
+        u.finalName = finalName;
+        u.completed = true;
+        u.completedAt = Date.now();
+        u.hooks = this.hooks.map((h) => ({ name: h.name, type: h.type, status: 'pending' }));
+      });
+      if (!completed) throw new Error('upload_not_found');
+      await this._indexOpen(id, false);
+      this._m.completed.inc();
+      await this._lifecycle('upload.completed', completed);
+      // only verified hashes are indexed, so a client can't claim someone else's content; an
+      // encrypted upload's hash is of its ciphertext, which no other upload can reuse
+      if (completed.sha256 && !completed.encryption) {
+        await this._updateBlob(completed.sha256, (entry) => {
+          entry.size = completed.totalSize;
+          entry.refs[id] = { owner: completed.owner, location: completed.filePath };
+        }).catch((e) => console.error('content index update failed', id, e));
+      }
+      if (this.collisionPolicy === 'overwrite') await this._supersede(completed);
+    } finally {
+      await release();
+    }
+    if (this.hooks.length) {
+      this._runHooks(id).catch((e) => console.error('post hooks error', id, e));
+    }
+    return completed;
+  }
+
+  /**
+   * Run fn(entry) on the content index entry for sha256 under its lock and store the result
+   * (entry.refs: uploadId -> { owner, location }; an entry without refs is deleted). fn may be
+   * async. Resolves what fn returns.
+   */
+  async _updateBlob(sha256, fn) {
+    const blobId = BLOB_ID_PREFIX + sha256;
+    const release = await this._lock(blobId, REFS_LOCK, { wait: true });
+    try {
+      const entry = (await this.store.get(blobId)) || { id: blobId, sha256, size: null, refs: {} };
+      const result = await fn(entry);
+      if (Object.keys(entry.refs).length) await this.store.put(entry);
+      else await this.store.delete(blobId);
+      return result;
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Dedup: when a completed upload with this sha256 and totalSize still has its data in storage
+   * (and, with dedupScope 'owner', has the same owner), create an upload that is already
+   * completed and shares that data, and resolve its id; otherwise resolve null and the caller
+   * creates a normal upload. Storage with link() (local: a hardlink) gives the new upload its
+   * own file name; elsewhere it shares the source's location, which abortUpload() keeps until
+   * the last upload referencing it is gone. Post hooks run as for a regular completion.
+   */
+  async createFromContent({ filename, relativePath = null, sha256, totalSize, chunkSize = null, metadata = null, owner = null, destSubdir = '' }) {
+    const placement = this._placement(filename, relativePath, destSubdir);
+    const total = Number(totalSize);
+    const cs = Number(chunkSize || this.chunkSizeFor(total));
+    const totalChunks = Math.max(1, Math.ceil(total / cs));
+    this._checkLayout(total, cs);
+    const created = await this._updateBlob(sha256, async (entry) => {
+      for (const [sourceId, ref] of Object.entries(entry.refs)) {
+        if (this.dedupScope === 'owner' && ref.owner !== owner) continue;
+        const source = await this.getUpload(sourceId);
+        const data = source && source.completed && source.filePath ? await this.storage.inspect(source) : null;
+        if (!data || !data.exists || source.sha256 !== sha256 || (data.size !== null && data.size !== source.totalSize)) {
+          // deleted, or its file was moved away or replaced behind our back
+          delete entry.refs[sourceId];
+          continue;
+        }
+        if (source.totalSize !== total) continue;
+        const now = Date.now();
+        const up = {
+          id: uuidv4(),
+          filename: placement.safeName,
+          totalSize: total,
+          chunkSize: cs,
+          createdAt: now,
+          lastActivityAt: now,
+          filePath: source.filePath,
+          completed: true,
+          completedAt: now,
+          receivedBitset: BitSet.fromArray(Array.from({ length: totalChunks }, (_, i) => i), totalChunks),
+          chunkDigests: {},
+          sha256,
+          partialOffset: 0,
+          metadata,
+          owner,
+          destSubdir: placement.destSubdir,
+          relativePath: placement.relativePath,
+          storage: source.storage,
+          storageState: source.storageState,
+          finalName: source.finalName,
+          dedupOf: sourceId,
+          hooks: this.hooks.map((h) => ({ name: h.name, type: h.type, status: 'pending' }))
+        };
+        if (this.storage.link) {
+          const { finalName } = await this.storage.link(source, up, { collisionPolicy: this.collisionPolicy });
+          up.finalName = finalName;
+          up.storageState = null;
+        }
+        await this.store.put(this._toMeta(up));
+        entry.refs[up.id] = { owner, location: up.filePath };
+        return up;
+      }
+      return null;
+    });
+    const id = created ? created.id : null;
+    // a hardlink is published under a name of its own, possibly over an older file
+    if (id && this.storage.link && this.collisionPolicy === 'overwrite') await this._supersede(created);
+    if (id) {
+      this._m.created.inc();
+      this._m.completed.inc();
+      await this._lifecycle('upload.created', created, { chunkSize: cs, totalChunks });
+      await this._lifecycle('upload.completed', created, { deduplicated: true });
+    }
+    if (id && this.hooks.length) {
+      this._runHooks(id).catch((e) => console.error('post hooks error', id, e));
+    }
+    return id;
+  }
+
+  /**
+   * Under collisionPolicy 'overwrite', up was just published over whatever file was at its
+   * location. Completed uploads that pointed there lose their data: their filePath becomes null
+   * and supersededBy names up, so downloads, dedup and bases skip them and deleting them leaves
+   * the new file alone.
+   */
+  async _supersede(up) {
+    for (const id of await this.listUploadIds()) {
+      if (id === up.id) continue;
+      const other = await this.getUpload(id);
+      if (!other || !other.completed || other.filePath !== up.filePath) continue;
+      await this._updateUpload(id, (u) => {
+        u.filePath = null;
+        u.supersededBy = up.id;
+      });
+      if (other.sha256) {
+        await this._updateBlob(other.sha256, (entry) => { delete entry.refs[id]; })
+          .catch((e) => console.error('content index update failed', id, e));
+      }
+    }
+  }
+
+  // drop a published-but-corrupt object and start the upload over with a fresh storage allocation
+  async _restartUpload(up) {
+    up.completed = true; // remove() treats the object as published
+    await this.storage.remove(up);
+    up.completed = false;
+    await this.storage.create(up, { collisionPolicy: this.collisionPolicy });
+    await this._updateUpload(up.id, (u) => {
+      u.receivedBitset = new BitSet(Math.max(1, Math.ceil(u.totalSize / u.chunkSize)));
+      u.chunkDigests = {};
+      u.partialOffset = 0;
+      u.sha256 = null;
+      u.filePath = up.filePath;
+      u.storageState = up.storageState;
+    });
+  }
+
+  // bytes of the data file that have been received (whole chunks plus sequential progress)
+  _receivedBytes(up) {
+    const totalChunks = Math.ceil(up.totalSize / up.chunkSize);
+    let bytes = 0;
+    for (let i = 0; i < totalChunks; i++) {
+      if (up.receivedBitset.has(i)) bytes += Math.min(up.chunkSize, up.totalSize - i * up.chunkSize);
+    }
+    const contiguous = this.contiguousOffset(up);
+    if (contiguous % up.chunkSize !== 0 && contiguous < up.totalSize) bytes += contiguous % up.chunkSize;
+    return bytes;
+  }
+
+  /**
+   * Storage and reservation overview. capacity/free/used come from the storage adapter and
+   * are null where it can't tell (no statfs, object storage). reserved = bytes incomplete uploads still need to write.
+   */
+  async getStorageStats() {
+    const disk = await this.storage.stats();
+    const capacity = disk ? disk.capacity : null;
+    const free = disk ? disk.free : null;
+    const used = disk ? disk.used : null;
+    let reserved = 0;
+    let incompleteUploads = 0;
+    const reservedByOwner = {};
+    const stale = [];
+    for (const id of Object.keys((await this._openIndex()).uploads)) {
+      const up = await this.getUpload(id);
+      if (!up || up.completed) {
+        stale.push(id);
+        continue;
+      }
+      const remaining = up.totalSize - this._receivedBytes(up);
+      reserved += remaining;
+      incompleteUploads++;
+      if (up.owner) reservedByOwner[up.owner] = (reservedByOwner[up.owner] || 0) + remaining;
+    }
+    // completed or deleted without the index hearing of it (a crash in between)
+    for (const id of stale) await this._indexOpen(id, false);
+    return { capacity, free, used, reserved, incompleteUploads, reservedByOwner };
+  }
+
+  /**
+   * The open-uploads index. A store without one (new, or written before the index existed) gets
+   * it rebuilt from a scan of every upload; options.save stores the result, which only callers
+   * holding the admission lock may do.
+   */
+  async _openIndex({ save = false } = {}) {
+    const index = await this.store.get(OPEN_INDEX_ID);
+    if (index) return index;
+    const uploads = {};
+    for (const id of await this.listUploadIds()) {
+      const up = await this.getUpload(id);
+      if (up && !up.completed) uploads[id] = true;
+    }
+    const rebuilt = { id: OPEN_INDEX_ID, uploads };
+    if (save) await this.store.put(rebuilt);
+    return rebuilt;
+  }
+
+  // add (open) or drop one upload in the open-uploads index; a missing index is rebuilt later
+  async _indexOpen(id, open) {
+    await this.store.update(OPEN_INDEX_ID, (index) => {
+      if (open) index.uploads[id] = true;
+      else delete index.uploads[id];
+    });
+  }
+
+  /**
+   * Admission control for a new upload: size limit, free space against outstanding
+   * reservations, and total/per-owner reservation caps. Throws err.status 413/507 with
+   * err.admission = { error, message, ... } for a structured response.
+   * Callers hold the admission lock until the new upload is in the store and the index.
+   */
+  async _admit(totalSize, owner) {
+    const reject = (status, error, message, extra) => {
+      const err = new Error(error);
+      err.status = status;
+      err.admission = Object.assign({ error, message }, extra);
+      throw err;
+    };
+    if (this.maxUploadSize && totalSize > this.maxUploadSize) {
+      reject(413, 'upload_too_large', `totalSize exceeds the ${this.maxUploadSize} byte limit`,
+        { requested: totalSize, limit: this.maxUploadSize });
+    }
+    await this._openIndex({ save: true });
+    const stats = await this.getStorageStats();
+    if (stats.free !== null && stats.free - stats.reserved - this.minFreeBytes < totalSize) {
+      reject(507, 'insufficient_storage', 'Not enough free space for this upload and the ones in progress',
+        { requested: totalSize, available: Math.max(0, stats.free - stats.reserved - this.minFreeBytes) });
+    }
+    if (this.maxReservedBytes && stats.reserved + totalSize > this.maxReservedBytes) {
+      reject(507, 'reservation_limit', 'Too many bytes reserved by uploads in progress',
+        { requested: totalSize, available: Math.max(0, this.maxReservedBytes - stats.reserved), limit: this.maxReservedBytes });
+    }
+    if (this.ownerQuotaBytes && owner) {
+      const ownerReserved = stats.reservedByOwner[owner] || 0;
+      if (ownerReserved + totalSize > this.ownerQuotaBytes) {
+        reject(507, 'quota_exceeded', `Upload quota for ${owner} exceeded`,
+          { requested: totalSize, available: Math.max(0, this.ownerQuotaBytes - ownerReserved), limit: this.ownerQuotaBytes });
+      }
+    }
+  }
+
+  /**
+   * When an incomplete upload will be reaped (epoch ms), or null if it never expires.
+   */
+  getExpiresAt(up) {
+    if (!up || up.completed) return null;
+    const candidates = [];
+    if (this.ttlMs) candidates.push(up.createdAt + this.ttlMs);
+    if (this.idleTtlMs) candidates.push((up.lastActivityAt || up.createdAt) + this.idleTtlMs);
+    return candidates.length ? Math.min(...candidates) : null;
+  }
+
+  // ids of every upload in the metadata store
+  async listUploadIds() {
+    return (await this.store.list()).filter((id) => id !== OPEN_INDEX_ID && !id.startsWith(BLOB_ID_PREFIX));
+  }
+
+  /**
+   * Find incomplete uploads past their expiry and (unless dryRun) delete their data and
+   * metadata. Uploads with a write in flight in any process are left for the next sweep,
+   * and only one process sweeps at a time.
+   * Returns [{ id, filename, totalSize, createdAt, lastActivityAt, expiresAt, allocatedBytes }].
+   */
+  async sweepExpired({ dryRun = false, now = Date.now() } = {}) {
+    const release = dryRun ? null : await this._lock(GLOBAL_LOCK_ID, 'reaper');
+    if (!dryRun && !release) return [];
+    const expired = [];
+    try {
+      for (const id of await this.listUploadIds()) {
+        const up = await this.getUpload(id);
+        const expiresAt = this.getExpiresAt(up);
+        if (expiresAt === null || expiresAt > now) continue;
+        if (await this.store.isLocked(id)) continue;
+        const allocatedBytes = await this.storage.allocatedBytes(up);
+        if (!dryRun) {
+          try {
+            await this.abortUpload(id, { reason: 'expired' });
+          } catch (err) {
+            // a write started since the check above
+            if (err.status === 409) continue;
+            throw err;
+          }
+        }
+        expired.push({
+          id,
+          filename: up.filename,
+          totalSize: up.totalSize,
+          createdAt: up.createdAt,
+          lastActivityAt: up.lastActivityAt,
+          expiresAt,
+          allocatedBytes
+        });
+      }
+    } finally {
+      if (release) await release();
+    }
+    if (!dryRun && expired.length) {
+      const bytes = expired.reduce((n, e) => n + e.allocatedBytes, 0);
+      console.log(`reaper: removed ${expired.length} expired upload(s), reclaimed ${bytes} bytes:`,
+        expired.map((e) => `${e.id} (${e.filename})`).join(', '));
+    }
+    return expired;
+  }
+
+  // listing entry for GET /admin/uploads
+  _summary(up, staleBefore) {
+    const totalChunks = Math.max(1, Math.ceil(up.totalSize / up.chunkSize));
+    const progress = this.getProgress(up);
+    return {
+      id: up.id,
+      filename: up.finalName || up.filename,
+      relativePath: up.relativePath || null,
+      owner: up.owner,
+      state: up.completed ? 'completed' : 'in_progress',
+      stale: !up.completed && (up.lastActivityAt || up.createdAt) < staleBefore,
+      totalSize: up.totalSize,
+      chunkSize: up.chunkSize,
+      totalChunks,
+      receivedChunks: up.receivedBitset.toArray().length,
+      receivedBytes: progress.receivedBytes,
+      rateBytesPerSecond: progress.rateBytesPerSecond,
+      etaSeconds: progress.etaSeconds,
+      createdAt: up.createdAt,
+      lastActivityAt: up.lastActivityAt,
+      completedAt: up.completedAt,
+      expiresAt: this.getExpiresAt(up),
+      storage: up.storage,
+      location: up.filePath
+    };
+  }
+
+  /**
+   * Every upload in the store, newest first. state: 'completed' | 'in_progress' | 'stale'
+   * (in progress with no chunk for staleMs); owner filters by principal.
+   * Resolves { count, uploads } where count is before limit.
+   */
+  async listUploads({ state = null, owner = null, staleMs = 60 * 60 * 1000, limit = 1000, now = Date.now() } = {}) {
+    const out = [];
+    for (const id of await this.listUploadIds()) {
+      const up = await this.getUpload(id);
+      if (!up) continue;
+      const entry = this._summary(up, now - staleMs);
+      if (owner && entry.owner !== owner) continue;
+      if (state === 'stale' ? !entry.stale : state && entry.state !== state) continue;
+      out.push(entry);
+    }
+    out.sort((a, b) => b.createdAt - a.createdAt);
+    return { count: out.length, uploads: out.slice(0, limit) };
+  }
+
+  /**
+   * Gauges for every upload in progress, read from the metadata store (so they cover all
+   * processes), as a MetricsRegistry snapshot. One series per upload, labelled with its id and owner.
+   */
+  async uploadMetrics(now = Date.now()) {
+    const registry = new MetricsRegistry();
+    const labels = ['upload_id', 'owner'];
+    const count = registry.gauge('uploads_in_progress', 'Uploads created and not yet completed');
+    const size = registry.gauge('upload_size_bytes', 'Total size of an upload in progress', labels);
+    const received = registry.gauge('upload_received_bytes', 'Bytes of an upload in progress received so far', labels);
+    const rate = registry.gauge('upload_receive_rate_bytes_per_second', 'Recent receive rate of an upload in progress', labels);
+    const eta = registry.gauge('upload_eta_seconds', 'Estimated time until an upload in progress has all its bytes', labels);
+    const failures = registry.gauge('upload_failed_writes', 'Failed writes of an upload in progress (conflicts, transient, ENOSPC, digest)', labels);
+    count.set(0);
+    for (const id of await this.listUploadIds()) {
+      const up = await this.getUpload(id).catch(() => null);
+      if (!up || up.completed) continue;
+      const l = { upload_id: up.id, owner: up.owner || '' };
+      const progress = this.getProgress(up, now);
+      count.inc();
+      size.set(up.totalSize, l);
+      received.set(progress.receivedBytes, l);
+      if (progress.rateBytesPerSecond !== null) rate.set(progress.rateBytesPerSecond, l);
+      if (progress.etaSeconds !== null) eta.set(progress.etaSeconds, l);
+      failures.set(up.stats.conflicts + up.stats.transientFailures + up.stats.enospc + up.stats.digestMismatches, l);
+    }
+    return registry.snapshot();
+  }
+
+  // write a record to quarantineDir and drop it from the store
+  async _quarantineMeta(up, issue) {
+    await mkdirAsync(this.quarantineDir, { recursive: true });
+    const record = Object.assign(this._toMeta(up), { quarantined: { kind: issue.kind, at: Date.now() } });
+    await writeFileAsync(path.join(this.quarantineDir, `${up.id}.json`), JSON.stringify(record, null, 2));
+    await this.store.delete(up.id);
+    await this._indexOpen(up.id, false);
+  }
+
+  // move data aside where the adapter can, otherwise remove it
+  async _quarantineData(location, up) {
+    if (this.storage.quarantine) return this.storage.quarantine(location, this.quarantineDir);
+    if (up) await this.storage.remove(up);
+    return null;
+  }
+
+  // apply policy to one in-progress upload whose data is missing or the wrong size; resolves the action taken
+  async _repair(up, issue, policy) {
+    if (policy === 'delete') {
+      // reconcile() holds the upload's COMPLETE_LOCK
+      await this._removeUpload(up, 'reconcile');
+      return 'deleted';
+    }
+    if (policy === 'quarantine') {
+      if (issue.kind === 'size_mismatch') issue.quarantinedTo = await this._quarantineData(up.filePath, up);
+      await this._quarantineMeta(up, issue);
+      return 'quarantined';
+    }
+    // rebuild: keep whatever data survived and have the client resend the rest
+    if (issue.kind === 'size_mismatch' && this.storage.resize) {
+      const intact = Math.min(issue.actualSize, up.totalSize);
+      await this.storage.resize(up);
+      await this._updateUpload(up.id, (u) => {
+        for (const i of u.receivedBitset.toArray()) {
+          if (Math.min((i + 1) * u.chunkSize, u.totalSize) > intact) {
+            u.receivedBitset.clear(i);
+            delete u.chunkDigests[i];
+          }
+        }
+        u.partialOffset = Math.min(u.partialOffset, intact);
+      });
+      return 'rebuilt';
+    }
+    await this._restartUpload(up);
+    return 'rebuilt';
+  }
+
+  /**
+   * Startup inventory: check every in-progress upload's data (missing, wrong size) and look for
+   * data no upload record points at, then apply policy:
+   *   report      only list the issues
+   *   quarantine  move data and metadata to quarantineDir (data stays put where the backend can't move it)
+   *   delete      remove them
+   *   rebuild     recreate missing data / keep the intact prefix of short files and mark the rest
+   *               missing, so clients resume; orphaned data has no record to rebuild and is quarantined
+   * Completed uploads are counted but not checked; their files belong to whoever consumes DEST_DIR.
+   * Holds the admission lock so no upload is half-created meanwhile, and skips uploads being
+   * completed. The open-uploads index is rebuilt from the records afterwards. Resolves { policy, scannedAt, uploads: { completed, inProgress, unreadable }, issues },
+   * or null when another process is already reconciling.
+   */
+  async reconcile({ policy = 'report' } = {}) {
+    if (!RECONCILE_POLICIES.includes(policy)) throw new Error(`invalid reconcile policy: ${policy}`);
+    const releaseReconcile = await this._lock(GLOBAL_LOCK_ID, 'reconcile');
+    if (!releaseReconcile) return null;
+    const releaseAdmission = await this._lock(GLOBAL_LOCK_ID, 'admission', { wait: true }).catch(async (e) => {
+      await releaseReconcile();
+      throw e;
+    });
+    const report = { policy, scannedAt: Date.now(), uploads: { completed: 0, inProgress: 0, unreadable: 0 }, issues: [] };
+    try {
+      const ups = [];
+      for (const id of await this.listUploadIds()) {
+        const up = await this.getUpload(id);
+        if (!up) {
+          report.uploads.unreadable++;
+          report.issues.push({ kind: 'unreadable_metadata', id, action: 'none' });
+          continue;
+        }
+        ups.push(up);
+        if (up.completed) {
+          report.uploads.completed++;
+          continue;
+        }
+        report.uploads.inProgress++;
+        const releaseUpload = await this._lock(id, COMPLETE_LOCK);
+        if (!releaseUpload) continue;
+        try {
+          const data = await this.storage.inspect(up);
+          let issue = null;
+          if (!data.exists) {
+            issue = { kind: 'missing_data', id, location: up.filePath, expectedSize: up.totalSize, actualSize: null };
+          } else if (data.size !== null && data.size !== up.totalSize) {
+            issue = { kind: 'size_mismatch', id, location: up.filePath, expectedSize: up.totalSize, actualSize: data.size };
+          }
+          if (!issue) continue;
+          issue.action = policy === 'report' ? 'none' : await this._repair(up, issue, policy);
+          report.issues.push(issue);
+        } finally {
+          await releaseUpload();
+        }
+      }
+      for (const orphan of await this.storage.findOrphans(ups)) {
+        const issue = { kind: 'orphan_data', id: null, location: orphan.location, expectedSize: null, actualSize: orphan.size };
+        if (policy === 'delete') {
+          await this.storage.removeOrphan(orphan);
+          issue.action = 'deleted';
+        } else if ((policy === 'quarantine' || policy === 'rebuild') && this.storage.quarantine) {
+          issue.quarantinedTo = await this.storage.quarantine(orphan.location, this.quarantineDir);
+          issue.action = 'quarantined';
+        } else {
+          issue.action = 'none';
+        }
+        report.issues.push(issue);
+      }
+      await this.store.delete(OPEN_INDEX_ID);
+      await this._openIndex({ save: true });
+    } finally {
+      await releaseAdmission();
+      await releaseReconcile();
+    }
+    return report;
+  }
+
+  startReaper() {
+    if (this._reapTimer || (!this.ttlMs && !this.idleTtlMs)) return;
+    this._reapTimer = setInterval(() => {
+      this.sweepExpired().catch((e) => console.error('reaper sweep failed', e));
+    }, this.reapIntervalMs);
+    this._reapTimer.unref();
+  }
+
+  stopReaper() {
+    clearInterval(this._reapTimer);
+    this._reapTimer = null;
+  }
+
+  /**
+   * Delete an upload's data (unless another upload shares it) and metadata. Refused with 409
+   * upload_busy while a chunk write or a completion holds one of its locks, so nothing is
+   * deleted underneath them; the caller tries again later.
+   * reason ('deleted', 'expired', 'reconcile') goes into the upload.aborted event.
+   */
+  async abortUpload(id, { reason = 'deleted' } = {}) {
+    const busy = () => {
+      const err = new Error('upload_busy');
+      err.status = 409;
+      return err;
+    };
+    if (await this.store.isLocked(id)) throw busy();
+    const release = await this._lock(id, COMPLETE_LOCK);
+    if (!release) throw busy();
+    try {
+      const up = await this.getUpload(id);
+      if (up) await this._removeUpload(up, reason);
+    } finally {
+      await release();
+    }
+  }
+
+  // abortUpload() once the upload's COMPLETE_LOCK is held
+  async _removeUpload(up, reason) {
+    // data shared through dedup goes with the last upload referencing it
+    const shared = up.completed && up.sha256
+      ? await this._updateBlob(up.sha256, (entry) => {
+        delete entry.refs[up.id];
+        return Object.values(entry.refs).some((ref) => ref.location === up.filePath);
+      })
+      : false;
+    // a superseded upload's data now belongs to the upload published over it
+    if (!shared && up.filePath) {
+      try { await this.storage.remove(up); } catch (e) {}
+    }
+    await this.store.delete(up.id);
+    await this._indexOpen(up.id, false);
+    this._m.aborted.inc();
+    await this._lifecycle('upload.aborted', up, { reason, completed: !!up.completed });
+  }
+
+  /**
+   * Publish a lifecycle event to the event log and queue it for webhooks. Webhooks get
+   * upload.expired instead of upload.aborted for the reaper's deletions, and the file's path.
+   * A failure to queue the webhook is logged, never thrown: the upload itself already changed.
+   */
+  async _lifecycle(type, up, extra = {}) {
+    const filename = up.finalName || up.filename;
+    const sha256 = up.sha256 || null;
+    const relativePath = up.relativePath || null;
+    this.events.publish(type, up.id, up.owner, Object.assign({ filename, relativePath, totalSize: up.totalSize, sha256 }, extra));
+    if (!this.webhooks) return;
+    const hookType = type === 'upload.aborted' && extra.reason === 'expired' ? 'upload.expired' : type;
+    await this.webhooks.enqueue(hookType, Object.assign({
+      id: up.id,
+      filename,
+      relativePath,
+      size: up.totalSize,
+      path: up.completed ? up.filePath : null,
+      sha256,
+      owner: up.owner || null,
+      metadata: up.metadata || null,
+      completed: !!up.completed
+    }, extra)).catch((e) => console.error('webhook enqueue failed', up.id, type, e));
+  }
+
+  // stop background work and release the metadata store
+  async close() {
+    this.stopReaper();
+    if (this.webhooks) this.webhooks.stop();
+    await this.store.close();
   }
 }
 
-module.exports = UploadManager;
\ No newline at end of file
+UploadManager.DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
+UploadManager.RECONCILE_POLICIES = RECONCILE_POLICIES;
+UploadManager.DEDUP_SCOPES = DEDUP_SCOPES;
+UploadManager.parseRelativePath = parseRelativePath;
+UploadManager.CONTENT_ENCODINGS = Object.keys(CONTENT_DECODERS);
+
+module.exports = UploadManager;
@@ -0,0 +1,269 @@
+// Outbound webhooks: lifecycle events (upload.created, upload.completed, upload.aborted,
+// upload.expired) POSTed as JSON to configured endpoints, signed with HMAC-SHA256:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex hmac-sha256(secret, "<t>.<body>")>
+// Every delivery (one event to one endpoint) is a file in <dir> until it succeeds, so pending
+// deliveries survive restarts. Failed attempts are retried with exponential backoff; after
+// maxAttempts the file moves to <dir>/failed. Processes sharing <dir> (cluster workers) claim a
+// delivery with a metadata store lock before sending it, so each attempt happens once.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+
+const mkdirAsync = promisify(fs.mkdir);
+const readdirAsync = promisify(fs.readdir);
+const readFileAsync = promisify(fs.readFile);
+const renameAsync = promisify(fs.rename);
+const unlinkAsync = promisify(fs.unlink);
+const openAsync = promisify(fs.open);
+const writeAsync = promisify(fs.write);
+const fsyncAsync = promisify(fs.fsync);
+const closeAsync = promisify(fs.close);
+
+const EVENT_TYPES = ['upload.created', 'upload.completed', 'upload.aborted', 'upload.expired'];
+// pseudo upload id for delivery locks in the metadata store
+const LOCK_ID = '_webhooks';
+const LOCK_TTL_MS = 60 * 1000;
+const DELIVERY_FILE_RE = /^([0-9a-f-]{36})\.json$/;
+
+/**
+ * Signature header value for body at time t (unix seconds). Receivers recompute it with the
+ * shared secret and should reject old timestamps to stop replays.
+ */
+function signPayload(body, secret, t = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${mac}`;
+}
+
+// write file atomically and durably (temp file, fsync, rename); the temp name is unique, since
+// one process may write the same delivery twice at once (a retry and the queue scan)
+async function writeDurable(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const fd = await openAsync(tmp, 'w');
+  try {
+    await writeAsync(fd, data);
+    await fsyncAsync(fd);
+  } finally {
+    await closeAsync(fd);
+  }
+  await renameAsync(tmp, file);
+}
+
+class WebhookDispatcher {
+  /**
+   * endpoints: [{ url, secret?, events?: [type], headers?, timeoutMs? }]; events defaults to all
+   * options.dir: delivery queue directory (required)
+   * options.store: metadata store whose locks claim deliveries (required)
+   * options.secret: signing secret for endpoints without their own
+   * options.maxAttempts (default 15), options.baseDelayMs (default 5s), options.maxDelayMs (default 1h)
+   * options.pollMs: how often the queue is scanned for due retries (default 5s)
+   */
+  constructor(endpoints, options = {}) {
+    this.endpoints = endpoints.map((e) => Object.assign({ events: EVENT_TYPES, timeoutMs: 10000 }, e));
+    for (const e of this.endpoints) {
+      if (!e.url) throw new Error('webhook endpoint needs a url');
+      if (!e.secret && !options.secret) throw new Error(`webhook ${e.url} has no secret (set one, or WEBHOOK_SECRET)`);
+      const unknown = e.events.filter((t) => !EVENT_TYPES.includes(t));
+      if (unknown.length) throw new Error(`unknown webhook event type(s): ${unknown.join(', ')}`);
+    }
+    this.dir = options.dir;
+    this.failedDir = path.join(this.dir, 'failed');
+    this.store = options.store;
+    this.secret = options.secret || null;
+    this.maxAttempts = options.maxAttempts || 15;
+    this.baseDelayMs = options.baseDelayMs || 5000;
+    this.maxDelayMs = options.maxDelayMs || 60 * 60 * 1000;
+    this.pollMs = options.pollMs || 5000;
+    this._timer = null;
+    this._scanning = false;
+  }
+
+  get enabled() {
+    return this.endpoints.length > 0;
+  }
+
+  /**
+   * Queue event for every endpoint subscribed to its type and try each delivery right away.
+   * Resolves once the deliveries are on disk.
+   */
+  async enqueue(type, payload) {
+    const targets = this.endpoints.map((e, i) => (e.events.includes(type) ? i : -1)).filter((i) => i >= 0);
+    if (!targets.length) return;
+    await mkdirAsync(this.dir, { recursive: true });
+    const event = { id: uuidv4(), type, time: new Date().toISOString(), data: payload };
+    const deliveries = [];
+    for (const endpoint of targets) {
+      const delivery = {
+        id: uuidv4(),
+        endpoint,
+        url: this.endpoints[endpoint].url,
+        body: JSON.stringify(event),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: Date.now(),
+        lastError: null
+      };
+      await writeDurable(this._file(delivery.id), JSON.stringify(delivery));
+      deliveries.push(delivery.id);
+    }
+    for (const id of deliveries) {
+      this._attempt(id).catch((e) => console.error('webhook delivery error', id, e));
+    }
+  }
+
+  _file(id) { return path.join(this.dir, `${id}.json`); }
+
+  /**
+   * Send one delivery if it is still queued and due, under its lock. On failure the attempt count
+   * and next attempt time are written back, or the delivery moves to failed/ once exhausted.
+   */
+  async _attempt(id, now = Date.now()) {
+    const token = await this.store.acquireLock(LOCK_ID, id, LOCK_TTL_MS);
+    if (!token) return; // another process is sending it
+    try {
+      let delivery;
+      try {
+        delivery = JSON.parse(await readFileAsync(this._file(id), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return; // delivered meanwhile
+        throw e;
+      }
+      if (delivery.nextAttemptAt > now) return;
+      const endpoint = this.endpoints[delivery.endpoint];
+      const error = endpoint && endpoint.url === delivery.url
+        ? await this._send(endpoint, delivery)
+        : 'endpoint no longer configured';
+      if (!error) {
+        await unlinkAsync(this._file(id)).catch(() => {});
+        return;
+      }
+      delivery.attempts++;
+      delivery.lastError = error;
+      if (delivery.attempts >= this.maxAttempts || !endpoint || endpoint.url !== delivery.url) {
+        await mkdirAsync(this.failedDir, { recursive: true });
+        await writeDurable(path.join(this.failedDir, `${id}.json`), JSON.stringify(delivery));
+        await unlinkAsync(this._file(id)).catch(() => {});
+        console.error(`webhook delivery ${id} to ${delivery.url} failed after ${delivery.attempts} attempt(s): ${error}`);
+        return;
+      }
+      // full jitter keeps a recovering endpoint from being hit by every retry at once
+      const delay = Math.min(this.baseDelayMs * 2 ** (delivery.attempts - 1), this.maxDelayMs);
+      delivery.nextAttemptAt = Date.now() + Math.round(delay / 2 + Math.random() * delay / 2);
+      await writeDurable(this._file(id), JSON.stringify(delivery));
+    } finally {
+      await this.store.releaseLock(LOCK_ID, id, token);
+    }
+  }
+
+  // POST the delivery; resolves null on a 2xx, otherwise a short error description
+  async _send(endpoint, delivery) {
+    const event = JSON.parse(delivery.body);
+    try {
+      const resp = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: Object.assign({
+          'Content-Type': 'application/json',
+          'User-Agent': 'fast-large-upload-webhooks',
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Attempt': String(delivery.attempts + 1),
+          'X-Webhook-Signature': signPayload(delivery.body, endpoint.secret || this.secret)
+        }, endpoint.headers || {}),
+        body: delivery.body,
+        signal: AbortSignal.timeout(endpoint.timeoutMs)
+      });
+      await resp.arrayBuffer().catch(() => {});
+      return resp.ok ? null : `HTTP ${resp.status}`;
+    } catch (e) {
+      // fetch reports network errors as "fetch failed" with the reason in cause
+      const cause = e && e.cause && (e.cause.code || e.cause.message);
+      return `${e && e.message ? e.message : e}${cause ? ` (${cause})` : ''}`;
+    }
+  }
+
+  // attempt every queued delivery that is due
+  async processDue() {
+    if (this._scanning) return;
+    this._scanning = true;
+    try {
+      let names;
+      try {
+        names = await readdirAsync(this.dir);
+      } catch (e) {
+        if (e.code === 'ENOENT') return;
+        throw e;
+      }
+      for (const name of names) {
+        const m = DELIVERY_FILE_RE.exec(name);
+        if (m) await this._attempt(m[1]).catch((e) => console.error('webhook delivery error', m[1], e));
+      }
+    } finally {
+      this._scanning = false;
+    }
+  }
+
+  /**
+   * Queued and failed deliveries: { pending: [...], failed: [...] } without their bodies.
+   */
+  async list() {
+    const read = async (dir) => {
+      const out = [];
+      const names = await readdirAsync(dir).catch(() => []);
+      for (const name of names) {
+        if (!DELIVERY_FILE_RE.test(name)) continue;
+        const d = await readFileAsync(path.join(dir, name), 'utf8').then(JSON.parse).catch(() => null);
+        if (!d) continue;
+        const event = JSON.parse(d.body);
+        out.push({ id: d.id, url: d.url, event: event.type, eventId: event.id, uploadId: event.data.id, attempts: d.attempts, nextAttemptAt: d.nextAttemptAt, createdAt: d.createdAt, lastError: d.lastError });
+      }
+      return out.sort((a, b) => a.createdAt - b.createdAt);
+    };
+    return { pending: await read(this.dir), failed: await read(this.failedDir) };
+  }
+
+  /**
+   * Move failed deliveries (all, or the given ids) back into the queue with a fresh attempt count.
+   * Resolves the number requeued.
+   */
+  async retryFailed(ids = null) {
+    const names = await readdirAsync(this.failedDir).catch(() => []);
+    let requeued = 0;
+    for (const name of names) {
+      const m = DELIVERY_FILE_RE.exec(name);
+      if (!m || (ids && !ids.includes(m[1]))) continue;
+      const delivery = JSON.parse(await readFileAsync(path.join(this.failedDir, name), 'utf8'));
+      Object.assign(delivery, { attempts: 0, nextAttemptAt: Date.now() });
+      await writeDurable(this._file(delivery.id), JSON.stringify(delivery));
+      await unlinkAsync(path.join(this.failedDir, name)).catch(() => {});
+      requeued++;
+    }
+    if (requeued) this.processDue().catch((e) => console.error('webhook queue scan failed', e));
+    return requeued;
+  }
+
+  // scan the queue every pollMs (deliveries left by a restart, retries that came due)
+  start() {
+    if (this._timer || !this.enabled) return;
+    this._timer = setInterval(() => {
+      this.processDue().catch((e) => console.error('webhook queue scan failed', e));
+    }, this.pollMs);
+    this.processDue().catch((e) => console.error('webhook queue scan failed', e));
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+/**
+ * Endpoint specs from a JSON array (WEBHOOKS_FILE) or a comma separated URL list (WEBHOOK_URLS).
+ */
+function parseEndpoints({ file, urls } = {}) {
+  if (file) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (urls || '').split(',').map((u) => u.trim()).filter(Boolean).map((url) => ({ url }));
+}
+
+module.exports = { WebhookDispatcher, signPayload, parseEndpoints, EVENT_TYPES };